@@ -0,0 +1,242 @@
+import axios, { AxiosRequestConfig, AxiosResponse } from "axios";
+import FormData from "form-data";
+
+// Shared upload → task → poll → download flow with retries (TypeScript port
+// of src/services/FoxitTaskClient.js). Uploads, polls and downloads retry
+// network errors, 408, 429 and 5xx; task creation only retries when the task
+// cannot have started (connection refused, 429, 503).
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+const REJECTED_STATUS = new Set([429, 503]);
+const NOT_SENT_CODES = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"]);
+
+const DEFAULT_TIMEOUTS = {
+  upload: 30_000,
+  createTask: 30_000,
+  poll: 15_000,
+  download: 60_000,
+};
+
+export interface FoxitTaskClientOptions {
+  baseUrl: string;
+  clientId: string;
+  clientSecret: string;
+  tag?: string;
+  maxRetries?: number;
+  retryBaseMs?: number;
+  retryMaxMs?: number;
+  pollIntervalMs?: number;
+  pollTimeoutMs?: number;
+  timeouts?: Partial<typeof DEFAULT_TIMEOUTS>;
+}
+
+export interface TaskRunOptions {
+  content: Buffer;
+  file: { filename: string; contentType: string };
+  operation: string;
+  params?: Record<string, unknown>;
+  label?: string;
+  signal?: AbortSignal;
+}
+
+function envInt(name: string, fallback: number): number {
+  const value = parseInt(process.env[name] || "", 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function abortError(tag: string): Error {
+  const err = new Error(`${tag} Aborted`);
+  err.name = "AbortError";
+  return err;
+}
+
+function sleep(ms: number, signal: AbortSignal | undefined, tag: string): Promise<void> {
+  if (signal?.aborted) return Promise.reject(abortError(tag));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(tag));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+export function parseRetryAfter(value: string | undefined, now = Date.now()): number | null {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+export function backoffDelay(attempt: number, baseMs: number, maxMs: number, random = Math.random): number {
+  return Math.round(random() * Math.min(maxMs, baseMs * 2 ** (attempt - 1)));
+}
+
+function decodeError(err: any): string {
+  if (!err.response) return err.message;
+  try {
+    if (Buffer.isBuffer(err.response.data) || err.response.data instanceof ArrayBuffer) {
+      return Buffer.from(err.response.data).toString("utf-8");
+    }
+    return typeof err.response.data === "string"
+      ? err.response.data
+      : JSON.stringify(err.response.data);
+  } catch {
+    return String(err.response.status);
+  }
+}
+
+export class FoxitTaskClient {
+  private base: string;
+  private authHeaders: Record<string, string>;
+  private tag: string;
+  private maxRetries: number;
+  private retryBaseMs: number;
+  private retryMaxMs: number;
+  private pollIntervalMs: number;
+  private pollTimeoutMs: number;
+  private timeouts: typeof DEFAULT_TIMEOUTS;
+
+  constructor(options: FoxitTaskClientOptions) {
+    this.base = options.baseUrl.replace(/\/$/, "");
+    this.authHeaders = { client_id: options.clientId, client_secret: options.clientSecret };
+    this.tag = options.tag ?? "[FoxitTaskClient]";
+    this.maxRetries = options.maxRetries ?? envInt("FOXIT_MAX_RETRIES", 3);
+    this.retryBaseMs = options.retryBaseMs ?? envInt("FOXIT_RETRY_BASE_MS", 500);
+    this.retryMaxMs = options.retryMaxMs ?? envInt("FOXIT_RETRY_MAX_MS", 30_000);
+    this.pollIntervalMs = options.pollIntervalMs ?? envInt("FOXIT_POLL_INTERVAL_MS", 3_000);
+    this.pollTimeoutMs = options.pollTimeoutMs ?? envInt("FOXIT_POLL_TIMEOUT_MS", 120_000);
+    this.timeouts = { ...DEFAULT_TIMEOUTS, ...options.timeouts };
+  }
+
+  private isRetryable(err: any, idempotent: boolean): boolean {
+    if (axios.isCancel(err) || err.name === "AbortError") return false;
+    const status = err.response?.status;
+    if (status) return (idempotent ? RETRYABLE_STATUS : REJECTED_STATUS).has(status);
+    return idempotent || NOT_SENT_CODES.has(err.code);
+  }
+
+  async request(
+    label: string,
+    makeConfig: () => AxiosRequestConfig,
+    { idempotent, signal }: { idempotent: boolean; signal?: AbortSignal }
+  ): Promise<AxiosResponse> {
+    for (let attempt = 0; ; attempt++) {
+      if (signal?.aborted) throw abortError(this.tag);
+      try {
+        return await axios.request({ ...makeConfig(), signal });
+      } catch (err: any) {
+        if (signal?.aborted || axios.isCancel(err)) throw abortError(this.tag);
+        if (attempt >= this.maxRetries || !this.isRetryable(err, idempotent)) {
+          throw new Error(`${this.tag} ${label} failed (HTTP ${err.response?.status ?? "N/A"}): ${decodeError(err)}`);
+        }
+        const retryAfter = parseRetryAfter(err.response?.headers?.["retry-after"]);
+        const delay = Math.min(
+          this.retryMaxMs,
+          retryAfter ?? backoffDelay(attempt + 1, this.retryBaseMs, this.retryMaxMs)
+        );
+        console.warn(`${this.tag} ${label} failed — retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+        await sleep(delay, signal, this.tag);
+      }
+    }
+  }
+
+  async upload(content: Buffer, file: TaskRunOptions["file"], signal?: AbortSignal): Promise<string> {
+    const url = `${this.base}/documents/upload`;
+    const res = await this.request("Upload", () => {
+      const form = new FormData();
+      form.append("file", content, { ...file, knownLength: content.length });
+      return {
+        method: "post",
+        url,
+        data: form,
+        headers: { ...form.getHeaders(), ...this.authHeaders },
+        timeout: this.timeouts.upload,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+      };
+    }, { idempotent: true, signal });
+
+    const documentId = res.data?.documentId ?? res.data?.id ?? res.data?.data?.documentId;
+    if (!documentId) {
+      throw new Error(`${this.tag} Upload succeeded but no documentId: ${JSON.stringify(res.data)}`);
+    }
+    console.log(`${this.tag} Step 1 done documentId=${documentId}`);
+    return documentId;
+  }
+
+  async createTask(operation: string, body: Record<string, unknown>, label: string, signal?: AbortSignal): Promise<string> {
+    const url = `${this.base}/documents/${operation}`;
+    const res = await this.request(label, () => ({
+      method: "post",
+      url,
+      data: body,
+      headers: { "Content-Type": "application/json", ...this.authHeaders },
+      timeout: this.timeouts.createTask,
+    }), { idempotent: false, signal });
+
+    const taskId = res.data?.taskId ?? res.data?.id ?? res.data?.data?.taskId;
+    if (!taskId) {
+      throw new Error(`${this.tag} No taskId: ${JSON.stringify(res.data)}`);
+    }
+    console.log(`${this.tag} Step 2 done taskId=${taskId}`);
+    return taskId;
+  }
+
+  async pollTask(taskId: string, signal?: AbortSignal): Promise<string> {
+    const url = `${this.base}/tasks/${taskId}`;
+    const deadline = Date.now() + this.pollTimeoutMs;
+
+    while (Date.now() < deadline) {
+      const res = await this.request("Poll", () => ({
+        method: "get",
+        url,
+        headers: { ...this.authHeaders },
+        timeout: this.timeouts.poll,
+      }), { idempotent: true, signal });
+
+      const { status, progress, resultDocumentId } = res.data;
+      console.log(`${this.tag} status=${status} progress=${progress ?? "?"}%`);
+
+      if (status === "COMPLETED") {
+        if (!resultDocumentId) {
+          throw new Error(`${this.tag} COMPLETED but no resultDocumentId`);
+        }
+        return resultDocumentId;
+      }
+      if (status === "FAILED") {
+        throw new Error(`${this.tag} Task FAILED: ${JSON.stringify(res.data)}`);
+      }
+      await sleep(Math.min(this.pollIntervalMs, Math.max(0, deadline - Date.now())), signal, this.tag);
+    }
+
+    throw new Error(`${this.tag} Timed out after ${this.pollTimeoutMs / 1000}s`);
+  }
+
+  async download(documentId: string, signal?: AbortSignal): Promise<Buffer> {
+    const url = `${this.base}/documents/${documentId}/download`;
+    const res = await this.request("Download", () => ({
+      method: "get",
+      url,
+      headers: { ...this.authHeaders, Accept: "application/pdf" },
+      responseType: "arraybuffer",
+      timeout: this.timeouts.download,
+    }), { idempotent: true, signal });
+    return Buffer.from(res.data);
+  }
+
+  async run({ content, file, operation, params = {}, label = operation, signal }: TaskRunOptions): Promise<Buffer> {
+    console.log(`${this.tag} ${label} pipeline start`);
+    const documentId = await this.upload(content, file, signal);
+    const taskId = await this.createTask(operation, { documentId, ...params }, `${label} task`, signal);
+    const resultDocumentId = await this.pollTask(taskId, signal);
+    const result = await this.download(resultDocumentId, signal);
+    console.log(`${this.tag} Pipeline complete (${result.length} bytes)`);
+    return result;
+  }
+}
@@ -1,4 +1,7 @@
 export { generatePdfFromHtml } from "./FoxitDocumentGenerationClient";
 export { optimizePdf } from "./FoxitPdfServicesClient";
+export { FoxitTaskClient } from "./FoxitTaskClient";
+export type { FoxitTaskClientOptions, TaskRunOptions } from "./FoxitTaskClient";
 export { generateConversationReport } from "./pdfReportService";
+export { render as renderTemplate, loadPartials, TemplateError } from "./templateEngine";
 export type { ReportData, ThemeEntry, ResourceEntry } from "./pdfReportService";
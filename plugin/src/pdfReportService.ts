@@ -2,8 +2,10 @@ import fs from "fs";
 import path from "path";
 import { generatePdfFromHtml } from "./FoxitDocumentGenerationClient";
 import { optimizePdf } from "./FoxitPdfServicesClient";
+import { render, loadPartials } from "./templateEngine";
 
 const TEMPLATE_PATH = path.join(__dirname, "..", "templates", "conversation-report.html");
+const PARTIALS_DIR = path.join(__dirname, "..", "templates", "partials");
 
 export interface ThemeEntry {
   name: string;
@@ -34,39 +36,10 @@ export interface ReportData {
   themes: ThemeEntry[];
   resources: ResourceEntry[];
   reflectionQuestions: string[];
+  /** Base64 TTF data. Rendered unescaped via {{{mynerveFont}}}, so only base64 is accepted. */
   mynerveFont: string;
 }
 
-function interpolate(template: string, data: Record<string, any>): string {
-  let result = template.replace(
-    /\{\{(\w+)\[(\d+)\]\.(\w+)\}\}/g,
-    (_match, arrayName, index, field) => {
-      const arr = data[arrayName];
-      if (Array.isArray(arr) && arr[index] !== undefined) {
-        return arr[index][field] !== undefined ? arr[index][field] : "";
-      }
-      return "";
-    }
-  );
-
-  result = result.replace(
-    /\{\{(\w+)\[(\d+)\]\}\}/g,
-    (_match, arrayName, index) => {
-      const arr = data[arrayName];
-      if (Array.isArray(arr) && arr[index] !== undefined) {
-        return arr[index];
-      }
-      return "";
-    }
-  );
-
-  result = result.replace(/\{\{(\w+)\}\}/g, (_match, key) => {
-    return data[key] !== undefined ? data[key] : "";
-  });
-
-  return result;
-}
-
 export async function generateConversationReport(data: ReportData): Promise<Buffer> {
   let template: string;
   try {
@@ -75,7 +48,16 @@ export async function generateConversationReport(data: ReportData): Promise<Buff
     throw new Error(`Failed to read HTML template: ${err.message}`);
   }
 
-  const filledHtml = interpolate(template, data);
+  if (data.mynerveFont && !/^[A-Za-z0-9+/=\s]*$/.test(data.mynerveFont)) {
+    throw new Error("[PdfReport] mynerveFont must be base64-encoded font data");
+  }
+
+  let filledHtml: string;
+  try {
+    filledHtml = render(template, data, { partials: loadPartials(PARTIALS_DIR) });
+  } catch (err: any) {
+    throw new Error(`Failed to render HTML template: ${err.message}`);
+  }
   console.log("[PdfReport] Template interpolated — starting pipeline");
 
   console.log("[PdfReport] Stage 1 → HTML → PDF (Foxit Document Generation API)");
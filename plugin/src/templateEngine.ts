@@ -0,0 +1,16 @@
+// The service's template engine (src/utils/templateEngine.js, typed by the
+// templateEngine.d.ts beside it), so the plugin fills templates exactly as
+// the service does. Copying the plugin elsewhere? Bring src/utils/
+// templateEngine.js, templateEngine.d.ts and htmlEscape.js along and point
+// these paths at them.
+
+export {
+  render,
+  compile,
+  parse,
+  loadPartials,
+  escapeForContext,
+  TemplateError,
+  FILTERS,
+} from "../../src/utils/templateEngine";
+export type { HtmlContext, RenderOptions, TemplateNode } from "../../src/utils/templateEngine";
@@ -6,29 +6,283 @@ if (require('fs').existsSync(envPath)) {
   require('dotenv').config({ path: envPath });
 }
 
+// Validate every setting once, before any module reads one. Values from the
+// config file (CONFIG_FILE or config/config.json) are copied into process.env.
+const { loadConfig, ConfigError } = require('./utils/config');
+let config;
+try {
+  config = loadConfig();
+} catch (err) {
+  if (!(err instanceof ConfigError)) throw err;
+  console.error(`[startup] ${err.message}`);
+  process.exit(1);
+}
+
+const path    = require('path');
 const express = require('express');
-const { extractReportData } = require('./utils/llmProcessor');
-const FoxitPdfService = require('./services/FoxitPdfService');
+const { createExtractionProvider } = require('./services/extraction');
+const { createJobStore, ReportJobRunner, ReportBatchRunner, publicJob, publicBatch } = require('./services/jobs');
+const { createCacheStore, ReportCache, etagMatches } = require('./services/cache');
+const { createReportStore, ReportArchive } = require('./services/storage');
+const { ApiKeyStore, RateLimiter, UsageTracker, createAuth, describeKey, monthOf } = require('./services/auth');
+const { getCharacterRegistry, CharacterProfileError } = require('./services/characters');
+const LocalPdfService = require('./services/LocalPdfService');
+const StubPdfService = require('./services/StubPdfService');
+const { ReportValidationError } = require('./utils/reportValidator');
+const { FORMATS, formatForType, createRenderer } = require('./services/renderers');
+const { validateReportRequest, reportCacheKeys, buildReportData, createReport } = require('./utils/reportRequest');
+const { DEFAULT_TEMPLATE, listTemplates, describeTemplate, checkTemplates } = require('./utils/templateRegistry');
+const { renderPreview, watchTemplates } = require('./utils/preview');
+const { validateWebhookUrl, checkWebhookHost } = require('./utils/webhook');
+const { validateBatchRequest, batchItems, batchLocale } = require('./utils/batchRequest');
+const { buildBatchOutput } = require('./utils/batchOutput');
+const { componentLogger } = require('./utils/logger');
+const { renderMetrics, timeStage } = require('./utils/metrics');
+const { requestLogging } = require('./utils/requestLogging');
+const { GracefulShutdown } = require('./utils/shutdown');
+
+const startupLog = componentLogger('startup');
 
 const app = express();
-app.use(express.json({ limit: '1mb' }));
+// Stops taking work on SIGTERM / SIGINT and waits for in-flight reports
+const shutdown = new GracefulShutdown({ timeoutMs: config.shutdownTimeoutMs });
+app.locals.shutdown = shutdown;
+// Request ids, access log lines and HTTP metrics (probes stay out of the log)
+const PROBES = new Set(['/health', '/ready', '/metrics']);
+app.use(requestLogging({ quiet: req => PROBES.has(req.path) }));
+app.use('/api', shutdown.rejectWhileDraining());
+// Batches carry many transcripts; parsed first so the report limit below skips them
+app.use('/api/reports/batch', express.json({ limit: config.batchBodyLimit }));
+app.use(express.json({ limit: config.reportBodyLimit }));
+
+// Initialise the PDF backend once (config.pdfBackend)
+//   foxit — Foxit cloud APIs; falls back to local rendering when Stage 1
+//           fails unless PDF_FALLBACK=none
+//   local — in-process renderer, needs no credentials
+//   stub  — placeholder PDFs, for developing against the API
+// PDF_BACKEND=foxit without credentials starts on PDF_DEGRADED_BACKEND
+// instead (config.degraded says why); GET /ready reports it.
+let pdfService;
+try {
+  if (config.pdfBackend === 'foxit') {
+    const FoxitPdfService = require('./services/FoxitPdfService');
+    const fallback = config.pdfFallback === 'none' ? null : new LocalPdfService();
+    pdfService = new FoxitPdfService({ fallback });
+  } else if (config.pdfBackend === 'stub') {
+    pdfService = new StubPdfService();
+  } else {
+    pdfService = new LocalPdfService();
+  }
+} catch (err) {
+  startupLog.error(`Failed to initialise PDF backend: ${err.message}`);
+  process.exit(1);
+}
+if (config.degraded) {
+  startupLog.warn(`Degraded mode: ${config.degraded} — using the ${pdfService.name} backend`);
+}
+startupLog.info(`PDF backend: ${pdfService.name}${pdfService.fallback ? ' (local fallback)' : ''}`);
+
+// Load the template manifests now so a broken one fails at startup
+try {
+  startupLog.info(`Templates: ${listTemplates().map(t => t.id).join(', ')}`);
+} catch (err) {
+  startupLog.error(`Failed to load report templates: ${err.message}`);
+  process.exit(1);
+}
+
+// Initialise the extraction provider once (selected by EXTRACTION_PROVIDER)
+let extractionProvider;
+try {
+  extractionProvider = createExtractionProvider();
+  startupLog.info(`Extraction provider: ${extractionProvider.name}`);
+} catch (err) {
+  startupLog.error(`Failed to initialise extraction provider: ${err.message}`);
+  process.exit(1);
+}
+
+// Report cache (selected by CACHE_STORE) — extracted data + finished PDFs
+let reportCache;
+try {
+  const store = createCacheStore();
+  reportCache = new ReportCache({ store });
+  startupLog.info(`Report cache: ${store ? store.name : 'none'}`);
+} catch (err) {
+  startupLog.error(`Failed to initialise report cache: ${err.message}`);
+  process.exit(1);
+}
+
+// Stored reports behind signed /r/:id links (selected by REPORT_STORE).
+// Deleting one also drops the job that produced it, its cache entries and,
+// for a batch item, the item's request and the batch's combined output.
+let reportArchive = null;
+let jobRunner;
+let batchRunner;
+try {
+  const store = createReportStore();
+  if (store) {
+    reportArchive = new ReportArchive({
+      store,
+      onDelete: async report => {
+        if (report.cacheKeys) await reportCache.forget(report.cacheKeys.data, report.cacheKeys.pdf);
+        if (report.jobId) {
+          const job = await jobRunner.store.get(report.jobId);
+          if (job?.batchId) await batchRunner.removeItem(job.batchId, job.id);
+          await jobRunner.store.delete(report.jobId);
+        }
+      },
+    });
+    if (reportArchive.ephemeralSecret) {
+      startupLog.warn('REPORT_LINK_SECRET is not set — using a per-process key, links stop working on restart');
+    }
+    // Retention sweeps stop once shutdown starts
+    shutdown.onDrain(reportArchive.startRetention());
+  }
+  startupLog.info(`Report store: ${store ? store.name : 'none'}`);
+} catch (err) {
+  startupLog.error(`Failed to initialise report store: ${err.message}`);
+  process.exit(1);
+}
+
+/**
+ * Keep a finished report and mint a share link for it, plus the token that
+ * deletes it. Storage problems are logged, not fatal — the caller still gets
+ * the PDF.
+ *
+ * @returns {Promise<{ id: string, url: string, expiresAt: string, deleteToken: string }|null>}
+ */
+async function storeReport({ pdf, data, cacheKeys }, body, { jobId, log } = {}) {
+  if (!reportArchive) return null;
+  try {
+    const report = await reportArchive.save({ pdf, data, template: body.template || DEFAULT_TEMPLATE, jobId, cacheKeys });
+    return { id: report.id, ...reportArchive.link(report), deleteToken: reportArchive.deleteToken(report) };
+  } catch (err) {
+    componentLogger('storage', log).error(`Failed to store report: ${err.message}`);
+    return null;
+  }
+}
+
+// Background report jobs (selected by JOB_STORE). Settled jobs and batches
+// are kept for JOB_RETENTION_DAYS.
+const JOB_RETENTION_MS = config.jobRetentionDays * 24 * 60 * 60 * 1000;
+try {
+  const store = createJobStore();
+  jobRunner = new ReportJobRunner({
+    store,
+    run: async (request, onProgress, { jobId, log }) => {
+      const result = await createReport(request, { provider: extractionProvider, pdfService, cache: reportCache, onProgress, log });
+      return { pdf: result.pdf, report: await storeReport(result, request, { jobId, log }) || undefined };
+    },
+    concurrency:   config.jobConcurrency,
+    webhookSecret: config.webhookSecret,
+    retentionMs:   JOB_RETENTION_MS,
+  });
+  jobRunner.recoverInterrupted().catch(err =>
+    startupLog.error(`Failed to recover interrupted jobs: ${err.message}`)
+  );
+  shutdown.onDrain(jobRunner.startRetention());
+  shutdown.onDrain(() => jobRunner.onIdle());
+  startupLog.info(`Job store: ${store.name}`);
+} catch (err) {
+  startupLog.error(`Failed to initialise job store: ${err.message}`);
+  process.exit(1);
+}
+
+// Report batches: each item runs as a job above, BATCH_CONCURRENCY at a time
+const BATCH_MAX_ITEMS = config.batchMaxItems;
+try {
+  batchRunner = new ReportBatchRunner({
+    jobs:          jobRunner,
+    store:         createJobStore(undefined, { dir: config.batchStoreDir }),
+    assemble:      (output, parts, batch, { log }) => buildBatchOutput(output, parts, { batch, pdfService, log }),
+    concurrency:   config.batchConcurrency,
+    webhookSecret: config.webhookSecret,
+    retentionMs:   JOB_RETENTION_MS,
+  });
+  batchRunner.recoverInterrupted().catch(err =>
+    startupLog.error(`Failed to recover interrupted batches: ${err.message}`)
+  );
+  shutdown.onDrain(batchRunner.startRetention());
+  shutdown.onDrain(() => batchRunner.onIdle());
+  startupLog.info(`Batches: up to ${BATCH_MAX_ITEMS} items, ${batchRunner.concurrency} at a time`);
+} catch (err) {
+  startupLog.error(`Failed to initialise batch store: ${err.message}`);
+  process.exit(1);
+}
+
+// API keys (API_KEYS_FILE). API_AUTH=auto (default) turns authentication on
+// when the key file exists and refuses to start without one in production;
+// API_AUTH=required always needs the file; API_AUTH=off disables it.
+const API_AUTH = config.apiAuth;
+let auth = null;
+try {
+  const keys = new ApiKeyStore();
+  if (API_AUTH !== 'off' && keys.exists()) {
+    auth = createAuth({ keys: keys.load(), limiter: new RateLimiter(), usage: new UsageTracker() });
+    startupLog.info(`API keys: ${keys.list().length} loaded from ${keys.file}`);
+  } else if (API_AUTH === 'required' || (API_AUTH === 'auto' && config.nodeEnv === 'production')) {
+    throw new Error(`${keys.file} not found — create a key with \`npm run api-key -- <id>\`, or set API_AUTH=off`);
+  } else {
+    startupLog.warn('API authentication is off — anyone who can reach the API can generate reports');
+  }
+} catch (err) {
+  startupLog.error(`Failed to initialise API keys: ${err.message}`);
+  process.exit(1);
+}
+// Counters are saved a moment after they change; write the last of them
+// once the runners are idle, before the process exits
+if (auth) {
+  shutdown.onDrain(async () => {
+    await Promise.all([jobRunner.onIdle(), batchRunner.onIdle()]);
+    await auth.usage.flush();
+  });
+}
 
-// Initialise Foxit service once (constructor validates env vars)
-let foxitPdfService;
+// Character profiles (CHARACTERS_DIR), for requests that pass a characterId
+let characters;
 try {
-  foxitPdfService = new FoxitPdfService();
+  characters = getCharacterRegistry();
+  startupLog.info(`Characters: ${characters.list().length} loaded from ${characters.dir}`);
 } catch (err) {
-  console.error(`[startup] Failed to initialise FoxitPdfService: ${err.message}`);
-  console.error('[startup] Make sure FOXIT_DOCGEN_BASE_URL, FOXIT_DOCGEN_CLIENT_ID, FOXIT_DOCGEN_CLIENT_SECRET, FOXIT_PDFSERVICES_BASE_URL, FOXIT_PDFSERVICES_CLIENT_ID, and FOXIT_PDFSERVICES_CLIENT_SECRET are set in config/.env');
+  startupLog.error(`Failed to load character profiles: ${err.message}`);
   process.exit(1);
 }
 
+// Every /api route needs a key once authentication is on, except the
+// template dev page's event stream (EventSource cannot send headers).
+// Shared /r/:id links carry their own signature.
+app.use('/api', (req, res, next) => {
+  if (!auth || req.path === '/preview/events') return next();
+  return auth.authenticate(req, res, next);
+});
+
+/**
+ * Count reports against the caller's monthly quota. Sends the 429 and
+ * returns false when it is used up; always true without authentication.
+ */
+function chargeReport(req, res, count = 1) {
+  return auth ? auth.chargeReport(req, res, count) : true;
+}
+
+/**
+ * Whether the caller may read a job or batch: the key that submitted it
+ * and admin keys may, and other keys get a 404 as if it did not exist.
+ * Always true without authentication.
+ */
+function canRead(req, record) {
+  return !req.apiKey || req.apiKey.admin || record.ownerId === req.apiKey.id;
+}
+
 /**
  * POST /api/generate-report
  *
  * Body (JSON):
  * {
- *   transcript:       string,
+ *   characterId?:     string   a GET /api/characters id; its profile supplies characterName,
+ *                     characterImageUrl and any characterMetadata field not sent
+ *   transcript:       string | object[] | object   "Speaker:" text, a [{ role, content, timestamp }]
+ *                     message array, WebVTT / SRT captions or exported chat JSON
+ *                     (see src/services/ingestion/)
+ *   transcriptFormat?: string   text | messages | webvtt | srt | chat-json (default: detected)
  *   characterName:    string,
  *   characterImageUrl:string,
  *   characterMetadata:{
@@ -36,89 +290,819 @@ try {
  *     birthYear: string,
  *     deathYear: string,
  *     bio:       string,
- *     facts:     string[]
+ *     facts:     string[],
+ *     era?:      string
  *   },
- *   sessionDate:     string,
- *   sessionDuration: string,
- *   userName:        string
+ *   sessionDate:     string,   free text, or YYYY-MM-DD to have it written out for the locale
+ *   sessionDuration: string,   free text, or ISO 8601 (PT25M) to have it written out for the locale;
+ *                              measured from the transcript's timestamps when omitted
+ *   userName:        string,
+ *   postProcessing?: [{ op, onError?, ...options }]   see src/utils/postProcessing.js;
+ *                    replaces the PDF_POSTPROCESS chain ([] = none)
+ *   template?:       string   a GET /api/templates id (default: conversation-report)
+ *   locale?:         string   en | es | fr | de | ar, or a regional variant such as es-MX
+ *                    (default: en) — template strings, dates and the extracted text
  * }
  *
- * Response: application/pdf binary
+ * Query: format=pdf | html | markdown | epub | docx — without it, the best
+ *        match for the Accept header (application/pdf, text/html,
+ *        text/markdown, application/epub+zip or the Word MIME type), and
+ *        PDF when it accepts anything. Every format renders the same
+ *        ReportData (src/services/renderers/); only PDFs are cached by
+ *        content and stored.
+ *
+ * Headers: Authorization: Bearer <key> or X-API-Key: <key> when API keys
+ *          are configured (the same for every /api route)
+ *
+ * Response: application/pdf binary with ETag (the request's cache key) and
+ *           X-Cache: HIT | MISS; the other formats as an attachment
+ *           (html inline)
+ *           X-Report-Id / X-Report-Url / X-Report-Expires name the stored
+ *           copy and its signed share link, X-Report-Delete-Token deletes
+ *           it (unless REPORT_STORE=none)
+ *           304 when If-None-Match already names this report
+ *           400 when characterImageUrl is not an http(s) URL on an
+ *               IMAGE_URL_ALLOWLIST host
+ *           400 for an unknown format
+ *           401 without a valid API key
+ *           406 when the Accept header allows none of the formats
+ *           422 { error, fields: [{ path, message }] } when the extracted
+ *           report data fails schema validation and cannot be repaired
+ *           429 with Retry-After when the key's rate limit or monthly report
+ *               quota is exhausted (304s don't use quota)
  */
 app.post('/api/generate-report', async (req, res) => {
-  const {
-    transcript,
-    characterName,
-    characterImageUrl,
-    characterMetadata,
-    sessionDate,
-    sessionDuration,
-    userName,
-  } = req.body;
+  const invalid = validateReportRequest(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const format = reportFormat(req, res);
+  if (!format) return;
+  if (format !== 'pdf') return sendDocument(req, res, format);
+
+  // The same request always names the same report, so a client holding it
+  // can revalidate without anything being generated
+  const etag = reportCache.etag(
+    reportCacheKeys(req.body, { cache: reportCache, provider: extractionProvider, pdfService }).pdf
+  );
+  res.set({ ETag: etag, 'Cache-Control': 'private, no-cache' });
+  if (etagMatches(req.get('If-None-Match'), etag)) return res.status(304).end();
+  if (!chargeReport(req, res)) return;
+
+  // Stop polling Foxit if the caller goes away before the PDF is ready
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  const log = componentLogger('/api/generate-report', req.log);
+  try {
+    log.info(`Processing report for "${req.body.characterName}"`);
+
+    let cacheHit = false;
+    const result = await createReport(req.body, {
+      provider:   extractionProvider,
+      pdfService,
+      cache:      reportCache,
+      signal:     controller.signal,
+      onProgress: event => { if (event.stage === 'cache') cacheHit = true; },
+      log:        req.log,
+    });
+    const pdfBuffer = result.pdf;
+
+    const stored = await storeReport(result, req.body, { log: req.log });
+    if (stored) {
+      res.set({
+        'X-Report-Id':           stored.id,
+        'X-Report-Url':          stored.url,
+        'X-Report-Expires':      stored.expiresAt,
+        'X-Report-Delete-Token': stored.deleteToken,
+      });
+    }
+
+    if (result.degraded) {
+      // Not the report the ETag names: a later request should get the real one
+      res.removeHeader('ETag');
+      res.set('Cache-Control', 'no-store');
+    }
+    res.set({
+      'X-Cache':             cacheHit ? 'HIT' : 'MISS',
+      'Content-Type':        'application/pdf',
+      'Content-Disposition': 'attachment; filename="historai-conversation-summary.pdf"',
+      'Content-Length':      pdfBuffer.length,
+    });
+    return res.end(pdfBuffer);
+
+  } catch (err) {
+    if (controller.signal.aborted) {
+      log.warn('Client disconnected — report abandoned');
+      return;
+    }
+    log.error(`Error: ${err.message}`);
+    if (err instanceof ReportValidationError) {
+      return res.status(422).json({ error: 'Report data failed validation', fields: err.fields });
+    }
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * The format a report request asks for: ?format= when it names one,
+ * otherwise the best match for its Accept header. Sends the 400 or 406 and
+ * returns null when there is none.
+ */
+function reportFormat(req, res) {
+  res.vary('Accept');
+  const { format } = req.query;
+  if (format !== undefined) {
+    if (Object.hasOwn(FORMATS, format)) return format;
+    res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+    return null;
+  }
+  const types = Object.values(FORMATS).map(f => f.type);
+  const type  = req.accepts(types);
+  if (type) return formatForType(type);
+  res.status(406).json({ error: `Accept must allow one of: ${types.join(', ')}` });
+  return null;
+}
+
+/**
+ * Render a validated request in a non-PDF format (src/services/renderers/)
+ * and send it, or the error.
+ */
+async function sendDocument(req, res, format) {
+  if (!chargeReport(req, res)) return;
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  const log = componentLogger('/api/generate-report', req.log);
+  try {
+    log.info(`Rendering ${format} report for "${req.body.characterName}"`);
+    const renderer = createRenderer(format, { pdfService });
+    const data = await buildReportData(req.body, { provider: extractionProvider, cache: reportCache, log: req.log });
+    const body = await timeStage('document', () => renderer.render(data, {
+      template: req.body.template,
+      signal:   controller.signal,
+      log:      req.log,
+    }), { signal: controller.signal });
+
+    const disposition = format === 'html' ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type':        renderer.contentType,
+      'Content-Disposition': `${disposition}; filename="historai-conversation-summary.${FORMATS[format].extension}"`,
+      'Content-Length':      body.length,
+    });
+    return res.end(body);
+  } catch (err) {
+    if (controller.signal.aborted) {
+      log.warn('Client disconnected — report abandoned');
+      return;
+    }
+    log.error(`Error: ${err.message}`);
+    if (err instanceof ReportValidationError) {
+      return res.status(422).json({ error: 'Report data failed validation', fields: err.fields });
+    }
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * Render a validated request to HTML and send it, or the error.
+ */
+async function sendPreview(req, res, { highlightEmpty }) {
+  try {
+    const { html, emptyTokens } = await renderPreview(req.body, {
+      provider: extractionProvider,
+      pdfService,
+      cache:    reportCache,
+      highlightEmpty,
+      log:      req.log,
+    });
+    if (highlightEmpty) res.set('X-Empty-Tokens', emptyTokens.map(encodeURIComponent).join(','));
+    return res.type('html').send(html);
+  } catch (err) {
+    componentLogger(req.path, req.log).error(`Preview error: ${err.message}`);
+    if (err instanceof ReportValidationError) {
+      return res.status(422).json({ error: 'Report data failed validation', fields: err.fields });
+    }
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * POST /api/preview
+ *
+ * Body: same as /api/generate-report. Runs extraction and fills the template
+ * but never calls the PDF backend — for iterating on templates. Extraction
+ * goes through the report cache, so repeated previews of one request are cheap.
+ * A preview that has to run extraction counts against the monthly quota like
+ * a report; one whose extracted data is cached does not.
+ *
+ * Query: highlight=empty — wrap tokens that rendered as '' in
+ *        <mark class="preview-empty"> and list them all in X-Empty-Tokens
+ *        (comma-separated, each URI-encoded)
+ *
+ * Response: text/html
+ *           422 { error, fields } as for /api/generate-report
+ *           429 when extraction is needed and the key's monthly quota is used up
+ */
+app.post('/api/preview', async (req, res) => {
+  const invalid = validateReportRequest(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (auth) {
+    try {
+      const dataKey = reportCacheKeys(req.body, { cache: reportCache, provider: extractionProvider }).data;
+      if (!(await reportCache.getData(dataKey)) && !chargeReport(req, res)) return;
+    } catch (err) {
+      componentLogger('/api/preview', req.log).error(`Error: ${err.message}`);
+      return res.status(500).json({ error: err.message });
+    }
+  }
+  return sendPreview(req, res, { highlightEmpty: req.query.highlight === 'empty' });
+});
+
+// Template dev page: GET /preview renders a request live and re-renders
+// whenever a file under src/templates/ changes. Not served in production.
+if (config.nodeEnv !== 'production') {
+  const previewClients = new Set();
+  let stopWatching = null;
+
+  app.get('/preview', (req, res) => {
+    res.sendFile(path.join(__dirname, 'static', 'preview.html'));
+  });
+
+  /**
+   * GET /api/preview/events
+   *
+   * Server-sent events: `template-changed` with { file } after a template or
+   * partial is saved. Files are only watched while a client is connected.
+   */
+  app.get('/api/preview/events', (req, res) => {
+    res.set({
+      'Content-Type':  'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection:      'keep-alive',
+    });
+    res.flushHeaders();
+    res.write(': connected\n\n');
+
+    previewClients.add(res);
+    if (!stopWatching) {
+      stopWatching = watchTemplates(file => {
+        componentLogger('preview').info(`${file || 'Template'} changed — notifying ${previewClients.size} client(s)`);
+        for (const client of previewClients) {
+          client.write(`event: template-changed\ndata: ${JSON.stringify({ file })}\n\n`);
+        }
+      });
+    }
 
-  // Input validation
-  if (!characterName || typeof characterName !== 'string' || !characterName.trim()) {
-    return res.status(400).json({ error: 'characterName is required' });
+    req.on('close', () => {
+      previewClients.delete(res);
+      if (!previewClients.size && stopWatching) {
+        stopWatching();
+        stopWatching = null;
+      }
+    });
+  });
+}
+
+/**
+ * POST /api/reports
+ *
+ * Body: same as /api/generate-report, plus optional
+ *   webhookUrl: string   POSTed a signed report.completed / report.failed
+ *                        event when the job finishes (needs WEBHOOK_SECRET)
+ *
+ * Response: 202 { id, status, progress, links } with a Location header
+ *           429 when the key's monthly report quota is used up
+ */
+app.post('/api/reports', async (req, res) => {
+  const invalid = validateReportRequest(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const { webhookUrl, ...request } = req.body;
+  if (webhookUrl) {
+    if (!jobRunner.webhooksEnabled) {
+      return res.status(400).json({ error: 'webhookUrl is not supported: WEBHOOK_SECRET is not configured' });
+    }
+    const problem = validateWebhookUrl(webhookUrl) || await checkWebhookHost(webhookUrl);
+    if (problem) return res.status(400).json({ error: `webhookUrl ${problem}` });
   }
-  if (!transcript || typeof transcript !== 'string') {
-    return res.status(400).json({ error: 'transcript is required' });
+  if (!chargeReport(req, res)) return;
+
+  try {
+    const job = await jobRunner.submit(request, { webhookUrl, requestId: req.id, ownerId: req.apiKey?.id });
+    componentLogger('/api/reports', req.log).info(`Job ${job.id} queued for "${request.characterName}"`);
+    return res.status(202).location(`/api/reports/${job.id}`).json(publicJob(job));
+  } catch (err) {
+    componentLogger('/api/reports', req.log).error(`Error: ${err.message}`);
+    return res.status(500).json({ error: err.message });
   }
-  if (!characterMetadata || typeof characterMetadata !== 'object') {
-    return res.status(400).json({ error: 'characterMetadata is required' });
+});
+
+/**
+ * POST /api/reports/batch
+ *
+ * Generates many reports — e.g. one per student in a class — as jobs that
+ * run BATCH_CONCURRENCY at a time, optionally combined into one download.
+ *
+ * Body (JSON, up to BATCH_BODY_LIMIT):
+ * {
+ *   items:       [ <report request>, … ]   same fields as /api/generate-report,
+ *                                           at most BATCH_MAX_ITEMS
+ *   defaults?:   { <report request fields> }   merged under every item
+ *                (shallow: an item's characterMetadata replaces the default);
+ *                defaults.locale is also used for the merged contents page
+ *   output?:     'none' (default) | 'zip' — every PDF plus manifest.json |
+ *                'merged' — one PDF with a table of contents (Foxit backend only)
+ *   webhookUrl?: string   POSTed a signed batch.completed / batch.failed
+ *                         event when the batch finishes (needs WEBHOOK_SECRET)
+ * }
+ *
+ * Response: 202 batch (see GET /api/reports/batch/:id) with a Location header
+ *           400 { error, items?: [{ index, error }] } naming invalid items
+ *           429 when the key's monthly quota has fewer reports left than
+ *               the batch has items (each item counts as one report)
+ */
+app.post('/api/reports/batch', async (req, res) => {
+  const invalid = validateBatchRequest(req.body, { maxItems: BATCH_MAX_ITEMS, canMerge: pdfService.canMerge });
+  if (invalid) return res.status(400).json(invalid);
+
+  const { webhookUrl, output = 'none' } = req.body;
+  if (webhookUrl) {
+    if (!batchRunner.webhooksEnabled) {
+      return res.status(400).json({ error: 'webhookUrl is not supported: WEBHOOK_SECRET is not configured' });
+    }
+    const problem = validateWebhookUrl(webhookUrl) || await checkWebhookHost(webhookUrl);
+    if (problem) return res.status(400).json({ error: `webhookUrl ${problem}` });
   }
-  const { tagline, birthYear, deathYear, bio, facts } = characterMetadata;
-  if (!tagline || !birthYear || !deathYear || !bio) {
-    return res.status(400).json({ error: 'characterMetadata must include tagline, birthYear, deathYear, and bio' });
+  const requests = batchItems(req.body);
+  if (!chargeReport(req, res, requests.length)) return;
+
+  try {
+    const batch = await batchRunner.submit(requests, {
+      output, locale: batchLocale(req.body), webhookUrl, requestId: req.id, ownerId: req.apiKey?.id,
+    });
+    return res.status(202).location(`/api/reports/batch/${batch.id}`).json(publicBatch(await batchRunner.get(batch.id)));
+  } catch (err) {
+    componentLogger('/api/reports/batch', req.log).error(`Error: ${err.message}`);
+    return res.status(500).json({ error: err.message });
   }
-  if (!Array.isArray(facts) || facts.length === 0) {
-    return res.status(400).json({ error: 'characterMetadata.facts must be a non-empty array' });
+});
+
+/**
+ * GET /api/reports/batch/:id
+ *
+ * Response: { id, status, output, counts: { total, queued, running, completed, failed },
+ *             items: [{ index, status, characterName, userName, progress?, error?,
+ *                       jobId?, report?, removed?, links? }], error?, links }
+ *           status is queued | running | assembling | completed | failed;
+ *           each item's links point at its job and, once completed, its PDF
+ *           404 when there is no such batch, or another key submitted it
+ *               (admin keys can read every batch)
+ */
+app.get('/api/reports/batch/:id', async (req, res) => {
+  try {
+    const batch = await batchRunner.get(req.params.id);
+    if (!batch || !canRead(req, batch)) return res.status(404).json({ error: 'Batch not found' });
+    return res.json(publicBatch(batch));
+  } catch (err) {
+    componentLogger('/api/reports/batch', req.log).error(`Error: ${err.message}`);
+    return res.status(500).json({ error: err.message });
   }
+});
 
+/**
+ * GET /api/reports/batch/:id/output
+ *
+ * Response: application/zip or application/pdf once the batch has completed
+ *           404 when the batch was submitted with output 'none', or by another key
+ *           409 { error, status } while it is still running or if it failed
+ */
+app.get('/api/reports/batch/:id/output', async (req, res) => {
   try {
-    console.log(`[/api/generate-report] Processing report for "${characterName}"`);
+    const batch = await batchRunner.store.get(req.params.id);
+    if (!batch || !canRead(req, batch)) return res.status(404).json({ error: 'Batch not found' });
+    if (batch.output === 'none') return res.status(404).json({ error: 'This batch has no combined output' });
+    if (batch.status !== 'completed') {
+      return res.status(409).json({ error: `Batch is ${batch.status}`, status: batch.status });
+    }
+
+    const output = await batchRunner.getOutput(batch.id);
+    if (!output) return res.status(404).json({ error: 'Batch output is no longer available' });
 
-    // 1. Extract structured report data (stub or future LLM call)
-    const reportData = await extractReportData({
-      transcript: transcript || '',
-      characterName,
-      characterMetadata: characterMetadata || {},
+    const [type, ext] = batch.output === 'zip' ? ['application/zip', 'zip'] : ['application/pdf', 'pdf'];
+    res.set({
+      'Content-Type':        type,
+      'Content-Disposition': `attachment; filename="historai-reports-${batch.id.slice(0, 8)}.${ext}"`,
+      'Content-Length':      output.length,
     });
+    return res.end(output);
+  } catch (err) {
+    componentLogger('/api/reports/batch', req.log).error(`Error: ${err.message}`);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/reports/:id
+ *
+ * Response: { id, status, progress: { percent, stage, message }, error?, report?, links }
+ *           status is queued | running | completed | failed; completed jobs
+ *           carry report: { id, url, expiresAt, deleteToken } and
+ *           links.share when stored
+ *           404 when there is no such job, or another key submitted it
+ *               (admin keys can read every job)
+ */
+app.get('/api/reports/:id', async (req, res) => {
+  try {
+    const job = await jobRunner.store.get(req.params.id);
+    if (!job || !canRead(req, job)) return res.status(404).json({ error: 'Report job not found' });
+    return res.json(publicJob(job));
+  } catch (err) {
+    componentLogger('/api/reports', req.log).error(`Error: ${err.message}`);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Comment lines keep idle event streams from being cut by proxies
+const SSE_HEARTBEAT_MS = 15_000;
+
+/**
+ * GET /api/reports/:id/events
+ *
+ * Server-sent events following a job as it runs:
+ *
+ *   job       first, the job as GET /api/reports/:id returns it
+ *   progress  each pipeline step: { phase, stage, step?, percent,
+ *             taskProgress?, operation?, message, at } — phases are
+ *             extraction, render, upload, convert, download, postprocess,
+ *             local, merge and cache (src/services/jobs/ReportProgress.js)
+ *   complete  { percent: 100, at, job } — then the stream ends
+ *   failed    { error: { message, fields? }, at, job } — then the stream ends
+ *
+ * A job that has already finished gets `job` and its `complete` / `failed`
+ * straight away. A comment line is sent every SSE_HEARTBEAT_MS so proxies
+ * keep the connection open. Needs the API key like every /api route, so
+ * browsers read it with fetch() rather than EventSource.
+ *
+ * Response: text/event-stream
+ *           404 when there is no such job, or another key submitted it
+ */
+app.get('/api/reports/:id/events', async (req, res) => {
+  // Taken before reading the store: it keeps the latest step and the
+  // outcome, so nothing that happens in between is lost
+  const live = jobRunner.progressOf(req.params.id);
+  let job;
+  try {
+    job = await jobRunner.store.get(req.params.id);
+  } catch (err) {
+    componentLogger('/api/reports', req.log).error(`Error: ${err.message}`);
+    return res.status(500).json({ error: err.message });
+  }
+  if (!job || !canRead(req, job)) return res.status(404).json({ error: 'Report job not found' });
+
+  res.set({
+    'Content-Type':      'text/event-stream',
+    'Cache-Control':     'no-cache',
+    Connection:          'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('job', publicJob(job));
+
+  const finished = job.status === 'completed' || job.status === 'failed';
+  if (finished || !live) {
+    // Settled, or running in another process: the stored state is all there is
+    if (job.status === 'completed') send('complete', { percent: 100, at: job.completedAt, job: publicJob(job) });
+    if (job.status === 'failed') send('failed', { error: job.error, at: job.completedAt, job: publicJob(job) });
+    return res.end();
+  }
+
+  const onProgress = update => send('progress', update);
+  const onSettled  = event => data => {
+    send(event, data);
+    res.end();
+  };
+  const onComplete = onSettled('complete');
+  const onFailed   = onSettled('failed');
+  const heartbeat  = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  const unsubscribe = () => {
+    clearInterval(heartbeat);
+    live.off('progress', onProgress).off('complete', onComplete).off('failed', onFailed);
+  };
+
+  if (live.outcome) {
+    unsubscribe();
+    return onSettled(live.outcome.event)(live.outcome.data);
+  }
+  if (live.last) send('progress', live.last);
+  live.on('progress', onProgress).once('complete', onComplete).once('failed', onFailed);
+  res.on('close', unsubscribe);
+});
+
+/**
+ * GET /api/reports/:id/pdf
+ *
+ * Response: application/pdf once the job has completed, with an ETag
+ *           (a job's PDF never changes); 304 for a matching If-None-Match
+ *           404 when there is no such job, or another key submitted it
+ *           409 { error, status } while it is still queued/running or if it failed
+ */
+app.get('/api/reports/:id/pdf', async (req, res) => {
+  try {
+    const job = await jobRunner.store.get(req.params.id);
+    if (!job || !canRead(req, job)) return res.status(404).json({ error: 'Report job not found' });
+    if (job.status !== 'completed') {
+      return res.status(409).json({ error: `Report is ${job.status}`, status: job.status });
+    }
 
-    // 2. Merge in session fields that come directly from the API caller
-    const data = {
-      ...reportData,
-      characterImageUrl: characterImageUrl || '',
-      sessionDate:       sessionDate       || new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
-      sessionDuration:   sessionDuration   || 'Unknown',
-      userName:          userName          || 'Anonymous',
-    };
+    const etag = `"job-${job.id}"`;
+    res.set({ ETag: etag, 'Cache-Control': 'private, no-cache' });
+    if (etagMatches(req.get('If-None-Match'), etag)) return res.status(304).end();
 
-    // 3. Generate PDF
-    const pdfBuffer = await foxitPdfService.generateConversationReport(data);
+    const pdfBuffer = await jobRunner.store.getPdf(job.id);
+    if (!pdfBuffer) return res.status(404).json({ error: 'Report PDF is no longer available' });
 
-    // 4. Send PDF
     res.set({
       'Content-Type':        'application/pdf',
       'Content-Disposition': 'attachment; filename="historai-conversation-summary.pdf"',
       'Content-Length':      pdfBuffer.length,
     });
     return res.end(pdfBuffer);
+  } catch (err) {
+    componentLogger('/api/reports', req.log).error(`Error: ${err.message}`);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Check the signed query of a /r/:id request. Sends the error response and
+ * returns null, or returns the stored report.
+ */
+async function authorizeStoredReport(req, res) {
+  if (!reportArchive) {
+    res.status(404).json({ error: 'Report storage is disabled' });
+    return null;
+  }
+  const check = reportArchive.verifyLink(req.params.id, req.query);
+  if (check !== 'ok') {
+    res.status(403).json({ error: check === 'expired' ? 'This link has expired' : 'Invalid or missing link signature' });
+    return null;
+  }
+  const report = await reportArchive.get(req.params.id);
+  if (!report) {
+    res.status(404).json({ error: 'Report not found — it may have been deleted or expired' });
+    return null;
+  }
+  return report;
+}
+
+/**
+ * GET /r/:id?expires=<unix seconds>&sig=<hex>
+ *
+ * A shared report, via the signed link returned when it was generated.
+ *
+ * Query: format=pdf (default) | json — json returns the ReportData it was
+ *        rendered from
+ *
+ * Response: application/pdf (inline)
+ *           403 when the signature is missing, wrong or past `expires`
+ *           404 once the report was deleted or passed REPORT_RETENTION_DAYS
+ */
+app.get('/r/:id', async (req, res) => {
+  try {
+    const report = await authorizeStoredReport(req, res);
+    if (!report) return;
+
+    const format = req.query.format || 'pdf';
+    if (format === 'json') {
+      const data = await reportArchive.getData(report.id);
+      if (!data) return res.status(404).json({ error: 'Report not found — it may have been deleted or expired' });
+      return res.json(data);
+    }
+    if (format !== 'pdf') return res.status(400).json({ error: 'format must be "pdf" or "json"' });
+
+    const pdfBuffer = await reportArchive.getPdf(report.id);
+    if (!pdfBuffer) return res.status(404).json({ error: 'Report not found — it may have been deleted or expired' });
+    res.set({
+      'Content-Type':        'application/pdf',
+      'Content-Disposition': 'inline; filename="historai-conversation-summary.pdf"',
+      'Content-Length':      pdfBuffer.length,
+      'Cache-Control':       'private, no-store',
+    });
+    return res.end(pdfBuffer);
+  } catch (err) {
+    componentLogger('/r/:id', req.log).error(`Error: ${err.message}`);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /r/:id
+ *
+ * Deletes a stored report for a data removal request: the PDF, its
+ * ReportData, the job that produced it and their cache entries. For a batch
+ * item, the item's request and the batch's combined output go too. The share
+ * link can't do this — only the delete token handed to whoever generated
+ * the report.
+ *
+ * Headers: X-Report-Delete-Token: <hex>  from the generate-report response
+ *          or the job's report
+ *
+ * Response: 204
+ *           403 when the token is missing or wrong
+ *           404 when there is no such report
+ */
+app.delete('/r/:id', async (req, res) => {
+  try {
+    if (!reportArchive) return res.status(404).json({ error: 'Report storage is disabled' });
+    if (!reportArchive.verifyDeleteToken(req.params.id, req.get('X-Report-Delete-Token'))) {
+      return res.status(403).json({ error: 'Invalid or missing delete token' });
+    }
+    const report = await reportArchive.delete(req.params.id);
+    if (!report) return res.status(404).json({ error: 'Report not found — it may have been deleted or expired' });
+    return res.status(204).end();
+  } catch (err) {
+    componentLogger('/r/:id', req.log).error(`Error: ${err.message}`);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/admin/usage?month=YYYY-MM
+ *
+ * Admin keys only. Each key's limits and its usage counters for the month
+ * (default: the current one, UTC).
+ *
+ * Response: { month, keys: [{ id, tenant, admin, disabled, limits, usage }] }
+ *           usage is { requests, reports, rateLimited, quotaExceeded, lastUsedAt }
+ *           403 for non-admin keys; 404 when API keys are not configured
+ */
+app.get('/api/admin/usage', adminOnly, (req, res) => {
+  const month = req.query.month || monthOf();
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) return res.status(400).json({ error: 'month must be YYYY-MM' });
+  return res.json({
+    month,
+    keys: auth.keys.list().map(key => ({ ...describeKey(key), usage: auth.usage.get(key.id, month) })),
+  });
+});
+
+/**
+ * GET /api/admin/usage/:keyId
+ *
+ * Admin keys only. One key's limits and its counters for every month it
+ * was used.
+ *
+ * Response: { id, tenant, admin, disabled, limits, months: { "YYYY-MM": usage } }
+ */
+app.get('/api/admin/usage/:keyId', adminOnly, (req, res) => {
+  const key = auth.keys.get(req.params.keyId);
+  if (!key) return res.status(404).json({ error: 'API key not found' });
+  const months = Object.fromEntries(auth.usage.listMonths(key.id).map(month => [month, auth.usage.get(key.id, month)]));
+  return res.json({ ...describeKey(key), months });
+});
+
+/**
+ * GET    /api/admin/characters        → { characters: [profile] }
+ * GET    /api/admin/characters/:id    → profile
+ * PUT    /api/admin/characters/:id    create or replace; 201 when created, 200 when replaced
+ * DELETE /api/admin/characters/:id    204
+ *
+ * Admin keys only. A profile is { name, tagline, era?, birthYear, deathYear,
+ * bio, facts, portrait? } (see src/services/characters/CharacterRegistry.js);
+ * `portrait` may be an http(s) URL, a path already in CHARACTERS_DIR, or a
+ * data:image/png|jpeg;base64 upload, which is saved next to the profile.
+ *
+ * Response: 400 { error } naming the invalid field; 404 for unknown ids
+ */
+app.get('/api/admin/characters', adminOnly, (req, res) => {
+  res.json({ characters: characters.list() });
+});
+
+app.get('/api/admin/characters/:id', adminOnly, (req, res) => {
+  const profile = characters.get(req.params.id);
+  if (!profile) return res.status(404).json({ error: 'Character not found' });
+  return res.json(profile);
+});
 
+app.put('/api/admin/characters/:id', adminOnly, async (req, res) => {
+  try {
+    const { profile, created } = await characters.save(req.params.id, req.body);
+    componentLogger('/api/admin/characters', req.log).info(`${created ? 'Created' : 'Replaced'} character "${profile.id}"`);
+    return res.status(created ? 201 : 200).json(profile);
   } catch (err) {
-    console.error(`[/api/generate-report] Error: ${err.message}`);
+    if (err instanceof CharacterProfileError) return res.status(400).json({ error: err.message });
+    componentLogger('/api/admin/characters', req.log).error(`Error: ${err.message}`);
     return res.status(500).json({ error: err.message });
   }
 });
 
-// Health check
+app.delete('/api/admin/characters/:id', adminOnly, async (req, res) => {
+  try {
+    if (!(await characters.remove(req.params.id))) return res.status(404).json({ error: 'Character not found' });
+    return res.status(204).end();
+  } catch (err) {
+    componentLogger('/api/admin/characters', req.log).error(`Error: ${err.message}`);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+function adminOnly(req, res, next) {
+  if (!auth) return res.status(404).json({ error: 'API keys are not configured' });
+  return auth.requireAdmin(req, res, next);
+}
+
+/**
+ * GET /api/templates
+ *
+ * Response: { templates: [{ id, title, description, pageSize, assets, schema }] }
+ *           schema is the JSON schema of the report data the template renders
+ */
+app.get('/api/templates', (req, res) => {
+  res.json({ templates: listTemplates().map(describeTemplate) });
+});
+
+/**
+ * GET /api/characters
+ *
+ * The characters a request can name by characterId.
+ *
+ * Response: { characters: [{ id, name, tagline, era?, birthYear, deathYear }] }
+ */
+app.get('/api/characters', (req, res) => {
+  res.json({
+    characters: characters.list().map(({ id, name, tagline, era, birthYear, deathYear }) =>
+      ({ id, name, tagline, era, birthYear, deathYear })),
+  });
+});
+
+// Liveness: the process is up. Readiness is GET /ready.
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'historai-pdf-gen' });
 });
 
-const PORT = parseInt(process.env.PORT || '3000', 10);
-app.listen(PORT, () => {
-  console.log(`[HistorAI PDF Gen] Server running on http://localhost:${PORT}`);
-  console.log(`[HistorAI PDF Gen] POST http://localhost:${PORT}/api/generate-report`);
+/**
+ * GET /ready
+ *
+ * Readiness probe: whether this instance can produce reports right now.
+ * Checks that every template renders and that the PDF backend's
+ * dependencies answer (for foxit, a ping of both APIs, bounded by
+ * READY_TIMEOUT_MS). Like /health it needs no key.
+ *
+ * Response: 200 { status: 'ready' | 'degraded', backend, degraded?, checks: { templates, backend } }
+ *             degraded — started without Foxit (PDF_DEGRADED_BACKEND), or
+ *             Foxit is unreachable and reports fall back to local rendering
+ *           503 { status: 'unavailable' | 'shutting-down', … }
+ */
+app.get('/ready', async (req, res) => {
+  if (shutdown.draining) return res.status(503).json({ status: 'shutting-down', backend: pdfService.name });
+
+  const templates = checkTemplates();
+  const backend   = await pdfService.checkReady({ timeoutMs: config.readyTimeoutMs });
+  let degraded = config.degraded;
+  if (!backend.ok && pdfService.fallback) degraded = `${pdfService.name} is unreachable — using the ${pdfService.fallback.name} fallback`;
+
+  const ok = templates.ok && (backend.ok || Boolean(pdfService.fallback));
+  if (!ok) componentLogger('/ready', req.log).warn('Not ready', { templates: templates.ok, backend: backend.ok });
+  res.status(ok ? 200 : 503).json({
+    status:  ok ? (degraded ? 'degraded' : 'ready') : 'unavailable',
+    backend: pdfService.name,
+    ...(degraded && { degraded }),
+    checks:  { templates, backend },
+  });
 });
 
+/**
+ * GET /metrics
+ *
+ * Prometheus scrape endpoint (text format 0.0.4): per-stage latency and
+ * failure counts, compression ratios, Foxit polls per task and HTTP
+ * request counts — see src/utils/metrics.js. Like /health it needs no key.
+ */
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Listen only when run directly — tests require the app and bind their own port
+if (require.main === module) {
+  const PORT = config.port;
+  const serverLog = componentLogger('HistorAI PDF Gen');
+  const server = app.listen(PORT, () => {
+    serverLog.info(`Server running on http://localhost:${PORT}`);
+    serverLog.info(`POST http://localhost:${PORT}/api/generate-report`);
+    serverLog.info(`POST http://localhost:${PORT}/api/reports  (async jobs)`);
+    serverLog.info(`POST http://localhost:${PORT}/api/reports/batch  (batches)`);
+    serverLog.info(`GET  http://localhost:${PORT}/ready  (readiness)`);
+    serverLog.info(`GET  http://localhost:${PORT}/metrics  (Prometheus)`);
+    if (config.nodeEnv !== 'production') {
+      serverLog.info(`GET  http://localhost:${PORT}/preview  (template dev page)`);
+    }
+  });
+  shutdown.install(server);
+}
+
 module.exports = app;
@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * createApiKey.js
+ *
+ * Creates an API key, adds its hash to the key file and prints the key.
+ * The key itself is not stored anywhere — hand it to the tenant now.
+ *
+ * Usage:
+ *   npm run api-key -- <id> [--tenant "Acme Academy"] [--rate <per minute>]
+ *                           [--quota <reports per month> | --quota unlimited] [--admin]
+ *
+ * Writes API_KEYS_FILE (default: config/api-keys.json). Restart the server
+ * to pick up the new key.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { ApiKeyStore, hashApiKey, generateApiKey } = require('./services/auth');
+
+function usage(message) {
+  if (message) console.error(`[api-key] ${message}`);
+  console.error('Usage: npm run api-key -- <id> [--tenant <name>] [--rate <n>] [--quota <n>|unlimited] [--admin]');
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const entry = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => argv[++i] ?? usage(`${arg} needs a value`);
+    if (arg === '--tenant')     entry.tenant = value();
+    else if (arg === '--rate')  entry.rateLimitPerMinute = Number(value());
+    else if (arg === '--quota') {
+      const quota = value();
+      entry.monthlyReportQuota = quota === 'unlimited' ? null : Number(quota);
+    }
+    else if (arg === '--admin') entry.admin = true;
+    else if (arg.startsWith('--')) usage(`Unknown option ${arg}`);
+    else if (!entry.id) entry.id = arg;
+    else usage(`Unexpected argument ${arg}`);
+  }
+  if (!entry.id) usage();
+  return entry;
+}
+
+function run() {
+  const entry = parseArgs(process.argv.slice(2));
+  const store = new ApiKeyStore();
+  const file  = store.file;
+
+  const existing = store.exists() ? JSON.parse(fs.readFileSync(file, 'utf-8')) : { keys: [] };
+  const key = generateApiKey();
+  const updated = { ...existing, keys: [...existing.keys, { ...entry, hash: hashApiKey(key) }] };
+
+  // Check the result the same way the server will before writing it
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify(updated, null, 2) + '\n', { mode: 0o600 });
+  try {
+    new ApiKeyStore({ file: tmp }).load();
+  } catch (err) {
+    fs.unlinkSync(tmp);
+    usage(err.message.replace(tmp, file));
+  }
+  fs.renameSync(tmp, file);
+
+  console.log(`[api-key] Added key "${entry.id}" to ${file}`);
+  console.log(key);
+}
+
+run();
@@ -25,7 +25,10 @@
  *     GET /pdf-services/api/documents/:resultDocumentId/download
  *     → raw PDF bytes
  *
- * Environment variables required:
+ * The steps themselves (with retries, backoff and cancellation) live in the
+ * shared FoxitTaskClient; this module only supplies the operation.
+ *
+ * Environment variables (required on first use, not at require time):
  *   FOXIT_DOCGEN_BASE_URL      e.g. https://na1.fusion.foxit.com/pdf-services/api
  *   FOXIT_DOCGEN_CLIENT_ID     Sent as `client_id` request header
  *   FOXIT_DOCGEN_CLIENT_SECRET Sent as `client_secret` request header
@@ -35,186 +38,43 @@
  *       is for DOCX template + JSON → PDF workflows and is not used here.
  */
 
-const axios    = require('axios');
-const FormData = require('form-data');
-
-// ── Env validation ────────────────────────────────────────────────────────────
-const {
-  FOXIT_DOCGEN_BASE_URL,
-  FOXIT_DOCGEN_CLIENT_ID,
-  FOXIT_DOCGEN_CLIENT_SECRET,
-} = process.env;
-
-if (!FOXIT_DOCGEN_BASE_URL) {
-  throw new Error('[FoxitDocGenClient] FOXIT_DOCGEN_BASE_URL is not set');
-}
-if (!FOXIT_DOCGEN_CLIENT_ID) {
-  throw new Error('[FoxitDocGenClient] FOXIT_DOCGEN_CLIENT_ID is not set');
-}
-if (!FOXIT_DOCGEN_CLIENT_SECRET) {
-  throw new Error('[FoxitDocGenClient] FOXIT_DOCGEN_CLIENT_SECRET is not set');
-}
-
-const BASE = FOXIT_DOCGEN_BASE_URL.replace(/\/$/, '');
-
-// Auth headers sent on every request
-const AUTH_HEADERS = {
-  'client_id':     FOXIT_DOCGEN_CLIENT_ID,
-  'client_secret': FOXIT_DOCGEN_CLIENT_SECRET,
-};
-
-// Polling config
-const POLL_INTERVAL_MS = 3_000;   // check every 3 s
-const POLL_TIMEOUT_MS  = 120_000; // give up after 2 min
+const { FoxitTaskClient } = require('./FoxitTaskClient');
+const { timeStage } = require('../utils/metrics');
 
-// ── Helpers ───────────────────────────────────────────────────────────────────
+// ── Client ────────────────────────────────────────────────────────────────────
+const ENV_VARS = ['FOXIT_DOCGEN_BASE_URL', 'FOXIT_DOCGEN_CLIENT_ID', 'FOXIT_DOCGEN_CLIENT_SECRET'];
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+let client = null;
 
-function decodeError(err) {
-  if (!err.response) return err.message;
-  try {
-    // response.data may be arraybuffer or string depending on responseType
-    if (Buffer.isBuffer(err.response.data) || err.response.data instanceof ArrayBuffer) {
-      return Buffer.from(err.response.data).toString('utf-8');
-    }
-    return typeof err.response.data === 'string'
-      ? err.response.data
-      : JSON.stringify(err.response.data);
-  } catch {
-    return String(err.response.status);
-  }
+/**
+ * The env vars this client needs that are not set. Empty when configured.
+ *
+ * @returns {string[]}
+ */
+function missingConfig() {
+  return ENV_VARS.filter(name => !process.env[name]);
 }
 
-// ── Step 1: Upload HTML file ──────────────────────────────────────────────────
-
-async function uploadHtml(html) {
-  const endpoint = `${BASE}/documents/upload`;
-  console.log(`[FoxitDocGenClient] Step 1 — Upload  POST ${endpoint}`);
-
-  const form = new FormData();
-  form.append('file', Buffer.from(html, 'utf-8'), {
-    filename:    'report.html',
-    contentType: 'text/html',
+/**
+ * The shared task client, created from the env vars on first use so that
+ * requiring this module never fails — the service can start without Foxit.
+ * Retries, backoff and polling are configured by the FOXIT_* env vars
+ * documented in FoxitTaskClient.js.
+ *
+ * @returns {FoxitTaskClient}
+ * @throws {Error} when a required env var is not set
+ */
+function getClient() {
+  if (client) return client;
+  const missing = missingConfig();
+  if (missing.length) throw new Error(`[FoxitDocGenClient] Not configured: ${missing.join(', ')} not set`);
+  client = new FoxitTaskClient({
+    baseUrl:      process.env.FOXIT_DOCGEN_BASE_URL,
+    clientId:     process.env.FOXIT_DOCGEN_CLIENT_ID,
+    clientSecret: process.env.FOXIT_DOCGEN_CLIENT_SECRET,
+    tag:          '[FoxitDocGenClient]',
   });
-
-  let res;
-  try {
-    res = await axios.post(endpoint, form, {
-      headers: { ...form.getHeaders(), ...AUTH_HEADERS },
-      timeout: 30_000,
-    });
-  } catch (err) {
-    throw new Error(
-      `[FoxitDocGenClient] Upload failed (HTTP ${err.response?.status ?? 'N/A'}): ${decodeError(err)}`
-    );
-  }
-
-  // Foxit may return documentId at the top level or inside a data wrapper
-  const documentId = res.data?.documentId ?? res.data?.id ?? res.data?.data?.documentId;
-  if (!documentId) {
-    throw new Error(
-      `[FoxitDocGenClient] Upload succeeded but no documentId in response: ${JSON.stringify(res.data)}`
-    );
-  }
-  console.log(`[FoxitDocGenClient] Step 1 ✓  documentId=${documentId}`);
-  return documentId;
-}
-
-// ── Step 2: Trigger HTML → PDF task ──────────────────────────────────────────
-
-async function createPdfTask(documentId) {
-  const endpoint = `${BASE}/documents/create/pdf-from-html`;
-  console.log(`[FoxitDocGenClient] Step 2 — Create PDF task  POST ${endpoint}`);
-
-  let res;
-  try {
-    res = await axios.post(
-      endpoint,
-      { documentId },
-      { headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS }, timeout: 30_000 }
-    );
-  } catch (err) {
-    throw new Error(
-      `[FoxitDocGenClient] Create-PDF failed (HTTP ${err.response?.status ?? 'N/A'}): ${decodeError(err)}`
-    );
-  }
-
-  const taskId = res.data?.taskId ?? res.data?.id ?? res.data?.data?.taskId;
-  if (!taskId) {
-    throw new Error(
-      `[FoxitDocGenClient] No taskId in response: ${JSON.stringify(res.data)}`
-    );
-  }
-  console.log(`[FoxitDocGenClient] Step 2 ✓  taskId=${taskId}`);
-  return taskId;
-}
-
-// ── Step 3: Poll until COMPLETED ─────────────────────────────────────────────
-
-async function pollTask(taskId) {
-  const endpoint = `${BASE}/tasks/${taskId}`;
-  console.log(`[FoxitDocGenClient] Step 3 — Polling  GET ${endpoint}`);
-
-  const deadline = Date.now() + POLL_TIMEOUT_MS;
-
-  while (Date.now() < deadline) {
-    let res;
-    try {
-      res = await axios.get(endpoint, { headers: { ...AUTH_HEADERS }, timeout: 15_000 });
-    } catch (err) {
-      throw new Error(
-        `[FoxitDocGenClient] Poll failed (HTTP ${err.response?.status ?? 'N/A'}): ${decodeError(err)}`
-      );
-    }
-
-    const { status, progress, resultDocumentId } = res.data;
-    console.log(`[FoxitDocGenClient]   status=${status}  progress=${progress ?? '?'}%`);
-
-    if (status === 'COMPLETED') {
-      if (!resultDocumentId) {
-        throw new Error('[FoxitDocGenClient] COMPLETED but no resultDocumentId in response');
-      }
-      console.log(`[FoxitDocGenClient] Step 3 ✓  resultDocumentId=${resultDocumentId}`);
-      return resultDocumentId;
-    }
-
-    if (status === 'FAILED') {
-      throw new Error(`[FoxitDocGenClient] Task FAILED: ${JSON.stringify(res.data)}`);
-    }
-
-    await sleep(POLL_INTERVAL_MS);
-  }
-
-  throw new Error(
-    `[FoxitDocGenClient] Timed out after ${POLL_TIMEOUT_MS / 1000}s waiting for task ${taskId}`
-  );
-}
-
-// ── Step 4: Download result PDF ───────────────────────────────────────────────
-
-async function downloadResult(resultDocumentId) {
-  const endpoint = `${BASE}/documents/${resultDocumentId}/download`;
-  console.log(`[FoxitDocGenClient] Step 4 — Download  GET ${endpoint}`);
-
-  let res;
-  try {
-    res = await axios.get(endpoint, {
-      headers:      { ...AUTH_HEADERS, Accept: 'application/pdf' },
-      responseType: 'arraybuffer',
-      timeout:      60_000,
-    });
-  } catch (err) {
-    throw new Error(
-      `[FoxitDocGenClient] Download failed (HTTP ${err.response?.status ?? 'N/A'}): ${decodeError(err)}`
-    );
-  }
-
-  const buf = Buffer.from(res.data);
-  console.log(`[FoxitDocGenClient] Step 4 ✓  PDF downloaded (${buf.length} bytes)`);
-  return buf;
+  return client;
 }
 
 // ── Public API ────────────────────────────────────────────────────────────────
@@ -223,16 +83,32 @@ async function downloadResult(resultDocumentId) {
  * Convert a fully-rendered HTML string to a PDF via the Foxit PDF Services API.
  *
  * @param {string} html  Complete interpolated HTML document.
+ * @param {object} [options]
+ * @param {(event: { step: number, message: string, taskProgress?: number }) => void} [options.onProgress]
+ *        Called as each of the 4 steps starts, and on every poll in Step 3.
+ * @param {AbortSignal} [options.signal]  Cancels the in-flight request and any wait
+ * @param {import('../utils/logger').Logger} [options.log]
  * @returns {Promise<Buffer>}  Generated PDF bytes.
  */
-async function generatePdfFromHtml(html) {
-  console.log('[FoxitDocGenClient] ── HTML → PDF pipeline start (4 steps) ──');
-  const documentId       = await uploadHtml(html);
-  const taskId           = await createPdfTask(documentId);
-  const resultDocumentId = await pollTask(taskId);
-  const pdfBuffer        = await downloadResult(resultDocumentId);
-  console.log(`[FoxitDocGenClient] ── Pipeline complete  (${pdfBuffer.length} bytes) ──`);
-  return pdfBuffer;
+async function generatePdfFromHtml(html, { onProgress = () => {}, signal, log } = {}) {
+  return timeStage('convert', () => getClient().run({
+    content:   Buffer.from(html, 'utf-8'),
+    file:      { filename: 'report.html', contentType: 'text/html' },
+    operation: 'create/pdf-from-html',
+    label:     'HTML → PDF',
+    onProgress,
+    signal,
+    log,
+  }), { signal });
+}
+
+/**
+ * Check that the API answers (see FoxitTaskClient#ping).
+ *
+ * @param {{ timeoutMs?: number, signal?: AbortSignal }} [options]
+ */
+function ping(options) {
+  return getClient().ping(options);
 }
 
-module.exports = { generatePdfFromHtml };
+module.exports = { generatePdfFromHtml, missingConfig, ping };
@@ -10,77 +10,61 @@
  *     FoxitDocumentGenerationClient.generatePdfFromHtml(filledHtml)
  *     Env vars: FOXIT_DOCGEN_BASE_URL, FOXIT_DOCGEN_CLIENT_ID, FOXIT_DOCGEN_CLIENT_SECRET
  *
- *   Stage 2 — PDF Services API  (PDF → compressed / optimized PDF)
- *     FoxitPdfServicesClient.optimizePdf(initialPdfBuffer)
+ *   Stage 2 — PDF Services API  (PDF → post-processed PDF)
+ *     FoxitPdfServicesClient.postProcessPdf(initialPdfBuffer, steps)
+ *     Steps default to PDF_POSTPROCESS (compress); callers can pass their
+ *     own chain per report (see src/utils/postProcessing.js)
  *     Env vars: FOXIT_PDFSERVICES_BASE_URL, FOXIT_PDFSERVICES_CLIENT_ID, FOXIT_PDFSERVICES_CLIENT_SECRET
  *
  * The public interface (generateConversationReport) is unchanged.
  * Only the underlying clients and their env vars differ from the original.
+ *
+ * When constructed with a `fallback` service (LocalPdfService), a Stage 1
+ * failure is logged and the same HTML is rendered locally instead.
+ *
+ * Batches also use renderHtml() (Stage 1 only, for the table of contents)
+ * and mergePdfs() (PDF Services pdf-combine).
  */
 
-const fs   = require('fs');
-const path = require('path');
-
 const PdfService = require('./PdfService');
-const { generatePdfFromHtml } = require('./FoxitDocumentGenerationClient');
-const { optimizePdf }         = require('./FoxitPdfServicesClient');
-
-const TEMPLATE_PATH = path.join(__dirname, '..', 'templates', 'conversation-report.html');
+const docGen      = require('./FoxitDocumentGenerationClient');
+const pdfServices = require('./FoxitPdfServicesClient');
+const { defaultPostProcessing } = require('../utils/postProcessing');
+const { getTemplate } = require('../utils/templateRegistry');
+const { componentLogger } = require('../utils/logger');
 
 class FoxitPdfService extends PdfService {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {PdfService & { renderHtml: Function }} [options.fallback]
+   *        Renders the filled HTML when Stage 1 fails (e.g. LocalPdfService)
+   * @param {import('../utils/postProcessing').PostProcessingStep[]} [options.postProcessing]
+   *        Stage 2 chain used when a call does not pass its own
+   * @throws {Error} when either client's env vars are not set
+   */
+  constructor({ fallback = null, postProcessing = defaultPostProcessing() } = {}) {
     super();
-    // Both clients validate their own env vars when their modules are first
-    // required above — no extra validation needed here.
-    // This constructor is kept so callers can still do `new FoxitPdfService()`.
+    const missing = [...docGen.missingConfig(), ...pdfServices.missingConfig()];
+    if (missing.length) throw new Error(`[FoxitPdfService] Foxit is not configured: ${missing.join(', ')} not set`);
+    this.name           = 'foxit';
+    this.fallback       = fallback;
+    this.postProcessing = postProcessing;
   }
 
-  // ── Template interpolation ─────────────────────────────────────────────────
+  // ── Readiness ──────────────────────────────────────────────────────────────
 
   /**
-   * Replace all {{token}} occurrences in the template string.
-   * Supports:
-   *   {{scalar}}          → data.scalar
-   *   {{array[i]}}        → data.array[i]
-   *   {{array[i].field}}  → data.array[i].field
-   *
-   * (Unchanged from original implementation.)
+   * Ping both Foxit APIs (once when they share a base URL).
    *
-   * @param {string} template
-   * @param {object} data
-   * @returns {string}
+   * @param {{ timeoutMs?: number }} [options]
+   * @returns {Promise<{ ok: boolean, docGen: object, pdfServices: object }>}
+   *          Each API's FoxitTaskClient#ping result
    */
-  _interpolate(template, data) {
-    // 1. Indexed array + property: {{array[i].field}}
-    let result = template.replace(
-      /\{\{(\w+)\[(\d+)\]\.(\w+)\}\}/g,
-      (match, arrayName, index, field) => {
-        const arr = data[arrayName];
-        if (Array.isArray(arr) && arr[index] !== undefined) {
-          return arr[index][field] !== undefined ? arr[index][field] : '';
-        }
-        return '';
-      }
-    );
-
-    // 2. Bare indexed array: {{array[i]}}
-    result = result.replace(
-      /\{\{(\w+)\[(\d+)\]\}\}/g,
-      (match, arrayName, index) => {
-        const arr = data[arrayName];
-        if (Array.isArray(arr) && arr[index] !== undefined) {
-          return arr[index];
-        }
-        return '';
-      }
-    );
-
-    // 3. Scalar: {{key}}
-    result = result.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      return data[key] !== undefined ? data[key] : '';
-    });
-
-    return result;
+  async checkReady({ timeoutMs } = {}) {
+    const same = process.env.FOXIT_DOCGEN_BASE_URL === process.env.FOXIT_PDFSERVICES_BASE_URL;
+    const docGenResult      = await docGen.ping({ timeoutMs });
+    const pdfServicesResult = same ? docGenResult : await pdfServices.ping({ timeoutMs });
+    return { ok: docGenResult.ok && pdfServicesResult.ok, docGen: docGenResult, pdfServices: pdfServicesResult };
   }
 
   // ── Main pipeline ──────────────────────────────────────────────────────────
@@ -89,54 +73,124 @@ class FoxitPdfService extends PdfService {
    * Generate a fully optimized HistorAI Conversation Summary PDF.
    *
    * Pipeline:
-   *   data  →  HTML template interpolation
+   *   data  →  HTML template interpolation, images and fonts embedded
    *         →  [Stage 1] Foxit Document Generation API  →  initial PDF Buffer
-   *         →  [Stage 2] Foxit PDF Services API         →  optimized PDF Buffer
+   *         →  [Stage 2] Foxit PDF Services API         →  post-processed PDF Buffer
+   *                      (one task per post-processing step)
    *         →  return to caller
    *
    * @param {import('./PdfService').ReportData} data
+   * @param {import('./PdfService').GenerateOptions} [options]
    * @returns {Promise<Buffer>}  Optimized PDF bytes.
    */
-  async generateConversationReport(data) {
-    // ── Step 1: Read and interpolate the HTML template ─────────────────────
-    let template;
-    try {
-      template = fs.readFileSync(TEMPLATE_PATH, 'utf-8');
-    } catch (err) {
-      throw new Error(`[FoxitPdfService] Failed to read HTML template: ${err.message}`);
-    }
+  async generateConversationReport(data, { onProgress = () => {}, signal, postProcessing = this.postProcessing, template, log } = {}) {
+    const logger = componentLogger('FoxitPdfService', log);
 
-    const filledHtml = this._interpolate(template, data);
-    console.log('[FoxitPdfService] Template interpolated — starting two-stage pipeline');
+    // ── Steps 0–1: Validate the data, embed its assets, fill the template ─
+    const filledHtml = await this._prepareDocument(data, template, { stylesheets: true, onProgress, signal, log });
+    logger.info('Template interpolated — starting two-stage pipeline');
+    onProgress({ stage: 'render', message: 'Template rendered' });
 
     // ── Step 2 (Stage 1): Document Generation API → initial PDF ───────────
-    console.log('[FoxitPdfService] Stage 1 → Document Generation API (HTML → PDF)');
+    logger.info('Stage 1 → Document Generation API (HTML → PDF)');
     let initialPdfBuffer;
     try {
-      initialPdfBuffer = await generatePdfFromHtml(filledHtml);
+      initialPdfBuffer = await docGen.generatePdfFromHtml(filledHtml, {
+        onProgress: event => onProgress({ stage: 'stage1', ...event }),
+        signal,
+        log,
+      });
     } catch (err) {
+      if (this.fallback && !signal?.aborted) {
+        logger.warn(`Stage 1 failed (${err.message}) — falling back to ${this.fallback.name} renderer`);
+        return this.fallback.renderHtml(filledHtml, {
+          onProgress,
+          signal,
+          postProcessing,
+          pageSize: getTemplate(template).pageSize,
+          log,
+        });
+      }
       // Re-throw with pipeline context so the caller's error message is clear
       throw new Error(`[FoxitPdfService] Stage 1 failed: ${err.message}`);
     }
 
-    // ── Step 3 (Stage 2): PDF Services API → optimized PDF ────────────────
-    console.log('[FoxitPdfService] Stage 2 → PDF Services API (compress / optimize)');
+    // ── Step 3 (Stage 2): PDF Services API → post-processed PDF ───────────
+    if (!postProcessing.length) {
+      logger.info(`No post-processing — final PDF: ${initialPdfBuffer.length} bytes`);
+      return initialPdfBuffer;
+    }
+    logger.info(`Stage 2 → PDF Services API (${postProcessing.map(step => step.op).join(' → ')})`);
     let finalPdfBuffer;
     try {
-      finalPdfBuffer = await optimizePdf(initialPdfBuffer);
+      // Steps with onError 'skip' (e.g. compress) never throw here — the
+      // chain continues with the previous PDF
+      ({ pdf: finalPdfBuffer } = await pdfServices.postProcessPdf(initialPdfBuffer, postProcessing, {
+        onProgress: event => onProgress({ stage: 'stage2', ...event }),
+        signal,
+        log,
+      }));
     } catch (err) {
-      // Stage 2 is non-critical — log the failure and return the uncompressed PDF
-      console.warn(
-        `[FoxitPdfService] Stage 2 compression failed (returning uncompressed PDF): ${err.message}`
-      );
-      finalPdfBuffer = initialPdfBuffer;
+      if (signal?.aborted) throw err;
+      throw new Error(`[FoxitPdfService] Stage 2 failed: ${err.message}`);
     }
 
-    console.log(
-      `[FoxitPdfService] Pipeline complete — final PDF: ${finalPdfBuffer.length} bytes`
-    );
+    logger.info(`Pipeline complete — final PDF: ${finalPdfBuffer.length} bytes`);
     return finalPdfBuffer;
   }
+
+  // ── Batch output ───────────────────────────────────────────────────────────
+
+  get canMerge() {
+    return true;
+  }
+
+  /**
+   * Render filled HTML with Stage 1 only — no post-processing. Falls back
+   * like generateConversationReport() does.
+   *
+   * @param {string} html
+   * @param {{ onProgress?: Function, signal?: AbortSignal, pageSize?: string, log?: import('../utils/logger').Logger }} [options]
+   *        pageSize is only used by the fallback; Foxit reads the @page rule
+   * @returns {Promise<Buffer>}
+   */
+  async renderHtml(html, { onProgress = () => {}, signal, pageSize, log } = {}) {
+    try {
+      return await docGen.generatePdfFromHtml(html, {
+        onProgress: event => onProgress({ stage: 'stage1', ...event }),
+        signal,
+        log,
+      });
+    } catch (err) {
+      if (this.fallback && !signal?.aborted) {
+        componentLogger('FoxitPdfService', log)
+          .warn(`Stage 1 failed (${err.message}) — falling back to ${this.fallback.name} renderer`);
+        return this.fallback.renderHtml(html, { onProgress, signal, postProcessing: [], pageSize, log });
+      }
+      throw new Error(`[FoxitPdfService] Stage 1 failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Combine PDFs into one, in order.
+   *
+   * @param {Buffer[]} pdfs
+   * @param {{ onProgress?: Function, signal?: AbortSignal, log?: import('../utils/logger').Logger }} [options]
+   * @returns {Promise<Buffer>}
+   */
+  async mergePdfs(pdfs, { onProgress = () => {}, signal, log } = {}) {
+    if (pdfs.length === 1) return pdfs[0];
+    try {
+      return await pdfServices.combinePdfs(pdfs, {
+        onProgress: event => onProgress({ stage: 'merge', ...event }),
+        signal,
+        log,
+      });
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      throw new Error(`[FoxitPdfService] Merge failed: ${err.message}`);
+    }
+  }
 }
 
 module.exports = FoxitPdfService;
@@ -3,10 +3,14 @@
 /**
  * FoxitPdfServicesClient.js
  *
- * Post-processes (compresses/optimizes) a PDF using the Foxit PDF Services API.
+ * Post-processes a PDF using the Foxit PDF Services API: a chain of
+ * operations (compress, watermark, protect, PDF/A, linearize, merge — see
+ * src/utils/postProcessing.js), each run as its own task. combinePdfs()
+ * joins whole PDFs with the same pdf-combine operation as `merge`, for
+ * batch output.
  *
- * Same 4-step async flow as FoxitDocumentGenerationClient, but uses the
- * compress operation instead of html-to-pdf:
+ * Same 4-step async flow as FoxitDocumentGenerationClient, with the
+ * operation's endpoint in Step 2 (compress shown):
  *
  *   Step 1 — Upload PDF
  *     POST /pdf-services/api/documents/upload
@@ -26,214 +30,230 @@
  *     GET /pdf-services/api/documents/:resultDocumentId/download
  *     → raw PDF bytes
  *
- * Environment variables required:
+ * The steps themselves (with retries, backoff and cancellation) live in the
+ * shared FoxitTaskClient; this module only supplies the operation. Each
+ * operation is timed as its own stage (compress, watermark, …, merge), and
+ * compress records its output / input size in historai_compression_ratio.
+ *
+ * Environment variables (required on first use, not at require time):
  *   FOXIT_PDFSERVICES_BASE_URL      e.g. https://na1.fusion.foxit.com/pdf-services/api
  *   FOXIT_PDFSERVICES_CLIENT_ID     Sent as `client_id` request header
  *   FOXIT_PDFSERVICES_CLIENT_SECRET Sent as `client_secret` request header
  */
 
-const axios    = require('axios');
-const FormData = require('form-data');
-
-// ── Env validation ────────────────────────────────────────────────────────────
-const {
-  FOXIT_PDFSERVICES_BASE_URL,
-  FOXIT_PDFSERVICES_CLIENT_ID,
-  FOXIT_PDFSERVICES_CLIENT_SECRET,
-} = process.env;
-
-if (!FOXIT_PDFSERVICES_BASE_URL) {
-  throw new Error('[FoxitPdfServicesClient] FOXIT_PDFSERVICES_BASE_URL is not set');
-}
-if (!FOXIT_PDFSERVICES_CLIENT_ID) {
-  throw new Error('[FoxitPdfServicesClient] FOXIT_PDFSERVICES_CLIENT_ID is not set');
-}
-if (!FOXIT_PDFSERVICES_CLIENT_SECRET) {
-  throw new Error('[FoxitPdfServicesClient] FOXIT_PDFSERVICES_CLIENT_SECRET is not set');
-}
-
-const BASE = FOXIT_PDFSERVICES_BASE_URL.replace(/\/$/, '');
-
-// Auth headers sent on every request
-const AUTH_HEADERS = {
-  'client_id':     FOXIT_PDFSERVICES_CLIENT_ID,
-  'client_secret': FOXIT_PDFSERVICES_CLIENT_SECRET,
-};
+const { FoxitTaskClient } = require('./FoxitTaskClient');
+const { componentLogger } = require('../utils/logger');
+const { timeStage, compressionRatio } = require('../utils/metrics');
 
-// Polling config
-const POLL_INTERVAL_MS = 3_000;   // check every 3 s
-const POLL_TIMEOUT_MS  = 120_000; // give up after 2 min
+// ── Client ────────────────────────────────────────────────────────────────────
+const ENV_VARS = ['FOXIT_PDFSERVICES_BASE_URL', 'FOXIT_PDFSERVICES_CLIENT_ID', 'FOXIT_PDFSERVICES_CLIENT_SECRET'];
 
-// ── Helpers ───────────────────────────────────────────────────────────────────
+let client = null;
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * The env vars this client needs that are not set. Empty when configured.
+ *
+ * @returns {string[]}
+ */
+function missingConfig() {
+  return ENV_VARS.filter(name => !process.env[name]);
 }
 
-function decodeError(err) {
-  if (!err.response) return err.message;
-  try {
-    if (Buffer.isBuffer(err.response.data) || err.response.data instanceof ArrayBuffer) {
-      return Buffer.from(err.response.data).toString('utf-8');
-    }
-    return typeof err.response.data === 'string'
-      ? err.response.data
-      : JSON.stringify(err.response.data);
-  } catch {
-    return String(err.response.status);
-  }
+/**
+ * The shared task client, created on first use (see
+ * FoxitDocumentGenerationClient.js).
+ *
+ * @returns {FoxitTaskClient}
+ * @throws {Error} when a required env var is not set
+ */
+function getClient() {
+  if (client) return client;
+  const missing = missingConfig();
+  if (missing.length) throw new Error(`[FoxitPdfServicesClient] Not configured: ${missing.join(', ')} not set`);
+  client = new FoxitTaskClient({
+    baseUrl:      process.env.FOXIT_PDFSERVICES_BASE_URL,
+    clientId:     process.env.FOXIT_PDFSERVICES_CLIENT_ID,
+    clientSecret: process.env.FOXIT_PDFSERVICES_CLIENT_SECRET,
+    tag:          '[FoxitPdfServicesClient]',
+  });
+  return client;
 }
 
-// ── Step 1: Upload PDF ────────────────────────────────────────────────────────
+// ── Operations ────────────────────────────────────────────────────────────────
 
-async function uploadPdf(pdfBuffer) {
-  const endpoint = `${BASE}/documents/upload`;
-  console.log(`[FoxitPdfServicesClient] Step 1 — Upload PDF  POST ${endpoint}`);
-
-  const form = new FormData();
-  form.append('file', pdfBuffer, {
-    filename:    'input.pdf',
-    contentType: 'application/pdf',
-    knownLength: pdfBuffer.length,
-  });
+const PDF_FILE = { filename: 'input.pdf', contentType: 'application/pdf' };
 
-  let res;
-  try {
-    res = await axios.post(endpoint, form, {
-      headers:          { ...form.getHeaders(), ...AUTH_HEADERS },
-      timeout:          30_000,
-      maxBodyLength:    Infinity,
-      maxContentLength: Infinity,
-    });
-  } catch (err) {
-    throw new Error(
-      `[FoxitPdfServicesClient] Upload failed (HTTP ${err.response?.status ?? 'N/A'}): ${decodeError(err)}`
-    );
-  }
+const PERMISSION_NAMES = {
+  print:     'PRINT_HIGH_QUALITY',
+  copy:      'COPY_CONTENT',
+  modify:    'EDIT_CONTENT',
+  annotate:  'EDIT_ANNOTATION',
+  fillForms: 'FILL_FORM',
+};
 
-  const documentId = res.data?.documentId ?? res.data?.id ?? res.data?.data?.documentId;
-  if (!documentId) {
-    throw new Error(
-      `[FoxitPdfServicesClient] Upload succeeded but no documentId in response: ${JSON.stringify(res.data)}`
-    );
-  }
-  console.log(`[FoxitPdfServicesClient] Step 1 ✓  documentId=${documentId}`);
-  return documentId;
-}
+// Post-processing op → Foxit endpoint (under /documents) and task body
+const OPERATIONS = {
+  compress: {
+    path:  'modify/pdf-compress',
+    label: 'Compress',
+    body:  ([documentId], step) => ({ documentId, compressionLevel: step.level }),
+  },
+  watermark: {
+    path:  'modify/pdf-watermark',
+    label: 'Watermark',
+    body:  ([documentId], step) => ({
+      documentId,
+      config: {
+        type:     'TEXT',
+        content:  step.text,
+        opacity:  Math.round(step.opacity * 100),
+        rotation: step.rotation,
+        fontSize: step.fontSize,
+        position: 'CENTER',
+      },
+    }),
+  },
+  protect: {
+    path:  'security/pdf-protect',
+    label: 'Protect',
+    body:  ([documentId], step) => ({
+      documentId,
+      passwordProtection: { userPassword: step.userPassword || '', ownerPassword: step.ownerPassword },
+      permission:         step.permissions.map(p => PERMISSION_NAMES[p]),
+    }),
+  },
+  pdfa: {
+    path:  'convert/pdf-to-pdfa',
+    label: 'PDF/A',
+    body:  ([documentId], step) => ({ documentId, config: { pdfaVersion: step.version.replace('PDF/A-', 'PDFA').toUpperCase() } }),
+  },
+  linearize: {
+    path:  'optimize/pdf-linearize',
+    label: 'Linearize',
+    body:  ([documentId]) => ({ documentId }),
+  },
+  merge: {
+    path:   'enhance/pdf-combine',
+    label:  'Merge cover page',
+    inputs: (pdf, step) => {
+      const cover = { content: step.cover, file: { filename: 'cover.pdf', contentType: 'application/pdf' } };
+      const main  = { content: pdf, file: PDF_FILE };
+      return step.position === 'after' ? [main, cover] : [cover, main];
+    },
+    body: documentIds => ({ documentInfos: documentIds.map(documentId => ({ documentId })) }),
+  },
+};
 
-// ── Step 2: Trigger compress task ────────────────────────────────────────────
-
-async function createCompressTask(documentId) {
-  const endpoint = `${BASE}/documents/modify/pdf-compress`;
-  console.log(`[FoxitPdfServicesClient] Step 2 — Compress task  POST ${endpoint}`);
-
-  let res;
-  try {
-    res = await axios.post(
-      endpoint,
-      { documentId, compressionLevel: 'MEDIUM' },
-      { headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS }, timeout: 30_000 }
-    );
-  } catch (err) {
-    throw new Error(
-      `[FoxitPdfServicesClient] Compress task failed (HTTP ${err.response?.status ?? 'N/A'}): ${decodeError(err)}`
-    );
-  }
+// ── Public API ────────────────────────────────────────────────────────────────
 
-  const taskId = res.data?.taskId ?? res.data?.id ?? res.data?.data?.taskId;
-  if (!taskId) {
-    throw new Error(
-      `[FoxitPdfServicesClient] No taskId in response: ${JSON.stringify(res.data)}`
-    );
-  }
-  console.log(`[FoxitPdfServicesClient] Step 2 ✓  taskId=${taskId}`);
-  return taskId;
+/**
+ * Compress and optimize a PDF via the Foxit PDF Services API.
+ *
+ * @param {Buffer} pdfBuffer  Raw PDF bytes to optimize.
+ * @param {object} [options]
+ * @param {(event: { step: number, message: string, taskProgress?: number }) => void} [options.onProgress]
+ *        Called as each of the 4 steps starts, and on every poll in Step 3.
+ * @param {AbortSignal} [options.signal]  Cancels the in-flight request and any wait
+ * @param {import('../utils/logger').Logger} [options.log]
+ * @returns {Promise<Buffer>} Optimized PDF bytes.
+ */
+async function optimizePdf(pdfBuffer, { onProgress = () => {}, signal, log } = {}) {
+  const optimizedBuffer = await runOperation(pdfBuffer, { op: 'compress', level: 'MEDIUM' }, { onProgress, signal, log });
+  componentLogger('FoxitPdfServicesClient', log).info(
+    `Compressed ${pdfBuffer.length} → ${optimizedBuffer.length} bytes ` +
+    `(${Math.round((1 - optimizedBuffer.length / pdfBuffer.length) * 100)}% reduction)`
+  );
+  return optimizedBuffer;
 }
 
-// ── Step 3: Poll until COMPLETED ─────────────────────────────────────────────
-
-async function pollTask(taskId) {
-  const endpoint = `${BASE}/tasks/${taskId}`;
-  console.log(`[FoxitPdfServicesClient] Step 3 — Polling  GET ${endpoint}`);
+async function runOperation(pdfBuffer, step, { onProgress, signal, log }) {
+  const operation = OPERATIONS[step.op];
+  const result = await timeStage(step.op, () => getClient().run({
+    inputs:    operation.inputs ? operation.inputs(pdfBuffer, step) : [{ content: pdfBuffer, file: PDF_FILE }],
+    operation: operation.path,
+    body:      documentIds => operation.body(documentIds, step),
+    label:     operation.label,
+    onProgress,
+    signal,
+    log,
+  }), { signal });
+  if (step.op === 'compress') compressionRatio.observe({}, result.length / pdfBuffer.length);
+  return result;
+}
 
-  const deadline = Date.now() + POLL_TIMEOUT_MS;
+/**
+ * Combine several PDFs into one, in the order given (one pdf-combine task).
+ *
+ * @param {Buffer[]} pdfBuffers  At least two PDFs
+ * @param {object} [options]
+ * @param {(event: { step: number, message: string, taskProgress?: number }) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @param {import('../utils/logger').Logger} [options.log]
+ * @returns {Promise<Buffer>}
+ */
+async function combinePdfs(pdfBuffers, { onProgress = () => {}, signal, log } = {}) {
+  if (pdfBuffers.length < 2) throw new Error('[FoxitPdfServicesClient] combinePdfs() needs at least two PDFs');
+  const combined = await timeStage('merge', () => getClient().run({
+    inputs:    pdfBuffers.map((content, i) => ({ content, file: { filename: `part-${i + 1}.pdf`, contentType: 'application/pdf' } })),
+    operation: OPERATIONS.merge.path,
+    body:      OPERATIONS.merge.body,
+    label:     'Combine',
+    onProgress,
+    signal,
+    log,
+  }), { signal });
+  componentLogger('FoxitPdfServicesClient', log).info(`Combined ${pdfBuffers.length} PDFs → ${combined.length} bytes`);
+  return combined;
+}
 
-  while (Date.now() < deadline) {
-    let res;
+/**
+ * Run a post-processing chain, feeding each step's output to the next.
+ * A failing step with onError 'skip' is logged and the chain continues with
+ * the PDF from before that step; with 'fatal' the error is thrown.
+ *
+ * @param {Buffer} pdfBuffer
+ * @param {import('../utils/postProcessing').PostProcessingStep[]} steps  Normalized chain
+ * @param {object} [options]
+ * @param {(event: { step: number, message: string, taskProgress?: number,
+ *   operation: string, operationIndex: number, operationCount: number }) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @param {import('../utils/logger').Logger} [options.log]
+ * @returns {Promise<{ pdf: Buffer, applied: string[], skipped: string[] }>}
+ */
+async function postProcessPdf(pdfBuffer, steps, { onProgress = () => {}, signal, log } = {}) {
+  const logger = componentLogger('FoxitPdfServicesClient', log);
+  let pdf = pdfBuffer;
+  const applied = [];
+  const skipped = [];
+
+  for (const [index, step] of steps.entries()) {
+    const report = event => onProgress({ ...event, operation: step.op, operationIndex: index, operationCount: steps.length });
     try {
-      res = await axios.get(endpoint, { headers: { ...AUTH_HEADERS }, timeout: 15_000 });
+      pdf = await runOperation(pdf, step, { onProgress: report, signal, log });
+      applied.push(step.op);
     } catch (err) {
-      throw new Error(
-        `[FoxitPdfServicesClient] Poll failed (HTTP ${err.response?.status ?? 'N/A'}): ${decodeError(err)}`
-      );
-    }
-
-    const { status, progress, resultDocumentId } = res.data;
-    console.log(`[FoxitPdfServicesClient]   status=${status}  progress=${progress ?? '?'}%`);
-
-    if (status === 'COMPLETED') {
-      if (!resultDocumentId) {
-        throw new Error('[FoxitPdfServicesClient] COMPLETED but no resultDocumentId in response');
+      if (signal?.aborted || step.onError === 'fatal') {
+        throw new Error(`[FoxitPdfServicesClient] ${step.op} failed: ${err.message}`);
       }
-      console.log(`[FoxitPdfServicesClient] Step 3 ✓  resultDocumentId=${resultDocumentId}`);
-      return resultDocumentId;
-    }
-
-    if (status === 'FAILED') {
-      throw new Error(`[FoxitPdfServicesClient] Task FAILED: ${JSON.stringify(res.data)}`);
+      logger.warn(`${step.op} failed (skipped): ${err.message}`);
+      skipped.push(step.op);
     }
-
-    await sleep(POLL_INTERVAL_MS);
   }
 
-  throw new Error(
-    `[FoxitPdfServicesClient] Timed out after ${POLL_TIMEOUT_MS / 1000}s waiting for task ${taskId}`
+  logger.info(
+    `Post-processing done — applied: ${applied.join(', ') || 'none'}` +
+    (skipped.length ? `; skipped: ${skipped.join(', ')}` : '')
   );
+  return { pdf, applied, skipped };
 }
 
-// ── Step 4: Download optimized PDF ───────────────────────────────────────────
-
-async function downloadResult(resultDocumentId) {
-  const endpoint = `${BASE}/documents/${resultDocumentId}/download`;
-  console.log(`[FoxitPdfServicesClient] Step 4 — Download  GET ${endpoint}`);
-
-  let res;
-  try {
-    res = await axios.get(endpoint, {
-      headers:      { ...AUTH_HEADERS, Accept: 'application/pdf' },
-      responseType: 'arraybuffer',
-      timeout:      60_000,
-    });
-  } catch (err) {
-    throw new Error(
-      `[FoxitPdfServicesClient] Download failed (HTTP ${err.response?.status ?? 'N/A'}): ${decodeError(err)}`
-    );
-  }
-
-  const buf = Buffer.from(res.data);
-  console.log(`[FoxitPdfServicesClient] Step 4 ✓  Optimized PDF downloaded (${buf.length} bytes)`);
-  return buf;
-}
-
-// ── Public API ────────────────────────────────────────────────────────────────
-
 /**
- * Compress and optimize a PDF via the Foxit PDF Services API.
+ * Check that the PDF Services API answers (see FoxitTaskClient#ping).
  *
- * @param {Buffer} pdfBuffer  Raw PDF bytes to optimize.
- * @returns {Promise<Buffer>} Optimized PDF bytes.
+ * @param {{ timeoutMs?: number, signal?: AbortSignal }} [options]
  */
-async function optimizePdf(pdfBuffer) {
-  console.log(`[FoxitPdfServicesClient] ── Compress pipeline start (${pdfBuffer.length} bytes input) ──`);
-  const documentId       = await uploadPdf(pdfBuffer);
-  const taskId           = await createCompressTask(documentId);
-  const resultDocumentId = await pollTask(taskId);
-  const optimizedBuffer  = await downloadResult(resultDocumentId);
-  console.log(
-    `[FoxitPdfServicesClient] ── Pipeline complete  (${optimizedBuffer.length} bytes, ` +
-    `${Math.round((1 - optimizedBuffer.length / pdfBuffer.length) * 100)}% reduction) ──`
-  );
-  return optimizedBuffer;
+function ping(options) {
+  return getClient().ping(options);
 }
 
-module.exports = { optimizePdf };
+module.exports = { optimizePdf, postProcessPdf, combinePdfs, missingConfig, ping };
@@ -0,0 +1,448 @@
+'use strict';
+
+/**
+ * FoxitTaskClient.js
+ *
+ * Generic client for the Foxit PDF Services API's asynchronous task flow,
+ * shared by every operation (HTML → PDF, compress, …):
+ *
+ *   Step 1 — Upload            POST /documents/upload            → { documentId }
+ *   Step 2 — Create task       POST /documents/<operation>       → { taskId }
+ *   Step 3 — Poll task         GET  /tasks/:taskId               → { status, progress, resultDocumentId }
+ *   Step 4 — Download result   GET  /documents/:id/download      → raw bytes
+ *
+ * Transient failures (network errors, 429, 5xx) are retried with
+ * exponential backoff and full jitter, honouring a Retry-After header when
+ * the server sends one. Uploads, polls and downloads are retried freely —
+ * repeating them has no side effects beyond an unreferenced upload. Task
+ * creation is only retried when the server cannot have started the task
+ * (connection refused, 429, 503), so a slow response never runs it twice.
+ *
+ * Every call accepts an AbortSignal; aborting cancels the in-flight request
+ * and any backoff or poll wait, and a `log` (src/utils/logger.js) so its
+ * entries carry the caller's request id. Each step's latency and failures
+ * are recorded as stages upload, create, poll and download, and the number
+ * of polls per task in historai_foxit_polls (src/utils/metrics.js).
+ *
+ * Env vars (all optional; constructor options take precedence):
+ *   FOXIT_MAX_RETRIES        Retries after the first attempt (default: 3)
+ *   FOXIT_RETRY_BASE_MS      Backoff before the 1st retry, doubling (default: 500)
+ *   FOXIT_RETRY_MAX_MS       Cap on any single backoff / Retry-After wait (default: 30000)
+ *   FOXIT_POLL_INTERVAL_MS   Delay between task polls (default: 3000)
+ *   FOXIT_POLL_TIMEOUT_MS    Give up on a task after this long (default: 120000)
+ */
+
+const axios    = require('axios');
+const FormData = require('form-data');
+
+const { componentLogger } = require('../utils/logger');
+const { timeStage, foxitPolls } = require('../utils/metrics');
+
+// Retries apply to these when the request may have reached the server …
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+// … and only to these when it must not run twice (task creation)
+const REJECTED_STATUS = new Set([429, 503]);
+const NOT_SENT_CODES  = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+// Per-request timeouts for each step
+const DEFAULT_TIMEOUTS = {
+  upload:     30_000,
+  createTask: 30_000,
+  poll:       15_000,
+  download:   60_000,
+};
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function abortError(tag) {
+  const err = new Error(`${tag} Aborted`);
+  err.name = 'AbortError';
+  return err;
+}
+
+/** Wait `ms`, rejecting early with an AbortError when `signal` fires. */
+function sleep(ms, signal, tag) {
+  if (signal?.aborted) return Promise.reject(abortError(tag));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(tag));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or an HTTP date) into ms.
+ *
+ * @param {string|undefined} value
+ * @param {number} [now]
+ * @returns {number|null}
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Backoff before retry number `attempt` (1-based): a random delay in
+ * [0, min(maxMs, baseMs · 2^(attempt-1))] ("full jitter").
+ *
+ * @param {number} attempt
+ * @param {number} baseMs
+ * @param {number} maxMs
+ * @param {() => number} [random]
+ * @returns {number}
+ */
+function backoffDelay(attempt, baseMs, maxMs, random = Math.random) {
+  return Math.round(random() * Math.min(maxMs, baseMs * 2 ** (attempt - 1)));
+}
+
+function decodeError(err) {
+  if (!err.response) return err.message;
+  try {
+    // response.data may be arraybuffer or string depending on responseType
+    if (Buffer.isBuffer(err.response.data) || err.response.data instanceof ArrayBuffer) {
+      return Buffer.from(err.response.data).toString('utf-8');
+    }
+    return typeof err.response.data === 'string'
+      ? err.response.data
+      : JSON.stringify(err.response.data);
+  } catch {
+    return String(err.response.status);
+  }
+}
+
+class FoxitTaskClient {
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl
+   * @param {string} options.clientId
+   * @param {string} options.clientSecret
+   * @param {string} [options.tag='[FoxitTaskClient]']  Error prefix; its name is the log component
+   * @param {number} [options.maxRetries]
+   * @param {number} [options.retryBaseMs]
+   * @param {number} [options.retryMaxMs]
+   * @param {number} [options.pollIntervalMs]
+   * @param {number} [options.pollTimeoutMs]
+   * @param {Partial<typeof DEFAULT_TIMEOUTS>} [options.timeouts]  Per-step request timeouts (ms)
+   */
+  constructor({
+    baseUrl,
+    clientId,
+    clientSecret,
+    tag            = '[FoxitTaskClient]',
+    maxRetries     = envInt('FOXIT_MAX_RETRIES', 3),
+    retryBaseMs    = envInt('FOXIT_RETRY_BASE_MS', 500),
+    retryMaxMs     = envInt('FOXIT_RETRY_MAX_MS', 30_000),
+    pollIntervalMs = envInt('FOXIT_POLL_INTERVAL_MS', 3_000),
+    pollTimeoutMs  = envInt('FOXIT_POLL_TIMEOUT_MS', 120_000),
+    timeouts       = {},
+  }) {
+    this.base           = baseUrl.replace(/\/$/, '');
+    this.authHeaders    = { client_id: clientId, client_secret: clientSecret };
+    this.tag            = tag;
+    this.component      = tag.replace(/^\[|\]$/g, '');
+    this.maxRetries     = maxRetries;
+    this.retryBaseMs    = retryBaseMs;
+    this.retryMaxMs     = retryMaxMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.pollTimeoutMs  = pollTimeoutMs;
+    this.timeouts       = { ...DEFAULT_TIMEOUTS, ...timeouts };
+  }
+
+  _log(log) {
+    return componentLogger(this.component, log);
+  }
+
+  // ── Retry core ──────────────────────────────────────────────────────────────
+
+  _isRetryable(err, idempotent) {
+    if (axios.isCancel(err) || err.name === 'AbortError') return false;
+    const status = err.response?.status;
+    if (status) return (idempotent ? RETRYABLE_STATUS : REJECTED_STATUS).has(status);
+    // No response: the request failed in transit
+    return idempotent || NOT_SENT_CODES.has(err.code);
+  }
+
+  /**
+   * Send a request built by `makeConfig`, retrying transient failures.
+   * `makeConfig` is called per attempt so bodies such as multipart streams
+   * are rebuilt fresh each time.
+   *
+   * @param {string} label                  Used in logs and the final error
+   * @param {() => import('axios').AxiosRequestConfig} makeConfig
+   * @param {object} options
+   * @param {boolean} options.idempotent
+   * @param {AbortSignal} [options.signal]
+   * @param {import('../utils/logger').Logger} [options.log]
+   * @returns {Promise<import('axios').AxiosResponse>}
+   */
+  async request(label, makeConfig, { idempotent, signal, log }) {
+    for (let attempt = 0; ; attempt++) {
+      if (signal?.aborted) throw abortError(this.tag);
+      try {
+        return await axios.request({ ...makeConfig(), signal });
+      } catch (err) {
+        if (signal?.aborted || axios.isCancel(err)) throw abortError(this.tag);
+        if (attempt >= this.maxRetries || !this._isRetryable(err, idempotent)) {
+          throw new Error(
+            `${this.tag} ${label} failed (HTTP ${err.response?.status ?? 'N/A'}): ${decodeError(err)}`
+          );
+        }
+        const retryAfter = parseRetryAfter(err.response?.headers?.['retry-after']);
+        const delay = Math.min(
+          this.retryMaxMs,
+          retryAfter ?? backoffDelay(attempt + 1, this.retryBaseMs, this.retryMaxMs)
+        );
+        this._log(log).warn(
+          `${label} failed (${err.response ? `HTTP ${err.response.status}` : err.code || err.message}) — ` +
+          `retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`
+        );
+        await sleep(delay, signal, this.tag);
+      }
+    }
+  }
+
+  // ── Steps ───────────────────────────────────────────────────────────────────
+
+  /**
+   * Step 1: upload a file. Returns its documentId.
+   *
+   * @param {Buffer} content
+   * @param {{ filename: string, contentType: string }} file
+   * @param {{ signal?: AbortSignal, log?: import('../utils/logger').Logger }} [options]
+   * @returns {Promise<string>}
+   */
+  upload(content, { filename, contentType }, { signal, log } = {}) {
+    return timeStage('upload', () => this._upload(content, { filename, contentType }, { signal, log }), { signal });
+  }
+
+  async _upload(content, { filename, contentType }, { signal, log }) {
+    const url = `${this.base}/documents/upload`;
+    this._log(log).info(`Step 1 — Upload  POST ${url}`);
+
+    const res = await this.request('Upload', () => {
+      const form = new FormData();
+      form.append('file', content, { filename, contentType, knownLength: content.length });
+      return {
+        method:           'post',
+        url,
+        data:             form,
+        headers:          { ...form.getHeaders(), ...this.authHeaders },
+        timeout:          this.timeouts.upload,
+        maxBodyLength:    Infinity,
+        maxContentLength: Infinity,
+      };
+    }, { idempotent: true, signal, log });
+
+    // Foxit may return documentId at the top level or inside a data wrapper
+    const documentId = res.data?.documentId ?? res.data?.id ?? res.data?.data?.documentId;
+    if (!documentId) {
+      throw new Error(`${this.tag} Upload succeeded but no documentId in response: ${JSON.stringify(res.data)}`);
+    }
+    this._log(log).info(`Step 1 ✓  documentId=${documentId}`);
+    return documentId;
+  }
+
+  /**
+   * Step 2: start an operation on an uploaded document. Returns the taskId.
+   *
+   * @param {string} operation  Path under /documents, e.g. 'create/pdf-from-html'
+   * @param {object} body       JSON body; must include documentId
+   * @param {{ signal?: AbortSignal, label?: string, log?: import('../utils/logger').Logger }} [options]
+   * @returns {Promise<string>}
+   */
+  createTask(operation, body, { signal, label = 'Create task', log } = {}) {
+    return timeStage('create', () => this._createTask(operation, body, { signal, label, log }), { signal });
+  }
+
+  async _createTask(operation, body, { signal, label, log }) {
+    const url = `${this.base}/documents/${operation}`;
+    this._log(log).info(`Step 2 — ${label}  POST ${url}`);
+
+    const res = await this.request(label, () => ({
+      method:  'post',
+      url,
+      data:    body,
+      headers: { 'Content-Type': 'application/json', ...this.authHeaders },
+      timeout: this.timeouts.createTask,
+    }), { idempotent: false, signal, log });
+
+    const taskId = res.data?.taskId ?? res.data?.id ?? res.data?.data?.taskId;
+    if (!taskId) {
+      throw new Error(`${this.tag} No taskId in response: ${JSON.stringify(res.data)}`);
+    }
+    this._log(log).info(`Step 2 ✓  taskId=${taskId}`);
+    return taskId;
+  }
+
+  /**
+   * Step 3: poll a task until COMPLETED. Returns the resultDocumentId.
+   *
+   * @param {string} taskId
+   * @param {{ signal?: AbortSignal, onProgress?: Function, log?: import('../utils/logger').Logger }} [options]
+   * @returns {Promise<string>}
+   */
+  pollTask(taskId, { signal, onProgress = () => {}, log } = {}) {
+    return timeStage('poll', () => this._pollTask(taskId, { signal, onProgress, log }), { signal });
+  }
+
+  async _pollTask(taskId, { signal, onProgress, log }) {
+    const url = `${this.base}/tasks/${taskId}`;
+    this._log(log).info(`Step 3 — Polling  GET ${url}`);
+
+    const deadline = Date.now() + this.pollTimeoutMs;
+    let polls = 0;
+
+    while (Date.now() < deadline) {
+      const res = await this.request('Poll', () => ({
+        method:  'get',
+        url,
+        headers: { ...this.authHeaders },
+        timeout: this.timeouts.poll,
+      }), { idempotent: true, signal, log });
+      polls++;
+
+      const { status, progress, resultDocumentId } = res.data;
+      this._log(log).debug(`  status=${status}  progress=${progress ?? '?'}%`);
+      onProgress({ step: 3, message: `Task ${status}`, taskProgress: progress });
+
+      if (status === 'COMPLETED') {
+        foxitPolls.observe({ client: this.component }, polls);
+        if (!resultDocumentId) {
+          throw new Error(`${this.tag} COMPLETED but no resultDocumentId in response`);
+        }
+        this._log(log).info(`Step 3 ✓  resultDocumentId=${resultDocumentId}`, { polls });
+        return resultDocumentId;
+      }
+
+      if (status === 'FAILED') {
+        foxitPolls.observe({ client: this.component }, polls);
+        throw new Error(`${this.tag} Task FAILED: ${JSON.stringify(res.data)}`);
+      }
+
+      await sleep(Math.min(this.pollIntervalMs, Math.max(0, deadline - Date.now())), signal, this.tag);
+    }
+
+    throw new Error(`${this.tag} Timed out after ${this.pollTimeoutMs / 1000}s waiting for task ${taskId}`);
+  }
+
+  /**
+   * Step 4: download a result document.
+   *
+   * @param {string} documentId
+   * @param {{ signal?: AbortSignal, log?: import('../utils/logger').Logger }} [options]
+   * @returns {Promise<Buffer>}
+   */
+  download(documentId, { signal, log } = {}) {
+    return timeStage('download', () => this._download(documentId, { signal, log }), { signal });
+  }
+
+  async _download(documentId, { signal, log }) {
+    const url = `${this.base}/documents/${documentId}/download`;
+    this._log(log).info(`Step 4 — Download  GET ${url}`);
+
+    const res = await this.request('Download', () => ({
+      method:       'get',
+      url,
+      headers:      { ...this.authHeaders, Accept: 'application/pdf' },
+      responseType: 'arraybuffer',
+      timeout:      this.timeouts.download,
+    }), { idempotent: true, signal, log });
+
+    const buf = Buffer.from(res.data);
+    this._log(log).info(`Step 4 ✓  Downloaded ${buf.length} bytes`);
+    return buf;
+  }
+
+  // ── Reachability ────────────────────────────────────────────────────────────
+
+  /**
+   * Check that the API answers, for readiness probes: one GET of the base
+   * URL with the client credentials, no retries. Any response other than a
+   * 5xx or a credentials rejection (401/403) counts as reachable — the base
+   * URL itself is not an endpoint, so a 404 is expected.
+   *
+   * @param {{ timeoutMs?: number, signal?: AbortSignal }} [options]
+   * @returns {Promise<{ ok: boolean, status?: number, latencyMs: number, error?: string }>}
+   */
+  async ping({ timeoutMs = 3_000, signal } = {}) {
+    const started = Date.now();
+    try {
+      const res = await axios.get(`${this.base}/`, {
+        headers:        this.authHeaders,
+        timeout:        timeoutMs,
+        signal,
+        validateStatus: () => true,
+      });
+      const latencyMs = Date.now() - started;
+      if (res.status === 401 || res.status === 403) {
+        return { ok: false, status: res.status, latencyMs, error: 'credentials rejected' };
+      }
+      if (res.status >= 500) return { ok: false, status: res.status, latencyMs, error: `HTTP ${res.status}` };
+      return { ok: true, status: res.status, latencyMs };
+    } catch (err) {
+      return { ok: false, latencyMs: Date.now() - started, error: err.code || err.message };
+    }
+  }
+
+  // ── Whole flow ──────────────────────────────────────────────────────────────
+
+  /**
+   * Run all four steps for one operation. Operations that take several
+   * documents (e.g. merge) pass `inputs`; they are uploaded in order and
+   * `body` builds the task request from their documentIds.
+   *
+   * @param {object} options
+   * @param {Buffer} [options.content]     Single input (with `file`)
+   * @param {{ filename: string, contentType: string }} [options.file]
+   * @param {{ content: Buffer, file: { filename: string, contentType: string } }[]} [options.inputs]
+   * @param {string} options.operation      See createTask()
+   * @param {object} [options.params]       Extra JSON fields for a single-input task
+   * @param {(documentIds: string[]) => object} [options.body]  Task body (default: { documentId, ...params })
+   * @param {string} [options.label]        Human name of the operation
+   * @param {(event: { step: number, message: string, taskProgress?: number }) => void} [options.onProgress]
+   * @param {AbortSignal} [options.signal]
+   * @param {import('../utils/logger').Logger} [options.log]
+   * @returns {Promise<Buffer>}
+   */
+  async run({
+    content,
+    file,
+    inputs     = [{ content, file }],
+    operation,
+    params     = {},
+    body       = ([documentId]) => ({ documentId, ...params }),
+    label      = operation,
+    onProgress = () => {},
+    signal,
+    log,
+  }) {
+    this._log(log).info(`── ${label} pipeline start (4 steps) ──`);
+    onProgress({ step: 1, message: `Uploading ${inputs.map(i => i.file.filename).join(', ')}` });
+    const documentIds = [];
+    for (const input of inputs) {
+      documentIds.push(await this.upload(input.content, input.file, { signal, log }));
+    }
+    onProgress({ step: 2, message: `Starting ${label}` });
+    const taskId           = await this.createTask(operation, body(documentIds), { signal, label: `${label} task`, log });
+    const resultDocumentId = await this.pollTask(taskId, { signal, onProgress, log });
+    onProgress({ step: 4, message: 'Downloading PDF' });
+    const result           = await this.download(resultDocumentId, { signal, log });
+    this._log(log).info(`── Pipeline complete  (${result.length} bytes) ──`);
+    return result;
+  }
+}
+
+module.exports = { FoxitTaskClient, parseRetryAfter, backoffDelay };
@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * LocalPdfService.js
+ *
+ * PdfService implementation that renders the interpolated report HTML to
+ * PDF in-process (src/services/local/renderer.js) — no network calls, no
+ * credentials. Used directly with PDF_BACKEND=local, and as the fallback
+ * FoxitPdfService switches to when Stage 1 fails.
+ *
+ * The output follows the template's layout closely but is not pixel-identical
+ * to Foxit's: it uses the built-in PDF fonts (Helvetica/Times/Courier) and
+ * supports the CSS subset documented in local/styles.js.
+ *
+ * Post-processing: `watermark` and `protect` are applied while rendering and
+ * `compress` is implicit (PDFKit always deflates its streams). `pdfa`,
+ * `linearize` and `merge` need Foxit — they follow their onError policy.
+ *
+ * Env vars (all optional):
+ *   LOCAL_PDF_FETCH_IMAGES  'false' to skip downloading http(s) images and
+ *                           use placeholders instead (default: true)
+ *   LOCAL_PDF_PAGE_SIZE     PDFKit page size for renderHtml() calls that do
+ *                           not pass one (default: LETTER); reports use
+ *                           their template's page size
+ */
+
+const axios = require('axios');
+
+const PdfService = require('./PdfService');
+const { renderHtmlToPdf } = require('./local/renderer');
+const { defaultPostProcessing } = require('../utils/postProcessing');
+const { getTemplate } = require('../utils/templateRegistry');
+const { componentLogger } = require('../utils/logger');
+const { timeStage } = require('../utils/metrics');
+
+const IMAGE_TIMEOUT_MS = 10_000;
+const IMAGE_MAX_BYTES  = 5 * 1024 * 1024;
+
+// PDFKit can only embed PNG and JPEG
+const DATA_IMAGE_RE = /^data:image\/(png|jpe?g);base64,([A-Za-z0-9+/=\s]+)$/i;
+
+// Post-processing permission → PDFKit permission option
+const PERMISSIONS = {
+  print:     { printing: 'highResolution' },
+  copy:      { copying: true },
+  modify:    { modifying: true },
+  annotate:  { annotating: true },
+  fillForms: { fillingForms: true },
+};
+
+class LocalPdfService extends PdfService {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.fetchImages]  Download http(s) <img> sources
+   * @param {string}  [options.pageSize]
+   * @param {import('../utils/postProcessing').PostProcessingStep[]} [options.postProcessing]
+   *        Chain used when a call does not pass its own
+   */
+  constructor({
+    fetchImages    = process.env.LOCAL_PDF_FETCH_IMAGES !== 'false',
+    pageSize       = process.env.LOCAL_PDF_PAGE_SIZE || 'LETTER',
+    postProcessing = defaultPostProcessing(),
+  } = {}) {
+    super();
+    this.name           = 'local';
+    this.fetchImages    = fetchImages;
+    this.pageSize       = pageSize;
+    this.postProcessing = postProcessing;
+  }
+
+  /**
+   * Turn a post-processing chain into renderer options. Operations the local
+   * renderer cannot perform throw when fatal and are logged when skippable.
+   *
+   * @param {import('../utils/postProcessing').PostProcessingStep[]} steps
+   * @param {import('../utils/logger').Logger} logger
+   * @returns {{ watermark?: object, encryption?: object }}
+   */
+  _renderOptions(steps, logger) {
+    const options = {};
+    for (const step of steps) {
+      switch (step.op) {
+        case 'compress':
+          break;
+        case 'watermark':
+          options.watermark = { text: step.text, opacity: step.opacity, rotation: step.rotation, fontSize: step.fontSize };
+          break;
+        case 'protect':
+          options.encryption = {
+            userPassword:  step.userPassword,
+            ownerPassword: step.ownerPassword,
+            permissions:   Object.assign({}, ...step.permissions.map(p => PERMISSIONS[p])),
+          };
+          break;
+        default:
+          if (step.onError === 'fatal') {
+            throw new Error(`[LocalPdfService] Post-processing step "${step.op}" is not supported by the local backend`);
+          }
+          logger.warn(`Post-processing step "${step.op}" is not supported locally (skipped)`);
+      }
+    }
+    return options;
+  }
+
+  /**
+   * Resolve an <img src> to PNG/JPEG bytes, or null for a placeholder.
+   *
+   * @param {string} src
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Buffer|null>}
+   */
+  async _loadImage(src, signal) {
+    const inline = DATA_IMAGE_RE.exec(src);
+    if (inline) return Buffer.from(inline[2], 'base64');
+    if (!this.fetchImages || !/^https?:\/\//i.test(src)) return null;
+
+    const res = await axios.get(src, {
+      responseType:     'arraybuffer',
+      timeout:          IMAGE_TIMEOUT_MS,
+      maxContentLength: IMAGE_MAX_BYTES,
+      signal,
+    });
+    const type = String(res.headers['content-type'] || '');
+    if (!/^image\/(png|jpe?g)\b/i.test(type)) {
+      throw new Error(`unsupported image type "${type}" at ${src}`);
+    }
+    return Buffer.from(res.data);
+  }
+
+  /**
+   * Render already-interpolated report HTML to PDF.
+   *
+   * @param {string} html
+   * @param {import('./PdfService').GenerateOptions & { pageSize?: string }} [options]
+   * @returns {Promise<Buffer>}
+   */
+  async renderHtml(html, { onProgress = () => {}, signal, postProcessing = this.postProcessing, pageSize = this.pageSize, log } = {}) {
+    signal?.throwIfAborted();
+    const logger = componentLogger('LocalPdfService', log);
+    const renderOptions = this._renderOptions(postProcessing, logger);
+    logger.info('Rendering HTML → PDF locally');
+    onProgress({ stage: 'local', message: 'Rendering PDF locally' });
+
+    let pdf;
+    try {
+      pdf = await timeStage('local', () => renderHtmlToPdf(html, {
+        ...renderOptions,
+        pageSize,
+        loadImage: src => this._loadImage(src, signal),
+        signal,
+        log,
+      }), { signal });
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      throw new Error(`[LocalPdfService] Local rendering failed: ${err.message}`);
+    }
+
+    logger.info(`Render complete — final PDF: ${pdf.length} bytes`);
+    return pdf;
+  }
+
+  /**
+   * @param {import('./PdfService').ReportData} data
+   * @param {import('./PdfService').GenerateOptions} [options]
+   * @returns {Promise<Buffer>}
+   */
+  async generateConversationReport(data, { onProgress = () => {}, signal, postProcessing = this.postProcessing, template, log } = {}) {
+    // The local renderer uses the built-in PDF fonts, so only images are embedded
+    const filledHtml = await this._prepareDocument(data, template, { fetch: this.fetchImages, onProgress, signal, log });
+    componentLogger('LocalPdfService', log).info('Template interpolated');
+    onProgress({ stage: 'render', message: 'Template rendered' });
+
+    return this.renderHtml(filledHtml, { onProgress, signal, postProcessing, pageSize: getTemplate(template).pageSize, log });
+  }
+}
+
+module.exports = LocalPdfService;
@@ -1,15 +1,40 @@
 'use strict';
 
+const fs   = require('fs');
+const path = require('path');
+
+const { ReportValidationError, validate, repair, formatErrors } = require('../utils/reportValidator');
+const { render, loadPartials } = require('../utils/templateEngine');
+const { DEFAULT_TEMPLATE, PAGE_SIZES, getTemplate } = require('../utils/templateRegistry');
+const { templateStrings } = require('../utils/i18n');
+const { withCitations } = require('../utils/quoteGrounding');
+const { timeStage } = require('../utils/metrics');
+const { getAssetPipeline } = require('./assets');
+
+const PARTIALS_DIR = path.join(__dirname, '..', 'templates', 'partials');
+
 /**
  * Abstract base class for PDF generation services.
  *
- * Subclasses must implement generateConversationReport(data).
+ * Subclasses must implement generateConversationReport(data) and
+ * renderHtml(html); backends that can combine PDFs also implement
+ * mergePdfs() and return true from canMerge. They share
+ * _prepareHtml(), which validates the data against the chosen template's
+ * schema and renders it (see src/utils/templateRegistry.js), so every
+ * backend turns the same HTML into a PDF, and _prepareDocument(), which
+ * first embeds the template's images and fonts (src/services/assets/).
+ * The other output formats (src/services/renderers/) use the same checks
+ * through a PdfService.
  *
  * @typedef {Object} ThemeEntry
  * @property {string} name
  * @property {string} explanation
  * @property {string} quote
  * @property {string} context
+ * @property {'conversation'|'cited'|'unverified'} [quoteSource]
+ *           Where the quote was found (src/utils/quoteGrounding.js)
+ * @property {import('../utils/quoteGrounding').QuoteRef} [quoteRef]  The turn it was found in
+ * @property {string} [quoteCitation]  The label printed under the quote; set by _checkData()
  *
  * @typedef {Object} ResourceEntry
  * @property {string} topic
@@ -22,6 +47,7 @@
  * @property {string} characterBirthYear
  * @property {string} characterDeathYear
  * @property {string} characterBio
+ * @property {string} [characterEra]   E.g. "Victorian Britain", when the caller or profile gives one
  * @property {string} characterImageUrl
  * @property {string[]} characterFacts
  * @property {string} sessionDate
@@ -32,17 +58,200 @@
  * @property {ThemeEntry[]} themes
  * @property {ResourceEntry[]} resources
  * @property {string[]} reflectionQuestions
+ * @property {string} [locale]          BCP 47 tag picking the template strings (default: en)
+ *
+ * @typedef {Object} ProgressEvent
+ * @property {string} stage            'cache' | 'extract' | 'assets' | 'render' | 'stage1' | 'stage2' | 'local' | 'merge'
+ * @property {string} message
+ * @property {number} [step]           Foxit step 1–4 within stage1/stage2/merge
+ * @property {number} [taskProgress]   Foxit task progress (0–100) while polling
+ * @property {string} [operation]      Post-processing op running in stage2
+ * @property {number} [operationIndex] Its position in the chain (0-based)
+ * @property {number} [operationCount] Length of the chain
+ * @property {boolean} [placeholder]   An unusable image was replaced by the placeholder (assets)
+ *
+ * @typedef {Object} GenerateOptions
+ * @property {(event: ProgressEvent) => void} [onProgress]
+ * @property {AbortSignal} [signal]    Cancels remote calls (e.g. when the client disconnects)
+ * @property {import('../utils/postProcessing').PostProcessingStep[]} [postProcessing]
+ *           Normalized chain to apply after rendering (default: PDF_POSTPROCESS)
+ * @property {string} [template]       Registered template id (default: conversation-report)
+ * @property {import('../utils/logger').Logger} [log]  Logger carrying the caller's request id
  */
 class PdfService {
+  // ── Template interpolation ─────────────────────────────────────────────────
+
+  /**
+   * Render the report template with the shared template engine
+   * (src/utils/templateEngine.js). Supports:
+   *   {{scalar}}, {{array[i]}}, {{array[i].field}}   — as before
+   *   {{value | default "text"}}                      — fallback for empty values
+   *   {{#each list}}…{{/each}}, {{#if x}}…{{else}}…{{/if}}
+   *   {{> partial}}                                   — from templates/partials/
+   *
+   * @param {string} template
+   * @param {object} data
+   * @param {object} [options]  Extra templateEngine render options (e.g. `escape`)
+   * @returns {string}
+   */
+  _interpolate(template, data, options = {}) {
+    return render(template, data, { ...options, partials: loadPartials(PARTIALS_DIR) });
+  }
+
+  /**
+   * Repair and validate report data against a template's schema, then render
+   * it into that template. The template's page size is added as an `@page`
+   * rule so HTML → PDF converters pick it up. Templates also get `locale`,
+   * `dir` and the message catalog `t` for data.locale (src/utils/i18n.js).
+   *
+   * @param {ReportData} data
+   * @param {string} [templateId]  Registered template id
+   * @param {object} [renderOptions]  Passed to _interpolate()
+   * @returns {string}  Filled HTML
+   * @throws {ReportValidationError} when the data cannot be repaired
+   */
+  _prepareHtml(data, templateId = DEFAULT_TEMPLATE, renderOptions = {}) {
+    const tag = `[${this.constructor.name}]`;
+    const { file, pageSize } = getTemplate(templateId);
+    data = this._checkData(data, templateId);
+
+    let template;
+    try {
+      template = fs.readFileSync(file, 'utf-8');
+    } catch (err) {
+      throw new Error(`${tag} Failed to read HTML template: ${err.message}`);
+    }
+
+    let html;
+    try {
+      html = this._interpolate(template, { ...data, ...templateStrings(data.locale) }, renderOptions);
+    } catch (err) {
+      throw new Error(`${tag} Failed to render HTML template: ${err.message}`);
+    }
+    return html.replace('</head>', `  <style>@page { size: ${PAGE_SIZES[pageSize]}; }</style>\n</head>`);
+  }
+
+  /**
+   * Repair report data and validate it against a template's schema. Grounded
+   * quotes get their `quoteCitation` in the report's language.
+   *
+   * @param {ReportData} data
+   * @param {string} [templateId]
+   * @returns {ReportData}  The repaired data
+   * @throws {ReportValidationError}
+   */
+  _checkData(data, templateId = DEFAULT_TEMPLATE) {
+    const { schema } = getTemplate(templateId);
+
+    // Unknown tokens interpolate to '', so a missing field would otherwise
+    // ship as a silently blank section.
+    data = repair(data, schema);
+    const errors = validate(data, schema);
+    if (errors.length) {
+      throw new ReportValidationError(
+        `[${this.constructor.name}] Report data failed validation: ${formatErrors(errors)}`,
+        errors
+      );
+    }
+    return withCitations(data);
+  }
+
+  /**
+   * _prepareHtml() for a document that is about to become a PDF: the data
+   * is validated first, then the template's image fields are replaced with
+   * embedded data: URIs (a placeholder portrait when an image is unusable)
+   * and, with `stylesheets`, its remote stylesheets are inlined — so the
+   * renderer never has to fetch anything.
+   *
+   * @param {ReportData} data
+   * @param {string} [templateId]
+   * @param {object} [options]
+   * @param {boolean} [options.stylesheets=false]  Inline stylesheets and their fonts
+   * @param {boolean} [options.fetch=true]         false uses the placeholder for http(s) images
+   * @param {(event: ProgressEvent) => void} [options.onProgress]  Told about placeholder images
+   * @param {AbortSignal} [options.signal]
+   * @param {import('../utils/logger').Logger} [options.log]
+   * @returns {Promise<string>}  Filled HTML
+   * @throws {ReportValidationError} when the data cannot be repaired
+   */
+  async _prepareDocument(data, templateId = DEFAULT_TEMPLATE, { stylesheets = false, fetch = true, onProgress, signal, log } = {}) {
+    data = this._checkData(data, templateId);
+    const assets = getAssetPipeline();
+    return timeStage('assets', async () => {
+      const html = this._prepareHtml(await assets.embedImages(data, templateId, { fetch, onProgress, signal, log }), templateId);
+      return stylesheets ? assets.inlineStylesheets(html, templateId, { signal, log }) : html;
+    }, { signal });
+  }
+
+  /**
+   * Fill a standalone page template — one that is not a registered report
+   * template, such as a batch's table of contents — with `data` plus the
+   * template strings for data.locale. There is no schema to check against.
+   *
+   * @param {string} file       Path to the HTML template
+   * @param {object} data
+   * @param {string} [pageSize] A PAGE_SIZES key (default: LETTER)
+   * @returns {string}  Filled HTML
+   */
+  renderPageHtml(file, data, pageSize = 'LETTER') {
+    const tag = `[${this.constructor.name}]`;
+    let html;
+    try {
+      html = this._interpolate(fs.readFileSync(file, 'utf-8'), { ...data, ...templateStrings(data.locale) });
+    } catch (err) {
+      throw new Error(`${tag} Failed to render ${path.basename(file)}: ${err.message}`);
+    }
+    return html.replace('</head>', `  <style>@page { size: ${PAGE_SIZES[pageSize]}; }</style>\n</head>`);
+  }
+
   /**
    * Generate a conversation summary PDF.
    *
    * @param {ReportData} data
+   * @param {GenerateOptions} [options]
    * @returns {Promise<Buffer>} PDF bytes
    */
-  async generateConversationReport(data) {
+  async generateConversationReport(data, options) {
     throw new Error('generateConversationReport() must be implemented by subclass');
   }
+
+  /**
+   * Render filled HTML to PDF.
+   *
+   * @param {string} html
+   * @param {GenerateOptions & { pageSize?: string }} [options]
+   * @returns {Promise<Buffer>}
+   */
+  async renderHtml(html, options) {
+    throw new Error('renderHtml() must be implemented by subclass');
+  }
+
+  /**
+   * Check the backend's dependencies, for GET /ready. Backends that need
+   * nothing beyond this process are always ready.
+   *
+   * @param {{ timeoutMs?: number }} [options]
+   * @returns {Promise<{ ok: boolean }>}  plus backend-specific details
+   */
+  async checkReady(options) {
+    return { ok: true };
+  }
+
+  /** Whether mergePdfs() is available. */
+  get canMerge() {
+    return false;
+  }
+
+  /**
+   * Combine PDFs into one, in order.
+   *
+   * @param {Buffer[]} pdfs
+   * @param {{ onProgress?: Function, signal?: AbortSignal }} [options]
+   * @returns {Promise<Buffer>}
+   */
+  async mergePdfs(pdfs, options) {
+    throw new Error(`[${this.constructor.name}] Combining PDFs is not supported by the ${this.name} backend`);
+  }
 }
 
 module.exports = PdfService;
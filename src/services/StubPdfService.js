@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * StubPdfService.js
+ *
+ * PdfService implementation that does not render the report at all: it
+ * validates the data and renders the template exactly like the real
+ * backends (so bad requests still fail with 400), then returns a one-page
+ * placeholder PDF naming the report. For PDF_BACKEND=stub, or as the
+ * degraded backend (PDF_DEGRADED_BACKEND=stub) when Foxit is not
+ * configured — the API stays up and clients can be developed against it,
+ * but nobody mistakes the output for a report.
+ *
+ * Post-processing steps are ignored and PDFs cannot be combined.
+ */
+
+const PDFDocument = require('pdfkit');
+
+const PdfService = require('./PdfService');
+const { getTemplate } = require('../utils/templateRegistry');
+const { componentLogger } = require('../utils/logger');
+
+/**
+ * @param {string[]} lines  First line is the heading
+ * @param {string} pageSize  PDFKit page size name
+ * @returns {Promise<Buffer>}
+ */
+function placeholderPdf([heading, ...lines], pageSize) {
+  const doc = new PDFDocument({ size: pageSize, info: { Title: heading, Producer: 'HistorAI StubPdfService' } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+  doc.font('Helvetica-Bold').fontSize(20).text(heading);
+  doc.moveDown().font('Helvetica').fontSize(12);
+  for (const line of lines) doc.text(line).moveDown(0.5);
+  doc.end();
+  return done;
+}
+
+class StubPdfService extends PdfService {
+  constructor() {
+    super();
+    this.name = 'stub';
+  }
+
+  /**
+   * @param {string} html
+   * @param {import('./PdfService').GenerateOptions & { pageSize?: string }} [options]
+   * @returns {Promise<Buffer>}
+   */
+  async renderHtml(html, { onProgress = () => {}, pageSize = 'LETTER', log } = {}) {
+    const title = /<title[^>]*>([^<]*)<\/title>/i.exec(html)?.[1].trim() || 'Report';
+    componentLogger('StubPdfService', log).info(`Returning a placeholder PDF for "${title}"`);
+    onProgress({ stage: 'local', message: 'Rendering placeholder PDF' });
+    return placeholderPdf([
+      'Placeholder PDF',
+      title,
+      'This service is running with the stub PDF backend, so the report was validated but not rendered.',
+    ], pageSize);
+  }
+
+  /**
+   * @param {import('./PdfService').ReportData} data
+   * @param {import('./PdfService').GenerateOptions} [options]
+   * @returns {Promise<Buffer>}
+   */
+  async generateConversationReport(data, { onProgress = () => {}, template, log } = {}) {
+    const filledHtml = this._prepareHtml(data, template);
+    onProgress({ stage: 'render', message: 'Template rendered' });
+    return this.renderHtml(filledHtml, { onProgress, pageSize: getTemplate(template).pageSize, log });
+  }
+}
+
+module.exports = StubPdfService;
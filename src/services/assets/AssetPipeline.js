@@ -0,0 +1,330 @@
+'use strict';
+
+/**
+ * AssetPipeline.js
+ *
+ * Embeds a report's images and fonts in its HTML before rendering, so the
+ * PDF backend never fetches anything at conversion time — a slow or broken
+ * image host used to mean a report with a missing portrait.
+ *
+ *   Images       The template's image fields (manifest `assets` entries with a
+ *                `field`) are fetched, checked and replaced with data: URIs.
+ *                The type is sniffed from the bytes; only PNG and JPEG are
+ *                used. PNGs larger than ASSET_IMAGE_MAX_PX on their longest
+ *                side are downscaled; JPEGs are used as they are. An image that
+ *                cannot be fetched, is not PNG/JPEG, is damaged or stays over
+ *                ASSET_INLINE_MAX_KB becomes a placeholder silhouette.
+ *   Stylesheets  The template's stylesheet assets (manifest `href`) are fetched
+ *                and their <link> replaced with a <style> block in which every
+ *                url() — web fonts — is a data: URI. A stylesheet that cannot
+ *                be inlined is dropped, and the template's fallback fonts apply.
+ *
+ * Results (and, briefly, failures) are cached by source URL in an in-process
+ * LRU, so a batch for one character fetches its portrait once.
+ *
+ * The URLs come from API callers, so fetches only go to public addresses
+ * (src/utils/publicAddress.js): loopback, private-network, link-local and
+ * metadata addresses are refused, for the URL itself and for every
+ * redirect it leads to.
+ *
+ * Env vars (all optional):
+ *   ASSET_FETCH_TIMEOUT_MS   Per-request timeout (default: 10000)
+ *   ASSET_FETCH_MAX_MB       Largest download accepted (default: 5)
+ *   ASSET_INLINE_MAX_KB      Largest image or font embedded (default: 1024)
+ *   ASSET_IMAGE_MAX_PX       Longest side of embedded PNGs (default: 512)
+ *   ASSET_CACHE_MAX_MB       Cache size (default: 32)
+ *   ASSET_CACHE_TTL_SECONDS  How long an embedded asset is reused (default: 86400)
+ *   ASSET_ALLOW_PRIVATE_HOSTS  true to fetch from private addresses too, for
+ *                            development against local servers (default: false)
+ */
+
+const axios  = require('axios');
+const crypto = require('crypto');
+
+const MemoryCacheStore = require('../cache/MemoryCacheStore');
+const { sniffType, imageSize } = require('./sniff');
+const { placeholderUrl } = require('./placeholder');
+const { checkPublicUrl, publicAgents } = require('../../utils/publicAddress');
+const { decodePng, encodePng, resizeImage, PngError } = require('../../utils/png');
+const { getTemplate } = require('../../utils/templateRegistry');
+const { componentLogger } = require('../../utils/logger');
+
+const FAILURE_TTL_MS    = 60_000;     // how long a failed fetch is remembered
+const MAX_DECODE_PIXELS = 16_777_216; // 4096 × 4096; larger PNGs are not decoded
+const MAX_FONT_URLS     = 16;         // url()s inlined per stylesheet
+const MAX_REDIRECTS     = 3;
+
+const IMAGE_TYPES    = ['image/png', 'image/jpeg'];
+const DATA_URI_RE    = /^data:([\w.+-]+\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]*)$/i;
+const CSS_URL_RE     = /url\(\s*(["']?)([^"')]+)\1\s*\)/g;
+const FAILURE_PREFIX = '!';
+
+/** A fetched asset that cannot be embedded. */
+class AssetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AssetError';
+  }
+}
+
+const size = bytes => (bytes < 1024 ? `${bytes} bytes` : `${Math.ceil(bytes / 1024)}KB`);
+
+/** Match a <link> to `href`, whether or not the template wrote & as &amp;. */
+function linkPattern(href) {
+  const escaped = href.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/&/g, '&(?:amp;)?');
+  return new RegExp(`<link\\b[^>]*\\bhref=(["'])${escaped}\\1[^>]*>`, 'i');
+}
+
+class AssetPipeline {
+  /**
+   * @param {object} [options]
+   * @param {import('../cache/CacheStore')} [options.store]
+   * @param {number} [options.timeoutMs]
+   * @param {number} [options.maxFetchBytes]
+   * @param {number} [options.maxInlineBytes]
+   * @param {number} [options.imageMaxPx]
+   * @param {number} [options.ttlMs]
+   * @param {boolean} [options.allowPrivateHosts]  Skip the public-address check
+   */
+  constructor({
+    store             = new MemoryCacheStore({ maxBytes: parseFloat(process.env.ASSET_CACHE_MAX_MB || '32') * 1024 * 1024 }),
+    timeoutMs         = parseInt(process.env.ASSET_FETCH_TIMEOUT_MS || '10000', 10),
+    maxFetchBytes     = parseFloat(process.env.ASSET_FETCH_MAX_MB || '5') * 1024 * 1024,
+    maxInlineBytes    = parseInt(process.env.ASSET_INLINE_MAX_KB || '1024', 10) * 1024,
+    imageMaxPx        = parseInt(process.env.ASSET_IMAGE_MAX_PX || '512', 10),
+    ttlMs             = parseInt(process.env.ASSET_CACHE_TTL_SECONDS || '86400', 10) * 1000,
+    allowPrivateHosts = process.env.ASSET_ALLOW_PRIVATE_HOSTS === 'true',
+  } = {}) {
+    this.store             = store;
+    this.timeoutMs         = timeoutMs;
+    this.maxFetchBytes     = maxFetchBytes;
+    this.maxInlineBytes    = maxInlineBytes;
+    this.imageMaxPx        = imageMaxPx;
+    this.ttlMs             = ttlMs;
+    this.allowPrivateHosts = allowPrivateHosts;
+  }
+
+  // ── Images ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Replace the template's image fields with embedded data: URIs. Empty
+   * fields stay empty (the template leaves the image out); anything that
+   * cannot be embedded becomes the placeholder portrait.
+   *
+   * @param {import('../PdfService').ReportData} data
+   * @param {string} templateId
+   * @param {object} [options]
+   * @param {boolean} [options.fetch=true]  false uses the placeholder for http(s) images
+   * @param {(event: import('../PdfService').ProgressEvent) => void} [options.onProgress]
+   *        Told when an unusable image is replaced by the placeholder
+   * @param {AbortSignal} [options.signal]
+   * @param {import('../../utils/logger').Logger} [options.log]
+   * @returns {Promise<import('../PdfService').ReportData>}  A copy; `data` is not modified
+   */
+  async embedImages(data, templateId, options = {}) {
+    const out = { ...data };
+    for (const { field } of getTemplate(templateId).assets.filter(asset => asset.type === 'image' && asset.field)) {
+      if (typeof out[field] === 'string' && out[field]) out[field] = await this.embedImage(out[field], options);
+    }
+    return out;
+  }
+
+  /**
+   * @param {string} src  http(s) URL or data: URI
+   * @param {{ fetch?: boolean, onProgress?: Function, signal?: AbortSignal, log?: import('../../utils/logger').Logger }} [options]
+   *        As for embedImages()
+   * @returns {Promise<string>}  A data: URI — the image's, or the placeholder's
+   */
+  async embedImage(src, { fetch = true, onProgress = () => {}, signal, log } = {}) {
+    const logger = componentLogger('AssetPipeline', log);
+    const remote = /^https?:\/\//i.test(src);
+    if (remote && !fetch) return placeholderUrl();
+    try {
+      if (!remote && !DATA_URI_RE.test(src)) throw new AssetError('only http(s) URLs and base64 data: URIs can be embedded');
+      return await this._cached(`image:${this.imageMaxPx}:${src}`, signal, async () => this._processImage(await this._read(src, signal)));
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      logger.warn(`Image ${remote ? src : '(data: URI)'} unavailable (${err.message}) — using placeholder`);
+      onProgress({ stage: 'assets', message: 'Image unavailable — using placeholder', placeholder: true });
+      return placeholderUrl();
+    }
+  }
+
+  /**
+   * Check an image and shrink it to fit: sniff the type, read its size,
+   * downscale PNGs over imageMaxPx, and enforce maxInlineBytes.
+   *
+   * @param {Buffer} bytes
+   * @returns {string}  data: URI
+   * @throws {AssetError|PngError}
+   */
+  _processImage(bytes) {
+    const type = sniffType(bytes);
+    if (!IMAGE_TYPES.includes(type)) throw new AssetError(type ? `${type} is not supported (use PNG or JPEG)` : 'not an image');
+    const { width, height } = imageSize(bytes, type);
+
+    let out = bytes;
+    if (type === 'image/png') {
+      try {
+        // Decoding also checks the whole file, not just its header
+        const image = decodePng(bytes, { maxPixels: MAX_DECODE_PIXELS });
+        const scale = this.imageMaxPx / Math.max(width, height);
+        if (scale < 1) {
+          out = encodePng(resizeImage(image, Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale))));
+        }
+      } catch (err) {
+        // Interlaced or very large PNGs are used as they are, within the size limit
+        if (!(err instanceof PngError && err.unsupported)) throw err;
+      }
+    }
+    if (out.length > this.maxInlineBytes) {
+      throw new AssetError(`${type === 'image/png' ? 'PNG' : 'JPEG'} is ${size(out.length)} (limit ${size(this.maxInlineBytes)})`);
+    }
+    return `data:${type};base64,${out.toString('base64')}`;
+  }
+
+  // ── Stylesheets ────────────────────────────────────────────────────────────
+
+  /**
+   * Inline each of the template's stylesheets (see inlineStylesheet()).
+   *
+   * @param {string} html       Filled template HTML
+   * @param {string} templateId
+   * @param {{ signal?: AbortSignal, log?: import('../../utils/logger').Logger }} [options]
+   * @returns {Promise<string>}
+   */
+  async inlineStylesheets(html, templateId, options = {}) {
+    for (const { href } of getTemplate(templateId).assets.filter(asset => asset.type === 'stylesheet' && asset.href)) {
+      html = await this.inlineStylesheet(html, href, options);
+    }
+    return html;
+  }
+
+  /**
+   * Replace the <link> to `href` with an inline <style> whose fonts are
+   * embedded. A stylesheet that cannot be inlined is removed, with a warning.
+   *
+   * @param {string} html
+   * @param {string} href
+   * @param {{ signal?: AbortSignal, log?: import('../../utils/logger').Logger }} [options]
+   * @returns {Promise<string>}  `html` unchanged when it has no such <link>
+   */
+  async inlineStylesheet(html, href, { signal, log } = {}) {
+    const link = linkPattern(href);
+    if (!link.test(html)) return html;
+    let replacement = '';
+    try {
+      const css = await this._cached(`stylesheet:${href}`, signal, () => this._inlineCss(href, signal));
+      // Keep the stylesheet from closing its own <style> element
+      replacement = `<style>\n${css.replace(/<\//g, '<\\/')}\n  </style>`;
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      componentLogger('AssetPipeline', log).warn(`Stylesheet ${href} unavailable (${err.message}) — using fallback fonts`);
+    }
+    return html.replace(link, () => replacement);
+  }
+
+  /**
+   * Fetch a stylesheet and embed everything its url()s point at.
+   *
+   * @param {string} href
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<string>}  CSS text
+   */
+  async _inlineCss(href, signal) {
+    const bytes = await this._read(href, signal);
+    if (sniffType(bytes) || bytes.includes(0)) throw new AssetError('not a stylesheet');
+    const css = bytes.toString('utf-8');
+
+    const urls = [...new Set([...css.matchAll(CSS_URL_RE)].map(m => m[2].trim()).filter(url => !/^data:/i.test(url)))];
+    if (urls.length > MAX_FONT_URLS) throw new AssetError(`references ${urls.length} files (at most ${MAX_FONT_URLS} are inlined)`);
+
+    const embedded = new Map();
+    for (const url of urls) {
+      const resolved = new URL(url, href).href;
+      if (!/^https?:/i.test(resolved)) throw new AssetError(`${url} is not an http(s) URL`);
+      const body = await this._read(resolved, signal);
+      const type = sniffType(body);
+      if (!type) throw new AssetError(`${resolved} is not a font or image`);
+      if (body.length > this.maxInlineBytes) throw new AssetError(`${resolved} is ${size(body.length)} (limit ${size(this.maxInlineBytes)})`);
+      embedded.set(url, `data:${type};base64,${body.toString('base64')}`);
+    }
+    return css.replace(CSS_URL_RE, (match, quote, url) => (embedded.has(url.trim()) ? `url(${embedded.get(url.trim())})` : match));
+  }
+
+  // ── Fetching and caching ───────────────────────────────────────────────────
+
+  /**
+   * The bytes behind an http(s) URL or base64 data: URI, up to maxFetchBytes.
+   * Redirects are followed here, up to MAX_REDIRECTS, so that each hop gets
+   * the public-address check.
+   *
+   * @param {string} src
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Buffer>}
+   */
+  async _read(src, signal) {
+    const inline = DATA_URI_RE.exec(src);
+    if (inline) {
+      const bytes = Buffer.from(inline[2], 'base64');
+      if (bytes.length > this.maxFetchBytes) throw new AssetError(`data: URI is larger than ${size(this.maxFetchBytes)}`);
+      return bytes;
+    }
+    try {
+      let url = src;
+      for (let hops = 0; ; hops++) {
+        if (!this.allowPrivateHosts) checkPublicUrl(url);
+        const res = await axios.get(url, {
+          responseType:     'arraybuffer',
+          timeout:          this.timeoutMs,
+          maxContentLength: this.maxFetchBytes,
+          maxRedirects:     0,
+          validateStatus:   status => status >= 200 && status < 400,
+          ...(!this.allowPrivateHosts && publicAgents),
+          signal,
+        });
+        if (res.status < 300) return Buffer.from(res.data);
+        if (!res.headers.location) throw new AssetError(`HTTP ${res.status} without a Location`);
+        if (hops === MAX_REDIRECTS) throw new AssetError(`more than ${MAX_REDIRECTS} redirects`);
+        url = new URL(res.headers.location, url).href;
+        if (!/^https?:/i.test(url)) throw new AssetError(`redirected to ${url}, which is not an http(s) URL`);
+      }
+    } catch (err) {
+      if (signal?.aborted || err instanceof AssetError) throw err;
+      if (err.response) throw new AssetError(`HTTP ${err.response.status}`);
+      if (/maxContentLength/.test(err.message)) throw new AssetError(`larger than ${size(this.maxFetchBytes)}`);
+      throw new AssetError(err.code === 'ECONNABORTED' ? `timed out after ${this.timeoutMs}ms` : err.message);
+    }
+  }
+
+  /**
+   * Run `produce` once per key and TTL. Failures are cached for a minute so
+   * a dead host does not cost every report its full timeout; aborted calls
+   * are not cached at all.
+   *
+   * @param {string} name
+   * @param {AbortSignal} [signal]
+   * @param {() => Promise<string>|string} produce
+   * @returns {Promise<string>}
+   */
+  async _cached(name, signal, produce) {
+    const key = `asset/${crypto.createHash('sha256').update(name).digest('hex')}`;
+    const hit = await this.store.get(key);
+    if (hit) {
+      const text = hit.toString('utf-8');
+      if (text.startsWith(FAILURE_PREFIX)) throw new AssetError(`${text.slice(1)} (cached)`);
+      return text;
+    }
+    let value;
+    try {
+      value = await produce();
+    } catch (err) {
+      if (!signal?.aborted) await this.store.set(key, Buffer.from(FAILURE_PREFIX + err.message), FAILURE_TTL_MS);
+      throw err;
+    }
+    await this.store.set(key, Buffer.from(value), this.ttlMs);
+    return value;
+  }
+}
+
+module.exports = { AssetPipeline, AssetError };
@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Report asset embedding (see AssetPipeline.js). Both PDF backends share one
+ * pipeline, and with it one cache.
+ */
+
+const { AssetPipeline, AssetError } = require('./AssetPipeline');
+const { placeholderPortrait, placeholderUrl } = require('./placeholder');
+const { sniffType, imageSize } = require('./sniff');
+
+let pipeline = null;
+
+/**
+ * The process-wide pipeline, created on first use from the ASSET_* env vars.
+ *
+ * @returns {AssetPipeline}
+ */
+function getAssetPipeline() {
+  if (!pipeline) pipeline = new AssetPipeline();
+  return pipeline;
+}
+
+module.exports = {
+  AssetPipeline,
+  AssetError,
+  getAssetPipeline,
+  placeholderPortrait,
+  placeholderUrl,
+  sniffType,
+  imageSize,
+};
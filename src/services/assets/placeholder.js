@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * The portrait used when a character's image cannot be fetched or used: a
+ * head-and-shoulders silhouette in the report palette, drawn once per
+ * process and encoded as a PNG.
+ */
+
+const { encodePng } = require('../../utils/png');
+
+const SIZE        = 256;
+const SUBSAMPLES  = 4;                 // per axis, for anti-aliased edges
+const BACKGROUND  = [0xe8, 0xf1, 0xf8]; // --accent-light
+const SILHOUETTE  = [0x9a, 0xae, 0xc4];
+
+let cached = null;
+
+// In unit coordinates (0–1, y down): a round head over an elliptical torso
+function inside(x, y) {
+  const head = (x - 0.5) ** 2 + (y - 0.38) ** 2 <= 0.17 ** 2;
+  const torso = y >= 0.62 && ((x - 0.5) / 0.36) ** 2 + ((y - 1.02) / 0.4) ** 2 <= 1;
+  return head || torso;
+}
+
+/**
+ * @returns {Buffer}  PNG bytes
+ */
+function placeholderPortrait() {
+  if (cached) return cached;
+  const data = Buffer.alloc(SIZE * SIZE * 4);
+  for (let py = 0; py < SIZE; py++) {
+    for (let px = 0; px < SIZE; px++) {
+      let hits = 0;
+      for (let sy = 0; sy < SUBSAMPLES; sy++) {
+        for (let sx = 0; sx < SUBSAMPLES; sx++) {
+          if (inside((px + (sx + 0.5) / SUBSAMPLES) / SIZE, (py + (sy + 0.5) / SUBSAMPLES) / SIZE)) hits++;
+        }
+      }
+      const cover = hits / SUBSAMPLES ** 2;
+      const o = (py * SIZE + px) * 4;
+      for (let c = 0; c < 3; c++) data[o + c] = Math.round(BACKGROUND[c] + (SILHOUETTE[c] - BACKGROUND[c]) * cover);
+      data[o + 3] = 255;
+    }
+  }
+  cached = encodePng({ width: SIZE, height: SIZE, data });
+  return cached;
+}
+
+/**
+ * @returns {string}  The placeholder as a data: URI
+ */
+function placeholderUrl() {
+  return `data:image/png;base64,${placeholderPortrait().toString('base64')}`;
+}
+
+module.exports = { placeholderPortrait, placeholderUrl };
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * MIME type sniffing for fetched assets. The type comes from the bytes, not
+ * from the Content-Type header or the file extension, which hosts get wrong
+ * (or lie about) often enough that neither can be trusted.
+ */
+
+const { pngSize } = require('../../utils/png');
+
+const SIGNATURES = [
+  { type: 'image/png',  test: b => b.length >= 8 && b.readUInt32BE(0) === 0x89504e47 && b.readUInt32BE(4) === 0x0d0a1a0a },
+  { type: 'image/jpeg', test: b => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'image/gif',  test: b => /^GIF8[79]a/.test(b.toString('latin1', 0, 6)) },
+  { type: 'image/webp', test: b => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  { type: 'font/woff2', test: b => b.toString('latin1', 0, 4) === 'wOF2' },
+  { type: 'font/woff',  test: b => b.toString('latin1', 0, 4) === 'wOFF' },
+  { type: 'font/ttf',   test: b => b.length >= 4 && (b.readUInt32BE(0) === 0x00010000 || b.toString('latin1', 0, 4) === 'true') },
+  { type: 'font/otf',   test: b => b.toString('latin1', 0, 4) === 'OTTO' },
+];
+
+/**
+ * @param {Buffer} bytes
+ * @returns {string|null}  A MIME type, or null when the bytes match none we know
+ */
+function sniffType(bytes) {
+  return SIGNATURES.find(signature => signature.test(bytes))?.type || null;
+}
+
+// JPEG start-of-frame markers (baseline, progressive, lossless, …) carry the size
+const SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+function jpegSize(bytes) {
+  let pos = 2;
+  while (pos + 4 <= bytes.length) {
+    if (bytes[pos] !== 0xff) throw new Error('damaged JPEG: expected a marker');
+    const marker = bytes[pos + 1];
+    if (marker === 0xff) { pos++; continue; }
+    // Markers without a length
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) { pos += 2; continue; }
+    if (marker === 0xd9 || marker === 0xda) break;
+    const length = bytes.readUInt16BE(pos + 2);
+    if (SOF_MARKERS.has(marker)) {
+      if (pos + 9 > bytes.length) break;
+      return { width: bytes.readUInt16BE(pos + 7), height: bytes.readUInt16BE(pos + 5) };
+    }
+    pos += 2 + length;
+  }
+  throw new Error('damaged JPEG: no frame header');
+}
+
+/**
+ * The pixel size of a PNG or JPEG, read from its header.
+ *
+ * @param {Buffer} bytes
+ * @param {string} type  sniffType() result
+ * @returns {{ width: number, height: number }}
+ * @throws {Error} when the header is damaged
+ */
+function imageSize(bytes, type) {
+  const size = type === 'image/png' ? pngSize(bytes) : jpegSize(bytes);
+  if (!size.width || !size.height) throw new Error(`damaged ${type === 'image/png' ? 'PNG' : 'JPEG'}: image has no pixels`);
+  return size;
+}
+
+module.exports = { sniffType, imageSize };
@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * API keys, read from a JSON file that holds only their SHA-256 hashes:
+ *
+ *   {
+ *     "keys": [
+ *       {
+ *         "id":                 "acme",             shown in logs and usage reports
+ *         "tenant":             "Acme Academy",
+ *         "hash":               "sha256:<hex>",     of the full key
+ *         "rateLimitPerMinute": 60,                 optional, default API_RATE_LIMIT_PER_MINUTE
+ *         "monthlyReportQuota": 500,                optional, default API_MONTHLY_REPORT_QUOTA;
+ *                                                   null = unlimited
+ *         "admin":              false,              may call /api/admin/*
+ *         "disabled":           false
+ *       }
+ *     ]
+ *   }
+ *
+ * Keys are random 256-bit tokens, so a plain SHA-256 is enough to make a
+ * leaked file useless without slowing every request down. Create keys with
+ * `npm run api-key -- <id>`, which prints the key once and stores its hash.
+ *
+ * Env vars:
+ *   API_KEYS_FILE              Key file (default: config/api-keys.json)
+ *   API_RATE_LIMIT_PER_MINUTE  Default rate limit per key (default: 60)
+ *   API_MONTHLY_REPORT_QUOTA   Default reports per key per calendar month (default: 1000)
+ */
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', '..', 'config', 'api-keys.json');
+const KEY_PREFIX   = 'hai_';
+
+const SAFE_ID = /^[\w-]{1,64}$/;
+const HASH    = /^sha256:[0-9a-f]{64}$/;
+
+/**
+ * @param {string} key
+ * @returns {string}  `sha256:<hex>`
+ */
+function hashApiKey(key) {
+  return `sha256:${crypto.createHash('sha256').update(String(key)).digest('hex')}`;
+}
+
+/**
+ * @returns {string}  A new random key, e.g. `hai_3q2…`
+ */
+function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * @typedef {Object} ApiKey
+ * @property {string} id
+ * @property {string} tenant
+ * @property {string} hash
+ * @property {number} rateLimitPerMinute
+ * @property {number|null} monthlyReportQuota
+ * @property {boolean} admin
+ * @property {boolean} disabled
+ */
+
+class ApiKeyStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file]
+   * @param {number} [options.defaultRateLimit]
+   * @param {number} [options.defaultQuota]
+   */
+  constructor({
+    file             = process.env.API_KEYS_FILE || DEFAULT_FILE,
+    defaultRateLimit = parseInt(process.env.API_RATE_LIMIT_PER_MINUTE || '60', 10),
+    defaultQuota     = parseInt(process.env.API_MONTHLY_REPORT_QUOTA || '1000', 10),
+  } = {}) {
+    this.file             = file;
+    this.defaultRateLimit = defaultRateLimit;
+    this.defaultQuota     = defaultQuota;
+    this.keys             = new Map();
+    this.byHash           = new Map();
+  }
+
+  /**
+   * @returns {boolean}  Whether the key file exists
+   */
+  exists() {
+    return fs.existsSync(this.file);
+  }
+
+  /**
+   * Read and check the key file. Throws on the first problem so a bad file
+   * fails at startup, not per request.
+   *
+   * @returns {ApiKeyStore}
+   */
+  load() {
+    const fail = message => { throw new Error(`[ApiKeyStore] ${this.file}: ${message}`); };
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+    } catch (err) {
+      fail(err.message);
+    }
+    if (!Array.isArray(parsed?.keys)) fail('expected { "keys": [ … ] }');
+
+    this.keys.clear();
+    this.byHash.clear();
+    for (const entry of parsed.keys) {
+      const { id, tenant = id, hash, rateLimitPerMinute = this.defaultRateLimit, admin = false, disabled = false } = entry;
+      const monthlyReportQuota = entry.monthlyReportQuota === undefined ? this.defaultQuota : entry.monthlyReportQuota;
+
+      if (typeof id !== 'string' || !SAFE_ID.test(id)) fail('every key needs an id of letters, digits, _ and -');
+      if (this.keys.has(id)) fail(`duplicate key id "${id}"`);
+      if (typeof hash !== 'string' || !HASH.test(hash)) fail(`key "${id}": hash must be "sha256:<64 hex digits>"`);
+      if (this.byHash.has(hash)) fail(`key "${id}": same hash as key "${this.byHash.get(hash).id}"`);
+      if (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute < 1) {
+        fail(`key "${id}": rateLimitPerMinute must be a positive integer`);
+      }
+      if (monthlyReportQuota !== null && (!Number.isInteger(monthlyReportQuota) || monthlyReportQuota < 0)) {
+        fail(`key "${id}": monthlyReportQuota must be a non-negative integer or null`);
+      }
+
+      const key = { id, tenant, hash, rateLimitPerMinute, monthlyReportQuota, admin: admin === true, disabled: disabled === true };
+      this.keys.set(id, key);
+      this.byHash.set(hash, key);
+    }
+    return this;
+  }
+
+  /**
+   * Look up the record for a presented key.
+   *
+   * @param {string} key
+   * @returns {ApiKey|null}  null for unknown or disabled keys
+   */
+  find(key) {
+    if (typeof key !== 'string' || !key) return null;
+    const record = this.byHash.get(hashApiKey(key));
+    return record && !record.disabled ? record : null;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {ApiKey|null}
+   */
+  get(id) {
+    return this.keys.get(id) || null;
+  }
+
+  /**
+   * @returns {ApiKey[]}
+   */
+  list() {
+    return [...this.keys.values()];
+  }
+}
+
+module.exports = { ApiKeyStore, hashApiKey, generateApiKey };
@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Per-key token buckets. A key with a limit of N requests per minute may
+ * burst up to N requests, then gets one more every 60/N seconds.
+ *
+ * Buckets live in process memory, so each instance enforces the limit on
+ * its own share of the traffic.
+ */
+
+class RateLimiter {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  /**
+   * Take one token from a key's bucket.
+   *
+   * @param {string} id
+   * @param {number} perMinute
+   * @param {number} [now]  ms since the epoch (for tests)
+   * @returns {{ ok: boolean, remaining: number, retryAfterSec: number }}
+   *          retryAfterSec is how long until a token is free (0 when ok)
+   */
+  take(id, perMinute, now = Date.now()) {
+    const perMs = perMinute / 60_000;
+    let bucket = this.buckets.get(id);
+    if (!bucket) {
+      bucket = { tokens: perMinute, at: now };
+      this.buckets.set(id, bucket);
+    }
+    bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.at) * perMs);
+    bucket.at = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { ok: true, remaining: Math.floor(bucket.tokens), retryAfterSec: 0 };
+    }
+    return { ok: false, remaining: 0, retryAfterSec: Math.ceil((1 - bucket.tokens) / perMs / 1000) };
+  }
+}
+
+module.exports = RateLimiter;
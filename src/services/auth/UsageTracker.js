@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Per-key usage counters, bucketed by calendar month (UTC):
+ *
+ *   requests       authenticated API requests that got past the rate limit
+ *   reports        report requests charged against the monthly quota
+ *   rateLimited    requests answered 429 by the rate limiter
+ *   quotaExceeded  report requests answered 429 because the quota was used up
+ *
+ * Counters are kept in memory and, unless USAGE_FILE=none, saved to a JSON
+ * file a moment after they change, and on shutdown, so quotas survive
+ * restarts. The file is read once at startup; run one instance per file.
+ *
+ * Env vars:
+ *   USAGE_FILE  Counter file (default: output/usage.json; none = memory only)
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { componentLogger } = require('../../utils/logger');
+
+const log = componentLogger('UsageTracker');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', '..', 'output', 'usage.json');
+const SAVE_DELAY_MS = 1000;
+
+const COUNTERS = ['requests', 'reports', 'rateLimited', 'quotaExceeded'];
+
+/**
+ * @param {number} [now]
+ * @returns {string}  `YYYY-MM`
+ */
+function monthOf(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 7);
+}
+
+/**
+ * @param {number} [now]
+ * @returns {number}  ms since the epoch at the start of the next UTC month
+ */
+function nextMonthStart(now = Date.now()) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+/**
+ * @typedef {Object} Usage
+ * @property {number} requests
+ * @property {number} reports
+ * @property {number} rateLimited
+ * @property {number} quotaExceeded
+ * @property {string|null} lastUsedAt  ISO timestamp
+ */
+
+class UsageTracker {
+  /**
+   * @param {object} [options]
+   * @param {string|null} [options.file]  null = memory only
+   */
+  constructor({ file = process.env.USAGE_FILE || DEFAULT_FILE } = {}) {
+    this.file   = file === 'none' ? null : file;
+    this.months = {};
+    this.timer  = null;
+    this.saving = Promise.resolve();
+
+    if (this.file && fs.existsSync(this.file)) {
+      try {
+        this.months = JSON.parse(fs.readFileSync(this.file, 'utf-8')).months || {};
+      } catch (err) {
+        throw new Error(`[UsageTracker] ${this.file}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Add one to a counter.
+   *
+   * @param {string} id
+   * @param {'requests'|'reports'|'rateLimited'|'quotaExceeded'} counter
+   * @param {number} [now]
+   */
+  record(id, counter, now = Date.now()) {
+    const usage = this._entry(id, monthOf(now));
+    usage[counter]++;
+    if (counter === 'requests' || counter === 'reports') usage.lastUsedAt = new Date(now).toISOString();
+    this._scheduleSave();
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} [month]  `YYYY-MM` (default: the current month)
+   * @returns {Usage}
+   */
+  get(id, month = monthOf()) {
+    return { ...this._blank(), ...this.months[month]?.[id] };
+  }
+
+  /**
+   * @param {string} [id]  Only months in which this key was used
+   * @returns {string[]}  Months with usage, oldest first
+   */
+  listMonths(id) {
+    return Object.keys(this.months).filter(month => !id || this.months[month][id]).sort();
+  }
+
+  /**
+   * Write pending changes now.
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.saving = this.saving.then(() => this._save());
+    }
+    return this.saving;
+  }
+
+  _blank() {
+    return { ...Object.fromEntries(COUNTERS.map(c => [c, 0])), lastUsedAt: null };
+  }
+
+  _entry(id, month) {
+    this.months[month] ??= {};
+    this.months[month][id] ??= this._blank();
+    return this.months[month][id];
+  }
+
+  _scheduleSave() {
+    if (!this.file || this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.saving = this.saving.then(() => this._save());
+    }, SAVE_DELAY_MS);
+    this.timer.unref();
+  }
+
+  async _save() {
+    try {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify({ months: this.months }, null, 2));
+      await fs.promises.rename(tmp, this.file);
+    } catch (err) {
+      log.error(`Failed to save ${this.file}: ${err.message}`);
+    }
+  }
+}
+
+module.exports = { UsageTracker, monthOf, nextMonthStart };
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * API key authentication, rate limits and quotas.
+ *
+ *   ApiKeyStore   hashed keys and their limits, from API_KEYS_FILE
+ *   RateLimiter   per-key token buckets (requests per minute)
+ *   UsageTracker  per-key monthly counters, saved to USAGE_FILE
+ *   createAuth    the Express middleware built from the three
+ */
+
+const { ApiKeyStore, hashApiKey, generateApiKey } = require('./ApiKeyStore');
+const RateLimiter = require('./RateLimiter');
+const { UsageTracker, monthOf, nextMonthStart } = require('./UsageTracker');
+const { createAuth, describeKey } = require('./middleware');
+
+module.exports = {
+  ApiKeyStore,
+  RateLimiter,
+  UsageTracker,
+  createAuth,
+  describeKey,
+  hashApiKey,
+  generateApiKey,
+  monthOf,
+  nextMonthStart,
+};
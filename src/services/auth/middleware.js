@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Express middleware for API key authentication, per-key rate limits and
+ * monthly report quotas.
+ *
+ * Clients send their key as `Authorization: Bearer <key>` or `X-API-Key`.
+ * Every authenticated request takes a token from the key's rate limit
+ * bucket; routes that generate a report also call chargeReport(), which
+ * counts it against the key's monthly quota. Both limits answer 429 with
+ * Retry-After.
+ */
+
+const { nextMonthStart } = require('./UsageTracker');
+const { componentLogger } = require('../../utils/logger');
+
+/**
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function presentedKey(req) {
+  const header = req.get('Authorization');
+  if (header && /^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '').trim();
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * The limits of a key, as reported by the admin routes.
+ *
+ * @param {import('./ApiKeyStore').ApiKey} key
+ * @returns {object}
+ */
+function describeKey({ id, tenant, admin, disabled, rateLimitPerMinute, monthlyReportQuota }) {
+  return { id, tenant, admin, disabled, limits: { rateLimitPerMinute, monthlyReportQuota } };
+}
+
+/**
+ * @param {object} deps
+ * @param {import('./ApiKeyStore').ApiKeyStore} deps.keys
+ * @param {import('./RateLimiter')} deps.limiter
+ * @param {import('./UsageTracker').UsageTracker} deps.usage
+ * @returns {{ authenticate: Function, requireAdmin: Function, chargeReport: Function, keys: object, usage: object }}
+ */
+function createAuth({ keys, limiter, usage }) {
+  /**
+   * Reject requests without a valid key, then apply the key's rate limit.
+   * Sets req.apiKey.
+   */
+  function authenticate(req, res, next) {
+    const presented = presentedKey(req);
+    if (!presented) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'API key required' });
+    }
+    const key = keys.find(presented);
+    if (!key) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"').json({ error: 'Invalid API key' });
+    }
+
+    const limit = limiter.take(key.id, key.rateLimitPerMinute);
+    res.set({ 'X-RateLimit-Limit': key.rateLimitPerMinute, 'X-RateLimit-Remaining': limit.remaining });
+    if (!limit.ok) {
+      usage.record(key.id, 'rateLimited');
+      componentLogger('auth', req.log).warn(`Key ${key.id} rate limited (${key.rateLimitPerMinute}/min)`);
+      return res.status(429).set('Retry-After', String(limit.retryAfterSec)).json({
+        error:      `Rate limit of ${key.rateLimitPerMinute} requests per minute exceeded`,
+        retryAfter: limit.retryAfterSec,
+      });
+    }
+
+    usage.record(key.id, 'requests');
+    req.apiKey = key;
+    return next();
+  }
+
+  /**
+   * Only admin keys may continue.
+   */
+  function requireAdmin(req, res, next) {
+    if (!req.apiKey?.admin) return res.status(403).json({ error: 'Admin API key required' });
+    return next();
+  }
+
+  /**
+   * Count reports against the caller's monthly quota. Sends the 429 and
+   * returns false when the quota is used up or has fewer than `count`
+   * reports left (nothing is counted then).
+   *
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {number} [count=1]  Reports the request will generate (batches)
+   * @returns {boolean}
+   */
+  function chargeReport(req, res, count = 1) {
+    const key = req.apiKey;
+    if (!key) return true;
+    const quota = key.monthlyReportQuota;
+    const used  = usage.get(key.id).reports;
+
+    if (quota !== null && used + count > quota) {
+      usage.record(key.id, 'quotaExceeded');
+      const resetsAt = nextMonthStart();
+      componentLogger('auth', req.log).warn(`Key ${key.id} has used its monthly quota of ${quota} reports`);
+      res.status(429).set('Retry-After', String(Math.ceil((resetsAt - Date.now()) / 1000))).json({
+        error: used >= quota
+          ? `Monthly quota of ${quota} reports used up`
+          : `${count} reports would exceed the monthly quota (${quota - used} of ${quota} left)`,
+        quota: { limit: quota, used, resetsAt: new Date(resetsAt).toISOString() },
+      });
+      return false;
+    }
+
+    for (let i = 0; i < count; i++) usage.record(key.id, 'reports');
+    if (quota !== null) res.set({ 'X-Quota-Limit': quota, 'X-Quota-Remaining': quota - used - count });
+    return true;
+  }
+
+  return { authenticate, requireAdmin, chargeReport, keys, usage };
+}
+
+module.exports = { createAuth, describeKey, presentedKey };
@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Abstract base class for cache stores.
+ *
+ * A store maps string keys (`<layer>/<hex digest>`, e.g. `pdf/3f2a…`) to
+ * byte values that expire after a TTL. Expired entries must read as misses;
+ * when they are actually removed is up to the store.
+ *
+ * Subclasses must implement every method below.
+ */
+class CacheStore {
+  /**
+   * Short identifier used in logs.
+   *
+   * @returns {string}
+   */
+  get name() {
+    return this.constructor.name;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Buffer|null>}  null when missing or expired
+   */
+  async get(key) {
+    throw new Error('get() must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} key
+   * @param {Buffer} value
+   * @param {number} ttlMs
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlMs) {
+    throw new Error('set() must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    throw new Error('delete() must be implemented by subclass');
+  }
+}
+
+module.exports = CacheStore;
@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Cache store backed by a directory on disk: `<layer>/<digest>.bin` holds
+ * the value and `<layer>/<digest>.json` its expiry. Entries survive restarts
+ * and the directory can be shared by instances on the same volume.
+ *
+ * Files are written to a temp file and renamed into place. Expired entries
+ * are deleted when read, and by a sweep that runs at most every 10 minutes
+ * when something is written.
+ *
+ * Env vars:
+ *   CACHE_DIR  Directory for cache files (default: output/cache)
+ */
+
+const fs   = require('fs/promises');
+const path = require('path');
+
+const CacheStore = require('./CacheStore');
+const { componentLogger } = require('../../utils/logger');
+
+const log = componentLogger('FileCacheStore');
+
+const DEFAULT_DIR       = path.join(__dirname, '..', '..', '..', 'output', 'cache');
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+// Keys come from ReportCache, but never let one escape the directory
+const SAFE_KEY = /^[\w-]{1,32}\/[\w-]{1,128}$/;
+
+class FileCacheStore extends CacheStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir]
+   */
+  constructor({ dir = process.env.CACHE_DIR || DEFAULT_DIR } = {}) {
+    super();
+    this.dir        = dir;
+    this.lastPruned = Date.now();
+  }
+
+  get name() {
+    return 'file';
+  }
+
+  _paths(key) {
+    if (!SAFE_KEY.test(key)) throw new Error(`[FileCacheStore] Invalid cache key "${key}"`);
+    const base = path.join(this.dir, key);
+    return { value: `${base}.bin`, meta: `${base}.json` };
+  }
+
+  async _write(file, contents) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, contents);
+    await fs.rename(tmp, file);
+  }
+
+  async _read(file) {
+    try {
+      return await fs.readFile(file);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async get(key) {
+    const paths = this._paths(key);
+    const meta = await this._read(paths.meta);
+    if (!meta) return null;
+    if (JSON.parse(meta.toString('utf-8')).expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+    return this._read(paths.value);
+  }
+
+  async set(key, value, ttlMs) {
+    const paths = this._paths(key);
+    // Value first: a reader only trusts an entry once its meta file exists
+    await this._write(paths.value, value);
+    await this._write(paths.meta, JSON.stringify({ expiresAt: Date.now() + ttlMs }));
+    if (Date.now() - this.lastPruned >= PRUNE_INTERVAL_MS) {
+      this.lastPruned = Date.now();
+      this.prune().catch(err => log.warn(`Prune failed: ${err.message}`));
+    }
+  }
+
+  async delete(key) {
+    const paths = this._paths(key);
+    await fs.rm(paths.meta, { force: true });
+    await fs.rm(paths.value, { force: true });
+  }
+
+  /**
+   * Delete every expired entry.
+   *
+   * @returns {Promise<number>}  Entries removed
+   */
+  async prune() {
+    let removed = 0;
+    let layers;
+    try {
+      layers = await fs.readdir(this.dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return 0;
+      throw err;
+    }
+    for (const layer of layers) {
+      const files = await fs.readdir(path.join(this.dir, layer)).catch(() => []);
+      for (const file of files.filter(f => f.endsWith('.json'))) {
+        const key = `${layer}/${path.basename(file, '.json')}`;
+        if (!SAFE_KEY.test(key)) continue;
+        const meta = await this._read(path.join(this.dir, layer, file));
+        if (meta && JSON.parse(meta.toString('utf-8')).expiresAt <= Date.now()) {
+          await this.delete(key);
+          removed++;
+        }
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = FileCacheStore;
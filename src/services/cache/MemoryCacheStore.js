@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * In-process LRU cache. Entries are lost on restart and not shared between
+ * instances. Once the stored bytes exceed `maxBytes` the least recently
+ * used entries are evicted.
+ *
+ * Env vars:
+ *   CACHE_MEMORY_MAX_MB  Size limit in MiB (default: 64)
+ */
+
+const CacheStore = require('./CacheStore');
+
+class MemoryCacheStore extends CacheStore {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxBytes]
+   */
+  constructor({ maxBytes = parseFloat(process.env.CACHE_MEMORY_MAX_MB || '64') * 1024 * 1024 } = {}) {
+    super();
+    this.maxBytes = maxBytes;
+    this.bytes    = 0;
+    this.entries  = new Map(); // key → { value, expiresAt }; iteration order = least recently used first
+  }
+
+  get name() {
+    return 'memory';
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this._remove(key);
+      return null;
+    }
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this._remove(key);
+    if (value.length > this.maxBytes) return;
+    this.entries.set(key, { value: Buffer.from(value), expiresAt: Date.now() + ttlMs });
+    this.bytes += value.length;
+    for (const oldest of this.entries.keys()) {
+      if (this.bytes <= this.maxBytes) break;
+      this._remove(oldest);
+    }
+  }
+
+  async delete(key) {
+    this._remove(key);
+  }
+
+  _remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.bytes -= entry.value.length;
+    this.entries.delete(key);
+  }
+}
+
+module.exports = MemoryCacheStore;
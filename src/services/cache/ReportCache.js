@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Two-layer, content-addressed cache for report generation:
+ *
+ *   data  The ReportData an extraction provider returned for a transcript —
+ *         skips the LLM call when only rendering choices change
+ *   pdf   The final PDF bytes for a whole request — skips extraction and
+ *         both PDF stages
+ *
+ * Keys are SHA-256 digests of the canonical JSON of whatever the caller says
+ * determines the result (see reportCacheKeys in src/utils/reportRequest.js),
+ * so the same key always names the same report and doubles as its ETag.
+ *
+ * Cache failures are logged and treated as misses — a broken cache never
+ * fails a report. With no store (CACHE_STORE=none) keys still work but
+ * nothing is kept.
+ *
+ * Env vars:
+ *   CACHE_DATA_TTL_SECONDS  Lifetime of extracted ReportData (default: 604800, 7 days)
+ *   CACHE_PDF_TTL_SECONDS   Lifetime of finished PDFs (default: 86400, 1 day)
+ */
+
+const crypto = require('crypto');
+
+const { componentLogger } = require('../../utils/logger');
+
+const log = componentLogger('ReportCache');
+
+// Bump when the meaning of cached values changes, to orphan old entries
+const KEY_VERSION = 1;
+
+/**
+ * JSON-serialisable copy of `value` with object keys sorted, strings trimmed
+ * and undefined dropped, so equivalent requests hash the same. Buffers are
+ * replaced by their digest.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function canonicalize(value) {
+  if (Buffer.isBuffer(value)) return `sha256:${crypto.createHash('sha256').update(value).digest('hex')}`;
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (typeof value === 'string') return value.trim();
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] !== undefined) out[key] = canonicalize(value[key]);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Does an If-None-Match header match `etag`? Weak validators match too.
+ *
+ * @param {string|undefined} header
+ * @param {string} etag  Quoted, e.g. `"3f2a…"`
+ * @returns {boolean}
+ */
+function etagMatches(header, etag) {
+  if (!header) return false;
+  return header.split(',').some(tag => {
+    tag = tag.trim();
+    return tag === '*' || tag.replace(/^W\//, '') === etag;
+  });
+}
+
+class ReportCache {
+  /**
+   * @param {object} [options]
+   * @param {import('./CacheStore')|null} [options.store]
+   * @param {number} [options.dataTtlMs]
+   * @param {number} [options.pdfTtlMs]
+   */
+  constructor({
+    store     = null,
+    dataTtlMs = parseInt(process.env.CACHE_DATA_TTL_SECONDS || '604800', 10) * 1000,
+    pdfTtlMs  = parseInt(process.env.CACHE_PDF_TTL_SECONDS || '86400', 10) * 1000,
+  } = {}) {
+    this.store     = store;
+    this.dataTtlMs = dataTtlMs;
+    this.pdfTtlMs  = pdfTtlMs;
+  }
+
+  /**
+   * @param {'data'|'pdf'} layer
+   * @param {object} parts  Everything that determines the cached value
+   * @returns {string}  `<layer>/<hex digest>`
+   */
+  key(layer, parts) {
+    const digest = crypto.createHash('sha256')
+      .update(JSON.stringify(canonicalize({ v: KEY_VERSION, layer, ...parts })))
+      .digest('hex');
+    return `${layer}/${digest}`;
+  }
+
+  /**
+   * The ETag for a `pdf/…` key.
+   *
+   * @param {string} key
+   * @returns {string}
+   */
+  etag(key) {
+    return `"${key.slice(key.indexOf('/') + 1)}"`;
+  }
+
+  async _get(key) {
+    if (!this.store) return null;
+    try {
+      return await this.store.get(key);
+    } catch (err) {
+      log.warn(`Read of ${key} failed (${err.message}) — treating as a miss`);
+      return null;
+    }
+  }
+
+  async _set(key, value, ttlMs) {
+    if (!this.store || ttlMs <= 0) return;
+    try {
+      await this.store.set(key, value, ttlMs);
+    } catch (err) {
+      log.warn(`Write of ${key} failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<object|null>}
+   */
+  async getData(key) {
+    const raw = await this._get(key);
+    return raw ? JSON.parse(raw.toString('utf-8')) : null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {object} data
+   * @returns {Promise<void>}
+   */
+  async setData(key, data) {
+    await this._set(key, Buffer.from(JSON.stringify(data), 'utf-8'), this.dataTtlMs);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Buffer|null>}
+   */
+  async getPdf(key) {
+    return this._get(key);
+  }
+
+  /**
+   * @param {string} key
+   * @param {Buffer} pdf
+   * @returns {Promise<void>}
+   */
+  async setPdf(key, pdf) {
+    await this._set(key, pdf, this.pdfTtlMs);
+  }
+
+  /**
+   * Drop entries, e.g. when the report they belong to is deleted.
+   *
+   * @param {...string} keys
+   * @returns {Promise<void>}
+   */
+  async forget(...keys) {
+    if (!this.store) return;
+    for (const key of keys) {
+      try {
+        await this.store.delete(key);
+      } catch (err) {
+        log.warn(`Delete of ${key} failed: ${err.message}`);
+      }
+    }
+  }
+}
+
+module.exports = { ReportCache, canonicalize, etagMatches };
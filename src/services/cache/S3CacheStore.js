@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * Cache store backed by an S3-compatible bucket (AWS S3, MinIO, R2, …),
+ * addressed path-style as `<endpoint>/<bucket>/<prefix><key>` and signed
+ * with AWS Signature Version 4 — no SDK needed.
+ *
+ * Each object carries its expiry in `x-amz-meta-expires-at`; expired objects
+ * read as misses and are deleted. Add a bucket lifecycle rule on the prefix
+ * to clean up entries that are never read again.
+ *
+ * Env vars:
+ *   CACHE_S3_ENDPOINT           e.g. https://s3.eu-west-1.amazonaws.com or http://minio:9000
+ *   CACHE_S3_BUCKET
+ *   CACHE_S3_ACCESS_KEY_ID
+ *   CACHE_S3_SECRET_ACCESS_KEY
+ *   CACHE_S3_REGION             Signing region (default: us-east-1)
+ *   CACHE_S3_PREFIX             Key prefix inside the bucket (default: historai-cache/)
+ */
+
+const crypto = require('crypto');
+const axios  = require('axios');
+
+const CacheStore = require('./CacheStore');
+
+const REQUEST_TIMEOUT_MS = 15_000;
+
+const SAFE_KEY    = /^[\w-]{1,32}\/[\w-]{1,128}$/;
+const SAFE_PREFIX = /^[\w\-./]*$/;
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+class S3CacheStore extends CacheStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.endpoint]
+   * @param {string} [options.bucket]
+   * @param {string} [options.accessKeyId]
+   * @param {string} [options.secretAccessKey]
+   * @param {string} [options.region]
+   * @param {string} [options.prefix]
+   */
+  constructor({
+    endpoint        = process.env.CACHE_S3_ENDPOINT,
+    bucket          = process.env.CACHE_S3_BUCKET,
+    accessKeyId     = process.env.CACHE_S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.CACHE_S3_SECRET_ACCESS_KEY,
+    region          = process.env.CACHE_S3_REGION || 'us-east-1',
+    prefix          = process.env.CACHE_S3_PREFIX ?? 'historai-cache/',
+  } = {}) {
+    super();
+    for (const [name, value] of Object.entries({ endpoint, bucket, accessKeyId, secretAccessKey })) {
+      if (!value) throw new Error(`[S3CacheStore] ${name} is not set (CACHE_S3_* env vars)`);
+    }
+    if (!SAFE_PREFIX.test(prefix)) throw new Error(`[S3CacheStore] Invalid prefix "${prefix}"`);
+
+    this.endpoint        = endpoint.replace(/\/$/, '');
+    this.bucket          = bucket;
+    this.accessKeyId     = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.region          = region;
+    this.prefix          = prefix;
+  }
+
+  get name() {
+    return 's3';
+  }
+
+  /**
+   * Send a SigV4-signed request for one object.
+   *
+   * @param {'GET'|'PUT'|'DELETE'} method
+   * @param {string} key
+   * @param {object} [options]
+   * @param {Buffer} [options.body]
+   * @param {Object<string, string>} [options.headers]
+   * @returns {Promise<import('axios').AxiosResponse>}
+   */
+  async _request(method, key, { body = Buffer.alloc(0), headers = {} } = {}) {
+    if (!SAFE_KEY.test(key)) throw new Error(`[S3CacheStore] Invalid cache key "${key}"`);
+    const url = new URL(`${this.endpoint}/${this.bucket}/${this.prefix}${key}`);
+
+    const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const date    = amzDate.slice(0, 8);
+    const scope   = `${date}/${this.region}/s3/aws4_request`;
+    const signed  = {
+      ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])),
+      host:                   url.host,
+      'x-amz-content-sha256': sha256Hex(body),
+      'x-amz-date':           amzDate,
+    };
+    const names = Object.keys(signed).sort();
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      names.map(n => `${n}:${String(signed[n]).trim()}\n`).join(''),
+      names.join(';'),
+      signed['x-amz-content-sha256'],
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region), 's3'), 'aws4_request');
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    const { host, ...sendHeaders } = signed;
+    return axios.request({
+      method,
+      url:            url.toString(),
+      data:           method === 'PUT' ? body : undefined,
+      headers: {
+        ...sendHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
+      },
+      responseType:   'arraybuffer',
+      timeout:        REQUEST_TIMEOUT_MS,
+      maxBodyLength:  Infinity,
+      validateStatus: () => true,
+    });
+  }
+
+  _fail(action, key, res) {
+    const detail = Buffer.from(res.data || '').toString('utf-8').slice(0, 200);
+    return new Error(`[S3CacheStore] ${action} ${key} failed (HTTP ${res.status}): ${detail}`);
+  }
+
+  async get(key) {
+    const res = await this._request('GET', key);
+    if (res.status === 404) return null;
+    if (res.status !== 200) throw this._fail('GET', key, res);
+    if (Number(res.headers['x-amz-meta-expires-at']) <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+    return Buffer.from(res.data);
+  }
+
+  async set(key, value, ttlMs) {
+    const res = await this._request('PUT', key, {
+      body:    value,
+      headers: {
+        'Content-Type':          'application/octet-stream',
+        'x-amz-meta-expires-at': String(Date.now() + ttlMs),
+      },
+    });
+    if (res.status !== 200) throw this._fail('PUT', key, res);
+  }
+
+  async delete(key) {
+    const res = await this._request('DELETE', key);
+    if (res.status !== 204 && res.status !== 200 && res.status !== 404) throw this._fail('DELETE', key, res);
+  }
+}
+
+module.exports = S3CacheStore;
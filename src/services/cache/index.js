@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Cache store registry.
+ *
+ * The store is chosen by name — from the `CACHE_STORE` env var unless one is
+ * passed explicitly:
+ *
+ *   memory  In-process LRU, lost on restart (default)
+ *   file    Files under CACHE_DIR, survives restarts
+ *   s3      S3-compatible bucket (CACHE_S3_* env vars), shared by instances
+ *   none    Caching disabled
+ */
+
+const CacheStore       = require('./CacheStore');
+const MemoryCacheStore = require('./MemoryCacheStore');
+const FileCacheStore   = require('./FileCacheStore');
+const S3CacheStore     = require('./S3CacheStore');
+const { ReportCache, canonicalize, etagMatches } = require('./ReportCache');
+
+const STORES = {
+  memory: MemoryCacheStore,
+  file:   FileCacheStore,
+  s3:     S3CacheStore,
+};
+
+const DEFAULT_STORE = 'memory';
+
+/**
+ * Instantiate a cache store by name.
+ *
+ * @param {string} [name]     One of the keys of STORES, or 'none'. Defaults to CACHE_STORE.
+ * @param {object} [options]  Passed through to the store constructor.
+ * @returns {CacheStore|null}  null for 'none'
+ */
+function createCacheStore(name = process.env.CACHE_STORE || DEFAULT_STORE, options = {}) {
+  if (String(name).toLowerCase() === 'none') return null;
+  const Store = STORES[String(name).toLowerCase()];
+  if (!Store) {
+    throw new Error(
+      `[cache] Unknown CACHE_STORE "${name}" (expected one of: ${[...Object.keys(STORES), 'none'].join(', ')})`
+    );
+  }
+  return new Store(options);
+}
+
+module.exports = {
+  CacheStore,
+  MemoryCacheStore,
+  FileCacheStore,
+  S3CacheStore,
+  ReportCache,
+  STORES,
+  createCacheStore,
+  canonicalize,
+  etagMatches,
+};
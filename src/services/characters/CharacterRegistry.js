@@ -0,0 +1,306 @@
+'use strict';
+
+/**
+ * CharacterRegistry.js
+ *
+ * Character profiles, one file per character in CHARACTERS_DIR, named by the
+ * character id (`ada-lovelace.yaml`, `.yml` or `.json`):
+ *
+ *   name:      Ada Lovelace
+ *   tagline:   Mathematician & First Programmer
+ *   era:       Victorian Britain                   optional
+ *   birthYear: 1815
+ *   deathYear: 1852
+ *   bio: >
+ *     Wrote the first published computer program…
+ *   facts:                                         1–8 curated facts
+ *     - Daughter of the poet Lord Byron.
+ *   portrait:  portraits/ada-lovelace.png          optional: a PNG or JPEG in
+ *                                                  the directory, or an http(s) URL
+ *
+ * A report request that names a `characterId` gets the profile's name,
+ * metadata and portrait (see src/utils/reportRequest.js). Profiles written
+ * through the admin API are saved as `<id>.json`; an uploaded portrait (a
+ * data: URI) is saved as `portraits/<id>.<ext>`.
+ *
+ * Profiles are read once, by load(); a broken file fails startup rather than
+ * the requests that name it. Files and portraits are written to a temp file
+ * and renamed into place.
+ *
+ * Env vars:
+ *   CHARACTERS_DIR  Profile directory (default: config/characters)
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { parseYaml } = require('../../utils/yaml');
+const { checkImageUrl } = require('../../utils/htmlEscape');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', '..', 'config', 'characters');
+
+const SAFE_ID      = /^[a-z0-9](?:[a-z0-9-]{0,62}[a-z0-9])?$/;
+const PROFILE_FILE = /^(.+)\.(json|ya?ml)$/;
+const MAX_FACTS    = 8;
+const MAX_PORTRAIT_BYTES = 2 * 1024 * 1024;
+
+const PORTRAIT_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg' };
+const DATA_URI_RE    = /^data:image\/(png|jpe?g);base64,([A-Za-z0-9+/=\s]+)$/i;
+
+const FIELDS = ['name', 'tagline', 'era', 'birthYear', 'deathYear', 'bio', 'facts', 'portrait'];
+
+/**
+ * Thrown for a profile that fails validation. `statusCode` lets the admin
+ * routes answer 400 with the message.
+ */
+class CharacterProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name       = 'CharacterProfileError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * @typedef {Object} CharacterProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {string} tagline
+ * @property {string} [era]
+ * @property {string} birthYear
+ * @property {string} deathYear
+ * @property {string} bio
+ * @property {string[]} facts
+ * @property {string} [portrait]  A path inside the directory, or an http(s) URL
+ * @property {string} [updatedAt] ISO 8601, for profiles written through the API
+ */
+
+class CharacterRegistry {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir]
+   */
+  constructor({ dir = process.env.CHARACTERS_DIR || DEFAULT_DIR } = {}) {
+    this.dir      = dir;
+    this.profiles = new Map();
+    this.files    = new Map();
+  }
+
+  /**
+   * Read every profile in the directory. A missing directory is an empty
+   * registry; anything unreadable or invalid throws.
+   *
+   * @returns {CharacterRegistry}
+   */
+  load() {
+    const fail = (file, message) => { throw new Error(`[CharacterRegistry] ${path.join(this.dir, file)}: ${message}`); };
+    let entries = [];
+    try {
+      entries = fs.readdirSync(this.dir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    this.profiles.clear();
+    this.files.clear();
+    for (const file of entries.sort()) {
+      const m = PROFILE_FILE.exec(file);
+      if (!m) continue;
+      const id = m[1];
+      if (!SAFE_ID.test(id)) fail(file, 'file names must be lowercase letters, digits and dashes');
+      if (this.files.has(id)) fail(file, `same id as ${this.files.get(id)}`);
+
+      let parsed;
+      try {
+        const text = fs.readFileSync(path.join(this.dir, file), 'utf-8');
+        parsed = m[2] === 'json' ? JSON.parse(text) : parseYaml(text);
+      } catch (err) {
+        fail(file, err.message);
+      }
+      try {
+        this.profiles.set(id, this._validate(id, parsed));
+      } catch (err) {
+        if (err instanceof CharacterProfileError) fail(file, err.message);
+        throw err;
+      }
+      this.files.set(id, file);
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {CharacterProfile|null}
+   */
+  get(id) {
+    return this.profiles.get(id) || null;
+  }
+
+  /**
+   * @returns {CharacterProfile[]}  By id
+   */
+  list() {
+    return [...this.profiles.values()].sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Check a profile without saving it.
+   *
+   * @param {string} id
+   * @param {object} input
+   * @returns {CharacterProfile}
+   * @throws {CharacterProfileError}
+   */
+  _validate(id, input) {
+    const fail = message => { throw new CharacterProfileError(message); };
+    if (typeof id !== 'string' || !SAFE_ID.test(id)) fail('id must be lowercase letters, digits and dashes');
+    if (!input || typeof input !== 'object' || Array.isArray(input)) fail('profile must be an object');
+    const unknown = Object.keys(input).filter(key => !FIELDS.includes(key) && key !== 'id' && key !== 'updatedAt');
+    if (unknown.length) fail(`unknown field "${unknown[0]}" (expected: ${FIELDS.join(', ')})`);
+    if (input.id !== undefined && input.id !== id) fail(`id "${input.id}" does not match "${id}"`);
+
+    const text = (field, { optional = false } = {}) => {
+      let value = input[field];
+      if (typeof value === 'number' && (field === 'birthYear' || field === 'deathYear')) value = String(value);
+      if (value === undefined || value === null || value === '') {
+        if (!optional) fail(`${field} is required`);
+        return undefined;
+      }
+      if (typeof value !== 'string' || !value.trim()) fail(`${field} must be a non-empty string`);
+      return value.trim();
+    };
+
+    const profile = {
+      id,
+      name:      text('name'),
+      tagline:   text('tagline'),
+      era:       text('era', { optional: true }),
+      birthYear: text('birthYear'),
+      deathYear: text('deathYear'),
+      bio:       text('bio'),
+      facts:     input.facts,
+      portrait:  text('portrait', { optional: true }),
+      updatedAt: typeof input.updatedAt === 'string' ? input.updatedAt : undefined,
+    };
+    if (!Array.isArray(profile.facts) || !profile.facts.length || profile.facts.length > MAX_FACTS) {
+      fail(`facts must be a list of 1 to ${MAX_FACTS} facts`);
+    }
+    if (profile.facts.some(fact => typeof fact !== 'string' || !fact.trim())) fail('every fact must be a non-empty string');
+    profile.facts = profile.facts.map(fact => fact.trim());
+
+    if (profile.portrait && !DATA_URI_RE.test(profile.portrait)) this._checkPortrait(profile.portrait, fail);
+    for (const key of Object.keys(profile)) if (profile[key] === undefined) delete profile[key];
+    return profile;
+  }
+
+  _checkPortrait(portrait, fail) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(portrait)) {
+      const check = checkImageUrl(portrait, []);
+      if (!check.ok) fail(`portrait ${check.reason}`);
+      return;
+    }
+    const file = this._portraitPath(portrait);
+    if (!file) fail('portrait must be a path inside the characters directory');
+    const ext = path.extname(file).slice(1).toLowerCase();
+    if (!PORTRAIT_TYPES[ext]) fail('portrait must be a .png, .jpg or .jpeg file');
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      fail(`portrait file "${portrait}" does not exist`);
+    }
+    if (stat.size > MAX_PORTRAIT_BYTES) fail(`portrait file "${portrait}" is larger than ${MAX_PORTRAIT_BYTES / 1024 / 1024}MB`);
+  }
+
+  _portraitPath(portrait) {
+    const file = path.resolve(this.dir, portrait);
+    return file.startsWith(path.resolve(this.dir) + path.sep) ? file : null;
+  }
+
+  /**
+   * The profile's portrait as an image URL for the template: file portraits
+   * become data: URIs (the PDF backend cannot reach this directory), URLs are
+   * returned as they are.
+   *
+   * @param {CharacterProfile} profile
+   * @returns {string}  '' when the profile has no portrait
+   */
+  portraitUrl(profile) {
+    if (!profile.portrait) return '';
+    if (/^(https?|data):/i.test(profile.portrait)) return profile.portrait;
+    const file = this._portraitPath(profile.portrait);
+    const type = PORTRAIT_TYPES[path.extname(file).slice(1).toLowerCase()];
+    return `data:${type};base64,${fs.readFileSync(file).toString('base64')}`;
+  }
+
+  /**
+   * Create or replace a profile. `input.portrait` may be a data: URI, which
+   * is written to `portraits/<id>.<ext>`.
+   *
+   * @param {string} id
+   * @param {object} input
+   * @returns {Promise<{ profile: CharacterProfile, created: boolean }>}
+   * @throws {CharacterProfileError}
+   */
+  async save(id, input) {
+    const profile = this._validate(id, { ...input, updatedAt: undefined });
+    const created = !this.profiles.has(id);
+    const dir     = this.dir;
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const upload = profile.portrait && DATA_URI_RE.exec(profile.portrait);
+    if (upload) {
+      const bytes = Buffer.from(upload[2], 'base64');
+      if (bytes.length > MAX_PORTRAIT_BYTES) {
+        throw new CharacterProfileError(`portrait is larger than ${MAX_PORTRAIT_BYTES / 1024 / 1024}MB`);
+      }
+      const ext = upload[1].toLowerCase() === 'png' ? 'png' : 'jpg';
+      await this._removePortraits(id);
+      await fs.promises.mkdir(path.join(dir, 'portraits'), { recursive: true });
+      await this._write(path.join(dir, 'portraits', `${id}.${ext}`), bytes);
+      profile.portrait = `portraits/${id}.${ext}`;
+    } else if (!profile.portrait?.startsWith(`portraits/${id}.`)) {
+      await this._removePortraits(id);
+    }
+
+    profile.updatedAt = new Date().toISOString();
+    await this._write(path.join(dir, `${id}.json`), `${JSON.stringify(profile, null, 2)}\n`);
+    // A YAML original would shadow the new file on the next load
+    const previous = this.files.get(id);
+    if (previous && previous !== `${id}.json`) await fs.promises.rm(path.join(dir, previous), { force: true });
+
+    this.profiles.set(id, profile);
+    this.files.set(id, `${id}.json`);
+    return { profile, created };
+  }
+
+  /**
+   * Delete a profile and the portrait uploaded for it.
+   *
+   * @param {string} id
+   * @returns {Promise<boolean>}  false when there was no such profile
+   */
+  async remove(id) {
+    const file = this.files.get(id);
+    if (!file) return false;
+    await fs.promises.rm(path.join(this.dir, file), { force: true });
+    await this._removePortraits(id);
+    this.profiles.delete(id);
+    this.files.delete(id);
+    return true;
+  }
+
+  async _removePortraits(id) {
+    for (const ext of Object.keys(PORTRAIT_TYPES)) {
+      await fs.promises.rm(path.join(this.dir, 'portraits', `${id}.${ext}`), { force: true });
+    }
+  }
+
+  async _write(file, contents) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, contents);
+    await fs.promises.rename(tmp, file);
+  }
+}
+
+module.exports = { CharacterRegistry, CharacterProfileError };
@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * Character profiles (see CharacterRegistry.js).
+ *
+ * The report pipeline and the admin routes share one registry, read from
+ * CHARACTERS_DIR on first use.
+ */
+
+const { CharacterRegistry, CharacterProfileError } = require('./CharacterRegistry');
+
+let registry = null;
+
+/**
+ * The process-wide registry, loaded on first call. Throws when a profile
+ * file is invalid.
+ *
+ * @returns {CharacterRegistry}
+ */
+function getCharacterRegistry() {
+  if (!registry) registry = new CharacterRegistry().load();
+  return registry;
+}
+
+/**
+ * The report metadata fields of a profile, as a request's characterMetadata.
+ *
+ * @param {import('./CharacterRegistry').CharacterProfile} profile
+ * @returns {{ tagline: string, era?: string, birthYear: string, deathYear: string, bio: string, facts: string[] }}
+ */
+function profileMetadata({ tagline, era, birthYear, deathYear, bio, facts }) {
+  return era ? { tagline, era, birthYear, deathYear, bio, facts } : { tagline, birthYear, deathYear, bio, facts };
+}
+
+module.exports = { CharacterRegistry, CharacterProfileError, getCharacterRegistry, profileMetadata };
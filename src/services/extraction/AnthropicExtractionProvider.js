@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * AnthropicExtractionProvider.js
+ *
+ * Extraction provider for an Anthropic-style Messages endpoint.
+ *
+ *   POST {baseUrl}/messages
+ *   Headers: x-api-key: <apiKey>, anthropic-version: 2023-06-01
+ *   Body:    { model, max_tokens, system, messages: [{ role: 'user', content }] }
+ *   → { content: [{ type: 'text', text }] }
+ *
+ * Environment variables (used when no options are passed):
+ *   ANTHROPIC_API_KEY       Required
+ *   ANTHROPIC_BASE_URL      Default https://api.anthropic.com/v1
+ *   ANTHROPIC_MODEL         Default claude-3-5-sonnet-latest
+ *   EXTRACTION_CHUNK_CHARS  Default 24000 — longer transcripts are extracted in chunks
+ */
+
+const axios = require('axios');
+
+const ExtractionProvider = require('./ExtractionProvider');
+const { buildExtractionPrompt, buildRepairTurns, parseModelJson, decodeError } = require('./prompt');
+const { componentLogger } = require('../../utils/logger');
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com/v1';
+const DEFAULT_MODEL    = 'claude-3-5-sonnet-latest';
+const API_VERSION      = '2023-06-01';
+
+class AnthropicExtractionProvider extends ExtractionProvider {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.apiKey]
+   * @param {string} [options.baseUrl]
+   * @param {string} [options.model]
+   * @param {number} [options.maxTokens]
+   * @param {number} [options.timeoutMs]
+   * @param {number} [options.chunkChars]  Longest transcript sent in one request
+   */
+  constructor(options = {}) {
+    super();
+    this.apiKey     = options.apiKey  ?? process.env.ANTHROPIC_API_KEY;
+    this.baseUrl    = (options.baseUrl ?? process.env.ANTHROPIC_BASE_URL ?? DEFAULT_BASE_URL).replace(/\/$/, '');
+    this.model      = options.model   ?? process.env.ANTHROPIC_MODEL ?? DEFAULT_MODEL;
+    this.maxTokens  = options.maxTokens ?? 4096;
+    this.timeoutMs  = options.timeoutMs ?? 60_000;
+    this.chunkChars = options.chunkChars ?? parseInt(process.env.EXTRACTION_CHUNK_CHARS || '24000', 10);
+
+    if (!this.apiKey) {
+      throw new Error('[AnthropicExtractionProvider] ANTHROPIC_API_KEY is not set');
+    }
+  }
+
+  get name() {
+    return 'anthropic';
+  }
+
+  get supportsRepair() {
+    return true;
+  }
+
+  get maxTranscriptChars() {
+    return this.chunkChars;
+  }
+
+  /**
+   * @param {import('./ExtractionProvider').ExtractionInput} input
+   * @returns {Promise<import('./ExtractionProvider').ExtractedContent>}
+   */
+  async extract(input) {
+    const endpoint = `${this.baseUrl}/messages`;
+    const { system, user } = buildExtractionPrompt(input);
+    componentLogger('AnthropicExtractionProvider', input.log).info(`POST ${endpoint}`, { model: this.model });
+
+    let res;
+    try {
+      res = await axios.post(
+        endpoint,
+        {
+          model:      this.model,
+          max_tokens: this.maxTokens,
+          system,
+          messages:   [{ role: 'user', content: user }, ...buildRepairTurns(input.repair)],
+        },
+        {
+          headers: {
+            'Content-Type':      'application/json',
+            'x-api-key':         this.apiKey,
+            'anthropic-version': API_VERSION,
+          },
+          timeout: this.timeoutMs,
+        }
+      );
+    } catch (err) {
+      throw new Error(
+        `[AnthropicExtractionProvider] Request failed (HTTP ${err.response?.status ?? 'N/A'}): ${decodeError(err)}`
+      );
+    }
+
+    const blocks = Array.isArray(res.data?.content) ? res.data.content : [];
+    const text   = blocks.filter(b => b.type === 'text').map(b => b.text).join('');
+    try {
+      return parseModelJson(text);
+    } catch (err) {
+      throw new Error(`[AnthropicExtractionProvider] ${err.message}`);
+    }
+  }
+}
+
+module.exports = AnthropicExtractionProvider;
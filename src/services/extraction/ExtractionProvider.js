@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * Abstract base class for transcript extraction providers.
+ *
+ * A provider turns a raw conversation transcript into the transcript-derived
+ * half of a ReportData object. Character profile fields (tagline, bio, facts…)
+ * and session fields are merged in by llmProcessor, not by the provider.
+ *
+ * Subclasses must implement extract(input).
+ *
+ * @typedef {Object} ExtractionInput
+ * @property {string} transcript         Raw conversation transcript text
+ * @property {string} characterName      E.g. "Albert Einstein"
+ * @property {object} characterMetadata  From the API request body
+ * @property {string} [locale]           BCP 47 tag of the language to write in (default: en)
+ * @property {{ previous: object, errors: { path: string, message: string }[] }} [repair]
+ *           Set on a re-prompt after the previous output failed validation
+ * @property {import('../../utils/logger').Logger} [log]  The caller's logger (request id)
+ *
+ * @typedef {Object} ExtractedContent
+ * @property {string} sessionSummary
+ * @property {string} headlineInsight
+ * @property {import('../PdfService').ThemeEntry[]} themes
+ * @property {import('../PdfService').ResourceEntry[]} resources
+ * @property {string[]} reflectionQuestions
+ */
+class ExtractionProvider {
+  /**
+   * Short identifier used in logs and error messages.
+   *
+   * @returns {string}
+   */
+  get name() {
+    return this.constructor.name;
+  }
+
+  /**
+   * Whether re-calling extract() with `input.repair` can fix invalid output.
+   * Deterministic providers return false — asking again yields the same answer.
+   *
+   * @returns {boolean}
+   */
+  get supportsRepair() {
+    return false;
+  }
+
+  /**
+   * The longest transcript extract() is given in one call. Longer transcripts
+   * are split at turn boundaries, extracted chunk by chunk and merged by
+   * llmProcessor. Providers without a context window return Infinity.
+   *
+   * @returns {number}
+   */
+  get maxTranscriptChars() {
+    return Infinity;
+  }
+
+  /**
+   * Extract report content from a transcript.
+   *
+   * @param {ExtractionInput} input
+   * @returns {Promise<ExtractedContent>}
+   */
+  async extract(input) {
+    throw new Error('extract() must be implemented by subclass');
+  }
+}
+
+module.exports = ExtractionProvider;
@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * HeuristicExtractionProvider.js
+ *
+ * Deterministic, offline extraction provider — no network, no API keys.
+ * Delegates to the TF-IDF transcript analyzer (src/utils/transcriptAnalyzer.js),
+ * which clusters the conversation into themes, picks verbatim character quotes,
+ * and templates the summary, resources and reflection questions.
+ *
+ * The same transcript always yields the same report, which makes this the
+ * default provider for local development and tests.
+ *
+ * Its summary, resources and questions are English templates, so it ignores
+ * `locale`; the report's headings and labels are still localized.
+ */
+
+const ExtractionProvider   = require('./ExtractionProvider');
+const { analyzeTranscript } = require('../../utils/transcriptAnalyzer');
+
+class HeuristicExtractionProvider extends ExtractionProvider {
+  get name() {
+    return 'heuristic';
+  }
+
+  /**
+   * @param {import('./ExtractionProvider').ExtractionInput} input
+   * @returns {Promise<import('./ExtractionProvider').ExtractedContent>}
+   */
+  async extract({ transcript, characterName }) {
+    return analyzeTranscript(transcript, { characterName });
+  }
+}
+
+module.exports = HeuristicExtractionProvider;
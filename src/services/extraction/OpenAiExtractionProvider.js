@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * OpenAiExtractionProvider.js
+ *
+ * Extraction provider for any OpenAI-compatible Chat Completions endpoint
+ * (OpenAI, Azure OpenAI proxies, vLLM, Ollama, LM Studio…).
+ *
+ *   POST {baseUrl}/chat/completions
+ *   Headers: Authorization: Bearer <apiKey>
+ *   Body:    { model, messages, temperature, response_format: { type: 'json_object' } }
+ *   → { choices: [{ message: { content } }] }
+ *
+ * Environment variables (used when no options are passed):
+ *   OPENAI_API_KEY          Required
+ *   OPENAI_BASE_URL         Default https://api.openai.com/v1
+ *   OPENAI_MODEL            Default gpt-4o-mini
+ *   EXTRACTION_CHUNK_CHARS  Default 24000 — longer transcripts are extracted in chunks
+ */
+
+const axios = require('axios');
+
+const ExtractionProvider = require('./ExtractionProvider');
+const { buildExtractionPrompt, buildRepairTurns, parseModelJson, decodeError } = require('./prompt');
+const { componentLogger } = require('../../utils/logger');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL    = 'gpt-4o-mini';
+
+class OpenAiExtractionProvider extends ExtractionProvider {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.apiKey]
+   * @param {string} [options.baseUrl]
+   * @param {string} [options.model]
+   * @param {number} [options.timeoutMs]
+   * @param {number} [options.chunkChars]  Longest transcript sent in one request
+   */
+  constructor(options = {}) {
+    super();
+    this.apiKey     = options.apiKey  ?? process.env.OPENAI_API_KEY;
+    this.baseUrl    = (options.baseUrl ?? process.env.OPENAI_BASE_URL ?? DEFAULT_BASE_URL).replace(/\/$/, '');
+    this.model      = options.model   ?? process.env.OPENAI_MODEL ?? DEFAULT_MODEL;
+    this.timeoutMs  = options.timeoutMs ?? 60_000;
+    this.chunkChars = options.chunkChars ?? parseInt(process.env.EXTRACTION_CHUNK_CHARS || '24000', 10);
+
+    if (!this.apiKey) {
+      throw new Error('[OpenAiExtractionProvider] OPENAI_API_KEY is not set');
+    }
+  }
+
+  get name() {
+    return 'openai';
+  }
+
+  get supportsRepair() {
+    return true;
+  }
+
+  get maxTranscriptChars() {
+    return this.chunkChars;
+  }
+
+  /**
+   * @param {import('./ExtractionProvider').ExtractionInput} input
+   * @returns {Promise<import('./ExtractionProvider').ExtractedContent>}
+   */
+  async extract(input) {
+    const endpoint = `${this.baseUrl}/chat/completions`;
+    const { system, user } = buildExtractionPrompt(input);
+    componentLogger('OpenAiExtractionProvider', input.log).info(`POST ${endpoint}`, { model: this.model });
+
+    let res;
+    try {
+      res = await axios.post(
+        endpoint,
+        {
+          model:           this.model,
+          temperature:     0.2,
+          response_format: { type: 'json_object' },
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user',   content: user },
+            ...buildRepairTurns(input.repair),
+          ],
+        },
+        {
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${this.apiKey}` },
+          timeout: this.timeoutMs,
+        }
+      );
+    } catch (err) {
+      throw new Error(
+        `[OpenAiExtractionProvider] Request failed (HTTP ${err.response?.status ?? 'N/A'}): ${decodeError(err)}`
+      );
+    }
+
+    const content = res.data?.choices?.[0]?.message?.content;
+    try {
+      return parseModelJson(content);
+    } catch (err) {
+      throw new Error(`[OpenAiExtractionProvider] ${err.message}`);
+    }
+  }
+}
+
+module.exports = OpenAiExtractionProvider;
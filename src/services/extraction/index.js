@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Extraction provider registry.
+ *
+ * The provider is chosen by name — from the `EXTRACTION_PROVIDER` env var
+ * unless one is passed explicitly:
+ *
+ *   heuristic  Offline, deterministic (default)
+ *   openai     OpenAI-compatible Chat Completions endpoint
+ *   anthropic  Anthropic-style Messages endpoint
+ */
+
+const ExtractionProvider          = require('./ExtractionProvider');
+const HeuristicExtractionProvider = require('./HeuristicExtractionProvider');
+const OpenAiExtractionProvider    = require('./OpenAiExtractionProvider');
+const AnthropicExtractionProvider = require('./AnthropicExtractionProvider');
+
+const PROVIDERS = {
+  heuristic: HeuristicExtractionProvider,
+  openai:    OpenAiExtractionProvider,
+  anthropic: AnthropicExtractionProvider,
+};
+
+const DEFAULT_PROVIDER = 'heuristic';
+
+/**
+ * Instantiate an extraction provider by name.
+ *
+ * @param {string} [name]     One of the keys of PROVIDERS. Defaults to EXTRACTION_PROVIDER.
+ * @param {object} [options]  Passed through to the provider constructor.
+ * @returns {ExtractionProvider}
+ */
+function createExtractionProvider(name = process.env.EXTRACTION_PROVIDER || DEFAULT_PROVIDER, options = {}) {
+  const Provider = PROVIDERS[String(name).toLowerCase()];
+  if (!Provider) {
+    throw new Error(
+      `[extraction] Unknown EXTRACTION_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`
+    );
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  ExtractionProvider,
+  HeuristicExtractionProvider,
+  OpenAiExtractionProvider,
+  AnthropicExtractionProvider,
+  PROVIDERS,
+  createExtractionProvider,
+};
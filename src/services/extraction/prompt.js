@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * prompt.js
+ *
+ * Prompt construction and response parsing shared by the LLM-backed
+ * extraction providers (OpenAI-compatible and Anthropic-style).
+ */
+
+const { DEFAULT_LOCALE, languageName } = require('../../utils/i18n');
+
+const SYSTEM_PROMPT = [
+  'You turn a conversation between a user and an AI-voiced historical figure into',
+  'structured data for a printed "Conversation Summary Report".',
+  '',
+  'Respond with a single JSON object and nothing else. It must have exactly these keys:',
+  '  "sessionSummary":      string — one paragraph (80–120 words) describing what was discussed',
+  '  "headlineInsight":     string — the single most memorable idea from the conversation',
+  '  "themes":              array of 3 objects { "name", "explanation", "quote", "context" }',
+  '                          name        — short title (max 8 words)',
+  '                          explanation — 2–3 sentences on how the theme came up in the conversation',
+  '                          quote       — a sentence the character actually said in the transcript, verbatim',
+  '                          context     — 3–5 sentences of historical background for the theme',
+  '  "resources":           array of 3 objects { "topic", "whyItMatters", "whereToLearnMore" }',
+  '  "reflectionQuestions": array of 5 strings — open questions addressed to the user',
+  '',
+  'Ground every theme in the transcript. Never invent quotes.',
+].join('\n');
+
+/**
+ * Build the system and user messages for an extraction request. For a
+ * locale other than English the system prompt also asks for the report in
+ * that language.
+ *
+ * @param {import('./ExtractionProvider').ExtractionInput} input
+ * @returns {{ system: string, user: string }}
+ */
+function buildExtractionPrompt({ transcript, characterName, characterMetadata, locale = DEFAULT_LOCALE }) {
+  const profile = [];
+  if (characterMetadata?.tagline) profile.push(`Tagline: ${characterMetadata.tagline}`);
+  if (characterMetadata?.birthYear || characterMetadata?.deathYear) {
+    profile.push(`Lived: ${characterMetadata.birthYear || '?'}–${characterMetadata.deathYear || '?'}`);
+  }
+  if (characterMetadata?.era) profile.push(`Era: ${characterMetadata.era}`);
+  if (characterMetadata?.bio) profile.push(`Bio: ${characterMetadata.bio}`);
+
+  const user = [
+    `Character: ${characterName}`,
+    ...profile,
+    '',
+    'Transcript:',
+    '"""',
+    transcript,
+    '"""',
+  ].join('\n');
+
+  if (locale === DEFAULT_LOCALE) return { system: SYSTEM_PROMPT, user };
+
+  // Quotes stay in the transcript's own words whatever the report language
+  const language = languageName(locale);
+  const system = [
+    SYSTEM_PROMPT,
+    '',
+    `Write every string value in ${language} (locale "${locale}"), whatever language the transcript is in.`,
+    'The one exception is "quote": copy it from the transcript verbatim, untranslated.',
+  ].join('\n');
+  return { system, user };
+}
+
+/**
+ * Build the extra conversation turns for a repair attempt: the model's
+ * previous answer as the assistant turn, then a user turn listing what was
+ * wrong with it. Returns no turns for a first attempt.
+ *
+ * @param {{ previous: object, errors: { path: string, message: string }[] }} [repair]
+ * @returns {{ role: 'assistant' | 'user', content: string }[]}
+ */
+function buildRepairTurns(repair) {
+  if (!repair) return [];
+  const feedback = [
+    'Your previous JSON did not match the required structure:',
+    ...repair.errors.map(e => `  - ${e.path}: ${e.message}`),
+    '',
+    'Return the complete corrected JSON object — all keys, not just the fixed ones — and nothing else.',
+  ].join('\n');
+  return [
+    { role: 'assistant', content: JSON.stringify(repair.previous) },
+    { role: 'user',      content: feedback },
+  ];
+}
+
+/**
+ * Parse the JSON object out of a model response. Tolerates Markdown code
+ * fences and leading/trailing prose around the object.
+ *
+ * @param {string} text  Raw model output.
+ * @returns {object}
+ */
+function parseModelJson(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Model returned an empty response');
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+
+  const start = candidate.indexOf('{');
+  const end   = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error(`Model response contains no JSON object: ${text.slice(0, 200)}`);
+  }
+
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch (err) {
+    throw new Error(`Model response is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Turn an axios error into a readable message (mirrors the Foxit clients).
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+function decodeError(err) {
+  if (!err.response) return err.message;
+  try {
+    if (Buffer.isBuffer(err.response.data) || err.response.data instanceof ArrayBuffer) {
+      return Buffer.from(err.response.data).toString('utf-8');
+    }
+    return typeof err.response.data === 'string'
+      ? err.response.data
+      : JSON.stringify(err.response.data);
+  } catch {
+    return String(err.response.status);
+  }
+}
+
+module.exports = { SYSTEM_PROMPT, buildExtractionPrompt, buildRepairTurns, parseModelJson, decodeError };
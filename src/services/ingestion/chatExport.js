@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * chatExport.js
+ *
+ * Exported chat JSON — an object holding the conversation rather than a bare
+ * message array. Two shapes are read:
+ *
+ *   { "messages": [ … ] }   HistorAI and most chat apps (Telegram, Slack-style
+ *                           exports). Each message names its sender in
+ *                           role | author | sender | from | speaker | name
+ *                           (a string, or { role, name }), its text in
+ *                           content | text | message | body (a string, an
+ *                           array of strings / { text } entities, or
+ *                           { parts: [...] }), and optionally its time in
+ *                           timestamp | time | date | created_at | createdAt
+ *                           | create_time
+ *
+ *   { "mapping": { … } }    ChatGPT's conversations export: a tree of nodes
+ *                           with { message: { author: { role }, content: { parts }, create_time } },
+ *                           read in create_time order
+ *
+ * In a two-person chat where one sender is the character, the other sender
+ * is taken to be the user even when their name is not known.
+ */
+
+const { TranscriptFormatError, attribute, parseTimestamp, relativeTimes } = require('./turns');
+const { contentText } = require('./messages');
+
+const SENDER_FIELDS = ['role', 'author', 'sender', 'from', 'speaker', 'name'];
+const TEXT_FIELDS   = ['content', 'text', 'message', 'body'];
+const TIME_FIELDS   = ['timestamp', 'time', 'date', 'created_at', 'createdAt', 'create_time'];
+const ROLE_WORDS    = /^(user|human|assistant|character|bot|ai|model|system|tool|function)$/i;
+
+const pick = (msg, fields) => fields.map(field => msg[field]).find(value => value !== undefined && value !== null);
+
+function senderOf(msg) {
+  const sender = pick(msg, SENDER_FIELDS);
+  if (sender && typeof sender === 'object') return { role: sender.role, speaker: sender.name };
+  if (typeof sender !== 'string') return {};
+  // A role word given as the sender name ("assistant") is a role, not a name
+  return ROLE_WORDS.test(sender.trim()) ? { role: sender } : { speaker: sender, role: msg.role };
+}
+
+function textOf(msg) {
+  const value = pick(msg, TEXT_FIELDS);
+  if (value && typeof value === 'object' && !Array.isArray(value) && Array.isArray(value.parts)) {
+    return contentText(value.parts);
+  }
+  return contentText(value);
+}
+
+/** The message list of a ChatGPT-style mapping, oldest first. */
+function mappingMessages(mapping) {
+  return Object.values(mapping)
+    .map(node => node?.message)
+    .filter(Boolean)
+    .sort((a, b) => (a.create_time ?? 0) - (b.create_time ?? 0));
+}
+
+/**
+ * @param {object} chat
+ * @param {import('./turns').IngestContext} context
+ * @returns {import('./turns').Turn[]}
+ */
+function parse(chat, context) {
+  let messages;
+  if (Array.isArray(chat.messages)) messages = chat.messages;
+  else if (chat.mapping && typeof chat.mapping === 'object') messages = mappingMessages(chat.mapping);
+  else throw new TranscriptFormatError('must be a chat export with a "messages" array or a "mapping" object');
+
+  const timed = [];
+  messages.forEach((msg, i) => {
+    if (!msg || typeof msg !== 'object') throw new TranscriptFormatError(`messages[${i}] must be an object`);
+    // Service messages (joins, pins, attachments) carry no text
+    if (pick(msg, TEXT_FIELDS) === undefined) return;
+    const sender = senderOf(msg);
+    if (!sender.role && !sender.speaker) {
+      throw new TranscriptFormatError(`messages[${i}] has no sender (expected one of: ${SENDER_FIELDS.join(', ')})`);
+    }
+    const text = textOf(msg);
+    if (text === null) throw new TranscriptFormatError(`messages[${i}] text must be a string or a list of text parts`);
+    const who = attribute(sender, context);
+    if (who && text) timed.push({ turn: { ...who, text, end: null }, at: parseTimestamp(pick(msg, TIME_FIELDS)) });
+  });
+  if (!timed.length) throw new TranscriptFormatError('contains no messages with text');
+
+  const turns = relativeTimes(timed);
+  const others = new Set(turns.filter(turn => turn.role === 'other').map(turn => turn.speaker));
+  if (others.size === 1 && turns.some(turn => turn.role === 'character') && !turns.some(turn => turn.role === 'user')) {
+    for (const turn of turns) if (turn.role === 'other') turn.role = 'user';
+  }
+  return turns;
+}
+
+module.exports = { name: 'chat-json', type: 'object', parse };
@@ -0,0 +1,200 @@
+'use strict';
+
+/**
+ * Transcript ingestion adapters.
+ *
+ * `transcript` in a report request can be any of these formats; each adapter
+ * normalizes its format into the common turn model (src/services/ingestion/turns.js)
+ * with speaker attribution and, where the format has them, timestamps:
+ *
+ *   text       "Speaker: text" lines — the original format (default for strings)
+ *   messages   [{ role, content, timestamp }] message arrays
+ *   webvtt     WebVTT captions from voice sessions
+ *   srt        SRT captions from voice sessions
+ *   chat-json  Exported chat JSON: { messages: [...] } or ChatGPT's { mapping }
+ *
+ * The format is detected from the value unless the request names it in
+ * `transcriptFormat`. Extraction providers read the turns back as text
+ * (formatTurns); timed turns give the session's duration (sessionSeconds);
+ * and transcripts longer than a provider accepts are split at turn
+ * boundaries (chunkTurns).
+ */
+
+const { TranscriptFormatError } = require('./turns');
+const text       = require('./text');
+const messages   = require('./messages');
+const chatExport = require('./chatExport');
+const { webvtt, srt } = require('./subtitles');
+
+const ADAPTERS = {
+  text,
+  messages,
+  webvtt,
+  srt,
+  'chat-json': chatExport,
+};
+
+const TRANSCRIPT_FORMATS = Object.keys(ADAPTERS);
+
+const SRT_RE = /^\s*\d+\s*\r?\n\s*\d+:\d{2}:\d{2}[,.]\d{1,3}\s+-->/;
+
+/**
+ * The format a transcript value looks like.
+ *
+ * @param {*} transcript
+ * @returns {string|null}  A TRANSCRIPT_FORMATS entry, or null for unsupported values
+ */
+function detectFormat(transcript) {
+  if (Array.isArray(transcript)) return 'messages';
+  if (transcript && typeof transcript === 'object') return 'chat-json';
+  if (typeof transcript !== 'string') return null;
+  if (/^\uFEFF?WEBVTT(?:[ \t\r\n]|$)/.test(transcript)) return 'webvtt';
+  if (SRT_RE.test(transcript.replace(/^\uFEFF/, ''))) return 'srt';
+  return 'text';
+}
+
+const EXPECTED = { string: 'a string', array: 'an array', object: 'an object' };
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  return value === null ? 'null' : typeof value;
+}
+
+/**
+ * @typedef {Object} IngestedTranscript
+ * @property {string} format            The adapter that read it
+ * @property {import('./turns').Turn[]} turns
+ * @property {string} text              What extraction providers read: the original
+ *                                      string for untimed `text`, formatTurns() otherwise
+ * @property {number|null} durationSeconds  From the turn timestamps, when there are any
+ */
+
+/**
+ * Read a transcript into turns.
+ *
+ * @param {*} transcript          The request's `transcript` value
+ * @param {object} options
+ * @param {string} [options.format]         A TRANSCRIPT_FORMATS entry (default: detected)
+ * @param {string} options.characterName
+ * @param {string} [options.userName]
+ * @returns {IngestedTranscript}
+ * @throws {TranscriptFormatError} when the value cannot be read
+ */
+function ingestTranscript(transcript, { format, characterName, userName } = {}) {
+  const name = format || detectFormat(transcript);
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    throw new TranscriptFormatError(
+      name ? `format must be one of: ${TRANSCRIPT_FORMATS.join(', ')}` : 'must be a string, a message array or a chat export object'
+    );
+  }
+  if (typeOf(transcript) !== adapter.type) {
+    throw new TranscriptFormatError(`must be ${EXPECTED[adapter.type]} for format "${name}"`);
+  }
+
+  let turns;
+  try {
+    turns = adapter.parse(transcript, { characterName, userName });
+  } catch (err) {
+    if (err instanceof TranscriptFormatError) err.message = `(${name}) ${err.message}`;
+    throw err;
+  }
+  // Free-form text without speaker labels is still accepted, as it always was
+  if (!turns.length && name !== 'text') throw new TranscriptFormatError(`(${name}) contains no conversation turns`);
+
+  const durationSeconds = sessionSeconds(turns);
+  return {
+    format: name,
+    turns,
+    // Untimed text goes to extraction exactly as sent; anything else is rewritten
+    text:   name === 'text' && durationSeconds === null ? transcript : formatTurns(turns),
+    durationSeconds,
+  };
+}
+
+/**
+ * Write turns as "Speaker: text" lines. The learner's turns are labelled
+ * `User` so every extraction provider recognises them.
+ *
+ * @param {import('./turns').Turn[]} turns
+ * @returns {string}
+ */
+function formatTurns(turns) {
+  return turns.map(turn => `${turn.role === 'user' ? 'User' : turn.speaker}: ${turn.text}`).join('\n');
+}
+
+/**
+ * The session length covered by timed turns: from the first start to the
+ * last end (or start).
+ *
+ * @param {import('./turns').Turn[]} turns
+ * @returns {number|null}  Seconds, or null when no turn is timed
+ */
+function sessionSeconds(turns) {
+  const starts = turns.map(turn => turn.start).filter(time => time !== null);
+  if (!starts.length) return null;
+  const ends = turns.map(turn => turn.end ?? turn.start).filter(time => time !== null);
+  return Math.max(0, Math.max(...ends) - Math.min(...starts));
+}
+
+/**
+ * Split turns into consecutive chunks whose formatted text stays under
+ * `maxChars`. Chunks break between turns — never inside one unless a single
+ * turn is longer than `maxChars`, in which case it is split at sentence
+ * boundaries — and start with a user turn where possible, so a question stays
+ * with its answer.
+ *
+ * @param {import('./turns').Turn[]} turns
+ * @param {number} maxChars
+ * @returns {import('./turns').Turn[][]}
+ */
+function chunkTurns(turns, maxChars) {
+  const size = turn => formatTurns([turn]).length + 1;
+
+  // Oversized turns become several turns by the same speaker
+  const pieces = turns.flatMap(turn => {
+    if (size(turn) <= maxChars) return [turn];
+    const budget = Math.max(1, maxChars - size({ ...turn, text: '' }));
+    const parts = [''];
+    for (const sentence of turn.text.match(/[^.!?]+(?:[.!?]+\s*|$)/g) || []) {
+      for (let i = 0; i < sentence.length; i += budget) {
+        const piece = sentence.slice(i, i + budget);
+        if (parts[parts.length - 1].length + piece.length > budget) parts.push('');
+        parts[parts.length - 1] += piece;
+      }
+    }
+    return parts.map(part => part.trim()).filter(Boolean).map(part => ({ ...turn, text: part }));
+  });
+
+  const chunks = [];
+  let chunk = [];
+  let length = 0;
+  for (const turn of pieces) {
+    if (chunk.length && length + size(turn) > maxChars) {
+      // Carry a trailing user question over to the chunk with its answer
+      const carry = chunk.length > 1 && chunk[chunk.length - 1].role === 'user' && turn.role !== 'user' ? [chunk.pop()] : [];
+      chunks.push(chunk);
+      chunk = carry;
+      length = carry.reduce((sum, t) => sum + size(t), 0);
+      if (length + size(turn) > maxChars) {
+        chunks.push(chunk);
+        chunk = [];
+        length = 0;
+      }
+    }
+    chunk.push(turn);
+    length += size(turn);
+  }
+  if (chunk.length) chunks.push(chunk);
+  return chunks.filter(c => c.length);
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  TranscriptFormatError,
+  detectFormat,
+  ingestTranscript,
+  formatTurns,
+  sessionSeconds,
+  chunkTurns,
+};
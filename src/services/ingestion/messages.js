@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * messages.js
+ *
+ * Structured message arrays, as chat APIs and the HistorAI client keep them:
+ *
+ *   [
+ *     { "role": "user",      "content": "Could it ever think?", "timestamp": "2026-03-01T10:00:00Z" },
+ *     { "role": "assistant", "content": "It has no pretensions to originate anything.", "timestamp": 1772359260 }
+ *   ]
+ *
+ * `role` is user | assistant (or character); system messages are dropped.
+ * An optional `name` overrides the speaker's display name. `content` may
+ * also be an array of parts ({ type: 'text', text }), as in multimodal chat
+ * APIs — only the text parts are kept. `timestamp` is ISO 8601 or epoch
+ * seconds / milliseconds, and optional.
+ */
+
+const { TranscriptFormatError, attribute, parseTimestamp, relativeTimes } = require('./turns');
+
+/**
+ * The text of a message's content: a string, or the text parts of an array.
+ *
+ * @param {*} content
+ * @returns {string|null}  null when the content is not text at all
+ */
+function contentText(content) {
+  if (typeof content === 'string') return content.trim();
+  if (Array.isArray(content)) {
+    return content
+      .map(part => (typeof part === 'string' ? part : part?.type === 'text' || typeof part?.text === 'string' ? part.text : ''))
+      .join('')
+      .trim();
+  }
+  return null;
+}
+
+/**
+ * @param {object[]} messages
+ * @param {import('./turns').IngestContext} context
+ * @returns {import('./turns').Turn[]}
+ */
+function parse(messages, context) {
+  if (!messages.length) throw new TranscriptFormatError('must contain at least one message');
+
+  const timed = [];
+  messages.forEach((msg, i) => {
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+      throw new TranscriptFormatError(`[${i}] must be an object with role and content`);
+    }
+    if (typeof msg.role !== 'string' || !msg.role.trim()) {
+      throw new TranscriptFormatError(`[${i}].role is required`);
+    }
+    const text = contentText(msg.content);
+    if (text === null) throw new TranscriptFormatError(`[${i}].content must be a string or an array of text parts`);
+    const at = parseTimestamp(msg.timestamp);
+    if (msg.timestamp !== undefined && msg.timestamp !== null && at === null) {
+      throw new TranscriptFormatError(`[${i}].timestamp must be ISO 8601 or epoch seconds/milliseconds`);
+    }
+
+    const who = attribute({ speaker: msg.name, role: msg.role }, context);
+    if (!who) return;
+    if (who.role === 'other') throw new TranscriptFormatError(`[${i}].role must be user, assistant or system (got "${msg.role}")`);
+    if (text) timed.push({ turn: { ...who, text, end: null }, at });
+  });
+  return relativeTimes(timed);
+}
+
+module.exports = { name: 'messages', type: 'array', parse, contentText };
@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * subtitles.js
+ *
+ * WebVTT and SRT captions from voice sessions:
+ *
+ *   WEBVTT
+ *
+ *   00:00:01.000 --> 00:00:04.200
+ *   <v User>Could it ever think?
+ *
+ *   00:00:05.000 --> 00:00:09.800
+ *   <v Ada Lovelace>It has no pretensions to originate anything.
+ *
+ * The speaker comes from a WebVTT voice tag (`<v Name>`) or a `Name:` prefix
+ * on the cue text; a cue without either continues the previous speaker.
+ * Consecutive cues by the same speaker are joined into one turn spanning
+ * their times. Other markup (<i>, <b>, <c.class>, timestamps) is removed,
+ * and WebVTT NOTE, STYLE and REGION blocks are skipped.
+ */
+
+const { TranscriptFormatError, attribute, parseClock } = require('./turns');
+
+const TIMING_RE = /^\s*(\S+)\s+-->\s+(\S+)/;
+const VOICE_RE  = /^<v(?:\.[\w.-]+)?\s+([^>]+)>/i;
+const PREFIX_RE = /^(?:-\s*)?([A-Z][\w .'-]{0,40}):\s+/;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&lrm;': '', '&rlm;': '' };
+
+function cleanText(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, entity => ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split captions into cues: { start, end, speaker?, text }.
+ *
+ * @param {string} source
+ * @param {'webvtt'|'srt'} format
+ */
+function parseCues(source, format) {
+  const blocks = source.replace(/^\uFEFF/, '').split(/\r?\n[ \t]*\r?\n/);
+  if (format === 'webvtt') {
+    if (!/^WEBVTT(?:[ \t].*)?$/.test(blocks[0].split(/\r?\n/)[0])) {
+      throw new TranscriptFormatError('must start with a WEBVTT header');
+    }
+    blocks.shift();
+  }
+
+  const cues = [];
+  for (const block of blocks) {
+    const lines = block.split(/\r?\n/).filter(line => line.trim());
+    if (!lines.length || (format === 'webvtt' && /^(NOTE|STYLE|REGION)\b/.test(lines[0]))) continue;
+
+    const timingIndex = lines.findIndex(line => TIMING_RE.test(line));
+    if (timingIndex === -1 || timingIndex > 1) {
+      throw new TranscriptFormatError(`has a cue without a timing line ("${lines[0].slice(0, 40)}")`);
+    }
+    const [, from, to] = TIMING_RE.exec(lines[timingIndex]);
+    const start = parseClock(from);
+    const end   = parseClock(to);
+    if (start === null || end === null) {
+      throw new TranscriptFormatError(`has an unreadable cue timing "${lines[timingIndex].trim()}"`);
+    }
+
+    let raw = lines.slice(timingIndex + 1).join(' ').trim();
+    let speaker;
+    const voice = VOICE_RE.exec(raw);
+    if (voice) {
+      speaker = voice[1].trim();
+      raw = raw.slice(voice[0].length);
+    }
+    let text = cleanText(raw);
+    const prefix = !speaker && PREFIX_RE.exec(text);
+    if (prefix) {
+      speaker = prefix[1].trim();
+      text = text.slice(prefix[0].length);
+    }
+    if (text) cues.push({ start, end, speaker, text });
+  }
+  return cues;
+}
+
+/**
+ * @param {'webvtt'|'srt'} format
+ */
+function subtitleAdapter(format) {
+  /**
+   * @param {string} source
+   * @param {import('./turns').IngestContext} context
+   * @returns {import('./turns').Turn[]}
+   */
+  function parse(source, context) {
+    const cues = parseCues(source, format);
+    if (!cues.length) throw new TranscriptFormatError('contains no captions');
+
+    const turns = [];
+    let speaker;
+    for (const cue of cues) {
+      const sameSpeaker = !cue.speaker || cue.speaker === speaker;
+      speaker = cue.speaker || speaker;
+      const last = turns[turns.length - 1];
+      if (last && sameSpeaker) {
+        last.text += ` ${cue.text}`;
+        last.end = Math.max(last.end, cue.end);
+      } else {
+        turns.push({ ...attribute({ speaker }, context), text: cue.text, start: cue.start, end: cue.end });
+      }
+    }
+    return turns;
+  }
+  return { name: format, type: 'string', parse };
+}
+
+module.exports = { webvtt: subtitleAdapter('webvtt'), srt: subtitleAdapter('srt'), parseCues };
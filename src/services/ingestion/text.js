@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * text.js
+ *
+ * Plain-text transcripts, the original input format:
+ *
+ *   User: Why did you keep notes on the Analytical Engine?
+ *   Ada Lovelace: Because the engine weaves algebraic patterns…
+ *
+ * A turn starts with `Speaker:` at the beginning of a line; lines without a
+ * prefix continue the previous turn. A leading clock offset such as
+ * `[00:04:12]` or `[4:12]` gives the turn's start time.
+ */
+
+const { attribute, parseClock } = require('./turns');
+
+const TURN_RE = /^\s*(?:\[(\d+(?::\d{1,2}){1,2})\]\s*)?([A-Z][\w .'-]{0,40}):\s*(.*)$/;
+
+/**
+ * @param {string} transcript
+ * @param {import('./turns').IngestContext} context
+ * @returns {import('./turns').Turn[]}
+ */
+function parse(transcript, context) {
+  const turns = [];
+  for (const line of transcript.split(/\r?\n/)) {
+    const m = TURN_RE.exec(line);
+    if (m) {
+      const who = attribute({ speaker: m[2] }, context);
+      turns.push({ ...who, text: m[3].trim(), start: m[1] ? parseClock(m[1]) : null, end: null });
+    } else if (turns.length && line.trim()) {
+      const last = turns[turns.length - 1];
+      last.text = last.text ? `${last.text} ${line.trim()}` : line.trim();
+    }
+  }
+  return turns.filter(turn => turn.text);
+}
+
+module.exports = { name: 'text', type: 'string', parse };
@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * turns.js
+ *
+ * The common turn model every ingestion adapter produces, and the helpers
+ * they share for speaker attribution and timestamps.
+ *
+ * @typedef {Object} Turn
+ * @property {string} speaker   Display name ("User" for the learner unless a userName is known)
+ * @property {'user'|'character'|'other'} role
+ * @property {string} text
+ * @property {number|null} start  Seconds from the start of the session, when known
+ * @property {number|null} end    Seconds from the start of the session, when known
+ *
+ * @typedef {Object} IngestContext
+ * @property {string} characterName
+ * @property {string} [userName]
+ */
+
+// Speaker labels that mean the learner in plain-text transcripts
+const USER_SPEAKERS = /^(user|you|me|student|guest|human)$/i;
+
+// Message roles, as used by chat APIs and exports
+const USER_ROLES      = new Set(['user', 'human', 'student', 'learner']);
+const CHARACTER_ROLES = new Set(['assistant', 'character', 'bot', 'ai', 'model']);
+const IGNORED_ROLES   = new Set(['system', 'tool', 'function']);
+
+/**
+ * Thrown by adapters when a transcript cannot be read. Its message is
+ * returned to the caller in a 400 (prefixed with "transcript ").
+ */
+class TranscriptFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TranscriptFormatError';
+  }
+}
+
+/** Two names match ignoring case and surrounding space; non-strings never match. */
+function sameName(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || !a || !b) return false;
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * Attribute a turn to the user, the character or someone else.
+ *
+ * @param {object} who
+ * @param {string} [who.speaker]  Name given in the transcript
+ * @param {string} [who.role]     Role given in the transcript (user, assistant, system, …)
+ * @param {IngestContext} context
+ * @returns {{ speaker: string, role: Turn['role'] }|null}  null for turns to drop (system messages)
+ */
+function attribute({ speaker, role }, { characterName, userName }) {
+  const normalizedRole = String(role || '').trim().toLowerCase();
+  if (IGNORED_ROLES.has(normalizedRole)) return null;
+
+  let resolved;
+  if (USER_ROLES.has(normalizedRole)) resolved = 'user';
+  else if (CHARACTER_ROLES.has(normalizedRole)) resolved = 'character';
+  else if (sameName(speaker, characterName)) resolved = 'character';
+  else if (sameName(speaker, userName) || USER_SPEAKERS.test(String(speaker || '').trim())) resolved = 'user';
+  else resolved = 'other';
+
+  const name = String(speaker || '').trim();
+  if (resolved === 'character') return { speaker: name || characterName, role: resolved };
+  if (resolved === 'user') return { speaker: name || userName || 'User', role: resolved };
+  return { speaker: name || 'Unknown', role: resolved };
+}
+
+/**
+ * Parse an absolute timestamp: ISO 8601 text, or a number of epoch seconds
+ * or milliseconds.
+ *
+ * @param {*} value
+ * @returns {number|null}  Epoch milliseconds, or null when absent or unreadable
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value))) {
+    const number = Number(value);
+    // Ten-digit values are seconds; thirteen-digit values are milliseconds
+    return number < 1e11 ? number * 1000 : number;
+  }
+  const ms = Date.parse(String(value));
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Parse a clock offset such as 01:02:03.500, 01:02:03,500 or 02:03.
+ *
+ * @param {string} value
+ * @returns {number|null}  Seconds
+ */
+function parseClock(value) {
+  const m = /^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/.exec(String(value).trim());
+  if (!m) return null;
+  const [, hours = '0', minutes, seconds, fraction = '0'] = m;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+}
+
+/**
+ * Turn absolute epoch-millisecond times into seconds from the first one.
+ *
+ * @param {{ turn: Turn, at: number|null }[]} timed
+ * @returns {Turn[]}
+ */
+function relativeTimes(timed) {
+  const first = timed.find(entry => entry.at !== null)?.at ?? null;
+  return timed.map(({ turn, at }) => ({
+    ...turn,
+    start: at === null || first === null ? null : (at - first) / 1000,
+  }));
+}
+
+module.exports = { TranscriptFormatError, attribute, parseTimestamp, parseClock, relativeTimes, USER_SPEAKERS };
@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * Job store backed by a directory on disk: `<id>.json` for the record and
+ * `<id>.pdf` for the result. Jobs survive restarts and the directory can be
+ * shared by instances on the same volume.
+ *
+ * Records are written to a temp file and renamed into place so a reader
+ * never sees a half-written job.
+ *
+ * Nothing here expires on its own: the runners drop request bodies when a
+ * job settles and delete settled jobs after JOB_RETENTION_DAYS.
+ *
+ * Env vars:
+ *   JOB_STORE_DIR  Directory for job files (default: output/jobs)
+ */
+
+const fs   = require('fs/promises');
+const path = require('path');
+
+const JobStore = require('./JobStore');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', '..', 'output', 'jobs');
+
+// Job ids are generated by the runner, but get() also receives ids straight
+// from the URL — never let one escape the directory.
+const SAFE_ID = /^[\w-]{1,64}$/;
+
+class FileJobStore extends JobStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir]
+   */
+  constructor({ dir = process.env.JOB_STORE_DIR || DEFAULT_DIR } = {}) {
+    super();
+    this.dir = dir;
+    this.ready = null;
+  }
+
+  get name() {
+    return 'file';
+  }
+
+  _path(id, ext) {
+    if (!SAFE_ID.test(id)) return null;
+    return path.join(this.dir, `${id}.${ext}`);
+  }
+
+  async _ensureDir() {
+    if (!this.ready) this.ready = fs.mkdir(this.dir, { recursive: true });
+    return this.ready;
+  }
+
+  async _write(file, contents) {
+    await this._ensureDir();
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, contents);
+    await fs.rename(tmp, file);
+  }
+
+  async _read(file) {
+    try {
+      return await fs.readFile(file);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async _unlink(file) {
+    try {
+      await fs.unlink(file);
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+
+  async create(job) {
+    const file = this._path(job.id, 'json');
+    if (!file) throw new Error(`[FileJobStore] Invalid job id "${job.id}"`);
+    await this._write(file, JSON.stringify(job, null, 2));
+    return job;
+  }
+
+  async get(id) {
+    const file = this._path(id, 'json');
+    if (!file) return null;
+    const raw = await this._read(file);
+    return raw ? JSON.parse(raw.toString('utf-8')) : null;
+  }
+
+  async update(id, patch) {
+    const job = await this.get(id);
+    if (!job) throw new Error(`[FileJobStore] Unknown job "${id}"`);
+    const updated = { ...job, ...patch, updatedAt: new Date().toISOString() };
+    await this._write(this._path(id, 'json'), JSON.stringify(updated, null, 2));
+    return updated;
+  }
+
+  async list() {
+    await this._ensureDir();
+    const files = (await fs.readdir(this.dir)).filter(f => f.endsWith('.json'));
+    const jobs = await Promise.all(files.map(f => this.get(path.basename(f, '.json'))));
+    return jobs.filter(Boolean);
+  }
+
+  async savePdf(id, pdf) {
+    const file = this._path(id, 'pdf');
+    if (!file) throw new Error(`[FileJobStore] Invalid job id "${id}"`);
+    await this._write(file, pdf);
+  }
+
+  async getPdf(id) {
+    const file = this._path(id, 'pdf');
+    return file ? this._read(file) : null;
+  }
+
+  async deletePdf(id) {
+    if (SAFE_ID.test(id)) await this._unlink(this._path(id, 'pdf'));
+  }
+
+  async delete(id) {
+    if (!SAFE_ID.test(id)) return false;
+    const found = await this._unlink(this._path(id, 'json'));
+    await this._unlink(this._path(id, 'pdf'));
+    return found;
+  }
+}
+
+module.exports = FileJobStore;
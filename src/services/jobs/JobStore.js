@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * Abstract base class for report job stores.
+ *
+ * A store keeps job records (status, progress, errors) and the finished PDF
+ * for each job. Records are plain JSON-serialisable objects; the store adds
+ * `updatedAt` on every update.
+ *
+ * Subclasses must implement every method below.
+ *
+ * @typedef {'queued'|'running'|'completed'|'failed'} JobStatus
+ *
+ * @typedef {Object} JobProgress
+ * @property {number} percent   0–100, never decreases
+ * @property {string} stage     'queued' | 'extract' | 'render' | 'stage1' | 'stage2' | 'done'
+ * @property {string} message
+ *
+ * @typedef {Object} Job
+ * @property {string} id
+ * @property {JobStatus} status
+ * @property {JobProgress} progress
+ * @property {object|null} request    The original request body; null once the job has settled
+ * @property {string|null} [webhookUrl]  null once the callback has been sent
+ * @property {string} [ownerId]       Id of the API key that submitted it
+ * @property {string} [batchId]       The batch it is an item of
+ * @property {{ deliveredAt: string|null, attempts: number, lastError: string|null }} [webhook]
+ * @property {{ message: string, fields?: object[] }} [error]
+ * @property {number} [pdfBytes]
+ * @property {{ id: string, url: string, expiresAt: string, deleteToken: string }} [report]  Stored copy and its share link
+ * @property {string} createdAt       ISO timestamp
+ * @property {string} updatedAt
+ * @property {string} [completedAt]
+ */
+class JobStore {
+  /**
+   * Short identifier used in logs.
+   *
+   * @returns {string}
+   */
+  get name() {
+    return this.constructor.name;
+  }
+
+  /**
+   * @param {Job} job
+   * @returns {Promise<Job>}
+   */
+  async create(job) {
+    throw new Error('create() must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Job|null>}
+   */
+  async get(id) {
+    throw new Error('get() must be implemented by subclass');
+  }
+
+  /**
+   * Shallow-merge `patch` into the job and return the updated record.
+   *
+   * @param {string} id
+   * @param {Partial<Job>} patch
+   * @returns {Promise<Job>}
+   */
+  async update(id, patch) {
+    throw new Error('update() must be implemented by subclass');
+  }
+
+  /**
+   * @returns {Promise<Job[]>}
+   */
+  async list() {
+    throw new Error('list() must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id
+   * @param {Buffer} pdf
+   * @returns {Promise<void>}
+   */
+  async savePdf(id, pdf) {
+    throw new Error('savePdf() must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Buffer|null>}
+   */
+  async getPdf(id) {
+    throw new Error('getPdf() must be implemented by subclass');
+  }
+
+  /**
+   * Remove a job's PDF, keeping the record.
+   *
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async deletePdf(id) {
+    throw new Error('deletePdf() must be implemented by subclass');
+  }
+
+  /**
+   * Remove a job and its PDF.
+   *
+   * @param {string} id
+   * @returns {Promise<boolean>}  false when there was no such job
+   */
+  async delete(id) {
+    throw new Error('delete() must be implemented by subclass');
+  }
+}
+
+module.exports = JobStore;
@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * In-process job store. Jobs are lost on restart, so this suits a single
+ * instance where clients poll within the lifetime of the process.
+ *
+ * Once `maxJobs` is reached the oldest finished jobs (and their PDFs) are
+ * evicted to make room.
+ */
+
+const JobStore = require('./JobStore');
+
+const FINISHED = new Set(['completed', 'failed']);
+
+class MemoryJobStore extends JobStore {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxJobs=500]
+   */
+  constructor({ maxJobs = 500 } = {}) {
+    super();
+    this.maxJobs = maxJobs;
+    this.jobs = new Map();
+    this.pdfs = new Map();
+  }
+
+  get name() {
+    return 'memory';
+  }
+
+  async create(job) {
+    this._evict();
+    this.jobs.set(job.id, structuredClone(job));
+    return structuredClone(job);
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? structuredClone(job) : null;
+  }
+
+  async update(id, patch) {
+    const job = this.jobs.get(id);
+    if (!job) throw new Error(`[MemoryJobStore] Unknown job "${id}"`);
+    Object.assign(job, structuredClone(patch), { updatedAt: new Date().toISOString() });
+    return structuredClone(job);
+  }
+
+  async list() {
+    return [...this.jobs.values()].map(job => structuredClone(job));
+  }
+
+  async savePdf(id, pdf) {
+    this.pdfs.set(id, Buffer.from(pdf));
+  }
+
+  async getPdf(id) {
+    return this.pdfs.get(id) || null;
+  }
+
+  async deletePdf(id) {
+    this.pdfs.delete(id);
+  }
+
+  async delete(id) {
+    this.pdfs.delete(id);
+    return this.jobs.delete(id);
+  }
+
+  _evict() {
+    if (this.jobs.size < this.maxJobs) return;
+    // Map iteration is insertion order, so the first finished job is the oldest
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size < this.maxJobs) break;
+      if (FINISHED.has(job.status)) {
+        this.jobs.delete(id);
+        this.pdfs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = MemoryJobStore;
@@ -0,0 +1,412 @@
+'use strict';
+
+/**
+ * ReportBatchRunner.js
+ *
+ * Runs batches of report requests (POST /api/reports/batch). Every item
+ * becomes an ordinary report job on the ReportJobRunner, so it is
+ * extracted, rendered, cached and stored like any other report; the batch
+ * submits at most `concurrency` of its items at a time so one large class
+ * does not fill the job queue ahead of everyone else. Batches move through
+ *
+ *   queued → running → assembling → completed | failed
+ *
+ * Items succeed or fail on their own. A batch is completed once every item
+ * has settled and at least one succeeded; it fails when none did or when
+ * its combined output (output 'zip' or 'merged', built by `assemble`) could
+ * not be produced. The output is kept as the batch record's attachment in
+ * the store (JobStore.savePdf, whatever its format).
+ *
+ * When a batch finishes and has a webhookUrl, a signed `batch.completed` or
+ * `batch.failed` callback is sent (see src/utils/webhook.js).
+ *
+ * The batch's item jobs are submitted with the batch's requestId, so the
+ * whole batch can be followed in the logs by the request that created it,
+ * and its ownerId, so the key that submitted the batch can read them.
+ *
+ * Deleting an item's stored report (removeItem) cuts the item's request down
+ * to its character and template and deletes the combined output, which
+ * contains the report.
+ *
+ * Once a batch settles, its items keep only the names and template their
+ * output was built from. The retention sweep deletes settled batches, with
+ * their item jobs, `retentionMs` after they finished.
+ */
+
+const crypto = require('crypto');
+
+const { deliverWebhook } = require('../../utils/webhook');
+const { componentLogger } = require('../../utils/logger');
+
+const log = componentLogger('ReportBatchRunner');
+
+const FINISHED = new Set(['completed', 'failed']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** An item without its transcript and options, once they are no longer needed. */
+function settledItem(item) {
+  const { characterName, userName, template } = item.request;
+  return { ...item, request: { characterName, ...(userName && { userName }), ...(template && { template }) } };
+}
+
+/**
+ * The batch fields safe to return to API clients — item transcripts and
+ * the webhook URL stay server-side.
+ *
+ * @param {object} batch  As returned by ReportBatchRunner.get()
+ * @returns {object}
+ */
+function publicBatch(batch) {
+  const counts = { total: batch.items.length, queued: 0, running: 0, completed: 0, failed: 0 };
+  const items = batch.items.map(item => {
+    counts[item.status]++;
+    const view = {
+      index:         item.index,
+      status:        item.status,
+      characterName: item.request.characterName,
+      userName:      item.request.userName,
+    };
+    if (item.progress && !FINISHED.has(item.status)) view.progress = item.progress;
+    if (item.error) view.error = item.error;
+    if (item.jobId) {
+      view.jobId = item.jobId;
+      view.links = { job: `/api/reports/${item.jobId}` };
+      if (item.status === 'completed') view.links.pdf = `/api/reports/${item.jobId}/pdf`;
+    }
+    if (item.report) view.report = item.report;
+    if (item.removed) view.removed = true;
+    return view;
+  });
+
+  const view = {
+    id:          batch.id,
+    status:      batch.status,
+    output:      batch.output,
+    counts,
+    items,
+    createdAt:   batch.createdAt,
+    updatedAt:   batch.updatedAt,
+    completedAt: batch.completedAt,
+    links:       { self: `/api/reports/batch/${batch.id}` },
+  };
+  if (batch.status === 'completed' && batch.output !== 'none' && !batch.outputRemoved) {
+    view.outputBytes  = batch.outputBytes;
+    view.links.output = `/api/reports/batch/${batch.id}/output`;
+  }
+  if (batch.error)   view.error   = batch.error;
+  if (batch.webhook) view.webhook = batch.webhook;
+  return view;
+}
+
+class ReportBatchRunner {
+  /**
+   * @param {object} options
+   * @param {import('./ReportJobRunner').ReportJobRunner} options.jobs  Runs the items
+   * @param {import('./JobStore')} options.store  Batch records (not the item jobs)
+   * @param {(output: 'zip'|'merged', parts: import('../../utils/batchOutput').BatchPart[], batch: object, context: { log: import('../../utils/logger').Logger }) => Promise<Buffer>} options.assemble
+   *        Builds the combined output from every item, in order
+   * @param {number} [options.concurrency=2]  Items of one batch in flight at once
+   * @param {string} [options.webhookSecret]  Required for batches with a webhookUrl
+   * @param {object} [options.webhookOptions] Passed to deliverWebhook (attempts, backoffMs, timeoutMs)
+   * @param {number} [options.retentionMs=7 days]  How long settled batches are kept
+   */
+  constructor({ jobs, store, assemble, concurrency = 2, webhookSecret, webhookOptions = {}, retentionMs = 7 * DAY_MS }) {
+    this.jobs           = jobs;
+    this.store          = store;
+    this.assemble       = assemble;
+    this.concurrency    = Math.max(1, concurrency);
+    this.webhookSecret  = webhookSecret;
+    this.webhookOptions = webhookOptions;
+    this.retentionMs    = retentionMs;
+    this.running        = new Set();
+    // Items of the batches this process is running, and how to save them
+    this.active         = new Map();
+  }
+
+  get webhooksEnabled() {
+    return Boolean(this.webhookSecret);
+  }
+
+  /**
+   * Mark batches left unfinished by a previous process as failed. Their
+   * item jobs are recovered by the job runner.
+   *
+   * @returns {Promise<number>}  Number of batches marked failed
+   */
+  async recoverInterrupted() {
+    const now = new Date().toISOString();
+    let count = 0;
+    for (const batch of await this.store.list()) {
+      if (!FINISHED.has(batch.status)) {
+        await this.store.update(batch.id, {
+          status:      'failed',
+          completedAt: now,
+          error:       { message: 'Interrupted by a service restart — please resubmit' },
+          items:       batch.items.map(settledItem),
+        });
+        count++;
+      }
+    }
+    if (count) log.warn(`Marked ${count} interrupted batch(es) as failed`);
+    return count;
+  }
+
+  /**
+   * Store a batch and start it. Resolves once it is stored — not when it
+   * finishes.
+   *
+   * @param {object[]} requests  Bodies that passed validateReportRequest()
+   * @param {object} [options]
+   * @param {'none'|'zip'|'merged'} [options.output='none']
+   * @param {string} [options.locale]      For the output's own pages
+   * @param {string} [options.webhookUrl]
+   * @param {string} [options.requestId]   Of the HTTP request that submitted it
+   * @param {string} [options.ownerId]     Of the API key that submitted it; its item jobs get it too
+   * @returns {Promise<object>}  The stored batch
+   */
+  async submit(requests, { output = 'none', locale, webhookUrl, requestId, ownerId } = {}) {
+    if (webhookUrl && !this.webhooksEnabled) {
+      throw new Error('[ReportBatchRunner] webhookUrl given but WEBHOOK_SECRET is not set');
+    }
+    const now = new Date().toISOString();
+    const batch = await this.store.create({
+      id:         crypto.randomUUID(),
+      status:     'queued',
+      output,
+      locale,
+      items:      requests.map((request, index) => ({ index, status: 'queued', request })),
+      webhookUrl: webhookUrl || undefined,
+      requestId,
+      ownerId,
+      createdAt:  now,
+      updatedAt:  now,
+    });
+    const batchLog = log.child({ requestId, batchId: batch.id });
+    batchLog.info(`Batch ${batch.id} queued (${requests.length} items, output: ${output})`);
+
+    const run = this._execute(batch, batchLog)
+      .catch(err => batchLog.error(`Batch ${batch.id} bookkeeping failed: ${err.message}`))
+      .finally(() => {
+        this.running.delete(run);
+        this.active.delete(batch.id);
+      });
+    this.running.add(run);
+    return batch;
+  }
+
+  /**
+   * A batch with each item's live status, progress and share link taken
+   * from its job.
+   *
+   * @param {string} id
+   * @returns {Promise<object|null>}
+   */
+  async get(id) {
+    const batch = await this.store.get(id);
+    if (!batch) return null;
+    batch.items = await Promise.all(batch.items.map(async item => {
+      const job = item.jobId ? await this.jobs.store.get(item.jobId) : null;
+      // A job deleted with its stored report keeps the status it settled with
+      if (!job) return item;
+      return {
+        ...item,
+        status:   job.status,
+        progress: job.progress,
+        report:   job.report,
+        error:    job.error?.message ?? item.error,
+      };
+    }));
+    return batch;
+  }
+
+  /**
+   * The combined output of a completed batch.
+   *
+   * @param {string} id
+   * @returns {Promise<Buffer|null>}
+   */
+  getOutput(id) {
+    return this.store.getPdf(id);
+  }
+
+  /**
+   * Forget an item whose report was deleted: drop the transcript and user
+   * name from its request, and the combined output, which contains it.
+   *
+   * @param {string} id      The batch
+   * @param {string} jobId   The item's job
+   * @returns {Promise<boolean>}  false when the batch or item is unknown
+   */
+  async removeItem(id, jobId) {
+    const redact = item => {
+      const { characterName, template } = item.request;
+      item.request = { characterName, ...(template && { template }) };
+      item.removed = true;
+    };
+
+    const active = this.active.get(id);
+    if (active) {
+      // Still running: _execute saves the items and checks its output for removals
+      const item = active.items.find(candidate => candidate.jobId === jobId);
+      if (!item) return false;
+      redact(item);
+      active.save();
+      return true;
+    }
+
+    const batch = await this.store.get(id);
+    const item = batch?.items.find(candidate => candidate.jobId === jobId);
+    if (!item) return false;
+    redact(item);
+    await this.store.update(id, { items: batch.items, ...(batch.output !== 'none' && { outputRemoved: true }) });
+    await this.store.deletePdf(id);
+    log.info(`Removed item ${item.index} from batch ${id}`);
+    return true;
+  }
+
+  /**
+   * Delete settled batches that finished more than `retentionMs` ago, with
+   * their combined output and item jobs.
+   *
+   * @param {number} [now]
+   * @returns {Promise<number>}  Number of batches deleted
+   */
+  async purgeExpired(now = Date.now()) {
+    let count = 0;
+    for (const batch of await this.store.list()) {
+      if (!batch.completedAt || Date.parse(batch.completedAt) + this.retentionMs > now) continue;
+      for (const item of batch.items) {
+        if (item.jobId) await this.jobs.store.delete(item.jobId);
+      }
+      if (await this.store.delete(batch.id)) count++;
+    }
+    if (count) log.info(`Retention sweep removed ${count} batch(es)`);
+    return count;
+  }
+
+  /**
+   * Run purgeExpired() now and then every `intervalMs`. The timer does not
+   * keep the process alive.
+   *
+   * @param {number} [intervalMs=3600000]
+   * @returns {() => void}  Stops the sweep
+   */
+  startRetention(intervalMs = 60 * 60 * 1000) {
+    const sweep = () => this.purgeExpired().catch(err =>
+      log.error(`Retention sweep failed: ${err.message}`)
+    );
+    sweep();
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Resolves when no batch is running. Used by tests and shutdown.
+   *
+   * @returns {Promise<void>}
+   */
+  async onIdle() {
+    while (this.running.size) await Promise.all(this.running);
+  }
+
+  async _execute(batch, batchLog) {
+    const { id } = batch;
+    const items = batch.items.map(item => ({ ...item }));
+
+    // Items settle concurrently; chain the store writes so they land in order
+    let writes = Promise.resolve();
+    const saveItems = () => {
+      const snapshot = items.map(item => ({ ...item }));
+      writes = writes.then(() => this.store.update(id, { items: snapshot })).catch(() => {});
+    };
+
+    await this.store.update(id, { status: 'running' });
+    this.active.set(id, { items, save: saveItems });
+
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const item = items[next++];
+        try {
+          const job = await this.jobs.submit(item.request, { requestId: batch.requestId, ownerId: batch.ownerId, batchId: id });
+          item.jobId = job.id;
+          saveItems();
+          const settled = await this.jobs.waitFor(job.id);
+          item.status = settled?.status === 'completed' ? 'completed' : 'failed';
+          if (item.status === 'failed') item.error = settled?.error?.message || 'Report job is no longer available';
+        } catch (err) {
+          item.status = 'failed';
+          item.error  = err.message;
+        }
+        saveItems();
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, worker));
+    await writes;
+
+    const succeeded = items.filter(item => item.status === 'completed').length;
+    const removed = () => items.filter(item => item.removed).length;
+    let patch = { status: 'completed' };
+    let removedBefore = 0;
+    if (!succeeded) {
+      patch = { status: 'failed', error: { message: 'No report in the batch could be generated' } };
+    } else if (batch.output !== 'none') {
+      await this.store.update(id, { status: 'assembling' });
+      try {
+        removedBefore = removed();
+        const output = await this.assemble(batch.output, await this._parts(items), batch, { log: batchLog });
+        await this.store.savePdf(id, output);
+        patch.outputBytes = output.length;
+      } catch (err) {
+        batchLog.error(`Batch ${id} output failed: ${err.message}`);
+        patch = { status: 'failed', error: { message: `Could not build the ${batch.output} output: ${err.message}` } };
+      }
+    }
+
+    // Items keep only what their output was built from
+    items.splice(0, items.length, ...items.map(settledItem));
+    saveItems();
+    // From here on a removal finds the output in the store and deletes it
+    this.active.delete(id);
+    await writes;
+    if (patch.outputBytes && removed() !== removedBefore) {
+      // An item was removed while the output was built from it
+      await this.store.deletePdf(id);
+      patch.outputRemoved = true;
+    }
+    await this.store.update(id, { ...patch, completedAt: new Date().toISOString() });
+    batchLog.info(`Batch ${id} ${patch.status} (${succeeded}/${items.length} reports)`);
+    await this._notify(await this.get(id), `batch.${patch.status}`);
+  }
+
+  /** Every item with its PDF, for `assemble`. */
+  async _parts(items) {
+    return Promise.all(items.map(async item => {
+      const part = { index: item.index, status: item.status, request: item.request };
+      if (item.removed) return { ...part, status: 'failed', error: 'Report was deleted' };
+      if (item.status !== 'completed') return { ...part, error: item.error };
+      const pdf = await this.jobs.store.getPdf(item.jobId);
+      return pdf ? { ...part, pdf } : { ...part, status: 'failed', error: 'Report PDF is no longer available' };
+    }));
+  }
+
+  async _notify(batch, event) {
+    if (!batch.webhookUrl) return;
+    const result = await deliverWebhook(batch.webhookUrl, event, { batch: publicBatch(batch) }, {
+      secret: this.webhookSecret,
+      ...this.webhookOptions,
+    });
+    await this.store.update(batch.id, {
+      webhookUrl: null,
+      webhook:    {
+        deliveredAt: result.ok ? new Date().toISOString() : null,
+        attempts:    result.attempts,
+        lastError:   result.ok ? null : result.error,
+      },
+    });
+  }
+}
+
+module.exports = { ReportBatchRunner, publicBatch };
@@ -0,0 +1,332 @@
+'use strict';
+
+/**
+ * ReportJobRunner.js
+ *
+ * Runs report generation in the background so the HTTP request that
+ * submits it can return immediately. Jobs move through
+ *
+ *   queued → running → completed | failed
+ *
+ * and carry a progress record built from the pipeline's progress events
+ * (extraction, template render, and each Foxit upload/convert/poll/download
+ * step). At most `concurrency` jobs run at once; the rest wait in FIFO order.
+ *
+ * While a job is queued or running, progressOf() returns its
+ * ReportProgress, which emits every step as it happens (for
+ * GET /api/reports/:id/events) and then `complete` or `failed`.
+ *
+ * When a job finishes and has a webhookUrl, a signed `report.completed` or
+ * `report.failed` callback is sent (see src/utils/webhook.js).
+ *
+ * A job keeps the id of the request that submitted it; everything logged
+ * while it runs carries that requestId and its jobId.
+ *
+ * Once a job settles its request body (transcript, `protect` passwords) is
+ * dropped from the record, and its webhookUrl once the callback has been
+ * sent. Settled jobs are deleted `retentionMs` after they finished by the
+ * retention sweep; batch items are left to their batch.
+ */
+
+const crypto = require('crypto');
+
+const { ReportProgress, overallPercent } = require('./ReportProgress');
+const { deliverWebhook } = require('../../utils/webhook');
+const { logger, componentLogger } = require('../../utils/logger');
+
+const log = componentLogger('ReportJobRunner');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The job fields safe to return to API clients — the stored request body
+ * (transcript included) and webhook URL stay server-side.
+ *
+ * @param {import('./JobStore').Job} job
+ * @returns {object}
+ */
+function publicJob(job) {
+  const view = {
+    id:          job.id,
+    status:      job.status,
+    progress:    job.progress,
+    createdAt:   job.createdAt,
+    updatedAt:   job.updatedAt,
+    completedAt: job.completedAt,
+    links:       { self: `/api/reports/${job.id}` },
+  };
+  if (job.status === 'queued' || job.status === 'running') view.links.events = `/api/reports/${job.id}/events`;
+  if (job.status === 'completed') {
+    view.pdfBytes  = job.pdfBytes;
+    view.links.pdf = `/api/reports/${job.id}/pdf`;
+    if (job.report) {
+      view.report      = job.report;
+      view.links.share = job.report.url;
+    }
+  }
+  if (job.error)   view.error   = job.error;
+  if (job.webhook) view.webhook = job.webhook;
+  return view;
+}
+
+class ReportJobRunner {
+  /**
+   * @param {object} options
+   * @param {import('./JobStore')} options.store
+   * @param {(request: object, onProgress: Function, context: { jobId: string, log: import('../../utils/logger').Logger }) => Promise<Buffer|{ pdf: Buffer, report?: object }>} options.run
+   *        Generates the PDF for one request body. `report` ({ id, url, expiresAt, deleteToken }
+   *        of the stored copy) is kept on the job when given; `log` carries
+   *        the job's requestId and jobId
+   * @param {number} [options.concurrency=2]
+   * @param {string} [options.webhookSecret]  Required for jobs with a webhookUrl
+   * @param {object} [options.webhookOptions] Passed to deliverWebhook (attempts, backoffMs, timeoutMs)
+   * @param {number} [options.retentionMs=7 days]  How long settled jobs are kept
+   */
+  constructor({ store, run, concurrency = 2, webhookSecret, webhookOptions = {}, retentionMs = 7 * DAY_MS }) {
+    this.store          = store;
+    this.run            = run;
+    this.concurrency    = Math.max(1, concurrency);
+    this.webhookSecret  = webhookSecret;
+    this.webhookOptions = webhookOptions;
+    this.retentionMs    = retentionMs;
+    this.queue          = [];
+    this.active         = 0;
+    this.idleWaiters    = [];
+    this.jobWaiters     = new Map();
+    this.live           = new Map();
+  }
+
+  get webhooksEnabled() {
+    return Boolean(this.webhookSecret);
+  }
+
+  /**
+   * Mark jobs left queued/running by a previous process as failed. Only
+   * meaningful for persistent stores.
+   *
+   * @returns {Promise<number>}  Number of jobs marked failed
+   */
+  async recoverInterrupted() {
+    const now = new Date().toISOString();
+    let count = 0;
+    for (const job of await this.store.list()) {
+      if (job.status === 'queued' || job.status === 'running') {
+        await this.store.update(job.id, {
+          status:      'failed',
+          completedAt: now,
+          error:       { message: 'Interrupted by a service restart — please resubmit' },
+          request:     null,
+        });
+        count++;
+      }
+    }
+    if (count) log.warn(`Marked ${count} interrupted job(s) as failed`);
+    return count;
+  }
+
+  /**
+   * Queue a report request. Resolves once the job is stored — not when it
+   * finishes.
+   *
+   * @param {object} request  A body that passed validateReportRequest()
+   * @param {object} [options]
+   * @param {string} [options.webhookUrl]
+   * @param {string} [options.requestId]  Of the HTTP request that submitted it
+   * @param {string} [options.ownerId]    Of the API key that submitted it
+   * @param {string} [options.batchId]    Of the batch it is an item of
+   * @returns {Promise<import('./JobStore').Job>}
+   */
+  async submit(request, { webhookUrl, requestId, ownerId, batchId } = {}) {
+    if (webhookUrl && !this.webhooksEnabled) {
+      throw new Error('[ReportJobRunner] webhookUrl given but WEBHOOK_SECRET is not set');
+    }
+    const now = new Date().toISOString();
+    const job = await this.store.create({
+      id:        crypto.randomUUID(),
+      status:    'queued',
+      progress:  { percent: 0, stage: 'queued', message: 'Waiting to start' },
+      request,
+      webhookUrl: webhookUrl || undefined,
+      requestId,
+      ownerId,
+      batchId,
+      createdAt: now,
+      updatedAt: now,
+    });
+    log.info(`Job ${job.id} queued`, { requestId, jobId: job.id });
+
+    this.live.set(job.id, new ReportProgress());
+    this.queue.push(job.id);
+    this._pump();
+    return job;
+  }
+
+  /**
+   * The live progress of a job this runner has queued or is running, or
+   * null once it has settled (or when it belongs to another process).
+   *
+   * @param {string} id
+   * @returns {ReportProgress|null}
+   */
+  progressOf(id) {
+    return this.live.get(id) || null;
+  }
+
+  /**
+   * Delete settled jobs, and their PDFs, that finished more than
+   * `retentionMs` ago. Batch items are deleted with their batch.
+   *
+   * @param {number} [now]
+   * @returns {Promise<number>}  Number of jobs deleted
+   */
+  async purgeExpired(now = Date.now()) {
+    let count = 0;
+    for (const job of await this.store.list()) {
+      if (job.batchId || !job.completedAt) continue;
+      if (Date.parse(job.completedAt) + this.retentionMs <= now && await this.store.delete(job.id)) count++;
+    }
+    if (count) log.info(`Retention sweep removed ${count} job(s)`);
+    return count;
+  }
+
+  /**
+   * Run purgeExpired() now and then every `intervalMs`. The timer does not
+   * keep the process alive.
+   *
+   * @param {number} [intervalMs=3600000]
+   * @returns {() => void}  Stops the sweep
+   */
+  startRetention(intervalMs = 60 * 60 * 1000) {
+    const sweep = () => this.purgeExpired().catch(err =>
+      log.error(`Retention sweep failed: ${err.message}`)
+    );
+    sweep();
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Resolves when no job is running or queued. Used by tests and shutdown.
+   *
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.active === 0 && this.queue.length === 0) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Resolves with a job once it has completed or failed (null if it is not
+   * in the store).
+   *
+   * @param {string} id
+   * @returns {Promise<import('./JobStore').Job|null>}
+   */
+  async waitFor(id) {
+    // Register before reading so a job finishing in between is not missed
+    const settled = new Promise(resolve => {
+      if (!this.jobWaiters.has(id)) this.jobWaiters.set(id, []);
+      this.jobWaiters.get(id).push(resolve);
+    });
+    const job = await this.store.get(id);
+    if (!job || job.status === 'completed' || job.status === 'failed') {
+      this._settle(id);
+      return job;
+    }
+    return settled;
+  }
+
+  _settle(id) {
+    const waiters = this.jobWaiters.get(id);
+    if (!waiters) return;
+    this.jobWaiters.delete(id);
+    this.store.get(id).then(job => job, () => null).then(job => waiters.forEach(resolve => resolve(job)));
+  }
+
+  _pump() {
+    while (this.active < this.concurrency && this.queue.length) {
+      const id = this.queue.shift();
+      this.active++;
+      this._execute(id)
+        .catch(err => {
+          log.error(`Job ${id} bookkeeping failed: ${err.message}`, { jobId: id });
+          this.live.get(id)?.fail({ message: err.message });
+        })
+        .finally(() => {
+          this.active--;
+          this.live.delete(id);
+          this._settle(id);
+          this._pump();
+          if (this.active === 0 && this.queue.length === 0) {
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+          }
+        });
+    }
+  }
+
+  async _execute(id) {
+    let job = await this.store.update(id, {
+      status:   'running',
+      progress: { percent: 0, stage: 'extract', message: 'Starting' },
+    });
+    const jobLog = logger.child({ requestId: job.requestId, jobId: id });
+    const live   = this.live.get(id) || new ReportProgress();
+
+    // Progress events arrive synchronously from the pipeline; chain the
+    // store writes so they land in order and never overtake the final update.
+    let writes = Promise.resolve();
+    const onProgress = event => {
+      live.report(event);
+      const progress = { percent: live.percent, stage: event.stage, message: event.message };
+      writes = writes.then(() => this.store.update(id, { progress })).catch(() => {});
+    };
+
+    let pdf, report;
+    try {
+      const result = await this.run(job.request, onProgress, { jobId: id, log: jobLog });
+      ({ pdf, report } = Buffer.isBuffer(result) ? { pdf: result } : result);
+      await writes;
+      await this.store.savePdf(id, pdf);
+    } catch (err) {
+      await writes;
+      componentLogger('ReportJobRunner', jobLog).error(`Job ${id} failed: ${err.message}`);
+      const error = { message: err.message };
+      if (err.fields) error.fields = err.fields;
+      job = await this.store.update(id, { status: 'failed', completedAt: new Date().toISOString(), error, request: null });
+      live.fail(error, { job: publicJob(job) });
+      await this._notify(job, 'report.failed');
+      return;
+    }
+
+    job = await this.store.update(id, {
+      status:      'completed',
+      completedAt: new Date().toISOString(),
+      pdfBytes:    pdf.length,
+      progress:    { percent: 100, stage: 'done', message: 'Report ready' },
+      request:     null,
+      ...(report && { report }),
+    });
+    componentLogger('ReportJobRunner', jobLog).info(`Job ${id} completed (${pdf.length} bytes)`);
+    live.complete({ job: publicJob(job) });
+    await this._notify(job, 'report.completed');
+  }
+
+  async _notify(job, event) {
+    if (!job.webhookUrl) return;
+    const result = await deliverWebhook(job.webhookUrl, event, { job: publicJob(job) }, {
+      secret: this.webhookSecret,
+      ...this.webhookOptions,
+    });
+    await this.store.update(job.id, {
+      webhookUrl: null,
+      webhook:    {
+        deliveredAt: result.ok ? new Date().toISOString() : null,
+        attempts:    result.attempts,
+        lastError:   result.ok ? null : result.error,
+      },
+    });
+  }
+}
+
+module.exports = { ReportJobRunner, publicJob, overallPercent };
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * ReportProgress.js
+ *
+ * Turns the pipeline's progress callbacks into events for one report. Its
+ * `report` method is the onProgress callback handed to createReport() and
+ * from there down the pipeline — extraction, the PDF backend
+ * (FoxitPdfService) and both Foxit clients, whose shared FoxitTaskClient
+ * announces each upload, task start, poll and download — so every step
+ * arrives here and is re-emitted as a structured `progress` event. A run
+ * ends with exactly one `complete` or `failed` event.
+ *
+ * Phases, in pipeline order:
+ *
+ *   extraction   transcript → ReportData (or the cached copy)
+ *   assets       an image could not be embedded; the placeholder is used
+ *   render       template filled
+ *   upload       Stage 1: HTML uploaded to Foxit
+ *   convert      Stage 1: conversion task running; `taskProgress` is
+ *                Foxit's own percentage from each poll
+ *   download     Stage 1: PDF downloading
+ *   postprocess  Stage 2: compression and the rest of the post-processing
+ *                chain; `operation` names the op and `step` the Foxit step
+ *   local        the local renderer (backend, or fallback after Stage 1)
+ *   merge        combining PDFs
+ *   cache        served from the report cache
+ */
+
+const { EventEmitter } = require('events');
+
+// Share of the overall progress bar given to each pipeline stage
+const STAGE_RANGES = {
+  extract: [0, 20],
+  render:  [20, 25],
+  stage1:  [25, 75],
+  stage2:  [75, 99],
+  local:   [25, 99],
+  cache:   [99, 99],
+};
+
+const STAGE_PHASES = {
+  extract: 'extraction',
+  render:  'render',
+  stage2:  'postprocess',
+  local:   'local',
+  merge:   'merge',
+  cache:   'cache',
+};
+
+// FoxitTaskClient steps 1–4
+const FOXIT_STEPS = [null, 'upload', 'convert', 'convert', 'download'];
+
+/**
+ * Map a pipeline progress event to an overall 0–100 percentage. Foxit stages
+ * have 4 steps; Step 3 (polling) is subdivided by the task's own progress.
+ * A post-processing chain splits stage2 evenly between its operations.
+ *
+ * @param {import('../PdfService').ProgressEvent} event
+ * @returns {number}
+ */
+function overallPercent(event) {
+  const range = STAGE_RANGES[event.stage];
+  if (!range) return 0;
+  let [lo, hi] = range;
+  if (event.operationCount > 1) {
+    const share = (hi - lo) / event.operationCount;
+    lo += share * event.operationIndex;
+    hi = lo + share;
+  }
+  if (!event.step) return Math.round(lo);
+  let fraction = (event.step - 1) / 4;
+  if (event.step === 3 && Number.isFinite(event.taskProgress)) {
+    fraction += Math.min(Math.max(event.taskProgress, 0), 100) / 400;
+  }
+  return Math.round(lo + (hi - lo) * fraction);
+}
+
+/**
+ * @typedef {Object} ProgressUpdate
+ * @property {string} phase            See the list above
+ * @property {string} stage            The pipeline stage it came from (ProgressEvent.stage)
+ * @property {string} [step]           upload | convert | download, inside a Foxit stage
+ * @property {number} percent          Overall, 0–100; never goes down
+ * @property {number} [taskProgress]   Foxit's task progress (0–100) while converting
+ * @property {string} [operation]      Post-processing op, e.g. compress
+ * @property {string} message
+ * @property {string} at               ISO timestamp
+ */
+
+/**
+ * A pipeline progress event as a ProgressUpdate (without the running
+ * percentage, which depends on the events before it).
+ *
+ * @param {import('../PdfService').ProgressEvent} event
+ * @returns {Omit<ProgressUpdate, 'percent'>}
+ */
+function describeProgress(event) {
+  const step = event.step ? FOXIT_STEPS[event.step] : undefined;
+  return {
+    phase:   event.stage === 'stage1' ? step || 'convert' : STAGE_PHASES[event.stage] || event.stage,
+    stage:   event.stage,
+    ...(step && { step }),
+    ...(Number.isFinite(event.taskProgress) && { taskProgress: event.taskProgress }),
+    ...(event.operation && { operation: event.operation }),
+    message: event.message,
+    at:      new Date().toISOString(),
+  };
+}
+
+class ReportProgress extends EventEmitter {
+  constructor() {
+    super();
+    this.percent = 0;
+    this.last    = null;
+    this.outcome = null;
+    this.report  = this.report.bind(this);
+  }
+
+  /** Whether complete() or fail() has been called. */
+  get settled() {
+    return Boolean(this.outcome);
+  }
+
+  /**
+   * The onProgress callback: emits `progress` with a ProgressUpdate.
+   * Ignored once the run has settled.
+   *
+   * @param {import('../PdfService').ProgressEvent} event
+   */
+  report(event) {
+    if (this.outcome) return;
+    this.percent = Math.max(this.percent, overallPercent(event));
+    this.last = { ...describeProgress(event), percent: this.percent };
+    this.emit('progress', this.last);
+  }
+
+  /**
+   * Emits `complete` with `{ percent: 100, at, ...details }`.
+   *
+   * @param {object} [details]
+   */
+  complete(details = {}) {
+    this._settle('complete', { percent: 100, at: new Date().toISOString(), ...details });
+  }
+
+  /**
+   * Emits `failed` with `{ error, at, ...details }`. (Not `error`, which an
+   * EventEmitter throws when nobody listens.)
+   *
+   * @param {{ message: string, fields?: object[] }} error
+   * @param {object} [details]
+   */
+  fail(error, details = {}) {
+    this._settle('failed', { error, at: new Date().toISOString(), ...details });
+  }
+
+  _settle(event, data) {
+    if (this.outcome) return;
+    this.outcome = { event, data };
+    this.emit(event, data);
+  }
+}
+
+module.exports = { ReportProgress, overallPercent, describeProgress };
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Job store registry.
+ *
+ * The store is chosen by name — from the `JOB_STORE` env var unless one is
+ * passed explicitly:
+ *
+ *   memory  In-process, lost on restart (default)
+ *   file    JSON + PDF files under JOB_STORE_DIR, survives restarts
+ *
+ * Batch records (ReportBatchRunner) use a second store of the same kind;
+ * the file store keeps them under BATCH_STORE_DIR.
+ */
+
+const JobStore        = require('./JobStore');
+const MemoryJobStore  = require('./MemoryJobStore');
+const FileJobStore    = require('./FileJobStore');
+const { ReportJobRunner, publicJob } = require('./ReportJobRunner');
+const { ReportBatchRunner, publicBatch } = require('./ReportBatchRunner');
+
+const STORES = {
+  memory: MemoryJobStore,
+  file:   FileJobStore,
+};
+
+const DEFAULT_STORE = 'memory';
+
+/**
+ * Instantiate a job store by name.
+ *
+ * @param {string} [name]     One of the keys of STORES. Defaults to JOB_STORE.
+ * @param {object} [options]  Passed through to the store constructor.
+ * @returns {JobStore}
+ */
+function createJobStore(name = process.env.JOB_STORE || DEFAULT_STORE, options = {}) {
+  const Store = STORES[String(name).toLowerCase()];
+  if (!Store) {
+    throw new Error(
+      `[jobs] Unknown JOB_STORE "${name}" (expected one of: ${Object.keys(STORES).join(', ')})`
+    );
+  }
+  return new Store(options);
+}
+
+module.exports = {
+  JobStore,
+  MemoryJobStore,
+  FileJobStore,
+  ReportJobRunner,
+  ReportBatchRunner,
+  STORES,
+  createJobStore,
+  publicJob,
+  publicBatch,
+};
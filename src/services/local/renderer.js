@@ -0,0 +1,731 @@
+'use strict';
+
+/**
+ * renderer.js
+ *
+ * Pure-JS HTML → PDF rendering for LocalPdfService. The HTML is parsed with
+ * htmlparser2, styled with the CSS subset in styles.js, laid out as a tree
+ * of boxes, and painted with PDFKit's built-in fonts:
+ *
+ *   block      stacked vertically (margins, padding, borders, backgrounds)
+ *   paragraph  runs of inline text, word-wrapped with per-run fonts/colours
+ *   flex       children side by side (width, flex: 1, gap, justify-content)
+ *   table      rows of cells; column widths from the first row
+ *   list-item  block with a bullet or number hung in the left padding
+ *   image      data: URIs and prefetched http(s) images; a tinted
+ *              placeholder when the bytes are unavailable
+ *
+ * A block that does not fit on the current page moves to the next one; a
+ * block taller than a page is split between its children instead. This is
+ * a deliberately small engine: no floats, positioning or web fonts. The
+ * built-in PDF fonts only cover Latin-1 (WinAnsi) text.
+ */
+
+const PDFDocument = require('pdfkit');
+const { parseDocument } = require('htmlparser2');
+
+const { parseStylesheet, computeStyle, ROOT_STYLE } = require('./styles');
+const { componentLogger } = require('../../utils/logger');
+
+const PAGE_MARGIN = 36; // pt above and below the content on every page
+
+const FONTS = {
+  sans:  ['Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique'],
+  serif: ['Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic'],
+  mono:  ['Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique'],
+};
+
+function fontName(style) {
+  return FONTS[style.fontFamily][(style.bold ? 1 : 0) + (style.italic ? 2 : 0)];
+}
+
+function resolve(length, reference) {
+  if (length === undefined || length === null || length === 'auto') return null;
+  return typeof length === 'object' ? reference * length.percent / 100 : length;
+}
+
+function borderWidth(style, side) {
+  return style.border[side]?.width || 0;
+}
+
+/** Horizontal space taken by padding and borders. */
+function insetX(style) {
+  return style.paddingLeft + style.paddingRight + borderWidth(style, 'left') + borderWidth(style, 'right');
+}
+
+function insetY(style) {
+  return style.paddingTop + style.paddingBottom + borderWidth(style, 'top') + borderWidth(style, 'bottom');
+}
+
+function transformText(text, transform) {
+  if (transform === 'uppercase') return text.toUpperCase();
+  if (transform === 'lowercase') return text.toLowerCase();
+  if (transform === 'capitalize') return text.replace(/\b\w/g, c => c.toUpperCase());
+  return text;
+}
+
+// ── Box tree ──────────────────────────────────────────────────────────────────
+
+/**
+ * Collect the inline content of a node into styled runs. Whitespace is
+ * collapsed the way CSS `white-space: normal` does.
+ */
+function collectRuns(node, style, sheet, runs) {
+  if (node.type === 'text') {
+    const text = transformText(node.data.replace(/\s+/g, ' '), style.textTransform);
+    if (text) runs.push({ text, style });
+    return;
+  }
+  if (node.type !== 'tag') return;
+  if (node.name === 'br') {
+    runs.push({ br: true, style });
+    return;
+  }
+  const childStyle = computeStyle(node, style, sheet);
+  if (childStyle.display === 'none') return;
+  if (childStyle.marginLeft) runs.push({ space: childStyle.marginLeft, style: childStyle });
+  for (const child of node.children) collectRuns(child, childStyle, sheet, runs);
+  if (childStyle.marginRight) runs.push({ space: childStyle.marginRight, style: childStyle });
+}
+
+function isBlockLevel(node, style) {
+  return node.type === 'tag' && style.display !== 'inline' && style.display !== 'none';
+}
+
+function trimRuns(runs) {
+  // Drop leading/trailing spaces and empty paragraphs
+  while (runs.length && runs[0].text !== undefined && !runs[0].text.trim()) runs.shift();
+  while (runs.length && runs[runs.length - 1].text !== undefined && !runs[runs.length - 1].text.trim()) runs.pop();
+  if (runs.length && runs[0].text !== undefined) runs[0] = { ...runs[0], text: runs[0].text.replace(/^ /, '') };
+  const last = runs.length - 1;
+  if (last >= 0 && runs[last].text !== undefined) runs[last] = { ...runs[last], text: runs[last].text.replace(/ $/, '') };
+  return runs.some(r => r.text || r.br) ? runs : [];
+}
+
+/**
+ * Build the box for an element. Inline children of a block are gathered
+ * into anonymous paragraph boxes between its block-level children.
+ */
+function buildBox(el, style, sheet) {
+  if (el.name === 'img') {
+    return { type: 'image', style, src: el.attribs?.src || '', alt: el.attribs?.alt || '', attribs: el.attribs || {} };
+  }
+
+  const type = style.display === 'flex' ? 'flex'
+    : el.name === 'table' ? 'table'
+    : el.name === 'li' ? 'list-item'
+    : 'block';
+  const box = { type, style, tag: el.name, children: [] };
+
+  if (type === 'table') {
+    box.rows = [];
+    const collectRows = node => {
+      for (const child of node.children || []) {
+        if (child.type !== 'tag') continue;
+        const childStyle = computeStyle(child, node === el ? style : computeStyle(node, style, sheet), sheet);
+        if (child.name === 'tr') {
+          box.rows.push({
+            style: childStyle,
+            cells: child.children
+              .filter(c => c.type === 'tag' && (c.name === 'td' || c.name === 'th'))
+              .map(c => buildBox(c, computeStyle(c, childStyle, sheet), sheet)),
+          });
+        } else {
+          collectRows(child);
+        }
+      }
+    };
+    collectRows(el);
+    return box;
+  }
+
+  if (type === 'flex') {
+    // Every child element (and any loose text) becomes its own flex item
+    for (const child of el.children) {
+      if (child.type === 'tag') {
+        const childStyle = computeStyle(child, style, sheet);
+        if (childStyle.display === 'none') continue;
+        if (isBlockLevel(child, childStyle)) {
+          box.children.push(buildBox(child, childStyle, sheet));
+        } else {
+          const runs = trimRuns(collectRunsOf(child, style, sheet));
+          if (runs.length) box.children.push({ type: 'block', style: { ...childStyle, display: 'block' }, children: [{ type: 'paragraph', style, runs }] });
+        }
+      } else if (child.type === 'text' && child.data.trim()) {
+        box.children.push({ type: 'paragraph', style, runs: trimRuns([{ text: child.data.replace(/\s+/g, ' '), style }]) });
+      }
+    }
+    return box;
+  }
+
+  let runs = [];
+  const flush = () => {
+    runs = trimRuns(runs);
+    if (runs.length) box.children.push({ type: 'paragraph', style, runs });
+    runs = [];
+  };
+  for (const child of el.children) {
+    if (child.type === 'tag') {
+      const childStyle = computeStyle(child, style, sheet);
+      if (childStyle.display === 'none') continue;
+      if (isBlockLevel(child, childStyle)) {
+        flush();
+        box.children.push(buildBox(child, childStyle, sheet));
+        continue;
+      }
+    }
+    collectRuns(child, style, sheet, runs);
+  }
+  flush();
+
+  if (type === 'list-item') {
+    const list = el.parent;
+    const items = (list?.children || []).filter(n => n.type === 'tag' && n.name === 'li');
+    box.marker = list?.name === 'ol' ? `${items.indexOf(el) + 1}.` : '•';
+  }
+  return box;
+}
+
+function collectRunsOf(el, parentStyle, sheet) {
+  const runs = [];
+  collectRuns(el, parentStyle, sheet, runs);
+  return runs;
+}
+
+// ── Renderer ──────────────────────────────────────────────────────────────────
+
+class Renderer {
+  constructor(doc, images, log) {
+    this.doc    = doc;
+    this.images = images;
+    this.log    = log;
+    this.y      = PAGE_MARGIN;
+    this.pageHeight = doc.page.height;
+    this.cache  = new Map();
+  }
+
+  get bottom() {
+    return this.pageHeight - PAGE_MARGIN;
+  }
+
+  addPage() {
+    this.doc.addPage();
+    this.y = PAGE_MARGIN;
+  }
+
+  setFont(style) {
+    this.doc.font(fontName(style)).fontSize(style.fontSize);
+  }
+
+  // ── Text ────────────────────────────────────────────────────────────────
+
+  /** Break a paragraph's runs into lines no wider than `width`. */
+  layoutLines(para, width) {
+    const lines = [];
+    let line = { items: [], width: 0, height: 0 };
+    const lineHeightOf = style => style.fontSize * style.lineHeight;
+    const pushLine = () => {
+      while (line.items.length && line.items[line.items.length - 1].isSpace) {
+        line.width -= line.items.pop().width;
+      }
+      if (!line.height) line.height = lineHeightOf(para.style);
+      lines.push(line);
+      line = { items: [], width: 0, height: 0 };
+    };
+
+    for (const run of para.runs) {
+      if (run.br) {
+        line.height = Math.max(line.height, lineHeightOf(run.style));
+        pushLine();
+        continue;
+      }
+      if (run.space) {
+        line.items.push({ width: run.space, isSpace: true, style: run.style });
+        line.width += run.space;
+        continue;
+      }
+      this.setFont(run.style);
+      const spacing = run.style.letterSpacing;
+      for (const token of run.text.split(/( )/)) {
+        if (!token) continue;
+        const isSpace = token === ' ';
+        if (isSpace && !line.items.length) continue;
+        let tokenWidth = this.doc.widthOfString(token, { characterSpacing: spacing });
+        if (!isSpace && line.width + tokenWidth > width && line.items.length) pushLine();
+
+        let text = token;
+        // A single word wider than the line is broken by characters
+        while (!isSpace && tokenWidth > width && text.length > 1) {
+          let cut = text.length - 1;
+          while (cut > 1 && this.doc.widthOfString(text.slice(0, cut), { characterSpacing: spacing }) > width) cut--;
+          const head = text.slice(0, cut);
+          line.items.push({ text: head, width: this.doc.widthOfString(head, { characterSpacing: spacing }), style: run.style });
+          line.height = Math.max(line.height, lineHeightOf(run.style));
+          pushLine();
+          text = text.slice(cut);
+          tokenWidth = this.doc.widthOfString(text, { characterSpacing: spacing });
+        }
+        line.items.push({ text, width: tokenWidth, isSpace, style: run.style });
+        line.width += tokenWidth;
+        line.height = Math.max(line.height, lineHeightOf(run.style));
+      }
+    }
+    if (line.items.length) pushLine();
+    return lines;
+  }
+
+  drawLines(lines, x, y, width, align) {
+    for (const line of lines) {
+      let cx = x;
+      if (align === 'right') cx = x + width - line.width;
+      else if (align === 'center') cx = x + (width - line.width) / 2;
+      for (const item of line.items) {
+        if (item.text && !item.isSpace) {
+          const { style } = item;
+          this.setFont(style);
+          const top = y + (line.height - style.fontSize * 1.15) / 2;
+          this.doc.fillColor(style.color).text(item.text, cx, top, {
+            lineBreak: false,
+            characterSpacing: style.letterSpacing,
+          });
+        }
+        cx += item.width;
+      }
+      y += line.height;
+    }
+  }
+
+  // ── Measuring ───────────────────────────────────────────────────────────
+
+  /** Outer width a box would like if unconstrained (for flex items). */
+  preferredWidth(box, available) {
+    const { style } = box;
+    const width = resolve(style.width, available);
+    if (width !== null) return width + (box.type === 'image' ? 0 : insetX(style));
+    if (box.type === 'image') return this.imageSize(box, available).width;
+    if (box.type === 'paragraph') {
+      return Math.min(available, Math.max(...this.layoutLines(box, Infinity).map(l => l.width), 0) + 0.5);
+    }
+    const inner = available - insetX(style);
+    const children = box.children || [];
+    const widths = children.map(c => this.preferredWidth(c, inner) + (c.style ? c.style.marginLeft + c.style.marginRight : 0));
+    const content = box.type === 'flex'
+      ? widths.reduce((a, b) => a + b, 0) + style.gap * Math.max(0, children.length - 1)
+      : Math.max(0, ...widths);
+    return Math.min(available, content + insetX(style));
+  }
+
+  imageSize(box, available) {
+    const { style, attribs } = box;
+    const width  = resolve(style.width, available) ?? (Number(attribs.width) * 0.75 || 100);
+    const height = resolve(style.height, available) ?? (Number(attribs.height) * 0.75 || width);
+    return { width: Math.min(width, available), height };
+  }
+
+  /** Border-box height of a box laid out at the given border-box width. */
+  measure(box, width) {
+    const key = box;
+    let byWidth = this.cache.get(key);
+    if (!byWidth) this.cache.set(key, (byWidth = new Map()));
+    if (byWidth.has(width)) return byWidth.get(width);
+
+    let height;
+    const { style } = box;
+    switch (box.type) {
+      case 'paragraph':
+        height = this.layoutLines(box, width).reduce((sum, l) => sum + l.height, 0);
+        break;
+      case 'image':
+        height = this.imageSize(box, width).height;
+        break;
+      case 'flex': {
+        const inner = width - insetX(style);
+        const widths = this.flexWidths(box, inner);
+        height = Math.max(0, ...box.children.map((c, i) => this.measure(c, widths[i]) + this.marginY(c))) + insetY(style);
+        break;
+      }
+      case 'table': {
+        const inner = width - insetX(style);
+        height = box.rows.reduce((sum, row) => sum + this.rowHeight(box, row, inner), 0) + insetY(style);
+        break;
+      }
+      default: {
+        const inner = width - insetX(style);
+        height = this.stackHeight(box.children, inner) + insetY(style);
+        if (style.height !== undefined) height = Math.max(height, resolve(style.height, width) || 0);
+      }
+    }
+    byWidth.set(width, height);
+    return height;
+  }
+
+  marginY(box) {
+    return box.style && box.type !== 'paragraph' ? box.style.marginTop + box.style.marginBottom : 0;
+  }
+
+  /** Collapsed vertical margin between two siblings (the larger wins). */
+  gapBetween(prev, next) {
+    const after  = prev && prev.type !== 'paragraph' ? prev.style.marginBottom : 0;
+    const before = next.type !== 'paragraph' ? next.style.marginTop : 0;
+    return prev ? Math.max(after, before) : before;
+  }
+
+  stackHeight(children, width) {
+    let height = 0;
+    let prev = null;
+    for (const child of children) {
+      height += this.gapBetween(prev, child);
+      height += this.measure(child, this.childWidth(child, width).width);
+      prev = child;
+    }
+    if (prev && prev.type !== 'paragraph') height += prev.style.marginBottom;
+    return height;
+  }
+
+  /** Horizontal placement of a block child inside a container of `width`. */
+  childWidth(child, width) {
+    if (child.type === 'paragraph') return { offset: 0, width };
+    const { style } = child;
+    const explicit = resolve(style.width, width);
+    let boxWidth = explicit !== null
+      ? explicit + (child.type === 'image' ? 0 : insetX(style))
+      : width - (resolve(style.marginLeft, width) || 0) - (resolve(style.marginRight, width) || 0);
+    boxWidth = Math.min(boxWidth, width);
+    if (child.type === 'image') boxWidth = this.imageSize(child, width).width;
+
+    let offset = resolve(style.marginLeft, width) || 0;
+    if (style.marginLeft === 'auto' && style.marginRight === 'auto') offset = (width - boxWidth) / 2;
+    else if (style.marginLeft === 'auto') offset = width - boxWidth - (resolve(style.marginRight, width) || 0);
+    return { offset, width: boxWidth };
+  }
+
+  flexWidths(box, inner) {
+    const { children, style } = box;
+    const gaps = style.gap * Math.max(0, children.length - 1);
+    const widths = children.map(c => (c.style?.flexGrow ? 0 : this.preferredWidth(c, inner)));
+    const growTotal = children.reduce((n, c) => n + (c.style?.flexGrow || 0), 0);
+    const free = Math.max(0, inner - gaps - widths.reduce((a, b) => a + b, 0));
+    if (growTotal) {
+      children.forEach((c, i) => {
+        if (c.style?.flexGrow) widths[i] = free * c.style.flexGrow / growTotal;
+      });
+    } else if (widths.reduce((a, b) => a + b, 0) + gaps > inner) {
+      const scale = (inner - gaps) / widths.reduce((a, b) => a + b, 0);
+      widths.forEach((w, i) => { widths[i] = w * scale; });
+    }
+    return widths;
+  }
+
+  columnWidths(table, inner) {
+    const first = table.rows[0]?.cells || [];
+    const widths = first.map(cell => resolve(cell.style.width, inner));
+    const fixed = widths.reduce((n, w) => n + (w || 0), 0);
+    const flexible = widths.filter(w => w === null).length;
+    return widths.map(w => (w === null ? Math.max(0, inner - fixed) / Math.max(1, flexible) : w));
+  }
+
+  rowHeight(table, row, inner) {
+    const widths = this.columnWidths(table, inner);
+    return Math.max(0, ...row.cells.map((cell, i) => this.measure(cell, widths[i] || 0)));
+  }
+
+  // ── Painting ────────────────────────────────────────────────────────────
+
+  paintBox(style, x, y, width, height) {
+    const { doc } = this;
+    if (style.background) {
+      if (style.borderRadius) doc.roundedRect(x, y, width, height, resolve(style.borderRadius, width)).fill(style.background);
+      else doc.rect(x, y, width, height).fill(style.background);
+    }
+    const { top, right, bottom, left } = style.border;
+    const uniform = top && right && bottom && left && [right, bottom, left].every(b => b.width === top.width && b.color === top.color);
+    if (uniform && style.borderRadius) {
+      const inset = top.width / 2;
+      doc.lineWidth(top.width)
+        .roundedRect(x + inset, y + inset, width - top.width, height - top.width, resolve(style.borderRadius, width))
+        .stroke(top.color);
+      return;
+    }
+    if (top)    doc.rect(x, y, width, top.width).fill(top.color);
+    if (bottom) doc.rect(x, y + height - bottom.width, width, bottom.width).fill(bottom.color);
+    if (left)   doc.rect(x, y, left.width, height).fill(left.color);
+    if (right)  doc.rect(x + width - right.width, y, right.width, height).fill(right.color);
+  }
+
+  drawImage(box, x, y, width, height) {
+    const { doc } = this;
+    const { style } = box;
+    const radius = resolve(style.borderRadius, width) || 0;
+    const round = radius >= width / 2;
+    const image = this.images.get(box.src);
+
+    doc.save();
+    if (round) doc.circle(x + width / 2, y + height / 2, Math.min(width, height) / 2).clip();
+    else if (radius) doc.roundedRect(x, y, width, height, radius).clip();
+    if (style.background || !image) doc.rect(x, y, width, height).fill(style.background || '#e5e7eb');
+    if (image) {
+      try {
+        doc.image(image, x, y, { cover: [width, height], align: 'center', valign: 'center' });
+      } catch (err) {
+        this.log.warn(`Could not draw image: ${err.message}`);
+      }
+    }
+    doc.restore();
+
+    const border = style.border.top;
+    if (border) {
+      doc.lineWidth(border.width);
+      if (round) doc.circle(x + width / 2, y + height / 2, (Math.min(width, height) - border.width) / 2).stroke(border.color);
+      else doc.rect(x, y, width, height).stroke(border.color);
+    }
+  }
+
+  /**
+   * Place a box at the current cursor, moving to a new page first when it
+   * does not fit. Boxes taller than a page are split between their children.
+   */
+  flow(box, x, width) {
+    const { style } = box;
+    if (style?.pageBreakBefore && this.y > PAGE_MARGIN) this.addPage();
+
+    const height = this.measure(box, width);
+    const pageSpace = this.bottom - PAGE_MARGIN;
+    if (this.y + height > this.bottom && height <= pageSpace && this.y > PAGE_MARGIN) this.addPage();
+
+    if (this.y + height <= this.bottom || box.type === 'paragraph' || box.type === 'image' || box.type === 'flex') {
+      this.draw(box, x, this.y, width, height);
+      this.y += height;
+      return;
+    }
+
+    // Taller than the remaining page: split between children (no background)
+    this.y += style.paddingTop + borderWidth(style, 'top');
+    const innerX = x + style.paddingLeft + borderWidth(style, 'left');
+    const inner  = width - insetX(style);
+    if (box.type === 'table') {
+      for (const row of box.rows) {
+        const rowHeight = this.rowHeight(box, row, inner);
+        if (this.y + rowHeight > this.bottom) this.addPage();
+        this.drawRow(box, row, innerX, this.y, inner, rowHeight);
+        this.y += rowHeight;
+      }
+    } else {
+      this.flowChildren(box, innerX, inner);
+    }
+    this.y += style.paddingBottom + borderWidth(style, 'bottom');
+  }
+
+  flowChildren(box, x, width) {
+    let prev = null;
+    for (const child of box.children) {
+      this.y += this.gapBetween(prev, child);
+      const { offset, width: childWidth } = this.childWidth(child, width);
+      this.flow(child, x + offset, childWidth);
+      prev = child;
+    }
+    if (prev && prev.type !== 'paragraph') this.y += prev.style.marginBottom;
+  }
+
+  /** Draw a box that is known to fit at (x, y). */
+  draw(box, x, y, width, height) {
+    const { style } = box;
+    if (box.type === 'paragraph') {
+      this.drawLines(this.layoutLines(box, width), x, y, width, style.textAlign);
+      return;
+    }
+    if (box.type === 'image') {
+      const size = this.imageSize(box, width);
+      this.drawImage(box, x, y, size.width, size.height);
+      return;
+    }
+
+    this.paintBox(style, x, y, width, height);
+    const innerX = x + style.paddingLeft + borderWidth(style, 'left');
+    const innerY = y + style.paddingTop + borderWidth(style, 'top');
+    const inner  = width - insetX(style);
+
+    if (box.type === 'list-item' && box.marker) {
+      const markerStyle = box.children.find(c => c.type === 'paragraph')?.style || style;
+      this.setFont(markerStyle);
+      const markerWidth = this.doc.widthOfString(`${box.marker} `);
+      this.doc.fillColor(markerStyle.color).text(box.marker, innerX - markerWidth, innerY + (markerStyle.fontSize * markerStyle.lineHeight - markerStyle.fontSize * 1.15) / 2, { lineBreak: false });
+    }
+
+    switch (box.type) {
+      case 'flex': {
+        const widths = this.flexWidths(box, inner);
+        const used = widths.reduce((a, b) => a + b, 0) + style.gap * Math.max(0, widths.length - 1);
+        const spread = style.justifyContent === 'space-between' && box.children.length > 1
+          ? (inner - used) / (box.children.length - 1)
+          : 0;
+        const rowHeight = height - insetY(style);
+        let cx = innerX;
+        box.children.forEach((child, i) => {
+          const childHeight = this.measure(child, widths[i]);
+          let cy = innerY + (child.style && child.type !== 'paragraph' ? child.style.marginTop : 0);
+          if (style.alignItems === 'center') cy = innerY + (rowHeight - childHeight) / 2;
+          const align = spread && i === box.children.length - 1 && box.children.length > 1 ? 'right' : null;
+          this.draw(align ? withAlign(child, align) : child, cx, cy, widths[i], childHeight);
+          cx += widths[i] + style.gap + spread;
+        });
+        break;
+      }
+      case 'table': {
+        let cy = innerY;
+        for (const row of box.rows) {
+          const rowHeight = this.rowHeight(box, row, inner);
+          this.drawRow(box, row, innerX, cy, inner, rowHeight);
+          cy += rowHeight;
+        }
+        break;
+      }
+      default: {
+        const saved = this.y;
+        this.y = innerY;
+        let prev = null;
+        for (const child of box.children) {
+          this.y += this.gapBetween(prev, child);
+          const { offset, width: childWidth } = this.childWidth(child, inner);
+          const childHeight = this.measure(child, childWidth);
+          this.draw(child, innerX + offset, this.y, childWidth, childHeight);
+          this.y += childHeight;
+          prev = child;
+        }
+        this.y = saved;
+      }
+    }
+  }
+
+  drawRow(table, row, x, y, width, height) {
+    const widths = this.columnWidths(table, width);
+    let cx = x;
+    row.cells.forEach((cell, i) => {
+      this.draw(cell, cx, y, widths[i] || 0, height);
+      cx += widths[i] || 0;
+    });
+  }
+}
+
+/** Copy of a flex item whose paragraphs align right (last item of space-between). */
+function withAlign(box, align) {
+  if (box.type === 'paragraph') return { ...box, style: { ...box.style, textAlign: align } };
+  if (!box.children) return box;
+  return { ...box, children: box.children.map(c => withAlign(c, align)) };
+}
+
+// ── Entry point ───────────────────────────────────────────────────────────────
+
+function findElement(nodes, name) {
+  for (const node of nodes || []) {
+    if (node.type === 'tag' && node.name === name) return node;
+    const found = findElement(node.children, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+function collectImageSources(nodes, out = new Set()) {
+  for (const node of nodes || []) {
+    if (node.type === 'tag' && node.name === 'img' && node.attribs?.src) out.add(node.attribs.src);
+    collectImageSources(node.children, out);
+  }
+  return out;
+}
+
+function textContent(node) {
+  if (!node) return '';
+  if (node.type === 'text') return node.data;
+  return (node.children || []).map(textContent).join('');
+}
+
+/**
+ * Render an HTML document to PDF bytes.
+ *
+ * @param {string} html
+ * @param {object} [options]
+ * @param {string} [options.pageSize='LETTER']  Any PDFKit page size name
+ * @param {(src: string) => Promise<Buffer|null>} [options.loadImage]
+ *        Resolve an <img src> to PNG/JPEG bytes; null draws a placeholder
+ * @param {{ text: string, opacity: number, rotation: number, fontSize: number }} [options.watermark]
+ *        Text stamped diagonally across the centre of every page
+ * @param {{ userPassword?: string, ownerPassword: string, permissions: object }} [options.encryption]
+ *        PDFKit security options (AES-128 encryption)
+ * @param {AbortSignal} [options.signal]  Checked once the images have loaded, before layout
+ * @param {import('../../utils/logger').Logger} [options.log]
+ * @returns {Promise<Buffer>}
+ */
+async function renderHtmlToPdf(html, { pageSize = 'LETTER', loadImage = async () => null, watermark, encryption, signal, log } = {}) {
+  const logger = componentLogger('LocalPdfRenderer', log);
+  const dom = parseDocument(html, { decodeEntities: true, lowerCaseTags: true });
+
+  const css = findAllText(dom.children, 'style');
+  const sheet = parseStylesheet(css);
+
+  const images = new Map();
+  await Promise.all([...collectImageSources(dom.children)].map(async src => {
+    try {
+      const bytes = await loadImage(src);
+      if (bytes) images.set(src, bytes);
+    } catch (err) {
+      logger.warn(`Image unavailable (${err.message}) — using placeholder`);
+    }
+  }));
+  signal?.throwIfAborted();
+
+  const doc = new PDFDocument({
+    size: pageSize,
+    margins: { top: 0, bottom: 0, left: 0, right: 0 },
+    info: { Title: textContent(findElement(dom.children, 'title')).trim() || 'Report', Producer: 'HistorAI LocalPdfService' },
+    bufferPages: Boolean(watermark),
+    ...(encryption && { pdfVersion: '1.7', ...encryption }),
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const htmlEl = findElement(dom.children, 'html');
+  const bodyEl = findElement(dom.children, 'body') || htmlEl || dom;
+  const rootStyle = htmlEl ? computeStyle(htmlEl, ROOT_STYLE, sheet) : { ...ROOT_STYLE };
+  const bodyStyle = bodyEl.type === 'tag' && bodyEl !== htmlEl ? computeStyle(bodyEl, rootStyle, sheet) : rootStyle;
+  const root = buildBox(
+    bodyEl.type === 'tag' ? bodyEl : { name: 'body', children: bodyEl.children, attribs: {} },
+    { ...bodyStyle, display: 'block' },
+    sheet
+  );
+
+  const renderer = new Renderer(doc, images, logger);
+  renderer.flowChildren(root, 0, doc.page.width);
+  if (watermark) stampWatermark(doc, watermark);
+  doc.end();
+  return done;
+}
+
+function stampWatermark(doc, { text, opacity, rotation, fontSize }) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const { width, height } = doc.page;
+    doc.save()
+      .font('Helvetica-Bold')
+      .fontSize(fontSize)
+      .fillColor('#000000', opacity)
+      .rotate(-rotation, { origin: [width / 2, height / 2] });
+    const textWidth = doc.widthOfString(text);
+    doc.text(text, (width - textWidth) / 2, (height - fontSize) / 2, { lineBreak: false });
+    doc.restore();
+  }
+}
+
+function findAllText(nodes, name) {
+  let out = '';
+  for (const node of nodes || []) {
+    if (node.type === 'style' || (node.type === 'tag' && node.name === name)) out += textContent(node) + '\n';
+    else out += findAllText(node.children, name);
+  }
+  return out;
+}
+
+module.exports = { renderHtmlToPdf };
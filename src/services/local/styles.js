@@ -0,0 +1,395 @@
+'use strict';
+
+/**
+ * styles.js
+ *
+ * The CSS subset understood by the local PDF renderer. Enough to follow the
+ * report templates' own stylesheet: class/tag/descendant selectors (plus
+ * :first-child, :last-child, :nth-child(odd|even)), `:root` custom properties
+ * and var(), and the properties below. Anything else is ignored.
+ *
+ *   inherited   font-family, font-size, font-weight, font-style, color,
+ *               line-height, text-align, text-transform, letter-spacing
+ *   box         display, width, height, margin*, padding*, border*,
+ *               border-radius, background(-color), gap, flex,
+ *               justify-content, align-items, page-break-before / break-before
+ *
+ * Lengths are converted to PDF points (1px = 0.75pt, as in CSS at 96 dpi).
+ */
+
+const PX_TO_PT = 0.75;
+
+const BLOCK_TAGS = new Set([
+  'html', 'body', 'div', 'p', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'figure', 'figcaption',
+  'table', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'hr', 'img',
+]);
+const HIDDEN_TAGS = new Set(['head', 'title', 'style', 'script', 'meta', 'link', 'template', 'noscript']);
+
+const HEADING_SIZES = { h1: 2, h2: 1.5, h3: 1.17, h4: 1, h5: 0.83, h6: 0.67 };
+
+const NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff',
+  gray: '#808080', grey: '#808080', silver: '#c0c0c0', navy: '#000080', maroon: '#800000',
+};
+
+const INHERITED = ['fontFamily', 'fontSize', 'bold', 'italic', 'color', 'lineHeight', 'textAlign', 'textTransform', 'letterSpacing'];
+
+/** Root style every document starts from. */
+const ROOT_STYLE = {
+  fontFamily:    'serif',
+  fontSize:      12,
+  bold:          false,
+  italic:        false,
+  color:         '#000000',
+  lineHeight:    1.2,
+  textAlign:     'left',
+  textTransform: 'none',
+  letterSpacing: 0,
+};
+
+// ── Stylesheet parsing ────────────────────────────────────────────────────────
+
+function parseDeclarations(source) {
+  const decls = {};
+  for (const part of source.split(';')) {
+    const colon = part.indexOf(':');
+    if (colon === -1) continue;
+    const prop  = part.slice(0, colon).trim().toLowerCase();
+    const value = part.slice(colon + 1).replace(/!important/i, '').trim();
+    if (prop && value) decls[prop] = value;
+  }
+  return decls;
+}
+
+/**
+ * Parse one compound selector (`li.a.b:first-child`) into
+ * { tag, classes, id, pseudo }, or null if it uses unsupported syntax.
+ */
+function parseCompound(source) {
+  const compound = { tag: null, classes: [], id: null, pseudo: [] };
+  const re = /^(\*|[a-z][a-z0-9-]*)|\.([\w-]+)|#([\w-]+)|:(first-child|last-child|root|nth-child\((?:odd|even|\d+)\))|(.)/gi;
+  let m;
+  while ((m = re.exec(source)) !== null && m[0]) {
+    if (m[5] !== undefined) return null; // pseudo-elements, attribute selectors, …
+    if (m[1]) compound.tag = m[1] === '*' ? null : m[1].toLowerCase();
+    if (m[2]) compound.classes.push(m[2]);
+    if (m[3]) compound.id = m[3];
+    if (m[4]) compound.pseudo.push(m[4].toLowerCase());
+  }
+  return compound;
+}
+
+function parseSelector(source) {
+  const parts = source.replace(/\s*>\s*/g, ' ').trim().split(/\s+/);
+  const compounds = parts.map(parseCompound);
+  if (compounds.some(c => c === null)) return null;
+  const specificity = compounds.reduce(
+    (n, c) => n + (c.id ? 100 : 0) + 10 * (c.classes.length + c.pseudo.length) + (c.tag ? 1 : 0),
+    0
+  );
+  return { compounds, specificity };
+}
+
+/**
+ * Parse CSS text into rules. `:root` custom properties are collected and
+ * substituted into every value up front.
+ *
+ * @param {string} css
+ * @returns {{ rules: object[] }}
+ */
+function parseStylesheet(css) {
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  const blocks = [];
+  const vars   = {};
+  const re = /([^{}]+)\{([^{}]*)\}/g;
+  let m;
+  while ((m = re.exec(source)) !== null) {
+    const selectorText = m[1].trim();
+    if (selectorText.startsWith('@')) continue;
+    const decls = parseDeclarations(m[2]);
+    if (/(^|,)\s*:root\s*(,|$)/.test(selectorText)) {
+      for (const [prop, value] of Object.entries(decls)) if (prop.startsWith('--')) vars[prop] = value;
+    }
+    blocks.push({ selectorText, decls });
+  }
+
+  const rules = [];
+  blocks.forEach(({ selectorText, decls }, order) => {
+    for (const [prop, value] of Object.entries(decls)) decls[prop] = resolveVars(value, vars);
+    for (const text of selectorText.split(',')) {
+      const selector = parseSelector(text);
+      if (selector) rules.push({ ...selector, decls, order });
+    }
+  });
+  return { rules };
+}
+
+function resolveVars(value, vars, depth = 0) {
+  if (depth > 10 || !value.includes('var(')) return value;
+  const resolved = value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*))?\)/g, (_, name, fallback) =>
+    vars[name] !== undefined ? vars[name] : (fallback || '')
+  );
+  return resolveVars(resolved, vars, depth + 1);
+}
+
+// ── Selector matching ─────────────────────────────────────────────────────────
+
+function elementSiblings(el) {
+  return (el.parent?.children || []).filter(n => n.type === 'tag');
+}
+
+function matchesCompound(compound, el) {
+  if (compound.tag && el.name !== compound.tag) return false;
+  if (compound.id && el.attribs?.id !== compound.id) return false;
+  if (compound.classes.length) {
+    const classes = (el.attribs?.class || '').split(/\s+/);
+    if (!compound.classes.every(c => classes.includes(c))) return false;
+  }
+  for (const pseudo of compound.pseudo) {
+    const siblings = elementSiblings(el);
+    const index = siblings.indexOf(el) + 1;
+    if (pseudo === 'root' && el.name !== 'html') return false;
+    if (pseudo === 'first-child' && index !== 1) return false;
+    if (pseudo === 'last-child' && index !== siblings.length) return false;
+    const nth = pseudo.match(/^nth-child\((\w+)\)$/);
+    if (nth) {
+      const want = nth[1];
+      if (want === 'odd' ? index % 2 !== 1 : want === 'even' ? index % 2 !== 0 : index !== Number(want)) return false;
+    }
+  }
+  return true;
+}
+
+function matches(selector, el) {
+  const { compounds } = selector;
+  if (!matchesCompound(compounds[compounds.length - 1], el)) return false;
+  let node = el.parent;
+  for (let i = compounds.length - 2; i >= 0; i--) {
+    while (node && (node.type !== 'tag' || !matchesCompound(compounds[i], node))) node = node.parent;
+    if (!node) return false;
+    node = node.parent;
+  }
+  return true;
+}
+
+// ── Values ────────────────────────────────────────────────────────────────────
+
+/**
+ * Convert a CSS length to points. Percentages are returned as
+ * { percent } so they can be resolved against the containing width later.
+ */
+function parseLength(value, fontSize) {
+  const m = String(value).trim().match(/^(-?[\d.]+)(px|pt|em|rem|%)?$/);
+  if (!m) return null;
+  const n = parseFloat(m[1]);
+  switch (m[2]) {
+    case 'px':  return n * PX_TO_PT;
+    case 'pt':  return n;
+    case 'em':  return n * fontSize;
+    case 'rem': return n * ROOT_STYLE.fontSize;
+    case '%':   return { percent: n };
+    default:    return n === 0 ? 0 : n * PX_TO_PT;
+  }
+}
+
+function parseColor(value) {
+  const v = String(value).trim().toLowerCase();
+  if (v === 'transparent' || v === 'none') return null;
+  if (/^#[0-9a-f]{3}$/.test(v)) return `#${[...v.slice(1)].map(c => c + c).join('')}`;
+  if (/^#[0-9a-f]{6}$/.test(v)) return v;
+  const rgb = v.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+  if (rgb) return `#${rgb.slice(1, 4).map(n => Math.min(255, Number(n)).toString(16).padStart(2, '0')).join('')}`;
+  return NAMED_COLORS[v] || null;
+}
+
+/** First colour token in a shorthand such as `3px solid #2C5F8A`. */
+function findColor(value) {
+  for (const token of String(value).match(/#[0-9a-f]+|rgba?\([^)]*\)|[a-z]+/gi) || []) {
+    const color = parseColor(token);
+    if (color) return color;
+  }
+  return null;
+}
+
+function parseFontFamily(value) {
+  for (const family of value.split(',').map(f => f.trim().replace(/^['"]|['"]$/g, '').toLowerCase())) {
+    if (/sans-serif|helvetica|arial|verdana|system-ui/.test(family)) return 'sans';
+    if (/serif|georgia|times/.test(family)) return 'serif';
+    if (/mono|courier/.test(family)) return 'mono';
+  }
+  return null;
+}
+
+/** Expand a 1–4 value shorthand into [top, right, bottom, left]. */
+function expandSides(value) {
+  const parts = value.trim().split(/\s+/);
+  const [t, r = t, b = t, l = r] = parts;
+  return [t, r, b, l];
+}
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+function parseBorder(value, fontSize) {
+  if (/^none$|^0$/.test(value.trim())) return null;
+  const width = value.split(/\s+/).map(t => parseLength(t, fontSize)).find(n => typeof n === 'number');
+  return { width: width ?? PX_TO_PT, color: findColor(value) || '#000000' };
+}
+
+function applyDeclaration(style, prop, value, parent) {
+  const fontSize = style.fontSize;
+  switch (prop) {
+    case 'font-family': {
+      const family = parseFontFamily(value);
+      if (family) style.fontFamily = family;
+      break;
+    }
+    case 'font-size': {
+      const size = parseLength(value, parent.fontSize);
+      if (typeof size === 'number') style.fontSize = size;
+      else if (size?.percent) style.fontSize = parent.fontSize * size.percent / 100;
+      break;
+    }
+    case 'font-weight':
+      style.bold = /bold/.test(value) || Number(value) >= 600;
+      break;
+    case 'font-style':
+      style.italic = /italic|oblique/.test(value);
+      break;
+    case 'color':
+      style.color = parseColor(value) || style.color;
+      break;
+    case 'line-height': {
+      if (/^[\d.]+$/.test(value)) style.lineHeight = parseFloat(value);
+      else if (value === 'normal') style.lineHeight = 1.2;
+      else {
+        const h = parseLength(value, fontSize);
+        if (typeof h === 'number') style.lineHeight = h / fontSize;
+      }
+      break;
+    }
+    case 'text-align':
+      style.textAlign = value;
+      break;
+    case 'text-transform':
+      style.textTransform = value;
+      break;
+    case 'letter-spacing': {
+      const spacing = parseLength(value, fontSize);
+      style.letterSpacing = typeof spacing === 'number' ? spacing : 0;
+      break;
+    }
+    case 'display':
+      style.display = value;
+      break;
+    case 'width':
+    case 'height': {
+      const length = parseLength(value, fontSize);
+      if (length !== null) style[prop] = length;
+      break;
+    }
+    case 'margin':
+    case 'padding':
+      expandSides(value).forEach((v, i) => applyDeclaration(style, `${prop}-${SIDES[i]}`, v, parent));
+      break;
+    case 'border':
+      SIDES.forEach(side => { style.border[side] = parseBorder(value, fontSize); });
+      break;
+    case 'border-radius': {
+      const radius = parseLength(value.split(/\s+/)[0], fontSize);
+      if (radius !== null) style.borderRadius = radius;
+      break;
+    }
+    case 'background':
+    case 'background-color':
+      style.background = findColor(value);
+      break;
+    case 'gap':
+      style.gap = parseLength(value.split(/\s+/)[0], fontSize) || 0;
+      break;
+    case 'flex':
+      style.flexGrow = parseFloat(value) || 0;
+      break;
+    case 'justify-content':
+      style.justifyContent = value;
+      break;
+    case 'align-items':
+      style.alignItems = value;
+      break;
+    case 'page-break-before':
+    case 'break-before':
+      if (value === 'always' || value === 'page') style.pageBreakBefore = true;
+      break;
+    default: {
+      const side = prop.match(/^(margin|padding|border)-(top|right|bottom|left)$/);
+      if (!side) break;
+      if (side[1] === 'border') {
+        style.border[side[2]] = parseBorder(value, fontSize);
+      } else {
+        const length = value === 'auto' ? 'auto' : parseLength(value, fontSize);
+        if (length !== null) style[`${side[1]}${side[2][0].toUpperCase()}${side[2].slice(1)}`] = length;
+      }
+    }
+  }
+}
+
+/** Built-in defaults, standing in for a browser's user-agent stylesheet. */
+function defaultDeclarations(el) {
+  const decls = {};
+  const tag = el.name;
+  if (HIDDEN_TAGS.has(tag)) decls.display = 'none';
+  else if (BLOCK_TAGS.has(tag)) decls.display = 'block';
+  if (tag === 'strong' || tag === 'b' || tag === 'th') decls['font-weight'] = 'bold';
+  if (tag === 'em' || tag === 'i' || tag === 'cite') decls['font-style'] = 'italic';
+  if (HEADING_SIZES[tag]) {
+    decls['font-size'] = `${HEADING_SIZES[tag]}em`;
+    decls['font-weight'] = 'bold';
+    decls.margin = '0.67em 0';
+  }
+  if (tag === 'p') decls.margin = '1em 0';
+  if (tag === 'ul' || tag === 'ol') {
+    decls.margin = '1em 0';
+    decls['padding-left'] = '40px';
+  }
+  if (tag === 'td' || tag === 'th') decls.padding = '1px';
+  return decls;
+}
+
+/**
+ * Compute the style for an element from its parent's computed style, the
+ * matching rules (in specificity then source order) and its style attribute.
+ *
+ * @param {object} el          htmlparser2 element
+ * @param {object} parent      Parent's computed style (or ROOT_STYLE)
+ * @param {{ rules: object[] }} sheet
+ * @returns {object}
+ */
+function computeStyle(el, parent, sheet) {
+  const style = {
+    display:      'inline',
+    marginTop: 0, marginRight: 0, marginBottom: 0, marginLeft: 0,
+    paddingTop: 0, paddingRight: 0, paddingBottom: 0, paddingLeft: 0,
+    border:       { top: null, right: null, bottom: null, left: null },
+    borderRadius: 0,
+    background:   null,
+    gap:          0,
+    flexGrow:     0,
+  };
+  for (const key of INHERITED) style[key] = parent[key];
+
+  const declared = { ...defaultDeclarations(el) };
+  const matched = sheet.rules
+    .filter(rule => matches(rule, el))
+    .sort((a, b) => a.specificity - b.specificity || a.order - b.order);
+  for (const rule of matched) Object.assign(declared, rule.decls);
+  if (el.attribs?.style) Object.assign(declared, parseDeclarations(el.attribs.style));
+
+  // font-size first so em lengths in the same rule resolve against it
+  if (declared['font-size']) applyDeclaration(style, 'font-size', declared['font-size'], parent);
+  for (const [prop, value] of Object.entries(declared)) {
+    if (prop !== 'font-size') applyDeclaration(style, prop, value, parent);
+  }
+  return style;
+}
+
+module.exports = { parseStylesheet, computeStyle, parseLength, ROOT_STYLE, PX_TO_PT };
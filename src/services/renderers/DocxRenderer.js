@@ -0,0 +1,251 @@
+'use strict';
+
+const ReportRenderer = require('./ReportRenderer');
+const { XML_DECLARATION, escapeXml } = require('./xml');
+const { createZip } = require('../../utils/zip');
+const { getTemplate } = require('../../utils/templateRegistry');
+
+const NS = {
+  w:   'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+  r:   'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  wp:  'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+  a:   'http://schemas.openxmlformats.org/drawingml/2006/main',
+  pic: 'http://schemas.openxmlformats.org/drawingml/2006/picture',
+  rel: 'http://schemas.openxmlformats.org/package/2006/relationships',
+};
+const RELATIONSHIP = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml';
+
+// Page sizes in twentieths of a point, for the template's pageSize
+const PAGE_TWIPS = { LETTER: [12240, 15840], A4: [11906, 16838], LEGAL: [12240, 20160] };
+const MARGIN_TWIPS = 1080; // ¾ inch
+
+// The portrait is at most this large, in EMUs (914,400 per inch)
+const PORTRAIT_MAX_W = 1600200; // 1¾ in
+const PORTRAIT_MAX_H = 2057400; // 2¼ in
+
+// Word's built-in style ids, so headings land in the navigation pane and
+// lists, quotes and the title pick up the user's theme when restyled
+const STYLES = `<w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Georgia" w:hAnsi="Georgia" w:eastAsia="Georgia" w:cs="Georgia"/><w:color w:val="1A1A2E"/><w:sz w:val="22"/><w:szCs w:val="22"/>LANG</w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="288" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="40"/></w:pPr><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial"/><w:b/><w:bCs/><w:color w:val="2C5F8A"/><w:sz w:val="44"/><w:szCs w:val="44"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="40"/></w:pPr><w:rPr><w:i/><w:iCs/><w:color w:val="5A6072"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="2" w:color="D0D6E0"/></w:pBdr><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial"/><w:b/><w:bCs/><w:color w:val="2C5F8A"/><w:sz w:val="28"/><w:szCs w:val="28"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="200" w:after="60"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial"/><w:b/><w:bCs/><w:sz w:val="23"/><w:szCs w:val="23"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="C9A84C"/></w:pBdr><w:shd w:val="clear" w:color="auto" w:fill="E8F1F8"/><w:ind w:left="360" w:right="360"/></w:pPr><w:rPr><w:i/><w:iCs/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="60"/><w:ind w:left="720"/><w:contextualSpacing/></w:pPr></w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="ReportLabel"><w:name w:val="Report Label"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial"/><w:caps/><w:color w:val="5A6072"/><w:sz w:val="16"/><w:szCs w:val="16"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="ReportMuted"><w:name w:val="Report Muted"/><w:basedOn w:val="Normal"/><w:rPr><w:color w:val="5A6072"/></w:rPr></w:style>`;
+
+// numId 1: bullets, numId 2: 1. 2. 3.
+const NUMBERING = [['bullet', '•'], ['decimal', '%1.']].map(([format, text], id) =>
+  `<w:abstractNum w:abstractNumId="${id}"><w:multiLevelType w:val="singleLevel"/><w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl></w:abstractNum>`
+).join('\n  ') + '\n  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>\n  <w:num w:numId="2"><w:abstractNumId w:val="1"/></w:num>';
+
+/**
+ * Renders a report as a Word document (Office Open XML), for teachers who
+ * want to edit or annotate it. The report outline becomes paragraphs in
+ * Word's built-in styles — Title, Heading 1/2, Quote, List Paragraph — on
+ * the template's page size, with the portrait embedded and right-to-left
+ * paragraphs for RTL locales.
+ */
+class DocxRenderer extends ReportRenderer {
+  get format()      { return 'docx'; }
+  get contentType() { return `${CONTENT_TYPE}.document`; }
+
+  async render(data, { template, signal, log } = {}) {
+    data = this._check(data, template);
+    const outline  = this._outline(data, template);
+    const portrait = await this._portrait(data, { signal, log });
+    const page     = PAGE_TWIPS[getTemplate(template).pageSize] || PAGE_TWIPS.LETTER;
+    const media    = portrait && `media/portrait.${portrait.extension}`;
+
+    const parts = [
+      { name: '[Content_Types].xml', data: contentTypesXml() },
+      { name: '_rels/.rels', data: relationshipsXml([
+        ['rId1', `${RELATIONSHIP}/officeDocument`, 'word/document.xml'],
+        ['rId2', 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties', 'docProps/core.xml'],
+      ]) },
+      { name: 'docProps/core.xml', data: corePropertiesXml(outline) },
+      { name: 'word/_rels/document.xml.rels', data: relationshipsXml([
+        ['rId1', `${RELATIONSHIP}/styles`, 'styles.xml'],
+        ['rId2', `${RELATIONSHIP}/numbering`, 'numbering.xml'],
+        ...(media ? [['rId3', `${RELATIONSHIP}/image`, media]] : []),
+      ]) },
+      { name: 'word/styles.xml', data: stylesXml(outline) },
+      { name: 'word/numbering.xml', data: `${XML_DECLARATION}\n<w:numbering xmlns:w="${NS.w}">\n  ${NUMBERING}\n</w:numbering>\n` },
+      { name: 'word/document.xml', data: documentXml(outline, { portrait: portrait && { ...portrait, rId: 'rId3' }, page }) },
+    ];
+    if (media) parts.push({ name: `word/${media}`, data: portrait.bytes });
+    return createZip(parts);
+  }
+}
+
+// ── Package parts ─────────────────────────────────────────────────────────────
+
+function contentTypesXml() {
+  return `${XML_DECLARATION}
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Default Extension="png" ContentType="image/png"/>
+  <Default Extension="jpeg" ContentType="image/jpeg"/>
+  <Override PartName="/word/document.xml" ContentType="${CONTENT_TYPE}.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="${CONTENT_TYPE}.styles+xml"/>
+  <Override PartName="/word/numbering.xml" ContentType="${CONTENT_TYPE}.numbering+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>
+`;
+}
+
+function relationshipsXml(relationships) {
+  const items = relationships.map(([id, type, target]) => `<Relationship Id="${id}" Type="${type}" Target="${target}"/>`);
+  return `${XML_DECLARATION}\n<Relationships xmlns="${NS.rel}">\n  ${items.join('\n  ')}\n</Relationships>\n`;
+}
+
+function corePropertiesXml(outline) {
+  return `${XML_DECLARATION}
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${escapeXml(outline.title)}</dc:title>
+  <dc:subject>${escapeXml(outline.character.name)}</dc:subject>
+  <dc:creator>HistorAI</dc:creator>
+  <dc:language>${escapeXml(outline.locale)}</dc:language>
+  <dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().slice(0, 19)}Z</dcterms:created>
+</cp:coreProperties>
+`;
+}
+
+function stylesXml(outline) {
+  const lang = `<w:lang w:val="${escapeXml(outline.locale)}"${outline.dir === 'rtl' ? ` w:bidi="${escapeXml(outline.locale)}"` : ''}/>`;
+  return `${XML_DECLARATION}\n<w:styles xmlns:w="${NS.w}">\n  ${STYLES.replace('LANG', lang)}\n</w:styles>\n`;
+}
+
+// ── Document body ─────────────────────────────────────────────────────────────
+
+/**
+ * Builds WordprocessingML for one document; `rtl` marks every paragraph and
+ * run right-to-left.
+ */
+class BodyWriter {
+  constructor({ rtl }) {
+    this.rtl = rtl;
+    this.xml = [];
+  }
+
+  run(text, { bold = false } = {}) {
+    const props = `${bold ? '<w:b/><w:bCs/>' : ''}${this.rtl ? '<w:rtl/>' : ''}`;
+    const lines = String(text ?? '').split('\n').map(line => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`);
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${lines.join('<w:br/>')}</w:r>`;
+  }
+
+  paragraph(runs, { style, numId } = {}) {
+    const props = [
+      style && `<w:pStyle w:val="${style}"/>`,
+      numId && `<w:numPr><w:ilvl w:val="0"/><w:numId w:val="${numId}"/></w:numPr>`,
+      this.rtl && '<w:bidi/>',
+    ].filter(Boolean).join('');
+    return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${[].concat(runs).join('')}</w:p>`;
+  }
+
+  add(...xml) {
+    this.xml.push(...xml);
+  }
+
+  /** Paragraphs split at blank lines. */
+  text(text, options) {
+    for (const part of String(text).split(/\n\s*\n/)) this.add(this.paragraph(this.run(part.trim()), options));
+  }
+
+  image({ rId, width, height, extension }, description) {
+    const scale = Math.min(PORTRAIT_MAX_W / width, PORTRAIT_MAX_H / height);
+    const cx = Math.round(width * scale);
+    const cy = Math.round(height * scale);
+    this.add(this.paragraph(`<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">` +
+      `<wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="1" name="Portrait" descr="${escapeXml(description)}"/>` +
+      '<wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>' +
+      `<a:graphic><a:graphicData uri="${NS.pic}"><pic:pic>` +
+      `<pic:nvPicPr><pic:cNvPr id="1" name="portrait.${extension}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+      `<pic:blipFill><a:blip r:embed="${rId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+      `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+      '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>'));
+  }
+
+  table({ header, rows }, contentWidth) {
+    const column = Math.floor(contentWidth / header.length);
+    const border = side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="D0D6E0"/>`;
+    const cell = (text, head) => `<w:tc><w:tcPr><w:tcW w:w="${column}" w:type="dxa"/>` +
+      `${head ? '<w:shd w:val="clear" w:color="auto" w:fill="E8F1F8"/>' : ''}</w:tcPr>` +
+      `${this.paragraph(this.run(text, { bold: head }))}</w:tc>`;
+    this.add(
+      `<w:tbl><w:tblPr>${this.rtl ? '<w:bidiVisual/>' : ''}<w:tblW w:w="${column * header.length}" w:type="dxa"/>` +
+      `<w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders>` +
+      '<w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr>' +
+      `<w:tblGrid>${header.map(() => `<w:gridCol w:w="${column}"/>`).join('')}</w:tblGrid>` +
+      `<w:tr><w:trPr><w:tblHeader/></w:trPr>${header.map(text => cell(text, true)).join('')}</w:tr>` +
+      rows.map(row => `<w:tr>${row.map(text => cell(text, false)).join('')}</w:tr>`).join('') +
+      '</w:tbl>',
+      // Word needs a paragraph between a table and whatever follows it
+      this.paragraph(''),
+    );
+  }
+}
+
+function documentXml(outline, { portrait, page }) {
+  const { character } = outline;
+  const body = new BodyWriter({ rtl: outline.dir === 'rtl' });
+  const contentWidth = page[0] - 2 * MARGIN_TWIPS;
+
+  body.add(body.paragraph(body.run(outline.label), { style: 'ReportLabel' }));
+  if (portrait) body.image(portrait, character.name);
+  body.add(body.paragraph(body.run(character.name), { style: 'Title' }));
+  if (character.tagline) body.add(body.paragraph(body.run(character.tagline), { style: 'Subtitle' }));
+  if (character.lifespan) body.add(body.paragraph(body.run(character.lifespan), { style: 'ReportMuted' }));
+  if (character.bio) body.text(character.bio);
+  body.add(body.paragraph(outline.session.flatMap(([label, value], i) => [
+    body.run(`${i ? ' · ' : ''}${label}: `, { bold: true }),
+    body.run(value),
+  ]), { style: 'ReportMuted' }));
+
+  for (const section of outline.sections) {
+    body.add(body.paragraph(body.run(section.heading), { style: 'Heading1' }));
+    for (const block of section.blocks) {
+      switch (block.type) {
+        case 'subheading':
+          body.add(body.paragraph(body.run(block.text), { style: 'Heading2' }));
+          break;
+        case 'quote':
+          body.add(body.paragraph([
+            ...(block.label ? [body.run(`${block.label}: `, { bold: true })] : []),
+            body.run(block.text),
+          ], { style: 'Quote' }));
+          if (block.source) body.add(body.paragraph(body.run(block.source), { style: 'ReportMuted' }));
+          break;
+        case 'list':
+          for (const item of block.items) {
+            body.add(body.paragraph(body.run(item), { style: 'ListParagraph', numId: block.ordered ? 2 : 1 }));
+          }
+          break;
+        case 'table':
+          body.table(block, contentWidth);
+          break;
+        default:
+          body.text(block.text);
+      }
+    }
+  }
+
+  const namespaces = ['w', 'r', 'wp', 'a', 'pic'].map(prefix => `xmlns:${prefix}="${NS[prefix]}"`).join(' ');
+  return `${XML_DECLARATION}
+<w:document ${namespaces}>
+<w:body>
+${body.xml.join('\n')}
+<w:sectPr><w:pgSz w:w="${page[0]}" w:h="${page[1]}"/><w:pgMar w:top="${MARGIN_TWIPS}" w:right="${MARGIN_TWIPS}" w:bottom="${MARGIN_TWIPS}" w:left="${MARGIN_TWIPS}" w:header="720" w:footer="720" w:gutter="0"/>${outline.dir === 'rtl' ? '<w:bidi/>' : ''}</w:sectPr>
+</w:body>
+</w:document>
+`;
+}
+
+module.exports = DocxRenderer;
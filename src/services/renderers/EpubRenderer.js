@@ -0,0 +1,187 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const ReportRenderer = require('./ReportRenderer');
+const { XML_DECLARATION, escapeXml } = require('./xml');
+const { createZip } = require('../../utils/zip');
+
+const MIMETYPE = 'application/epub+zip';
+
+// Reflowable, so readers can resize it; the report palette and fonts only
+const STYLESHEET = `body { font-family: Georgia, 'Times New Roman', serif; color: #1A1A2E; line-height: 1.5; }
+h1, h2, h3, .label, .session { font-family: 'Helvetica Neue', Arial, sans-serif; }
+h1 { color: #2C5F8A; margin: 0.2em 0; }
+h2 { color: #2C5F8A; border-bottom: 1px solid #D0D6E0; margin-top: 1.6em; }
+h3 { margin-bottom: 0.2em; }
+.label { color: #5A6072; text-transform: uppercase; letter-spacing: 0.08em; font-size: 0.8em; }
+.portrait { display: block; max-width: 40%; margin: 1em 0; }
+.tagline { font-style: italic; }
+.lifespan, .session { color: #5A6072; }
+blockquote { margin: 1em 0; padding: 0.4em 1em; background: #E8F1F8; border-inline-start: 3px solid #C9A84C; }
+.source { color: #5A6072; font-size: 0.85em; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #D0D6E0; padding: 0.3em 0.5em; text-align: start; vertical-align: top; }
+th { background: #E8F1F8; }
+`;
+
+/**
+ * Renders a report as an EPUB 3 book for e-readers: one reflowable XHTML
+ * document built from the report outline, a navigation document listing
+ * its sections, and the portrait as the cover image. The book's identifier
+ * is derived from its content, so the same report is the same book.
+ */
+class EpubRenderer extends ReportRenderer {
+  get format()      { return 'epub'; }
+  get contentType() { return MIMETYPE; }
+
+  async render(data, { template, signal, log } = {}) {
+    data = this._check(data, template);
+    const outline  = this._outline(data, template);
+    const portrait = await this._portrait(data, { signal, log });
+    const image    = portrait && `images/portrait.${portrait.extension}`;
+
+    const entries = [
+      // Must come first and uncompressed, so readers can identify the file
+      { name: 'mimetype', data: MIMETYPE, store: true },
+      { name: 'META-INF/container.xml', data: containerXml() },
+      { name: 'OEBPS/content.opf', data: packageXml(outline, portrait && { href: image, type: portrait.type }) },
+      { name: 'OEBPS/nav.xhtml', data: navXhtml(outline) },
+      { name: 'OEBPS/report.xhtml', data: reportXhtml(outline, image) },
+      { name: 'OEBPS/style.css', data: STYLESHEET },
+    ];
+    if (portrait) entries.push({ name: `OEBPS/${image}`, data: portrait.bytes });
+    return createZip(entries);
+  }
+}
+
+// ── Package files ─────────────────────────────────────────────────────────────
+
+function containerXml() {
+  return `${XML_DECLARATION}
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+}
+
+/** A UUID (version 5 layout) from the SHA-256 of the outline. */
+function bookId(outline) {
+  const hex = crypto.createHash('sha256').update(JSON.stringify(outline)).digest('hex');
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function packageXml(outline, cover) {
+  const modified = `${new Date().toISOString().slice(0, 19)}Z`;
+  const lang = escapeXml(outline.locale);
+  return `${XML_DECLARATION}
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}" dir="${outline.dir}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:uuid:${bookId(outline)}</dc:identifier>
+    <dc:title>${escapeXml(outline.title)}</dc:title>
+    <dc:language>${lang}</dc:language>
+    <dc:creator>HistorAI</dc:creator>
+    <dc:subject>${escapeXml(outline.character.name)}</dc:subject>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="report" href="report.xhtml" media-type="application/xhtml+xml"/>
+    <item id="style" href="style.css" media-type="text/css"/>${cover ? `
+    <item id="portrait" href="${cover.href}" media-type="${cover.type}" properties="cover-image"/>` : ''}
+  </manifest>
+  <spine page-progression-direction="${outline.dir}">
+    <itemref idref="report"/>
+  </spine>
+</package>
+`;
+}
+
+// ── Content documents ─────────────────────────────────────────────────────────
+
+function xhtml(outline, title, body) {
+  const lang = escapeXml(outline.locale);
+  return `${XML_DECLARATION}
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}" dir="${outline.dir}">
+<head>
+  <meta charset="utf-8"/>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function navXhtml(outline) {
+  const items = [
+    `<li><a href="report.xhtml">${escapeXml(outline.character.name)}</a></li>`,
+    ...outline.sections.map(section => `<li><a href="report.xhtml#${section.id}">${escapeXml(section.heading)}</a></li>`),
+  ];
+  return xhtml(outline, outline.title, `<nav epub:type="toc" id="toc">
+  <h1>${escapeXml(outline.title)}</h1>
+  <ol>
+    ${items.join('\n    ')}
+  </ol>
+</nav>`);
+}
+
+/** Text split into paragraphs at blank lines. */
+function paragraphs(text, attrs = '') {
+  return String(text).split(/\n\s*\n/).map(part => `<p${attrs}>${escapeXml(part.trim())}</p>`).join('\n');
+}
+
+function blockXhtml(block) {
+  switch (block.type) {
+    case 'subheading':
+      return `<h3>${escapeXml(block.text)}</h3>`;
+    case 'quote':
+      return `<blockquote><p>${block.label ? `<strong>${escapeXml(block.label)}:</strong> ` : ''}${escapeXml(block.text)}</p>${
+        block.source ? `<p class="source">${escapeXml(block.source)}</p>` : ''}</blockquote>`;
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul';
+      return `<${tag}>\n${block.items.map(item => `  <li>${escapeXml(item)}</li>`).join('\n')}\n</${tag}>`;
+    }
+    case 'table':
+      return [
+        '<table>',
+        `  <thead><tr>${block.header.map(cell => `<th>${escapeXml(cell)}</th>`).join('')}</tr></thead>`,
+        '  <tbody>',
+        ...block.rows.map(row => `    <tr>${row.map(cell => `<td>${escapeXml(cell)}</td>`).join('')}</tr>`),
+        '  </tbody>',
+        '</table>',
+      ].join('\n');
+    default:
+      return paragraphs(block.text);
+  }
+}
+
+function reportXhtml(outline, image) {
+  const { character } = outline;
+  const header = [
+    `<p class="label">${escapeXml(outline.label)}</p>`,
+    image && `<img class="portrait" src="${image}" alt="${escapeXml(character.name)}"/>`,
+    `<h1>${escapeXml(character.name)}</h1>`,
+    character.tagline && `<p class="tagline">${escapeXml(character.tagline)}</p>`,
+    character.lifespan && `<p class="lifespan">${escapeXml(character.lifespan)}</p>`,
+    character.bio && paragraphs(character.bio, ' class="bio"'),
+    `<p class="session">${outline.session.map(([label, value]) => `<strong>${escapeXml(label)}:</strong> ${escapeXml(value)}`).join(' · ')}</p>`,
+  ].filter(Boolean);
+
+  const sections = outline.sections.map(section => [
+    `<section id="${section.id}" epub:type="chapter">`,
+    `<h2>${escapeXml(section.heading)}</h2>`,
+    ...section.blocks.map(blockXhtml),
+    '</section>',
+  ].join('\n'));
+
+  return xhtml(outline, outline.title, [`<header>\n${header.join('\n')}\n</header>`, ...sections].join('\n'));
+}
+
+module.exports = EpubRenderer;
@@ -0,0 +1,26 @@
+'use strict';
+
+const ReportRenderer = require('./ReportRenderer');
+
+/**
+ * Renders a report as a standalone HTML page: the filled template, exactly
+ * what the PDF backends convert, with its portrait and web fonts embedded as
+ * data: URIs (PdfService._prepareDocument) so the file opens offline and
+ * can be archived or emailed as is.
+ */
+class HtmlRenderer extends ReportRenderer {
+  get format()      { return 'html'; }
+  get contentType() { return 'text/html; charset=utf-8'; }
+
+  async render(data, { template, signal, log } = {}) {
+    const html = await this.pdfService._prepareDocument(data, template, {
+      stylesheets: true,
+      fetch:       this.fetchImages,
+      signal,
+      log,
+    });
+    return Buffer.from(html, 'utf-8');
+  }
+}
+
+module.exports = HtmlRenderer;
@@ -0,0 +1,80 @@
+'use strict';
+
+const ReportRenderer = require('./ReportRenderer');
+
+/**
+ * Renders a report as CommonMark (with a GFM table for the resources), for
+ * pasting into notes, wikis and learning platforms. The portrait is linked
+ * by its original URL rather than embedded, so the text stays readable.
+ */
+class MarkdownRenderer extends ReportRenderer {
+  get format()      { return 'markdown'; }
+  get contentType() { return 'text/markdown; charset=utf-8'; }
+
+  async render(data, { template } = {}) {
+    data = this._check(data, template);
+    const outline = this._outline(data, template);
+    const { character } = outline;
+
+    const lines = [`# ${inline(outline.title)}`, ''];
+    if (/^https?:\/\//i.test(character.imageUrl)) {
+      lines.push(`![${inline(character.name).replace(/[[\]]/g, '\\$&')}](<${character.imageUrl.replace(/[<>\s]/g, encodeURIComponent)}>)`, '');
+    }
+    lines.push(`## ${inline(character.name)}`, '');
+    const byline = [character.tagline && `*${inline(character.tagline)}*`, character.lifespan && inline(character.lifespan)].filter(Boolean);
+    if (byline.length) lines.push(byline.join('  \n'), '');
+    if (character.bio) lines.push(paragraph(character.bio), '');
+    lines.push(outline.session.map(([label, value]) => `**${inline(label)}:** ${inline(value)}`).join(' · '), '');
+
+    for (const section of outline.sections) {
+      lines.push(`## ${inline(section.heading)}`, '');
+      for (const block of section.blocks) lines.push(renderBlock(block), '');
+    }
+    return Buffer.from(`${lines.join('\n').trimEnd()}\n`, 'utf-8');
+  }
+}
+
+// ── Markdown text ─────────────────────────────────────────────────────────────
+
+// Characters that could start markup anywhere in a line
+const INLINE_SPECIAL = /[\\`*_[\]<>|~]/g;
+
+/** One line of text with markup characters escaped. */
+function inline(text) {
+  return String(text ?? '').replace(/\s*\n\s*/g, ' ').replace(INLINE_SPECIAL, '\\$&');
+}
+
+/**
+ * Multi-line text: each line escaped, and line starts that would read as a
+ * heading, quote, list item or rule escaped too.
+ */
+function paragraph(text) {
+  return String(text ?? '')
+    .split(/\n\s*\n/)
+    .map(part => inline(part).replace(/^(\s*)([#>+-]|\d+[.)])/, '$1\\$2'))
+    .join('\n\n');
+}
+
+function renderBlock(block) {
+  switch (block.type) {
+    case 'subheading':
+      return `### ${inline(block.text)}`;
+    case 'quote': {
+      const quote = `> ${block.label ? `**${inline(block.label)}:** ` : ''}${inline(block.text)}`;
+      // A trailing backslash is a hard line break inside the block quote
+      return block.source ? `${quote}\\\n> — *${inline(block.source)}*` : quote;
+    }
+    case 'list':
+      return block.items.map((item, i) => `${block.ordered ? `${i + 1}.` : '-'} ${inline(item)}`).join('\n');
+    case 'table':
+      return [
+        `| ${block.header.map(inline).join(' | ')} |`,
+        `|${block.header.map(() => ' --- |').join('')}`,
+        ...block.rows.map(row => `| ${row.map(inline).join(' | ')} |`),
+      ].join('\n');
+    default:
+      return paragraph(block.text);
+  }
+}
+
+module.exports = MarkdownRenderer;
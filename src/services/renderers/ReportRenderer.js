@@ -0,0 +1,203 @@
+'use strict';
+
+const { DEFAULT_TEMPLATE } = require('../../utils/templateRegistry');
+const { templateStrings, format } = require('../../utils/i18n');
+const { getAssetPipeline, imageSize } = require('../assets');
+
+// The message catalog group holding each template's title (default: report)
+const TITLE_STRINGS = {
+  'one-page-summary':    'summary',
+  'classroom-worksheet': 'worksheet',
+};
+
+/**
+ * Abstract base class for the non-PDF report formats. The PDF backends
+ * (PdfService) remain the renderers for `pdf`; these turn the same
+ * ReportData into other documents.
+ *
+ * Subclasses must implement render(data, options) and the format and
+ * contentType getters. Data is checked against the template's schema the
+ * same way the PDF path checks it (PdfService._checkData), so a report that
+ * renders as a PDF renders in every format. Formats that do not lay out the
+ * HTML template work from _outline(): the report's sections in the
+ * conversation-report order, with headings in the data's locale.
+ *
+ * @typedef {Object} OutlineBlock
+ * @property {'paragraph'|'subheading'|'quote'|'list'|'table'} type
+ * @property {string} [text]            paragraph, subheading, quote
+ * @property {string} [label]           quote: a bold lead-in, e.g. "Headline Insight"
+ * @property {string} [source]          quote: where it was found, e.g. "From your conversation · 12:05"
+ * @property {boolean} [ordered]        list
+ * @property {string[]} [items]         list
+ * @property {string[]} [header]        table
+ * @property {string[][]} [rows]        table
+ *
+ * @typedef {Object} ReportOutline
+ * @property {string} locale
+ * @property {'ltr'|'rtl'} dir
+ * @property {string} title             The document title, e.g. "HistorAI Conversation Summary – Ada Lovelace"
+ * @property {string} label             The template's kind of report, e.g. "Conversation Summary Report"
+ * @property {{ name: string, tagline: string, lifespan: string, bio: string, imageUrl: string }} character
+ * @property {[string, string][]} session  Label / value pairs: date, duration, user
+ * @property {{ id: string, heading: string, blocks: OutlineBlock[] }[]} sections  Empty ones left out
+ *
+ * @typedef {Object} RenderOptions
+ * @property {string} [template]       Registered template id (default: conversation-report)
+ * @property {AbortSignal} [signal]
+ * @property {import('../../utils/logger').Logger} [log]
+ */
+class ReportRenderer {
+  /**
+   * @param {object} deps
+   * @param {import('../PdfService')} deps.pdfService  Checks data against template schemas
+   * @param {import('../assets').AssetPipeline} [deps.assets]  Default: the shared pipeline
+   * @param {boolean} [deps.fetchImages=true]  false uses the placeholder for http(s) portraits
+   */
+  constructor({ pdfService, assets = getAssetPipeline(), fetchImages = true } = {}) {
+    if (!pdfService) throw new Error(`[${this.constructor.name}] pdfService is required`);
+    this.pdfService  = pdfService;
+    this.assets      = assets;
+    this.fetchImages = fetchImages;
+  }
+
+  /** @returns {string}  The `?format=` value, e.g. 'docx' */
+  get format() {
+    throw new Error(`[${this.constructor.name}] format is not implemented`);
+  }
+
+  /** @returns {string}  MIME type of the rendered document */
+  get contentType() {
+    throw new Error(`[${this.constructor.name}] contentType is not implemented`);
+  }
+
+  /**
+   * Render report data to a document.
+   *
+   * @param {import('../PdfService').ReportData} data
+   * @param {RenderOptions} [options]
+   * @returns {Promise<Buffer>}
+   * @throws {import('../../utils/reportValidator').ReportValidationError} when the data cannot be repaired
+   */
+  async render(data, options = {}) {
+    throw new Error(`[${this.constructor.name}] render() is not implemented`);
+  }
+
+  // ── Shared helpers ─────────────────────────────────────────────────────────
+
+  /**
+   * Repair and validate data against a template's schema.
+   *
+   * @param {import('../PdfService').ReportData} data
+   * @param {string} [templateId]
+   * @returns {import('../PdfService').ReportData}
+   */
+  _check(data, templateId = DEFAULT_TEMPLATE) {
+    return this.pdfService._checkData(data, templateId);
+  }
+
+  /**
+   * The report as a format-neutral outline (see ReportOutline).
+   *
+   * @param {import('../PdfService').ReportData} data  Checked data
+   * @param {string} [templateId]
+   * @returns {ReportOutline}
+   */
+  _outline(data, templateId = DEFAULT_TEMPLATE) {
+    const { locale, dir, t } = templateStrings(data.locale);
+    const titles    = t[TITLE_STRINGS[templateId]] || t.report;
+    const themes    = data.themes || [];
+    const resources = data.resources || [];
+    const questions = data.reflectionQuestions || [];
+    const facts     = data.characterFacts || [];
+    const years     = data.characterBirthYear && `${data.characterBirthYear} – ${data.characterDeathYear || ''}`.trim();
+    const lifespan  = [years, data.characterEra].filter(Boolean).join(' · ');
+
+    const sections = [
+      {
+        id:      'overview',
+        heading: t.report.sessionOverview,
+        blocks:  [
+          { type: 'paragraph', text: data.sessionSummary },
+          data.headlineInsight && { type: 'quote', label: t.report.headlineInsight, text: `“${data.headlineInsight}”` },
+        ],
+      },
+      {
+        id:      'themes',
+        heading: t.report.keyThemes,
+        blocks:  themes.flatMap(theme => [
+          { type: 'subheading', text: theme.name },
+          { type: 'paragraph', text: theme.explanation },
+          theme.quote && { type: 'quote', text: `“${theme.quote}”`, ...(theme.quoteCitation && { source: theme.quoteCitation }) },
+        ]),
+      },
+      {
+        id:      'context',
+        heading: t.report.historicalContext,
+        blocks:  themes.filter(theme => theme.context).flatMap(theme => [
+          { type: 'subheading', text: theme.name },
+          { type: 'paragraph', text: theme.context },
+        ]),
+      },
+      {
+        id:      'resources',
+        heading: t.report.furtherExploration,
+        blocks:  resources.length ? [{
+          type:   'table',
+          header: [t.resources.topic, t.resources.whyItMatters, t.resources.whereToLearnMore],
+          rows:   resources.map(r => [r.topic, r.whyItMatters, r.whereToLearnMore]),
+        }] : [],
+      },
+      {
+        id:      'questions',
+        heading: t.report.reflectionQuestions,
+        blocks:  questions.length ? [{ type: 'list', ordered: true, items: questions }] : [],
+      },
+      {
+        id:      'facts',
+        heading: format(t.report.keyFacts, data.characterName),
+        blocks:  facts.length ? [{ type: 'list', ordered: false, items: facts }] : [],
+      },
+    ];
+
+    return {
+      locale,
+      dir,
+      title:     format(titles.documentTitle, data.characterName),
+      label:     titles.title,
+      character: {
+        name:     data.characterName,
+        tagline:  data.characterTagline || '',
+        lifespan,
+        bio:      data.characterBio || '',
+        imageUrl: data.characterImageUrl || '',
+      },
+      session: [
+        [t.session.date, data.sessionDate || ''],
+        [t.session.duration, data.sessionDuration || t.session.unknown],
+        [t.session.user, data.userName || t.session.anonymous],
+      ].filter(([, value]) => value),
+      sections: sections
+        .map(section => ({ ...section, blocks: section.blocks.filter(block => block && (block.text || block.items || block.rows)) }))
+        .filter(section => section.blocks.length),
+    };
+  }
+
+  /**
+   * The character's portrait as bytes, fetched and checked by the asset
+   * pipeline (the placeholder when it is unusable), or null when the data
+   * has none.
+   *
+   * @param {import('../PdfService').ReportData} data
+   * @param {RenderOptions} [options]
+   * @returns {Promise<{ bytes: Buffer, type: string, extension: string, width: number, height: number }|null>}
+   */
+  async _portrait(data, { signal, log } = {}) {
+    if (!data.characterImageUrl) return null;
+    const uri = await this.assets.embedImage(data.characterImageUrl, { fetch: this.fetchImages, signal, log });
+    const [, type, base64] = /^data:([^;,]+);base64,(.*)$/s.exec(uri);
+    const bytes = Buffer.from(base64, 'base64');
+    return { bytes, type, extension: type === 'image/png' ? 'png' : 'jpeg', ...imageSize(bytes, type) };
+  }
+}
+
+module.exports = ReportRenderer;
@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Report output formats.
+ *
+ * PDF comes from the configured PdfService backend; every other format has a
+ * ReportRenderer that turns the same ReportData into its document:
+ *
+ *   pdf       application/pdf (the PdfService backend)
+ *   html      standalone page: the filled template with images and fonts embedded
+ *   markdown  CommonMark with a GFM table
+ *   epub      EPUB 3 book
+ *   docx      Word document
+ */
+
+const ReportRenderer   = require('./ReportRenderer');
+const HtmlRenderer     = require('./HtmlRenderer');
+const MarkdownRenderer = require('./MarkdownRenderer');
+const EpubRenderer     = require('./EpubRenderer');
+const DocxRenderer     = require('./DocxRenderer');
+
+const RENDERERS = {
+  html:     HtmlRenderer,
+  markdown: MarkdownRenderer,
+  epub:     EpubRenderer,
+  docx:     DocxRenderer,
+};
+
+/**
+ * Every format by name, in order of preference when an Accept header allows
+ * several equally: `type` is what Accept names, `extension` the download's.
+ */
+const FORMATS = {
+  pdf:      { type: 'application/pdf', extension: 'pdf' },
+  html:     { type: 'text/html', extension: 'html' },
+  markdown: { type: 'text/markdown', extension: 'md' },
+  epub:     { type: 'application/epub+zip', extension: 'epub' },
+  docx:     { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+};
+
+/**
+ * The format named by a MIME type, as returned by Express's req.accepts().
+ *
+ * @param {string} type
+ * @returns {string|null}
+ */
+function formatForType(type) {
+  return Object.keys(FORMATS).find(name => FORMATS[name].type === type) || null;
+}
+
+/**
+ * Instantiate the renderer for a non-PDF format.
+ *
+ * @param {string} format  One of the keys of RENDERERS
+ * @param {object} deps    Passed to the renderer constructor (pdfService is required)
+ * @returns {ReportRenderer}
+ */
+function createRenderer(format, deps) {
+  const Renderer = RENDERERS[format];
+  if (!Renderer) {
+    throw new Error(`[renderers] Unknown format "${format}" (expected one of: ${Object.keys(RENDERERS).join(', ')})`);
+  }
+  return new Renderer(deps);
+}
+
+module.exports = {
+  ReportRenderer,
+  HtmlRenderer,
+  MarkdownRenderer,
+  EpubRenderer,
+  DocxRenderer,
+  RENDERERS,
+  FORMATS,
+  formatForType,
+  createRenderer,
+};
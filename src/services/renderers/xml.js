@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * Helpers for the XML-based formats (EPUB's XHTML and package files, DOCX's
+ * WordprocessingML).
+ */
+
+const { escapeHtml } = require('../../utils/htmlEscape');
+
+// Characters XML 1.0 does not allow at all, even as entities
+const XML_INVALID = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g;
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+/**
+ * Text or an attribute value for an XML document: escaped, with the
+ * characters XML cannot carry removed.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return escapeHtml(String(value ?? '').replace(XML_INVALID, ''));
+}
+
+module.exports = { XML_DECLARATION, escapeXml };
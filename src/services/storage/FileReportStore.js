@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * Report store backed by a directory on disk: `<id>.json` for the record,
+ * `<id>.pdf` and `<id>.data.json` for the contents. Reports survive restarts
+ * and the directory can be shared by instances on the same volume.
+ *
+ * The record is written last and deleted first, so a report is only visible
+ * while both of its files are in place.
+ *
+ * Env vars:
+ *   REPORT_STORE_DIR  Directory for report files (default: output/reports)
+ */
+
+const fs   = require('fs/promises');
+const path = require('path');
+
+const ReportStore = require('./ReportStore');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', '..', 'output', 'reports');
+
+// Report ids come straight from the URL — never let one escape the directory
+const SAFE_ID = /^[\w-]{1,64}$/;
+
+const RECORD = 'json';
+const PDF    = 'pdf';
+const DATA   = 'data.json';
+
+class FileReportStore extends ReportStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir]
+   */
+  constructor({ dir = process.env.REPORT_STORE_DIR || DEFAULT_DIR } = {}) {
+    super();
+    this.dir = dir;
+    this.ready = null;
+  }
+
+  get name() {
+    return 'file';
+  }
+
+  _path(id, ext) {
+    if (!SAFE_ID.test(id)) return null;
+    return path.join(this.dir, `${id}.${ext}`);
+  }
+
+  async _ensureDir() {
+    if (!this.ready) this.ready = fs.mkdir(this.dir, { recursive: true });
+    return this.ready;
+  }
+
+  async _write(file, contents) {
+    await this._ensureDir();
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, contents);
+    await fs.rename(tmp, file);
+  }
+
+  async _read(file) {
+    if (!file) return null;
+    try {
+      return await fs.readFile(file);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async save(report, { pdf, data }) {
+    if (!SAFE_ID.test(report.id)) throw new Error(`[FileReportStore] Invalid report id "${report.id}"`);
+    await this._write(this._path(report.id, PDF), pdf);
+    await this._write(this._path(report.id, DATA), JSON.stringify(data));
+    await this._write(this._path(report.id, RECORD), JSON.stringify(report, null, 2));
+  }
+
+  async get(id) {
+    const raw = await this._read(this._path(id, RECORD));
+    return raw ? JSON.parse(raw.toString('utf-8')) : null;
+  }
+
+  async getPdf(id) {
+    if (!await this.get(id)) return null;
+    return this._read(this._path(id, PDF));
+  }
+
+  async getData(id) {
+    if (!await this.get(id)) return null;
+    const raw = await this._read(this._path(id, DATA));
+    return raw ? JSON.parse(raw.toString('utf-8')) : null;
+  }
+
+  async delete(id) {
+    if (!SAFE_ID.test(id)) return false;
+    let found = false;
+    for (const ext of [RECORD, PDF, DATA]) {
+      try {
+        await fs.unlink(this._path(id, ext));
+        if (ext === RECORD) found = true;
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+    return found;
+  }
+
+  async list() {
+    await this._ensureDir();
+    const ids = (await fs.readdir(this.dir))
+      .filter(f => f.endsWith(`.${RECORD}`) && !f.endsWith(`.${DATA}`))
+      .map(f => path.basename(f, `.${RECORD}`));
+    const reports = await Promise.all(ids.map(id => this.get(id)));
+    return reports.filter(Boolean);
+  }
+}
+
+module.exports = FileReportStore;
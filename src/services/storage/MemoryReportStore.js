@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * In-process report store. Reports are lost on restart, and so are the links
+ * to them — suits development and single-instance demos.
+ *
+ * Once `maxReports` is reached the oldest reports are evicted to make room.
+ */
+
+const ReportStore = require('./ReportStore');
+
+class MemoryReportStore extends ReportStore {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxReports=500]
+   */
+  constructor({ maxReports = 500 } = {}) {
+    super();
+    this.maxReports = maxReports;
+    this.reports = new Map();
+  }
+
+  get name() {
+    return 'memory';
+  }
+
+  async save(report, { pdf, data }) {
+    // Map iteration is insertion order, so the first entry is the oldest
+    while (this.reports.size >= this.maxReports) {
+      this.reports.delete(this.reports.keys().next().value);
+    }
+    this.reports.set(report.id, {
+      report: structuredClone(report),
+      pdf:    Buffer.from(pdf),
+      data:   structuredClone(data),
+    });
+  }
+
+  async get(id) {
+    const entry = this.reports.get(id);
+    return entry ? structuredClone(entry.report) : null;
+  }
+
+  async getPdf(id) {
+    return this.reports.get(id)?.pdf || null;
+  }
+
+  async getData(id) {
+    const entry = this.reports.get(id);
+    return entry ? structuredClone(entry.data) : null;
+  }
+
+  async delete(id) {
+    return this.reports.delete(id);
+  }
+
+  async list() {
+    return [...this.reports.values()].map(entry => structuredClone(entry.report));
+  }
+}
+
+module.exports = MemoryReportStore;
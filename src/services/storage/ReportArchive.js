@@ -0,0 +1,236 @@
+'use strict';
+
+/**
+ * Keeps finished reports so they can be shared, behind links that expire:
+ *
+ *   /r/<id>?expires=<unix seconds>&sig=<hex HMAC-SHA256 of "<id>.<expires>">
+ *
+ * The HMAC is keyed with REPORT_LINK_SECRET, so a link can't be forged or
+ * have its expiry pushed back. A link never outlives its report: reports are
+ * kept for REPORT_RETENTION_DAYS and then removed by the retention sweep.
+ *
+ * A link only reads. Deleting a report takes its delete token, which goes to
+ * whoever generated the report and is never part of the link they share.
+ *
+ * Deleting a report (on request, or by the sweep) calls `onDelete` so the
+ * app can drop everything else derived from the same transcript.
+ *
+ * Env vars:
+ *   REPORT_LINK_SECRET       HMAC key for links. Required for persistent stores;
+ *                            the memory store makes up one per process
+ *   REPORT_RETENTION_DAYS    How long reports are kept (default: 30)
+ *   REPORT_LINK_TTL_SECONDS  Lifetime of a link (default: 604800, 7 days)
+ *   PUBLIC_BASE_URL          Prefix for links, e.g. https://pdf.historai.app
+ *                            (default: none — links are root-relative)
+ */
+
+const crypto = require('crypto');
+
+const { componentLogger } = require('../../utils/logger');
+
+const log = componentLogger('ReportArchive');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** @typedef {import('./ReportStore').StoredReport} StoredReport */
+
+class ReportArchive {
+  /**
+   * @param {object} options
+   * @param {import('./ReportStore')} options.store
+   * @param {string} [options.secret]
+   * @param {number} [options.retentionMs]
+   * @param {number} [options.linkTtlMs]
+   * @param {string} [options.baseUrl]
+   * @param {(report: StoredReport) => Promise<void>|void} [options.onDelete]
+   */
+  constructor({
+    store,
+    secret      = process.env.REPORT_LINK_SECRET,
+    retentionMs = parseFloat(process.env.REPORT_RETENTION_DAYS || '30') * DAY_MS,
+    linkTtlMs   = parseInt(process.env.REPORT_LINK_TTL_SECONDS || '604800', 10) * 1000,
+    baseUrl     = process.env.PUBLIC_BASE_URL || '',
+    onDelete    = () => {},
+  }) {
+    if (!secret) {
+      if (store.name !== 'memory') {
+        throw new Error(`[ReportArchive] REPORT_LINK_SECRET must be set for the ${store.name} report store`);
+      }
+      // Links die with the process anyway, as do the reports they point at
+      secret = crypto.randomBytes(32).toString('hex');
+      this.ephemeralSecret = true;
+    }
+    if (!(retentionMs > 0)) throw new Error('[ReportArchive] REPORT_RETENTION_DAYS must be a positive number');
+    if (!(linkTtlMs > 0))   throw new Error('[ReportArchive] REPORT_LINK_TTL_SECONDS must be a positive number');
+
+    this.store       = store;
+    this.secret      = secret;
+    this.retentionMs = retentionMs;
+    this.linkTtlMs   = linkTtlMs;
+    this.baseUrl     = baseUrl.replace(/\/$/, '');
+    this.onDelete    = onDelete;
+  }
+
+  /**
+   * Persist a finished report.
+   *
+   * @param {object} report
+   * @param {Buffer} report.pdf
+   * @param {object} report.data       The ReportData it was rendered from
+   * @param {string} report.template
+   * @param {string} [report.jobId]
+   * @param {{ data: string, pdf: string }|null} [report.cacheKeys]
+   * @returns {Promise<StoredReport>}
+   */
+  async save({ pdf, data, template, jobId, cacheKeys }) {
+    const now = Date.now();
+    const report = {
+      id:            crypto.randomUUID(),
+      characterName: data.characterName,
+      template,
+      pdfBytes:      pdf.length,
+      createdAt:     new Date(now).toISOString(),
+      expiresAt:     new Date(now + this.retentionMs).toISOString(),
+    };
+    if (jobId)     report.jobId     = jobId;
+    if (cacheKeys) report.cacheKeys = cacheKeys;
+    await this.store.save(report, { pdf, data });
+    log.info(`Stored report ${report.id} (${pdf.length} bytes)`);
+    return report;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<StoredReport|null>}  null when missing or past retention
+   */
+  async get(id) {
+    const report = await this.store.get(id);
+    return report && Date.parse(report.expiresAt) > Date.now() ? report : null;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Buffer|null>}
+   */
+  async getPdf(id) {
+    return await this.get(id) ? this.store.getPdf(id) : null;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<object|null>}
+   */
+  async getData(id) {
+    return await this.get(id) ? this.store.getData(id) : null;
+  }
+
+  _sign(id, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${id}.${expires}`).digest('hex');
+  }
+
+  /**
+   * The token that authorises deleting a report. It never expires, so a data
+   * removal request still works once every link has.
+   *
+   * @param {StoredReport} report
+   * @returns {string}
+   */
+  deleteToken(report) {
+    return crypto.createHmac('sha256', this.secret).update(`delete:${report.id}`).digest('hex');
+  }
+
+  /**
+   * @param {string} id
+   * @param {unknown} token
+   * @returns {boolean}
+   */
+  verifyDeleteToken(id, token) {
+    if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) return false;
+    return crypto.timingSafeEqual(Buffer.from(token, 'hex'), Buffer.from(this.deleteToken({ id }), 'hex'));
+  }
+
+  /**
+   * A signed link to a report, valid for REPORT_LINK_TTL_SECONDS or until the
+   * report expires, whichever is sooner.
+   *
+   * @param {StoredReport} report
+   * @param {object} [options]
+   * @param {number} [options.now]  ms since the epoch (for tests)
+   * @returns {{ url: string, expiresAt: string }}
+   */
+  link(report, { now = Date.now() } = {}) {
+    const expires = Math.floor(Math.min(now + this.linkTtlMs, Date.parse(report.expiresAt)) / 1000);
+    return {
+      url:       `${this.baseUrl}/r/${report.id}?expires=${expires}&sig=${this._sign(report.id, expires)}`,
+      expiresAt: new Date(expires * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Check the query of a link.
+   *
+   * @param {string} id
+   * @param {{ expires?: string, sig?: string }} query
+   * @param {object} [options]
+   * @param {number} [options.now]
+   * @returns {'ok'|'invalid'|'expired'}
+   */
+  verifyLink(id, { expires, sig } = {}, { now = Date.now() } = {}) {
+    // A repeated query parameter arrives as an array
+    if (typeof expires !== 'string' || typeof sig !== 'string') return 'invalid';
+    if (!/^\d{1,12}$/.test(expires) || !/^[0-9a-f]{64}$/.test(sig)) return 'invalid';
+    const expected = Buffer.from(this._sign(id, expires), 'hex');
+    if (!crypto.timingSafeEqual(Buffer.from(sig, 'hex'), expected)) return 'invalid';
+    if (Number(expires) * 1000 <= now) return 'expired';
+    return 'ok';
+  }
+
+  /**
+   * Delete a report and whatever onDelete removes with it.
+   *
+   * @param {string} id
+   * @returns {Promise<StoredReport|null>}  The deleted record, or null if there was none
+   */
+  async delete(id) {
+    const report = await this.store.get(id);
+    if (!report) return null;
+    await this.store.delete(id);
+    await this.onDelete(report);
+    log.info(`Deleted report ${id}`);
+    return report;
+  }
+
+  /**
+   * Delete every report past its retention period.
+   *
+   * @param {number} [now]
+   * @returns {Promise<number>}  Number of reports deleted
+   */
+  async purgeExpired(now = Date.now()) {
+    let count = 0;
+    for (const report of await this.store.list()) {
+      if (Date.parse(report.expiresAt) <= now && await this.delete(report.id)) count++;
+    }
+    if (count) log.info(`Retention sweep removed ${count} report(s)`);
+    return count;
+  }
+
+  /**
+   * Run purgeExpired() now and then every `intervalMs`. The timer does not
+   * keep the process alive.
+   *
+   * @param {number} [intervalMs=3600000]
+   * @returns {() => void}  Stops the sweep
+   */
+  startRetention(intervalMs = 60 * 60 * 1000) {
+    const sweep = () => this.purgeExpired().catch(err =>
+      log.error(`Retention sweep failed: ${err.message}`)
+    );
+    sweep();
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+}
+
+module.exports = ReportArchive;
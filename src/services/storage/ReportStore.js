@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Abstract base class for report stores.
+ *
+ * A store keeps finished reports: a small record, the PDF and the ReportData
+ * it was rendered from. Retention and link signing live in ReportArchive;
+ * stores only save, read and delete.
+ *
+ * Subclasses must implement every method below.
+ *
+ * @typedef {Object} StoredReport
+ * @property {string} id
+ * @property {string} characterName
+ * @property {string} template
+ * @property {number} pdfBytes
+ * @property {string} createdAt          ISO timestamp
+ * @property {string} expiresAt          ISO timestamp; deleted by the retention sweep after this
+ * @property {string} [jobId]            Set when the report came from POST /api/reports
+ * @property {{ data: string, pdf: string }} [cacheKeys]  Report cache entries built for it
+ */
+class ReportStore {
+  /**
+   * Short identifier used in logs.
+   *
+   * @returns {string}
+   */
+  get name() {
+    return this.constructor.name;
+  }
+
+  /**
+   * @param {StoredReport} report
+   * @param {{ pdf: Buffer, data: object }} contents
+   * @returns {Promise<void>}
+   */
+  async save(report, contents) {
+    throw new Error('save() must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<StoredReport|null>}
+   */
+  async get(id) {
+    throw new Error('get() must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Buffer|null>}
+   */
+  async getPdf(id) {
+    throw new Error('getPdf() must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<object|null>}
+   */
+  async getData(id) {
+    throw new Error('getData() must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>}  false when there was nothing to delete
+   */
+  async delete(id) {
+    throw new Error('delete() must be implemented by subclass');
+  }
+
+  /**
+   * @returns {Promise<StoredReport[]>}
+   */
+  async list() {
+    throw new Error('list() must be implemented by subclass');
+  }
+}
+
+module.exports = ReportStore;
@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Report store registry.
+ *
+ * The store is chosen by name — from the `REPORT_STORE` env var unless one is
+ * passed explicitly:
+ *
+ *   memory  In-process, lost on restart (default)
+ *   file    Files under REPORT_STORE_DIR, survives restarts
+ *   none    Reports are not kept and no links are issued
+ */
+
+const ReportStore       = require('./ReportStore');
+const MemoryReportStore = require('./MemoryReportStore');
+const FileReportStore   = require('./FileReportStore');
+const ReportArchive     = require('./ReportArchive');
+
+const STORES = {
+  memory: MemoryReportStore,
+  file:   FileReportStore,
+};
+
+const DEFAULT_STORE = 'memory';
+
+/**
+ * Instantiate a report store by name.
+ *
+ * @param {string} [name]     One of the keys of STORES, or 'none'. Defaults to REPORT_STORE.
+ * @param {object} [options]  Passed through to the store constructor.
+ * @returns {ReportStore|null}  null for 'none'
+ */
+function createReportStore(name = process.env.REPORT_STORE || DEFAULT_STORE, options = {}) {
+  if (String(name).toLowerCase() === 'none') return null;
+  const Store = STORES[String(name).toLowerCase()];
+  if (!Store) {
+    throw new Error(
+      `[storage] Unknown REPORT_STORE "${name}" (expected one of: ${[...Object.keys(STORES), 'none'].join(', ')})`
+    );
+  }
+  return new Store(options);
+}
+
+module.exports = {
+  ReportStore,
+  MemoryReportStore,
+  FileReportStore,
+  ReportArchive,
+  STORES,
+  createReportStore,
+};
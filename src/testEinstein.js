@@ -11,6 +11,8 @@
  *
  * Make sure the server is running first:
  *   npm start        (or npm run dev)
+ *
+ * When the server requires API keys, pass one in API_KEY.
  */
 
 const axios = require('axios');
@@ -79,7 +81,10 @@ async function run() {
       `${SERVER_URL}/api/generate-report`,
       EINSTEIN_PAYLOAD,
       {
-        headers:      { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.API_KEY && { 'X-API-Key': process.env.API_KEY }),
+        },
         responseType: 'arraybuffer',
         timeout:      45000,
       }
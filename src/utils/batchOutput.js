@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * batchOutput.js
+ *
+ * Builds the combined download of a finished batch:
+ *
+ *   zip     every successful item's PDF plus manifest.json, which lists all
+ *           items (failed ones with their error)
+ *   merged  a table-of-contents page followed by every successful item's
+ *           PDF, combined by the PDF backend (PdfService.mergePdfs)
+ *
+ * The contents page is src/templates/batch/contents.html, in the batch's
+ * locale. Its page numbers come from the item PDFs' page counts
+ * (src/utils/pdfPages.js) and are left blank when one cannot be read.
+ */
+
+const path = require('path');
+
+const { createZip } = require('./zip');
+const { countPdfPages } = require('./pdfPages');
+const { formatDate } = require('./i18n');
+const { DEFAULT_TEMPLATE, getTemplate } = require('./templateRegistry');
+
+const CONTENTS_TEMPLATE = path.join(__dirname, '..', 'templates', 'batch', 'contents.html');
+
+/**
+ * @typedef {Object} BatchPart
+ * @property {number} index                   Position in the batch (0-based)
+ * @property {'completed'|'failed'} status
+ * @property {object} request                 The item's report request
+ * @property {Buffer} [pdf]                   When completed
+ * @property {string} [error]                 When failed
+ */
+
+/** A file-name-safe version of `value`: "Ada Lovelace" → "ada-lovelace". */
+function slug(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+}
+
+/**
+ * The name of an item's PDF inside the ZIP, e.g. `03-maya-ada-lovelace.pdf`.
+ *
+ * @param {BatchPart} part
+ * @param {number} total  Items in the batch (sets the number's width)
+ * @returns {string}
+ */
+function partFileName(part, total) {
+  const number = String(part.index + 1).padStart(String(total).length, '0');
+  const names = [slug(part.request.userName), slug(part.request.characterName)].filter(Boolean);
+  return `${[number, ...names].join('-')}.pdf`;
+}
+
+function templateTitle(request) {
+  return getTemplate(request.template || DEFAULT_TEMPLATE).title;
+}
+
+/**
+ * @param {BatchPart[]} parts
+ * @param {{ id: string, createdAt: string }} batch
+ * @returns {Buffer}
+ */
+function buildZip(parts, batch) {
+  const files = [];
+  const items = parts.map(part => {
+    const entry = {
+      index:         part.index,
+      status:        part.status,
+      userName:      part.request.userName || null,
+      characterName: part.request.characterName,
+      template:      part.request.template || DEFAULT_TEMPLATE,
+    };
+    if (part.status === 'completed') {
+      entry.file = partFileName(part, parts.length);
+      files.push({ name: entry.file, data: part.pdf });
+    } else {
+      entry.error = part.error;
+    }
+    return entry;
+  });
+  const manifest = { batchId: batch.id, createdAt: batch.createdAt, items };
+  return createZip([...files, { name: 'manifest.json', data: `${JSON.stringify(manifest, null, 2)}\n` }]);
+}
+
+/**
+ * @param {BatchPart[]} parts
+ * @param {object} options
+ * @param {import('../services/PdfService')} options.pdfService  Must support mergePdfs()
+ * @param {string} options.locale
+ * @param {AbortSignal} [options.signal]
+ * @param {import('./logger').Logger} [options.log]
+ * @returns {Promise<Buffer>}
+ */
+async function buildMergedPdf(parts, { pdfService, locale, signal, log }) {
+  const done = parts.filter(part => part.status === 'completed');
+  const pageCounts = done.map(part => countPdfPages(part.pdf));
+  const numbered = pageCounts.every(count => count !== null);
+
+  const renderContents = contentsPages => {
+    let page = contentsPages + 1;
+    const entries = done.map((part, i) => {
+      const entry = {
+        userName:      part.request.userName,
+        characterName: part.request.characterName,
+        templateTitle: templateTitle(part.request),
+        page:          numbered ? String(page) : '',
+      };
+      page += pageCounts[i] || 0;
+      return entry;
+    });
+    const html = pdfService.renderPageHtml(CONTENTS_TEMPLATE, {
+      locale,
+      count:       done.length,
+      generatedOn: formatDate(new Date(), locale),
+      entries,
+      omitted:     parts.length - done.length,
+    });
+    return pdfService.renderHtml(html, { signal, postProcessing: [], pageSize: 'LETTER', log });
+  };
+
+  // Numbers assume a one-page contents table; a long class list can run over
+  let contents = await renderContents(1);
+  const contentsPages = countPdfPages(contents);
+  if (numbered && contentsPages > 1) contents = await renderContents(contentsPages);
+
+  return pdfService.mergePdfs([contents, ...done.map(part => part.pdf)], { signal, log });
+}
+
+/**
+ * Build a batch's combined output.
+ *
+ * @param {'zip'|'merged'} output
+ * @param {BatchPart[]} parts  Every item, in order
+ * @param {object} options
+ * @param {{ id: string, createdAt: string, locale?: string }} options.batch
+ * @param {import('../services/PdfService')} options.pdfService
+ * @param {AbortSignal} [options.signal]
+ * @param {import('./logger').Logger} [options.log]
+ * @returns {Promise<Buffer>}
+ */
+async function buildBatchOutput(output, parts, { batch, pdfService, signal, log }) {
+  if (output === 'zip') return buildZip(parts, batch);
+  if (output === 'merged') return buildMergedPdf(parts, { pdfService, locale: batch.locale, signal, log });
+  throw new Error(`[batchOutput] Unknown output "${output}"`);
+}
+
+module.exports = { buildBatchOutput, buildZip, buildMergedPdf, partFileName };
@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * batchRequest.js
+ *
+ * Validation of POST /api/reports/batch bodies:
+ *
+ *   {
+ *     items:       [ <report request>, … ],   same fields as /api/generate-report
+ *     defaults?:   { <report request fields> }, shared by every item
+ *     output?:     'none' | 'zip' | 'merged',
+ *     webhookUrl?: string
+ *   }
+ *
+ * Each item is `{ ...defaults, ...item }` (a shallow merge, so an item's
+ * characterMetadata replaces the default one whole) and must pass
+ * validateReportRequest() on its own.
+ */
+
+const { validateReportRequest } = require('./reportRequest');
+const { resolveLocale, DEFAULT_LOCALE } = require('./i18n');
+
+const OUTPUTS = ['none', 'zip', 'merged'];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * The report requests a batch body expands to, in order.
+ *
+ * @param {object} body
+ * @returns {object[]}
+ */
+function batchItems(body) {
+  return body.items.map(item => ({ ...body.defaults, ...item }));
+}
+
+/**
+ * Check a batch body. Returns null when usable, or the 400 response body:
+ * `{ error }`, plus `items: [{ index, error }]` naming every invalid item.
+ *
+ * @param {object} body
+ * @param {object} options
+ * @param {number} options.maxItems
+ * @param {boolean} options.canMerge  Whether the PDF backend can combine PDFs
+ * @returns {{ error: string, items?: { index: number, error: string }[] }|null}
+ */
+function validateBatchRequest(body, { maxItems, canMerge }) {
+  const { items, defaults, output = 'none' } = body || {};
+
+  if (!Array.isArray(items) || items.length === 0) return { error: 'items must be a non-empty array' };
+  if (items.length > maxItems) return { error: `items may hold at most ${maxItems} reports (got ${items.length})` };
+  if (defaults !== undefined && !isObject(defaults)) return { error: 'defaults must be an object' };
+  if (defaults?.webhookUrl !== undefined) return { error: 'defaults.webhookUrl is not supported — set webhookUrl on the batch' };
+  if (!OUTPUTS.includes(output)) return { error: `output must be one of: ${OUTPUTS.join(', ')}` };
+  if (output === 'merged' && !canMerge) {
+    return { error: 'output "merged" needs a PDF backend that can combine PDFs (PDF_BACKEND=foxit) — use "zip" instead' };
+  }
+
+  const problems = [];
+  items.forEach((item, index) => {
+    let error;
+    if (!isObject(item))                   error = 'must be an object';
+    else if (item.webhookUrl !== undefined) error = 'webhookUrl is not supported per item — set it on the batch';
+    else                                   error = validateReportRequest({ ...defaults, ...item });
+    if (error) problems.push({ index, error });
+  });
+  if (problems.length) {
+    const [first] = problems;
+    const more = problems.length > 1 ? ` (and ${problems.length - 1} more)` : '';
+    return { error: `items[${first.index}]: ${first.error}${more}`, items: problems };
+  }
+  return null;
+}
+
+/**
+ * The locale of a batch's own pages (the merged table of contents): the
+ * defaults' locale, or English.
+ *
+ * @param {object} body  A validated batch body
+ * @returns {string}
+ */
+function batchLocale(body) {
+  return resolveLocale(body.defaults?.locale) || DEFAULT_LOCALE;
+}
+
+module.exports = { OUTPUTS, validateBatchRequest, batchItems, batchLocale };
@@ -0,0 +1,275 @@
+'use strict';
+
+/**
+ * config.js
+ *
+ * Loads and validates the service configuration once, at startup, so a bad
+ * value fails with one message listing every problem instead of a crash
+ * deep inside whichever module first reads it.
+ *
+ * Values come from, highest precedence first:
+ *
+ *   1. environment variables (including config/.env, loaded by app.js)
+ *   2. a JSON config file — CONFIG_FILE, or config/config.json when it
+ *      exists — keyed by the same names:  { "PDF_BACKEND": "local", "JOB_CONCURRENCY": 4 }
+ *   3. the defaults in SETTINGS below
+ *
+ * Values from the file are copied into process.env (where not already set),
+ * so modules that read their own variables see them too. Unknown names in
+ * the file are rejected — they are almost always typos.
+ *
+ * The result is a frozen object with a camelCase property per setting
+ * (PDF_BACKEND → pdfBackend) plus:
+ *
+ *   pdfBackend  the backend to start: PDF_BACKEND, or PDF_DEGRADED_BACKEND
+ *               when PDF_BACKEND=foxit is missing credentials
+ *   degraded    why the service started on that degraded backend, or null
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', '..', 'config', 'config.json');
+
+const FOXIT_CREDENTIALS = [
+  'FOXIT_DOCGEN_BASE_URL',
+  'FOXIT_DOCGEN_CLIENT_ID',
+  'FOXIT_DOCGEN_CLIENT_SECRET',
+  'FOXIT_PDFSERVICES_BASE_URL',
+  'FOXIT_PDFSERVICES_CLIENT_ID',
+  'FOXIT_PDFSERVICES_CLIENT_SECRET',
+];
+
+const isProduction = values => values.NODE_ENV === 'production';
+
+/**
+ * Every setting the loader knows. `type` is one of string | int | number |
+ * enum | url | size; `default` may be a function of the other raw values.
+ * Settings without a default are optional.
+ */
+const SETTINGS = {
+  NODE_ENV:             { type: 'string', default: 'development' },
+  PORT:                 { type: 'int', min: 1, max: 65535, default: 3000 },
+
+  PDF_BACKEND:          { type: 'enum', values: ['foxit', 'local', 'stub'], default: 'foxit' },
+  PDF_FALLBACK:         { type: 'enum', values: ['local', 'none'], default: 'local' },
+  PDF_DEGRADED_BACKEND: { type: 'enum', values: ['local', 'stub', 'none'], default: v => (isProduction(v) ? 'none' : 'local') },
+  PDF_POSTPROCESS:      { type: 'string' },
+
+  FOXIT_DOCGEN_BASE_URL:           { type: 'url' },
+  FOXIT_DOCGEN_CLIENT_ID:          { type: 'string' },
+  FOXIT_DOCGEN_CLIENT_SECRET:      { type: 'string' },
+  FOXIT_PDFSERVICES_BASE_URL:      { type: 'url' },
+  FOXIT_PDFSERVICES_CLIENT_ID:     { type: 'string' },
+  FOXIT_PDFSERVICES_CLIENT_SECRET: { type: 'string' },
+  FOXIT_MAX_RETRIES:      { type: 'int', min: 0, default: 3 },
+  FOXIT_RETRY_BASE_MS:    { type: 'int', min: 0, default: 500 },
+  FOXIT_RETRY_MAX_MS:     { type: 'int', min: 0, default: 30_000 },
+  FOXIT_POLL_INTERVAL_MS: { type: 'int', min: 0, default: 3_000 },
+  FOXIT_POLL_TIMEOUT_MS:  { type: 'int', min: 0, default: 120_000 },
+
+  LOCAL_PDF_FETCH_IMAGES: { type: 'enum', values: ['true', 'false'], default: 'true' },
+  LOCAL_PDF_PAGE_SIZE:    { type: 'string', default: 'LETTER' },
+  IMAGE_URL_ALLOWLIST:    { type: 'string' },
+  CHARACTERS_DIR:         { type: 'string' },
+
+  ASSET_FETCH_TIMEOUT_MS:  { type: 'int', min: 1, default: 10_000 },
+  ASSET_FETCH_MAX_MB:      { type: 'number', min: 0, exclusiveMin: true, default: 5 },
+  ASSET_INLINE_MAX_KB:     { type: 'int', min: 1, default: 1024 },
+  ASSET_IMAGE_MAX_PX:      { type: 'int', min: 16, default: 512 },
+  ASSET_CACHE_MAX_MB:      { type: 'number', min: 0, default: 32 },
+  ASSET_CACHE_TTL_SECONDS: { type: 'int', min: 1, default: 86_400 },
+  ASSET_ALLOW_PRIVATE_HOSTS: { type: 'enum', values: ['true', 'false'], default: 'false' },
+
+  EXTRACTION_PROVIDER: { type: 'enum', values: ['heuristic', 'openai', 'anthropic'], default: 'heuristic' },
+  OPENAI_API_KEY:      { type: 'string' },
+  OPENAI_BASE_URL:     { type: 'url' },
+  OPENAI_MODEL:        { type: 'string' },
+  ANTHROPIC_API_KEY:   { type: 'string' },
+  ANTHROPIC_BASE_URL:  { type: 'url' },
+  ANTHROPIC_MODEL:     { type: 'string' },
+  EXTRACTION_CHUNK_CHARS: { type: 'int', min: 1000, default: 24_000 },
+  QUOTE_GROUNDING:        { type: 'enum', values: ['flag', 'reject', 'off'], default: 'flag' },
+
+  CACHE_STORE:                { type: 'enum', values: ['memory', 'file', 's3', 'none'], default: 'memory' },
+  CACHE_DIR:                  { type: 'string' },
+  CACHE_MEMORY_MAX_MB:        { type: 'number', min: 0, default: 64 },
+  CACHE_DATA_TTL_SECONDS:     { type: 'int', min: 1, default: 604_800 },
+  CACHE_PDF_TTL_SECONDS:      { type: 'int', min: 1, default: 86_400 },
+  CACHE_S3_ENDPOINT:          { type: 'url' },
+  CACHE_S3_BUCKET:            { type: 'string' },
+  CACHE_S3_ACCESS_KEY_ID:     { type: 'string' },
+  CACHE_S3_SECRET_ACCESS_KEY: { type: 'string' },
+  CACHE_S3_REGION:            { type: 'string' },
+  CACHE_S3_PREFIX:            { type: 'string' },
+
+  REPORT_STORE:            { type: 'enum', values: ['memory', 'file', 'none'], default: 'memory' },
+  REPORT_STORE_DIR:        { type: 'string' },
+  REPORT_LINK_SECRET:      { type: 'string' },
+  REPORT_LINK_TTL_SECONDS: { type: 'int', min: 1, default: 604_800 },
+  REPORT_RETENTION_DAYS:   { type: 'number', min: 0, exclusiveMin: true, default: 30 },
+  PUBLIC_BASE_URL:         { type: 'url' },
+
+  JOB_STORE:          { type: 'enum', values: ['memory', 'file'], default: 'memory' },
+  JOB_STORE_DIR:      { type: 'string' },
+  JOB_CONCURRENCY:    { type: 'int', min: 1, default: 2 },
+  JOB_RETENTION_DAYS: { type: 'number', min: 0, exclusiveMin: true, default: 7 },
+  WEBHOOK_SECRET:     { type: 'string' },
+  WEBHOOK_ALLOW_PRIVATE_HOSTS: { type: 'enum', values: ['true', 'false'], default: 'false' },
+
+  BATCH_MAX_ITEMS:   { type: 'int', min: 1, default: 50 },
+  BATCH_CONCURRENCY: { type: 'int', min: 1, default: 2 },
+  BATCH_BODY_LIMIT:  { type: 'size', default: '10mb' },
+  REPORT_BODY_LIMIT: { type: 'size', default: '5mb' },
+  BATCH_STORE_DIR:   { type: 'string', default: path.join(__dirname, '..', '..', 'output', 'batches') },
+
+  API_AUTH:                  { type: 'enum', values: ['auto', 'required', 'off'], default: 'auto' },
+  API_KEYS_FILE:             { type: 'string' },
+  API_RATE_LIMIT_PER_MINUTE: { type: 'int', min: 1, default: 60 },
+  API_MONTHLY_REPORT_QUOTA:  { type: 'int', min: 0, default: 1000 },
+  USAGE_FILE:                { type: 'string' },
+
+  LOG_FORMAT: { type: 'enum', values: ['json', 'pretty'], default: v => (isProduction(v) ? 'json' : 'pretty') },
+  LOG_LEVEL:  { type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+
+  READY_TIMEOUT_MS:    { type: 'int', min: 1, default: 3_000 },
+  SHUTDOWN_TIMEOUT_MS: { type: 'int', min: 0, default: 30_000 },
+};
+
+class ConfigError extends Error {
+  /**
+   * @param {string[]} problems  One line per invalid setting
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name     = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/** PDF_BACKEND → pdfBackend */
+function camelCase(name) {
+  return name.toLowerCase().replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Parse one raw value. Returns { value } or { problem }.
+ */
+function parse(name, raw, setting) {
+  const text = String(raw).trim();
+  switch (setting.type) {
+    case 'int': {
+      const value = Number(text);
+      const { min = -Infinity, max = Infinity } = setting;
+      if (!/^-?\d+$/.test(text) || value < min || value > max) {
+        const range = max === Infinity ? `≥ ${min}` : `between ${min} and ${max}`;
+        return { problem: `${name} must be an integer ${range} (got "${raw}")` };
+      }
+      return { value };
+    }
+    case 'number': {
+      const value = Number(text);
+      const { min = -Infinity, exclusiveMin = false } = setting;
+      if (text === '' || !Number.isFinite(value) || value < min || (exclusiveMin && value === min)) {
+        return { problem: `${name} must be a number ${exclusiveMin ? '>' : '≥'} ${min} (got "${raw}")` };
+      }
+      return { value };
+    }
+    case 'enum': {
+      const value = text.toLowerCase();
+      if (!setting.values.includes(value)) {
+        return { problem: `${name} must be one of: ${setting.values.join(', ')} (got "${raw}")` };
+      }
+      return { value };
+    }
+    case 'url':
+      if (!/^https?:\/\/[^\s/]+/i.test(text)) return { problem: `${name} must be an http(s) URL (got "${raw}")` };
+      return { value: text.replace(/\/$/, '') };
+    case 'size':
+      if (!/^\d+(b|kb|mb|gb)?$/i.test(text)) return { problem: `${name} must be a size such as 512kb or 10mb (got "${raw}")` };
+      return { value: text.toLowerCase() };
+    default:
+      return { value: text };
+  }
+}
+
+/**
+ * Read the JSON config file. A missing default file is fine; a missing
+ * CONFIG_FILE is not.
+ *
+ * @returns {{ values: object, problems: string[] }}
+ */
+function readConfigFile(file, explicit) {
+  if (!fs.existsSync(file)) {
+    return { values: {}, problems: explicit ? [`CONFIG_FILE ${file} does not exist`] : [] };
+  }
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    return { values: {}, problems: [`${path.basename(file)} is not valid JSON: ${err.message}`] };
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { values: {}, problems: [`${path.basename(file)} must contain a JSON object`] };
+  }
+  const problems = Object.keys(values)
+    .filter(name => !SETTINGS[name])
+    .map(name => `${path.basename(file)}: unknown setting "${name}"`);
+  return { values, problems };
+}
+
+/**
+ * Load, validate and freeze the configuration.
+ *
+ * @param {object} [options]
+ * @param {object} [options.env=process.env]  Also receives the config file's values
+ * @param {string} [options.file]             Config file (default: CONFIG_FILE or config/config.json)
+ * @returns {Readonly<Record<string, *>>}
+ * @throws {ConfigError} listing every invalid setting
+ */
+function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+  const { values: fromFile, problems } = readConfigFile(file || DEFAULT_CONFIG_FILE, Boolean(file));
+
+  // Environment wins over the file; the file fills in what the environment lacks
+  const raw = {};
+  for (const name of Object.keys(SETTINGS)) {
+    const value = env[name] !== undefined && env[name] !== '' ? env[name] : fromFile[name];
+    if (value !== undefined && value !== null && value !== '') raw[name] = value;
+  }
+
+  const config = {};
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    if (raw[name] === undefined) {
+      config[camelCase(name)] = typeof setting.default === 'function' ? setting.default(raw) : setting.default;
+      continue;
+    }
+    const { value, problem } = parse(name, raw[name], setting);
+    if (problem) problems.push(problem);
+    else config[camelCase(name)] = value;
+  }
+
+  // Foxit without credentials: refuse, or start on the degraded backend
+  config.pdfBackend = config.pdfBackend ?? SETTINGS.PDF_BACKEND.default;
+  config.degraded   = null;
+  const missing = FOXIT_CREDENTIALS.filter(name => raw[name] === undefined);
+  if (config.pdfBackend === 'foxit' && missing.length) {
+    if (config.pdfDegradedBackend === 'none') {
+      problems.push(
+        `PDF_BACKEND=foxit needs ${missing.join(', ')} — set them, use PDF_BACKEND=local, ` +
+        'or set PDF_DEGRADED_BACKEND=local|stub to start without Foxit'
+      );
+    } else if (config.pdfDegradedBackend) {
+      config.degraded   = `Foxit is not configured (${missing.join(', ')} not set)`;
+      config.pdfBackend = config.pdfDegradedBackend;
+    }
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+
+  for (const [name, value] of Object.entries(fromFile)) {
+    if (env[name] === undefined || env[name] === '') env[name] = String(value);
+  }
+  return Object.freeze(config);
+}
+
+module.exports = { loadConfig, ConfigError, SETTINGS, FOXIT_CREDENTIALS };
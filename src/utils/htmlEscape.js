@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * htmlEscape.js
+ *
+ * Escaping and URL checks for values written into report HTML. The template
+ * engine picks one of these per {{value}} based on where it sits in the
+ * markup (see templateEngine.js); the URL allowlist is applied by the HTTP
+ * layer to caller-supplied image URLs.
+ */
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;',
+};
+
+/** Element text and quoted attribute values. */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"'`]/g, c => HTML_ENTITIES[c]);
+}
+
+/**
+ * Unquoted attribute values and values inside a tag. Everything outside a
+ * small safe set becomes a numeric entity so it cannot end the attribute.
+ */
+function escapeAttrStrict(value) {
+  return String(value).replace(/[^A-Za-z0-9_.-]/g, c => `&#x${c.codePointAt(0).toString(16)};`);
+}
+
+const SAFE_DATA_URL = /^data:image\/(png|jpe?g|gif|webp);base64,[A-Za-z0-9+/=\s]+$/i;
+
+/**
+ * Return the URL if its scheme is safe to put in src/href, otherwise
+ * `about:invalid`. Allowed: http, https, mailto, relative URLs, and base64
+ * data: URLs for raster images.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function sanitizeUrl(value) {
+  // Browsers ignore control characters and whitespace inside the scheme
+  const url = String(value).trim();
+  const compact = url.replace(/[\u0000- \u007f]/g, '');
+  if (!compact) return '';
+
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) return url;
+  const name = scheme[1].toLowerCase();
+  if (name === 'http' || name === 'https' || name === 'mailto') return url;
+  if (name === 'data' && SAFE_DATA_URL.test(url)) return url;
+  return 'about:invalid';
+}
+
+/** Values inside a <style> block or style="" attribute. */
+function escapeCss(value) {
+  return String(value).replace(/[^\w\s#.,%+\-/]/g, '');
+}
+
+/** Values inside a <script> block — safe inside a JS string literal. */
+function escapeScript(value) {
+  return JSON.stringify(String(value))
+    .slice(1, -1)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/'/g, '\\u0027');
+}
+
+/**
+ * Parse a comma-separated allowlist of hostnames. `*.example.com` matches
+ * any subdomain of example.com (but not example.com itself).
+ *
+ * @param {string} [value]
+ * @returns {string[]}
+ */
+function parseHostAllowlist(value) {
+  return String(value || '')
+    .split(',')
+    .map(h => h.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Check a caller-supplied image URL: it must be an absolute http(s) URL and,
+ * when an allowlist is configured, its host must match an entry.
+ *
+ * @param {string} value
+ * @param {string[]} allowlist  From parseHostAllowlist(). Empty = any host.
+ * @returns {{ ok: true } | { ok: false, reason: string }}
+ */
+function checkImageUrl(value, allowlist) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return { ok: false, reason: 'is not a valid absolute URL' };
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return { ok: false, reason: `uses disallowed scheme "${url.protocol}"` };
+  }
+  if (url.username || url.password) {
+    return { ok: false, reason: 'must not contain credentials' };
+  }
+  if (allowlist.length) {
+    const host = url.hostname.toLowerCase();
+    const allowed = allowlist.some(entry =>
+      entry.startsWith('*.') ? host.endsWith(entry.slice(1)) : host === entry
+    );
+    if (!allowed) return { ok: false, reason: `host "${host}" is not in IMAGE_URL_ALLOWLIST` };
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  escapeHtml,
+  escapeAttrStrict,
+  sanitizeUrl,
+  escapeCss,
+  escapeScript,
+  parseHostAllowlist,
+  checkImageUrl,
+};
@@ -0,0 +1,242 @@
+'use strict';
+
+/**
+ * i18n.js
+ *
+ * Report locales. A request's `locale` (a BCP 47 tag such as `es` or
+ * `es-MX`) picks a message catalog from src/locales/ by its language, and
+ * the full tag is used for Intl date, number and list formatting.
+ *
+ * Catalogs are JSON files named after the language:
+ *
+ *   {
+ *     "locale":   "es",
+ *     "name":     "Español",
+ *     "dir":      "ltr" | "rtl",
+ *     "messages": { "report": { "sessionOverview": "Resumen de la sesión", … }, … }
+ *   }
+ *
+ * Messages may contain positional placeholders (`{0}`, `{1}`), filled by
+ * format() here and by the `format` filter in templates. A message missing
+ * from a catalog falls back to the English one.
+ *
+ * Catalogs are read once, on first use.
+ */
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+
+const LOCALES_DIR    = path.join(__dirname, '..', 'locales');
+const DEFAULT_LOCALE = 'en';
+
+const DATE_FORMAT = { year: 'numeric', month: 'long', day: 'numeric' };
+const DURATION_UNITS = [['H', 'hour'], ['M', 'minute'], ['S', 'second']];
+
+let catalogs = null;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** Fill the messages `base` has and `messages` lacks, recursively. */
+function withFallback(messages, base) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(messages)) {
+    out[key] = isObject(value) && isObject(base[key]) ? withFallback(value, base[key]) : value;
+  }
+  return out;
+}
+
+function loadCatalogs() {
+  if (catalogs) return catalogs;
+  const loaded = {};
+  for (const file of fs.readdirSync(LOCALES_DIR).filter(f => f.endsWith('.json')).sort()) {
+    const source = fs.readFileSync(path.join(LOCALES_DIR, file), 'utf-8');
+    let catalog;
+    try {
+      catalog = JSON.parse(source);
+    } catch (err) {
+      throw new Error(`[i18n] ${file}: ${err.message}`);
+    }
+    const { locale, name, dir = 'ltr', messages } = catalog;
+    if (locale !== path.basename(file, '.json')) throw new Error(`[i18n] ${file}: locale must be "${path.basename(file, '.json')}"`);
+    if (!['ltr', 'rtl'].includes(dir)) throw new Error(`[i18n] ${file}: dir must be "ltr" or "rtl"`);
+    if (!isObject(messages)) throw new Error(`[i18n] ${file}: messages must be an object`);
+    loaded[locale] = {
+      locale,
+      name:    name || locale,
+      dir,
+      messages,
+      version: crypto.createHash('sha256').update(source).digest('hex').slice(0, 16),
+    };
+  }
+  if (!loaded[DEFAULT_LOCALE]) throw new Error(`[i18n] ${DEFAULT_LOCALE}.json is missing from ${LOCALES_DIR}`);
+
+  for (const catalog of Object.values(loaded)) {
+    if (catalog.locale !== DEFAULT_LOCALE) {
+      catalog.messages = withFallback(catalog.messages, loaded[DEFAULT_LOCALE].messages);
+      catalog.version += loaded[DEFAULT_LOCALE].version.slice(0, 8);
+    }
+  }
+  catalogs = loaded;
+  return catalogs;
+}
+
+/**
+ * @returns {string[]}  Languages with a catalog, e.g. ['ar', 'de', 'en', 'es', 'fr']
+ */
+function supportedLocales() {
+  return Object.keys(loadCatalogs());
+}
+
+/**
+ * Canonicalize a locale tag (`es-mx` → `es-MX`). Returns null for a
+ * malformed tag or one whose language has no catalog.
+ *
+ * @param {string} tag
+ * @returns {string|null}
+ */
+function resolveLocale(tag) {
+  if (typeof tag !== 'string' || !tag) return null;
+  let canonical;
+  try {
+    [canonical] = Intl.getCanonicalLocales(tag);
+  } catch {
+    return null;
+  }
+  const language = new Intl.Locale(canonical).language;
+  return loadCatalogs()[language] ? canonical : null;
+}
+
+/**
+ * Check a request's `locale`. Returns an error message, or null when usable.
+ *
+ * @param {*} value
+ * @returns {string|null}
+ */
+function validateLocale(value) {
+  if (typeof value !== 'string') return 'must be a string';
+  if (!resolveLocale(value)) {
+    return `"${value}" is not supported (expected one of: ${supportedLocales().join(', ')}, or a regional variant such as es-MX)`;
+  }
+  return null;
+}
+
+/**
+ * The catalog for a locale tag, falling back to English.
+ *
+ * @param {string} [tag]
+ * @returns {{ locale: string, name: string, dir: 'ltr'|'rtl', messages: object, version: string }}
+ */
+function getCatalog(tag = DEFAULT_LOCALE) {
+  const resolved = resolveLocale(tag) || DEFAULT_LOCALE;
+  return loadCatalogs()[new Intl.Locale(resolved).language];
+}
+
+/**
+ * Look a dotted message key up in a locale's catalog.
+ *
+ * @param {string} tag
+ * @param {string} key   E.g. 'session.unknown'
+ * @param {...*} args    Fill `{0}`, `{1}`, …
+ * @returns {*}  The message (strings are formatted), or the key when missing
+ */
+function message(tag, key, ...args) {
+  const value = key.split('.').reduce((node, part) => node?.[part], getCatalog(tag).messages);
+  if (value === undefined) return key;
+  if (typeof value === 'string') return format(value, ...args);
+  if (Array.isArray(value)) return value.map(item => (typeof item === 'string' ? format(item, ...args) : item));
+  return value;
+}
+
+/**
+ * Fill positional placeholders: format('Page {0} of {1}', 1, 2).
+ *
+ * @param {string} template
+ * @param {...*} args
+ * @returns {string}
+ */
+function format(template, ...args) {
+  return String(template).replace(/\{(\d+)\}/g, (token, i) => (args[i] === undefined || args[i] === null ? '' : String(args[i])));
+}
+
+/**
+ * Format a session date for a locale. ISO dates (`2026-03-01`, or a full
+ * ISO timestamp) are written out in the locale's long form; anything else
+ * is assumed to be formatted already and returned as is.
+ *
+ * @param {string|Date} value
+ * @param {string} [tag]
+ * @returns {string}
+ */
+function formatDate(value, tag = DEFAULT_LOCALE) {
+  let date = value instanceof Date ? value : null;
+  if (!date && typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T\S+)?$/.test(value.trim())) {
+    date = new Date(value.trim());
+  }
+  if (!date || Number.isNaN(date.getTime())) return value;
+  // Date-only strings parse as UTC midnight; print that day, not the local one
+  const timeZone = typeof value === 'string' && value.trim().length === 10 ? 'UTC' : undefined;
+  return new Intl.DateTimeFormat(resolveLocale(tag) || DEFAULT_LOCALE, { ...DATE_FORMAT, timeZone }).format(date);
+}
+
+/**
+ * Format a session duration for a locale. ISO 8601 durations (`PT1H5M`,
+ * `PT90S`) become e.g. "1 hour, 5 minutes" / "1 hora y 5 minutos"; anything
+ * else is returned as is.
+ *
+ * @param {string} value
+ * @param {string} [tag]
+ * @returns {string}
+ */
+function formatDuration(value, tag = DEFAULT_LOCALE) {
+  const m = typeof value === 'string' && /^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/i.exec(value.trim());
+  if (!m || !(m[1] || m[2] || m[3])) return value;
+  const locale = resolveLocale(tag) || DEFAULT_LOCALE;
+  const parts = DURATION_UNITS
+    .map(([, unit], i) => [unit, Number(m[i + 1] || 0)])
+    .filter(([, amount]) => amount > 0)
+    .map(([unit, amount]) => new Intl.NumberFormat(locale, { style: 'unit', unit, unitDisplay: 'long' }).format(amount));
+  if (!parts.length) return new Intl.NumberFormat(locale, { style: 'unit', unit: 'minute', unitDisplay: 'long' }).format(0);
+  return new Intl.ListFormat(locale, { type: 'unit', style: 'long' }).format(parts);
+}
+
+/**
+ * The English name of a locale's language ('Spanish', 'Arabic'), for
+ * instructions to extraction models.
+ *
+ * @param {string} tag
+ * @returns {string}
+ */
+function languageName(tag) {
+  const resolved = resolveLocale(tag) || DEFAULT_LOCALE;
+  const names = new Intl.DisplayNames(['en'], { type: 'language' });
+  return names.of(resolved);
+}
+
+/**
+ * The values templates get on top of ReportData: `locale`, `dir` and the
+ * message catalog as `t` (`{{t.report.sessionOverview}}`).
+ *
+ * @param {string} [tag]
+ * @returns {{ locale: string, dir: 'ltr'|'rtl', t: object }}
+ */
+function templateStrings(tag = DEFAULT_LOCALE) {
+  const { dir, messages } = getCatalog(tag);
+  return { locale: resolveLocale(tag) || DEFAULT_LOCALE, dir, t: messages };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  supportedLocales,
+  resolveLocale,
+  validateLocale,
+  getCatalog,
+  message,
+  format,
+  formatDate,
+  formatDuration,
+  languageName,
+  templateStrings,
+};
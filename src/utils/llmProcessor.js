@@ -3,139 +3,217 @@
 /**
  * llmProcessor.js
  *
- * Stub implementation — returns hardcoded but realistic Einstein report data.
- * Replace the body of extractReportData() with a real LLM call (e.g. OpenAI,
- * Anthropic Claude) when you're ready to plug in the actual AI layer.
+ * Turns a raw transcript plus character metadata into a ReportData object.
+ * The transcript-derived fields (summary, insight, themes, resources and
+ * reflection questions) come from a pluggable extraction provider selected
+ * by the EXTRACTION_PROVIDER env var — see src/services/extraction/.
+ * Transcripts longer than the provider takes in one call are extracted in
+ * chunks (src/services/ingestion/) and the results merged. Every theme's
+ * quote is then checked against the transcript (src/utils/quoteGrounding.js).
+ */
+
+const { createExtractionProvider } = require('../services/extraction');
+const { chunkTurns, formatTurns } = require('../services/ingestion');
+const {
+  EXTRACTED_CONTENT_SCHEMA,
+  ReportValidationError,
+  validate,
+  repair,
+  formatErrors,
+} = require('./reportValidator');
+const { groundingMode, groundQuotes, ungroundedQuotes } = require('./quoteGrounding');
+const { DEFAULT_LOCALE, message } = require('./i18n');
+const { componentLogger } = require('./logger');
+const { timeStage } = require('./metrics');
+
+let defaultProvider;
+
+function getDefaultProvider() {
+  if (!defaultProvider) defaultProvider = createExtractionProvider();
+  return defaultProvider;
+}
+
+// Re-prompts allowed after the first attempt when a provider supports repair
+const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Generic questions used to pad reflectionQuestions when a provider returns
+ * too few, in the report's language. They never claim anything about the
+ * transcript.
+ */
+function fallbackQuestions(characterName, locale = DEFAULT_LOCALE) {
+  return message(locale, 'fallbackQuestions', characterName);
+}
+
+/**
+ * Run a provider, then validate its output against the ExtractedContent
+ * schema. Mechanical fixes (trim/pad/coerce) are applied first; if errors
+ * remain and the provider supports it, it is re-prompted with the list of
+ * problems. Throws ReportValidationError listing the fields that could not
+ * be recovered.
+ *
+ * @param {import('../services/extraction').ExtractionProvider} extractor
+ * @param {import('../services/extraction/ExtractionProvider').ExtractionInput} input
+ * @param {(content: object) => { path: string, message: string }[]} [check]
+ *        Further checks on schema-valid output, handled like schema errors
+ * @returns {Promise<import('../services/extraction/ExtractionProvider').ExtractedContent>}
+ */
+async function extractValidated(extractor, input, check = () => []) {
+  const padding = { reflectionQuestions: fallbackQuestions(input.characterName, input.locale) };
+  let extracted = await extractor.extract(input);
+
+  for (let attempt = 0; ; attempt++) {
+    extracted = repair(extracted, EXTRACTED_CONTENT_SCHEMA, { padding });
+    let errors = validate(extracted, EXTRACTED_CONTENT_SCHEMA);
+    if (errors.length === 0) errors = check(extracted);
+    if (errors.length === 0) return extracted;
+
+    if (!extractor.supportsRepair || attempt >= MAX_REPAIR_ATTEMPTS) {
+      throw new ReportValidationError(
+        `[llmProcessor] Provider "${extractor.name}" returned invalid data: ${formatErrors(errors)}`,
+        errors
+      );
+    }
+
+    componentLogger('llmProcessor', input.log).warn(
+      `Provider "${extractor.name}" output invalid (attempt ${attempt + 1}), ` +
+      `re-prompting: ${formatErrors(errors)}`
+    );
+    extracted = await extractor.extract({ ...input, repair: { previous: extracted, errors } });
+  }
+}
+
+// ── Chunked extraction ────────────────────────────────────────────────────────
+
+// What makes two list entries the same when merging chunks
+const ENTRY_KEYS = {
+  themes:              theme => theme.name,
+  resources:           resource => resource.topic,
+  reflectionQuestions: question => question,
+};
+
+/**
+ * Merge the content extracted from consecutive chunks of one transcript.
+ * The headline comes from the first chunk and the summaries are joined in
+ * order. Lists take entries from each chunk in turn, drop repeats, and stop
+ * at the longest single-chunk list so a long session does not crowd out
+ * the report.
+ *
+ * @param {import('../services/extraction/ExtractionProvider').ExtractedContent[]} parts
+ * @returns {import('../services/extraction/ExtractionProvider').ExtractedContent}
+ */
+function mergeExtracted(parts) {
+  const merged = {
+    sessionSummary:  parts.map(part => part.sessionSummary.trim()).join('\n\n'),
+    headlineInsight: parts[0].headlineInsight,
+  };
+  for (const [field, keyOf] of Object.entries(ENTRY_KEYS)) {
+    const limit = Math.max(...parts.map(part => part[field].length));
+    const seen  = new Set();
+    const list  = [];
+    for (let i = 0; list.length < limit && parts.some(part => i < part[field].length); i++) {
+      for (const part of parts) {
+        const entry = part[field][i];
+        const key   = entry && String(keyOf(entry)).trim().toLowerCase();
+        if (!entry || seen.has(key) || list.length >= limit) continue;
+        seen.add(key);
+        list.push(entry);
+      }
+    }
+    merged[field] = list;
+  }
+  return merged;
+}
+
+/**
+ * extractValidated(), one chunk at a time when the transcript is longer than
+ * the provider's maxTranscriptChars. Chunks run one after another so a long
+ * session does not burst the provider's rate limit.
+ *
+ * @param {import('../services/extraction').ExtractionProvider} extractor
+ * @param {import('../services/extraction/ExtractionProvider').ExtractionInput} input
+ * @param {import('../services/ingestion/turns').Turn[]} [turns]  The transcript's turns
+ * @param {(content: object, turns: import('../services/ingestion/turns').Turn[]) => object[]} [check]
+ *        As for extractValidated(), given the turns each call extracted from
+ * @returns {Promise<import('../services/extraction/ExtractionProvider').ExtractedContent>}
+ */
+async function extractInChunks(extractor, input, turns, check = () => []) {
+  const limit = extractor.maxTranscriptChars;
+  const whole = content => check(content, turns);
+  if (!turns?.length || input.transcript.length <= limit) return extractValidated(extractor, input, whole);
+
+  const chunks = chunkTurns(turns, limit);
+  if (chunks.length === 1) return extractValidated(extractor, input, whole);
+  componentLogger('llmProcessor', input.log).info(
+    `Transcript is ${input.transcript.length} characters; extracting in ${chunks.length} chunks of up to ${limit}`
+  );
+  const parts = [];
+  for (const chunk of chunks) {
+    parts.push(await extractValidated(extractor, { ...input, transcript: formatTurns(chunk) }, content => check(content, chunk)));
+  }
+  return mergeExtracted(parts);
+}
+
+/**
+ * Extract structured report data from a transcript.
  *
  * @param {object} params
  * @param {string} params.transcript        Raw conversation transcript text
+ * @param {import('../services/ingestion/turns').Turn[]} [params.turns]
+ *        The transcript read into turns; needed to chunk a transcript longer
+ *        than the provider's maxTranscriptChars and to ground the quotes
  * @param {string} params.characterName     E.g. "Albert Einstein"
- * @param {object} params.characterMetadata From the API request body
+ * @param {object} params.characterMetadata tagline, birthYear, deathYear, bio, facts and
+ *        optionally era — from the request or its characterId profile
+ * @param {string} [params.locale]          Language to write the report in (default: en)
+ * @param {import('../services/extraction').ExtractionProvider} [params.provider]
+ *        Override the configured provider (tests, per-request selection)
+ * @param {import('./logger').Logger} [params.log]  The caller's logger (request id)
+ * @param {'flag'|'reject'|'off'} [params.quoteGrounding]  Default: QUOTE_GROUNDING
  * @returns {Promise<import('../services/PdfService').ReportData>}
  */
-async function extractReportData({ transcript, characterName, characterMetadata }) {
-  // ── Derived profile fields from characterMetadata ───────────────────────
-  const characterTagline  = characterMetadata.tagline  || 'Theoretical Physicist & Humanitarian';
-  const characterBirthYear= characterMetadata.birthYear || '1879';
-  const characterDeathYear= characterMetadata.deathYear || '1955';
-  const characterBio      = characterMetadata.bio ||
-    'Albert Einstein revolutionised our understanding of space, time, and energy ' +
-    'with his Special and General Theories of Relativity, earning the 1921 Nobel Prize in Physics.';
-  const characterFacts    = characterMetadata.facts || [
-    'Born on 14 March 1879 in Ulm, Kingdom of Württemberg, German Empire.',
-    'His 1905 "Annus Mirabilis" papers included the Special Theory of Relativity and E=mc².',
-    'He was offered the presidency of Israel in 1952 but respectfully declined.',
-    'Einstein played the violin throughout his life, calling music his greatest personal pleasure.',
-    'He was a pacifist who later co-signed the Russell–Einstein Manifesto against nuclear weapons.',
-  ];
-
-  // ── Hardcoded stub content (replace with LLM output) ────────────────────
-  const sessionSummary =
-    'In this session, the user engaged in a wide-ranging conversation with Albert Einstein, ' +
-    'exploring the philosophical underpinnings of modern physics, Einstein\'s personal journey ' +
-    'from patent clerk to world-renowned scientist, and his deeply held views on education, ' +
-    'imagination, and moral responsibility. The conversation touched on his early struggles ' +
-    'in academia, the revolutionary insight behind the Special Theory of Relativity, and his ' +
-    'complicated feelings about the atomic bomb—a weapon made possible by his famous equation E=mc².';
-
-  const headlineInsight =
-    'Imagination is more important than knowledge—knowledge is limited, but imagination ' +
-    'encircles the entire world.';
-
-  const themes = [
-    {
-      name: 'Relativity and the Nature of Time',
-      explanation:
-        'Einstein introduced the radical idea that time is not absolute but relative to the ' +
-        'observer\'s velocity and gravitational field. The session unpacked how this insight ' +
-        'overturned centuries of Newtonian mechanics and reshaped physics forever.',
-      quote:
-        'Put your hand on a hot stove for a minute and it seems like an hour. Sit with a ' +
-        'pretty girl for an hour and it seems like a minute. That\'s relativity.',
-      context:
-        'Before Einstein published his 1905 paper "On the Electrodynamics of Moving Bodies," ' +
-        'physicists assumed a universal, Newtonian "absolute time." His Special Theory of ' +
-        'Relativity demonstrated that simultaneity is relative: two events simultaneous for ' +
-        'one observer may not be for another moving at a different velocity. This paved the ' +
-        'way for GPS technology, particle accelerators, and the entire field of cosmology.',
-    },
-    {
-      name: 'Education, Curiosity, and Imagination',
-      explanation:
-        'Einstein was famously skeptical of rote learning and examinations. He argued that ' +
-        'true education should nurture curiosity and creative thinking rather than drill facts ' +
-        'into passive minds. The discussion revealed his belief that wonder is the source of all science.',
-      quote:
-        'The important thing is not to stop questioning. Curiosity has its own reason for existing.',
-      context:
-        'Einstein struggled at conventional schools and failed his first entrance exam to the ' +
-        'Swiss Federal Polytechnic. Yet this "failure" gave him time to think independently. ' +
-        'His unconventional mind thrived in Bern\'s patent office, where evaluating others\' ' +
-        'inventions sharpened his ability to spot conceptual inconsistencies—a skill central ' +
-        'to developing relativity. His educational philosophy later influenced progressive ' +
-        'pedagogy movements worldwide.',
-    },
-    {
-      name: 'Science, Morality, and Nuclear Responsibility',
-      explanation:
-        'One of the session\'s most moving segments explored Einstein\'s anguish over ' +
-        'E=mc²\'s role in enabling nuclear weapons. He believed scientists carry a moral ' +
-        'obligation to consider the societal consequences of their discoveries.',
-      quote:
-        'The release of atomic energy has not created a new problem. It has merely made ' +
-        'more urgent the necessity of solving an existing one.',
-      context:
-        'Einstein\'s 1905 equation E=mc² demonstrated the equivalence of mass and energy, ' +
-        'a theoretical cornerstone later exploited in nuclear fission research. Although ' +
-        'Einstein himself did not work on the Manhattan Project, he co-signed the 1939 ' +
-        'Einstein–Szilárd letter warning President Roosevelt that Nazi Germany might be ' +
-        'developing atomic weapons. He spent his final years advocating for nuclear ' +
-        'disarmament and a world government, co-authoring the 1955 Russell–Einstein Manifesto.',
-    },
-  ];
-
-  const resources = [
-    {
-      topic: 'Special Theory of Relativity',
-      whyItMatters:
-        'Fundamentally changed how we understand space, time, and energy; underlies GPS, ' +
-        'nuclear energy, and modern particle physics.',
-      whereToLearnMore:
-        'Einstein\'s original 1905 paper (freely available via Annalen der Physik); ' +
-        '"Relativity: The Special and the General Theory" by Einstein (Penguin Classics).',
-    },
-    {
-      topic: 'Philosophy of Science',
-      whyItMatters:
-        'Understanding how scientists think about theory, evidence, and creativity helps ' +
-        'everyone evaluate claims critically in a complex information landscape.',
-      whereToLearnMore:
-        '"The World As I See It" by Albert Einstein; "Philosophy of Physics" by Tim Maudlin ' +
-        '(Princeton University Press).',
-    },
-    {
-      topic: 'Nuclear Age & Arms Control',
-      whyItMatters:
-        'The existence of thousands of nuclear warheads remains one of humanity\'s greatest ' +
-        'existential risks; understanding their history informs modern disarmament efforts.',
-      whereToLearnMore:
-        '"The Making of the Atomic Bomb" by Richard Rhodes (Pulitzer Prize winner); ' +
-        'The Bulletin of the Atomic Scientists (thebulletin.org).',
-    },
-  ];
-
-  const reflectionQuestions = [
-    'Einstein reshaped physics by questioning assumptions everyone else took for granted. ' +
-    'What assumptions in your own field or daily life might be worth questioning?',
-    'He believed imagination outranks knowledge. Do you agree? How do you personally ' +
-    'balance creative thinking with factual grounding?',
-    'Einstein anguished over E=mc² enabling nuclear weapons. If you made a discovery with ' +
-    'potential for misuse, how would you decide whether—and how—to share it?',
-    'He struggled in conventional education yet became history\'s most celebrated scientist. ' +
-    'What does his story suggest about how we define and measure intelligence?',
-    'Einstein advocated for a world government to prevent war. How do you think ' +
-    'international cooperation should be structured to address today\'s global threats?',
-  ];
+async function extractReportData({
+  transcript,
+  turns,
+  characterName,
+  characterMetadata,
+  locale = DEFAULT_LOCALE,
+  provider,
+  log,
+  quoteGrounding = groundingMode(),
+}) {
+  // ── Profile fields, as validated by validateReportRequest() ─────────────
+  const {
+    tagline:   characterTagline,
+    birthYear: characterBirthYear,
+    deathYear: characterDeathYear,
+    bio:       characterBio,
+    facts:     characterFacts,
+    era:       characterEra,
+  } = characterMetadata;
+
+  // ── Transcript-derived content from the extraction provider ─────────────
+  const extractor = provider || getDefaultProvider();
+  componentLogger('llmProcessor', log).info(`Extracting report data with provider "${extractor.name}"`);
+
+  const grounded = quoteGrounding !== 'off' && turns?.length > 0;
+  const check    = grounded && quoteGrounding === 'reject' ? ungroundedQuotes : () => [];
+  let extracted = await timeStage('extract', () =>
+    extractInChunks(extractor, { transcript, characterName, characterMetadata, locale, log }, turns, check)
+  );
+
+  // ── Quotes checked against the character's turns ───────────────────────
+  if (grounded) {
+    extracted = groundQuotes(extracted, turns);
+    const unverified = extracted.themes.filter(theme => theme.quoteSource === 'unverified');
+    if (unverified.length) {
+      componentLogger('llmProcessor', log).warn(
+        `Provider "${extractor.name}" returned ${unverified.length} quote(s) not found in the transcript; flagged in the report`
+      );
+    }
+  }
+
+  const { sessionSummary, headlineInsight, themes, resources, reflectionQuestions } = extracted;
 
   // ── Assemble and return the full report data object ──────────────────────
   return {
@@ -144,6 +222,7 @@ async function extractReportData({ transcript, characterName, characterMetadata
     characterBirthYear,
     characterDeathYear,
     characterBio,
+    ...(characterEra ? { characterEra } : {}),
     characterFacts,
     sessionSummary,
     headlineInsight,
@@ -153,4 +232,4 @@ async function extractReportData({ transcript, characterName, characterMetadata
   };
 }
 
-module.exports = { extractReportData };
+module.exports = { extractReportData, mergeExtracted };
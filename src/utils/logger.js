@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * logger.js
+ *
+ * Structured logging. Every entry carries a level, a message and fields;
+ * loggers made with child() add their fields to every entry they write, so
+ * a request's logger stamps its `requestId` (and a job's its `jobId`) on
+ * everything logged on its behalf:
+ *
+ *   const log = logger.child({ requestId });
+ *   log.child({ component: 'FoxitPdfService' }).info('Stage 1 complete', { bytes: 41234 });
+ *
+ * Two output formats:
+ *
+ *   json    one JSON object per line, for log shippers (default in production)
+ *           {"time":"…","level":"info","component":"FoxitPdfService","msg":"Stage 1 complete","requestId":"…","bytes":41234}
+ *   pretty  the familiar `[FoxitPdfService] Stage 1 complete  bytes=41234 requestId=…` (default otherwise)
+ *
+ * Entries go through console.log / console.warn / console.error by level,
+ * so anything that captures the console (tests included) sees them.
+ *
+ * Env vars (all optional):
+ *   LOG_FORMAT  json | pretty
+ *   LOG_LEVEL   debug | info (default) | warn | error
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['json', 'pretty'];
+
+const WRITERS = {
+  debug: (...args) => console.log(...args),
+  info:  (...args) => console.log(...args),
+  warn:  (...args) => console.warn(...args),
+  error: (...args) => console.error(...args),
+};
+
+function defaultFormat() {
+  const format = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty');
+  return FORMATS.includes(format) ? format : 'json';
+}
+
+function defaultLevel() {
+  const level = String(process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] ? level : 'info';
+}
+
+/** Errors don't survive JSON.stringify — keep what is useful of them. */
+function serialize(value) {
+  if (value instanceof Error) return { message: value.message, name: value.name, ...(value.code && { code: value.code }) };
+  return value;
+}
+
+function prettyValue(value) {
+  if (value instanceof Error) return JSON.stringify(value.message);
+  if (typeof value === 'string') return /[\s"=]/.test(value) ? JSON.stringify(value) : value;
+  return JSON.stringify(value);
+}
+
+class Logger {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.fields]  Added to every entry
+   * @param {'debug'|'info'|'warn'|'error'} [options.level]  Lowest level written
+   * @param {'json'|'pretty'} [options.format]
+   */
+  constructor({ fields = {}, level = defaultLevel(), format = defaultFormat() } = {}) {
+    this.fields = fields;
+    this.level  = level;
+    this.format = format;
+  }
+
+  /**
+   * A logger that adds `fields` to every entry.
+   *
+   * @param {object} fields
+   * @returns {Logger}
+   */
+  child(fields) {
+    return new Logger({ fields: { ...this.fields, ...fields }, level: this.level, format: this.format });
+  }
+
+  debug(msg, fields) { this._write('debug', msg, fields); }
+  info(msg, fields)  { this._write('info', msg, fields); }
+  warn(msg, fields)  { this._write('warn', msg, fields); }
+  error(msg, fields) { this._write('error', msg, fields); }
+
+  _write(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+    const { component, ...rest } = { ...this.fields, ...fields };
+    const extra = Object.entries(rest).filter(([, value]) => value !== undefined);
+
+    if (this.format === 'pretty') {
+      const suffix = extra.map(([key, value]) => `${key}=${prettyValue(value)}`).join(' ');
+      WRITERS[level](`${component ? `[${component}] ` : ''}${msg}${suffix ? `  ${suffix}` : ''}`);
+      return;
+    }
+    const entry = { time: new Date().toISOString(), level, ...(component && { component }), msg };
+    for (const [key, value] of extra) entry[key] = serialize(value);
+    WRITERS[level](JSON.stringify(entry));
+  }
+}
+
+/** The root logger. */
+const logger = new Logger();
+
+/**
+ * The logger a module should write with: the caller's, when it passed one
+ * (carrying e.g. its requestId), otherwise the root logger — tagged with
+ * the module's name.
+ *
+ * @param {string} component  E.g. 'FoxitPdfService'
+ * @param {Logger} [log]
+ * @returns {Logger}
+ */
+function componentLogger(component, log = logger) {
+  return log.child({ component });
+}
+
+module.exports = { Logger, logger, componentLogger, LEVELS };
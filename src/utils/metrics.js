@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * metrics.js
+ *
+ * In-process Prometheus metrics, served as text by GET /metrics. Counters
+ * and histograms are created once here, so this file is the catalog:
+ *
+ *   historai_stage_duration_seconds{stage}   histogram
+ *   historai_stage_failures_total{stage}     counter
+ *       Pipeline stages: extract, assets (embedding images and fonts),
+ *       convert (Foxit HTML → PDF), local (local renderer), document (the
+ *       HTML, Markdown, EPUB and DOCX renderers), merge, and each
+ *       post-processing operation (compress, watermark, protect, pdfa, …).
+ *       The Foxit steps inside them are also recorded on their own: upload,
+ *       create (starting the task), poll and download. Aborted calls (caller went away) are not failures.
+ *   historai_compression_ratio               histogram  output / input bytes of compress
+ *   historai_foxit_polls{client}             histogram  polls per task until it finished
+ *   historai_http_requests_total{method,route,status}         counter
+ *   historai_http_request_duration_seconds{method,route}      histogram
+ *
+ * Values live in memory and reset on restart, as Prometheus expects.
+ */
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function formatLabels(pairs) {
+  const parts = pairs.map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name       = name;
+    this.help       = help;
+    this.labelNames = labelNames;
+    this.values     = new Map();
+  }
+
+  /**
+   * @param {object} [labels]
+   * @param {number} [amount=1]
+   */
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const [key, value] of this.values) {
+      const labels = JSON.parse(key).map((value, i) => [this.labelNames[i], value]);
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    this.name       = name;
+    this.help       = help;
+    this.labelNames = labelNames;
+    this.buckets    = [...buckets].sort((a, b) => a - b);
+    this.series     = new Map();
+  }
+
+  /**
+   * @param {object} labels
+   * @param {number} value
+   */
+  observe(labels, value) {
+    const key = labelKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => { if (value <= bound) series.counts[i]++; });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start timing; call the returned function to record the elapsed seconds.
+   *
+   * @param {object} [labels]
+   * @returns {() => number}  Records and returns the duration
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe(labels, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const [key, series] of this.series) {
+      const labels = JSON.parse(key).map((value, i) => [this.labelNames[i], value]);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels([...labels, ['le', bound]])} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels([...labels, ['le', '+Inf']])} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+// ── Catalog ───────────────────────────────────────────────────────────────────
+
+const stageDuration = new Histogram(
+  'historai_stage_duration_seconds', 'Time spent in each report pipeline stage and Foxit step', ['stage']
+);
+const stageFailures = new Counter(
+  'historai_stage_failures_total', 'Report pipeline stages and Foxit steps that failed', ['stage']
+);
+const compressionRatio = new Histogram(
+  'historai_compression_ratio', 'Compressed size / original size of compressed PDFs', [],
+  [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1, 1.25]
+);
+const foxitPolls = new Histogram(
+  'historai_foxit_polls', 'Task polls until a Foxit task finished', ['client'], [1, 2, 3, 5, 8, 13, 21, 34, 55]
+);
+const httpRequests = new Counter(
+  'historai_http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']
+);
+const httpDuration = new Histogram(
+  'historai_http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route']
+);
+
+const ALL = [stageDuration, stageFailures, compressionRatio, foxitPolls, httpRequests, httpDuration];
+
+/**
+ * Run `fn` as a pipeline stage: time it and count its failure. Failures of
+ * aborted calls are not counted.
+ *
+ * @template T
+ * @param {string} stage
+ * @param {() => Promise<T>} fn
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<T>}
+ */
+async function timeStage(stage, fn, { signal } = {}) {
+  const done = stageDuration.startTimer({ stage });
+  try {
+    return await fn();
+  } catch (err) {
+    if (!signal?.aborted && err.name !== 'AbortError') stageFailures.inc({ stage });
+    throw err;
+  } finally {
+    done();
+  }
+}
+
+/**
+ * All metrics in the Prometheus text exposition format (version 0.0.4).
+ *
+ * @returns {string}
+ */
+function renderMetrics() {
+  return `${ALL.map(metric => metric.render()).join('\n\n')}\n`;
+}
+
+/** Forget every recorded value. For tests. */
+function resetMetrics() {
+  for (const metric of ALL) (metric.values || metric.series).clear();
+}
+
+module.exports = {
+  Counter,
+  Histogram,
+  stageDuration,
+  stageFailures,
+  compressionRatio,
+  foxitPolls,
+  httpRequests,
+  httpDuration,
+  timeStage,
+  renderMetrics,
+  resetMetrics,
+};
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * pdfPages.js
+ *
+ * Reads the page count of a PDF without a PDF library, for the page numbers
+ * in a merged batch's table of contents. It looks for the page tree's
+ * `/Type /Pages … /Count n` dictionaries, including those packed into
+ * compressed object streams, and takes the largest count (the root's).
+ *
+ * This is a best-effort scan, not a parser: callers must cope with null.
+ */
+
+const zlib = require('zlib');
+
+// A dictionary with no nested dictionaries inside — page tree nodes are
+// written this way in practice
+const FLAT_DICT = /<<((?:(?!<<|>>)[\s\S])*)>>/g;
+const OBJECT_STREAM = /<<((?:(?!\bstream\b)[\s\S])*?\/Type\s*\/ObjStm[\s\S]*?)>>\s*stream\r?\n/g;
+
+function largestPagesCount(text) {
+  let largest = null;
+  for (const [, body] of text.matchAll(FLAT_DICT)) {
+    if (!/\/Type\s*\/Pages\b/.test(body)) continue;
+    const count = /\/Count\s+(\d+)/.exec(body);
+    if (count) largest = Math.max(largest ?? 0, Number(count[1]));
+  }
+  return largest;
+}
+
+/** The inflated contents of every FlateDecode object stream. */
+function objectStreams(text, pdf) {
+  const streams = [];
+  for (const match of text.matchAll(OBJECT_STREAM)) {
+    if (!/\/FlateDecode\b/.test(match[1])) continue;
+    const start = match.index + match[0].length;
+    const end = text.indexOf('endstream', start);
+    if (end < 0) continue;
+    try {
+      streams.push(zlib.inflateSync(pdf.subarray(start, end), { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString('latin1'));
+    } catch {
+      // Damaged or not actually deflated — skip it
+    }
+  }
+  return streams;
+}
+
+/**
+ * @param {Buffer} pdf
+ * @returns {number|null}  Number of pages, or null when it cannot be found
+ */
+function countPdfPages(pdf) {
+  if (!Buffer.isBuffer(pdf) || pdf.subarray(0, 5).toString('latin1') !== '%PDF-') return null;
+  const text = pdf.toString('latin1');
+  const counts = [text, ...objectStreams(text, pdf)].map(largestPagesCount).filter(count => count !== null);
+  return counts.length ? Math.max(...counts) : null;
+}
+
+module.exports = { countPdfPages };
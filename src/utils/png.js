@@ -0,0 +1,333 @@
+'use strict';
+
+/**
+ * png.js
+ *
+ * Just enough PNG to check and downscale portraits without an image
+ * library: decodePng() reads non-interlaced images of every colour type and
+ * bit depth into 8-bit RGBA, resizeImage() downscales by area averaging, and
+ * encodePng() writes the result back out (RGB when fully opaque, else RGBA).
+ *
+ * Interlaced (Adam7) images are reported with `unsupported` set, so callers
+ * can tell them apart from damaged files.
+ */
+
+const zlib = require('zlib');
+
+const { crc32 } = require('./zip');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Colour type → samples per pixel, and the bit depths the spec allows for it
+const COLOR_TYPES = {
+  0: { channels: 1, depths: [1, 2, 4, 8, 16] }, // greyscale
+  2: { channels: 3, depths: [8, 16] },          // RGB
+  3: { channels: 1, depths: [1, 2, 4, 8] },     // palette
+  4: { channels: 2, depths: [8, 16] },          // greyscale + alpha
+  6: { channels: 4, depths: [8, 16] },          // RGBA
+};
+
+class PngError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ unsupported?: boolean }} [options]  A valid PNG this module cannot read
+   */
+  constructor(message, { unsupported = false } = {}) {
+    super(message);
+    this.name        = 'PngError';
+    this.unsupported = unsupported;
+  }
+}
+
+/**
+ * @typedef {Object} RgbaImage
+ * @property {number} width
+ * @property {number} height
+ * @property {Buffer} data    width × height × 4 bytes, rows top to bottom
+ */
+
+/**
+ * Read the width and height from the IHDR chunk without decoding.
+ *
+ * @param {Buffer} bytes
+ * @returns {{ width: number, height: number }}
+ * @throws {PngError}
+ */
+function pngSize(bytes) {
+  if (bytes.length < 24 || !bytes.subarray(0, 8).equals(SIGNATURE) || bytes.toString('latin1', 12, 16) !== 'IHDR') {
+    throw new PngError('not a PNG file');
+  }
+  return { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) };
+}
+
+function readChunks(bytes) {
+  const chunks = [];
+  let pos = 8;
+  while (pos < bytes.length) {
+    if (pos + 12 > bytes.length) throw new PngError('truncated chunk');
+    const length = bytes.readUInt32BE(pos);
+    const type   = bytes.toString('latin1', pos + 4, pos + 8);
+    const end    = pos + 8 + length;
+    if (end + 4 > bytes.length) throw new PngError(`truncated ${type} chunk`);
+    if (crc32(bytes.subarray(pos + 4, end)) !== bytes.readUInt32BE(end)) throw new PngError(`bad CRC in ${type} chunk`);
+    chunks.push({ type, data: bytes.subarray(pos + 8, end) });
+    pos = end + 4;
+    if (type === 'IEND') return chunks;
+  }
+  throw new PngError('missing IEND chunk');
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/** Undo the per-row filters; returns the rows without their filter bytes. */
+function unfilter(raw, height, rowBytes, bpp) {
+  const out = Buffer.alloc(height * rowBytes);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (rowBytes + 1)];
+    const src    = y * (rowBytes + 1) + 1;
+    const row    = y * rowBytes;
+    const prev   = row - rowBytes;
+    for (let x = 0; x < rowBytes; x++) {
+      const a = x >= bpp ? out[row + x - bpp] : 0;
+      const b = y > 0 ? out[prev + x] : 0;
+      const c = x >= bpp && y > 0 ? out[prev + x - bpp] : 0;
+      let value = raw[src + x];
+      switch (filter) {
+        case 0: break;
+        case 1: value += a; break;
+        case 2: value += b; break;
+        case 3: value += (a + b) >> 1; break;
+        case 4: value += paeth(a, b, c); break;
+        default: throw new PngError(`unknown filter type ${filter} in row ${y}`);
+      }
+      out[row + x] = value & 0xff;
+    }
+  }
+  return out;
+}
+
+/**
+ * Decode a PNG to 8-bit RGBA.
+ *
+ * @param {Buffer} bytes
+ * @param {object} [options]
+ * @param {number} [options.maxPixels]  Refuse larger images before inflating them
+ * @returns {RgbaImage}
+ * @throws {PngError}
+ */
+function decodePng(bytes, { maxPixels = Infinity } = {}) {
+  const { width, height } = pngSize(bytes);
+  const chunks = readChunks(bytes);
+  const ihdr = chunks[0].data;
+  const depth = ihdr[8];
+  const colorType = ihdr[9];
+  const format = COLOR_TYPES[colorType];
+
+  if (!width || !height) throw new PngError('image has no pixels');
+  if (!format || !format.depths.includes(depth)) throw new PngError(`invalid colour type ${colorType} / bit depth ${depth}`);
+  if (ihdr[12] === 1) throw new PngError('interlaced PNGs are not supported', { unsupported: true });
+  if (width * height > maxPixels) throw new PngError(`${width}×${height} is too large to decode`, { unsupported: true });
+
+  const plte = chunks.find(chunk => chunk.type === 'PLTE')?.data;
+  const trns = chunks.find(chunk => chunk.type === 'tRNS')?.data;
+  if (colorType === 3 && !plte) throw new PngError('palette image without a PLTE chunk');
+
+  const rowBytes = Math.ceil((width * format.channels * depth) / 8);
+  let raw;
+  try {
+    raw = zlib.inflateSync(Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data)), {
+      maxOutputLength: height * (rowBytes + 1),
+    });
+  } catch (err) {
+    throw new PngError(`image data does not inflate: ${err.message}`);
+  }
+  if (raw.length !== height * (rowBytes + 1)) throw new PngError('image data is truncated');
+  const rows = unfilter(raw, height, rowBytes, Math.max(1, (format.channels * depth) >> 3));
+
+  // Samples at their original depth; the transparent colour in tRNS is compared at that depth
+  const max = (1 << depth) - 1;
+  const sample = (row, i) => {
+    if (depth === 16) return rows.readUInt16BE(row + i * 2);
+    if (depth === 8) return rows[row + i];
+    const bit = i * depth;
+    return (rows[row + (bit >> 3)] >> (8 - depth - (bit & 7))) & max;
+  };
+  const to8 = value => (depth === 16 ? value >> 8 : depth === 8 ? value : Math.round((value * 255) / max));
+  const key = trns && (colorType === 0 || colorType === 2)
+    ? Array.from({ length: trns.length >> 1 }, (_, i) => trns.readUInt16BE(i * 2))
+    : null;
+
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const row = y * rowBytes;
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const s = x * format.channels;
+      let r, g, b, a = 255;
+      switch (colorType) {
+        case 0: {
+          const v = sample(row, s);
+          r = g = b = to8(v);
+          if (key && v === key[0]) a = 0;
+          break;
+        }
+        case 2: {
+          const [vr, vg, vb] = [sample(row, s), sample(row, s + 1), sample(row, s + 2)];
+          [r, g, b] = [to8(vr), to8(vg), to8(vb)];
+          if (key && vr === key[0] && vg === key[1] && vb === key[2]) a = 0;
+          break;
+        }
+        case 3: {
+          const index = sample(row, s);
+          if (index * 3 + 2 >= plte.length) throw new PngError(`palette index ${index} out of range`);
+          [r, g, b] = [plte[index * 3], plte[index * 3 + 1], plte[index * 3 + 2]];
+          if (trns && index < trns.length) a = trns[index];
+          break;
+        }
+        case 4:
+          r = g = b = to8(sample(row, s));
+          a = to8(sample(row, s + 1));
+          break;
+        default:
+          [r, g, b, a] = [0, 1, 2, 3].map(c => to8(sample(row, s + c)));
+      }
+      data[o] = r;
+      data[o + 1] = g;
+      data[o + 2] = b;
+      data[o + 3] = a;
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Per-destination-pixel source spans for area averaging along one axis.
+ * Each entry lists [sourceIndex, weight] pairs whose weights sum to 1.
+ */
+function spans(sourceLength, targetLength) {
+  const scale = sourceLength / targetLength;
+  return Array.from({ length: targetLength }, (_, d) => {
+    const start = d * scale;
+    const end   = Math.min(sourceLength, start + scale);
+    const out   = [];
+    for (let s = Math.floor(start); s < end; s++) {
+      const weight = Math.min(end, s + 1) - Math.max(start, s);
+      if (weight > 0) out.push([s, weight / scale]);
+    }
+    return out;
+  });
+}
+
+/**
+ * Downscale by area averaging (alpha-weighted, so transparent pixels do not
+ * darken the edges). Upscaling is not needed by any caller and not supported.
+ *
+ * @param {RgbaImage} image
+ * @param {number} width
+ * @param {number} height
+ * @returns {RgbaImage}
+ */
+function resizeImage(image, width, height) {
+  if (width > image.width || height > image.height) throw new PngError('resizeImage only scales down');
+  const xs = spans(image.width, width);
+  const ys = spans(image.height, height);
+
+  // Horizontal pass into premultiplied floats, then vertical
+  const rows = new Float32Array(image.height * width * 4);
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      for (const [sx, weight] of xs[x]) {
+        const i = (y * image.width + sx) * 4;
+        const a = image.data[i + 3] * weight;
+        rows[o]     += image.data[i] * a;
+        rows[o + 1] += image.data[i + 1] * a;
+        rows[o + 2] += image.data[i + 2] * a;
+        rows[o + 3] += a;
+      }
+    }
+  }
+
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0, g = 0, b = 0, a = 0;
+      for (const [sy, weight] of ys[y]) {
+        const i = (sy * width + x) * 4;
+        r += rows[i] * weight;
+        g += rows[i + 1] * weight;
+        b += rows[i + 2] * weight;
+        a += rows[i + 3] * weight;
+      }
+      const o = (y * width + x) * 4;
+      if (a > 0) {
+        data[o]     = Math.round(r / a);
+        data[o + 1] = Math.round(g / a);
+        data[o + 2] = Math.round(b / a);
+      }
+      data[o + 3] = Math.round(a);
+    }
+  }
+  return { width, height, data };
+}
+
+function chunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, 'latin1');
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+/**
+ * Encode 8-bit RGBA as a PNG. Fully opaque images are written as RGB.
+ * Every row uses the Paeth filter, which suits photographs.
+ *
+ * @param {RgbaImage} image
+ * @returns {Buffer}
+ */
+function encodePng({ width, height, data }) {
+  let opaque = true;
+  for (let i = 3; i < data.length && opaque; i += 4) opaque = data[i] === 255;
+  const channels = opaque ? 3 : 4;
+  const rowBytes = width * channels;
+
+  const pixels = Buffer.alloc(height * rowBytes);
+  for (let p = 0, o = 0; p < width * height; p++) {
+    for (let c = 0; c < channels; c++) pixels[o++] = data[p * 4 + c];
+  }
+  const raw = Buffer.alloc(height * (rowBytes + 1));
+  for (let y = 0; y < height; y++) {
+    const row = y * rowBytes;
+    const dst = y * (rowBytes + 1);
+    raw[dst] = 4;
+    for (let x = 0; x < rowBytes; x++) {
+      const a = x >= channels ? pixels[row + x - channels] : 0;
+      const b = y > 0 ? pixels[row - rowBytes + x] : 0;
+      const c = x >= channels && y > 0 ? pixels[row - rowBytes + x - channels] : 0;
+      raw[dst + 1 + x] = (pixels[row + x] - paeth(a, b, c)) & 0xff;
+    }
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = opaque ? 2 : 6;
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = { decodePng, encodePng, resizeImage, pngSize, PngError };
@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * postProcessing.js
+ *
+ * The post-processing chain applied to a generated PDF (Stage 2). A chain is
+ * an ordered list of steps, each `{ op, onError?, ...options }`:
+ *
+ *   compress   level: 'LOW' | 'MEDIUM' | 'HIGH'                (default MEDIUM)
+ *   watermark  text, opacity 0–1, rotation (deg), fontSize     (default "HistorAI — personal copy")
+ *   protect    ownerPassword, userPassword?, permissions[]     (print, copy, modify, annotate, fillForms)
+ *   pdfa       version: 'PDF/A-1b' | 'PDF/A-2b' | 'PDF/A-3b'   (default PDF/A-2b)
+ *   linearize  — (fast web view)
+ *   merge      cover: base64 PDF, position: 'before' | 'after' (default before)
+ *
+ * `onError` is 'fatal' (fail the report) or 'skip' (log and continue with the
+ * previous step's PDF). Cosmetic steps default to 'skip', steps whose absence
+ * would change what the reader receives default to 'fatal'.
+ *
+ * The default chain comes from PDF_POSTPROCESS — a comma-separated list of
+ * operation names using their default options (default: "compress";
+ * "none" disables post-processing). Callers can override it per request.
+ *
+ * This module only describes and validates chains; the backends apply them
+ * (FoxitPdfServicesClient.postProcessPdf, LocalPdfService).
+ */
+
+const PERMISSIONS = ['print', 'copy', 'modify', 'annotate', 'fillForms'];
+
+const OPERATIONS = {
+  compress: {
+    onError:  'skip',
+    defaults: { level: 'MEDIUM' },
+    validate: s => (['LOW', 'MEDIUM', 'HIGH'].includes(s.level) ? null : 'level must be LOW, MEDIUM or HIGH'),
+  },
+  watermark: {
+    onError:  'fatal',
+    defaults: { text: 'HistorAI — personal copy', opacity: 0.15, rotation: 45, fontSize: 48 },
+    validate: s => {
+      if (typeof s.text !== 'string' || !s.text.trim() || s.text.length > 200) return 'text must be a non-empty string of at most 200 characters';
+      if (typeof s.opacity !== 'number' || s.opacity < 0 || s.opacity > 1) return 'opacity must be a number between 0 and 1';
+      if (typeof s.rotation !== 'number' || Math.abs(s.rotation) > 360) return 'rotation must be a number of degrees';
+      if (typeof s.fontSize !== 'number' || s.fontSize < 6 || s.fontSize > 200) return 'fontSize must be between 6 and 200';
+      return null;
+    },
+  },
+  protect: {
+    onError:  'fatal',
+    defaults: { permissions: ['print'] },
+    validate: s => {
+      if (typeof s.ownerPassword !== 'string' || !s.ownerPassword) return 'ownerPassword is required';
+      if (s.userPassword !== undefined && typeof s.userPassword !== 'string') return 'userPassword must be a string';
+      if (!Array.isArray(s.permissions) || s.permissions.some(p => !PERMISSIONS.includes(p))) {
+        return `permissions must be an array of: ${PERMISSIONS.join(', ')}`;
+      }
+      return null;
+    },
+  },
+  pdfa: {
+    onError:  'fatal',
+    defaults: { version: 'PDF/A-2b' },
+    validate: s => (['PDF/A-1b', 'PDF/A-2b', 'PDF/A-3b'].includes(s.version) ? null : 'version must be PDF/A-1b, PDF/A-2b or PDF/A-3b'),
+  },
+  linearize: {
+    onError:  'skip',
+    defaults: {},
+    validate: () => null,
+  },
+  merge: {
+    onError:  'fatal',
+    defaults: { position: 'before' },
+    validate: s => {
+      if (typeof s.cover !== 'string' && !Buffer.isBuffer(s.cover)) return 'cover must be a base64-encoded PDF';
+      const bytes = Buffer.isBuffer(s.cover) ? s.cover : Buffer.from(s.cover, 'base64');
+      if (bytes.subarray(0, 5).toString('latin1') !== '%PDF-') return 'cover must be a base64-encoded PDF';
+      if (!['before', 'after'].includes(s.position)) return 'position must be "before" or "after"';
+      return null;
+    },
+  },
+};
+
+function withDefaults(step) {
+  const op = OPERATIONS[step.op];
+  return { ...op.defaults, onError: op.onError, ...step };
+}
+
+/**
+ * Check a caller-supplied chain. Returns an error message, or null when the
+ * chain is usable.
+ *
+ * @param {*} value
+ * @returns {string|null}
+ */
+function validatePostProcessing(value) {
+  if (!Array.isArray(value)) return 'must be an array of steps';
+  if (value.length > 10) return 'must have at most 10 steps';
+  for (const [i, raw] of value.entries()) {
+    const where = `[${i}]`;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return `${where} must be an object`;
+    if (!Object.hasOwn(OPERATIONS, raw.op)) {
+      return `${where}.op must be one of: ${Object.keys(OPERATIONS).join(', ')}`;
+    }
+    const step = withDefaults(raw);
+    if (step.onError !== 'fatal' && step.onError !== 'skip') return `${where}.onError must be "fatal" or "skip"`;
+    const problem = OPERATIONS[step.op].validate(step);
+    if (problem) return `${where} (${step.op}) ${problem}`;
+    // Once encrypted, later steps could not open the document
+    if (step.op === 'protect' && i !== value.length - 1) return `${where} protect must be the last step`;
+  }
+  return null;
+}
+
+/**
+ * Fill in per-operation defaults. The chain must have passed
+ * validatePostProcessing().
+ *
+ * @param {object[]} steps
+ * @returns {PostProcessingStep[]}
+ */
+function normalizePostProcessing(steps) {
+  return steps.map(step => {
+    const full = withDefaults(step);
+    if (full.op === 'merge' && !Buffer.isBuffer(full.cover)) full.cover = Buffer.from(full.cover, 'base64');
+    return full;
+  });
+}
+
+/**
+ * Build the default chain from a PDF_POSTPROCESS-style list.
+ *
+ * @param {string} [spec=process.env.PDF_POSTPROCESS]
+ * @returns {PostProcessingStep[]}
+ */
+function defaultPostProcessing(spec = process.env.PDF_POSTPROCESS ?? 'compress') {
+  const names = spec.split(',').map(s => s.trim()).filter(Boolean);
+  if (names.length === 1 && names[0] === 'none') return [];
+  const steps = names.map(op => ({ op }));
+  const problem = validatePostProcessing(steps);
+  if (problem) throw new Error(`[postProcessing] Invalid PDF_POSTPROCESS "${spec}": ${problem}`);
+  return normalizePostProcessing(steps);
+}
+
+/**
+ * @typedef {Object} PostProcessingStep
+ * @property {'compress'|'watermark'|'protect'|'pdfa'|'linearize'|'merge'} op
+ * @property {'fatal'|'skip'} onError
+ */
+
+module.exports = {
+  OPERATIONS,
+  PERMISSIONS,
+  validatePostProcessing,
+  normalizePostProcessing,
+  defaultPostProcessing,
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * preview.js
+ *
+ * Renders a report request to its filled HTML without calling any PDF
+ * backend — for POST /api/preview and the template dev page
+ * (src/static/preview.html). Images stay hotlinked; the standalone HTML of
+ * POST /api/generate-report?format=html comes from
+ * src/services/renderers/HtmlRenderer.js.
+ *
+ * Extraction goes through the ReportCache data layer when one is given, so
+ * re-rendering after a template edit costs no extra LLM call. With
+ * `highlightEmpty`, every {{token}} that resolved to '' is reported, and
+ * those in element text are wrapped in <mark class="preview-empty">.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { buildReportData } = require('./reportRequest');
+const { escapeForContext } = require('./templateEngine');
+const { escapeHtml } = require('./htmlEscape');
+
+const TEMPLATES_DIR     = path.join(__dirname, '..', 'templates');
+const WATCH_DEBOUNCE_MS = 100;
+
+const HIGHLIGHT_STYLE = '<style>mark.preview-empty { background: #FFE58F; color: #8A5A00; ' +
+  'outline: 1px dashed #D48806; font: 8pt monospace; padding: 0 2px; }</style>';
+
+/**
+ * Extract (or reuse) the report data for a request and render its template.
+ *
+ * @param {object} body  A request body that passed validateReportRequest().
+ * @param {object} deps
+ * @param {import('../services/extraction').ExtractionProvider} deps.provider
+ * @param {import('../services/PdfService')} deps.pdfService  Supplies _prepareHtml()
+ * @param {import('../services/cache').ReportCache} [deps.cache]
+ * @param {boolean} [deps.highlightEmpty=false]
+ * @param {import('./logger').Logger} [deps.log]
+ * @returns {Promise<{ html: string, emptyTokens: string[] }>}
+ * @throws {import('./reportValidator').ReportValidationError}
+ */
+async function renderPreview(body, { provider, pdfService, cache, highlightEmpty = false, log }) {
+  const data = await buildReportData(body, { provider, cache, log });
+  if (!highlightEmpty) return { html: pdfService._prepareHtml(data, body.template), emptyTokens: [] };
+
+  const empty = new Set();
+  const escape = (value, node) => {
+    if (value !== '') return escapeForContext(value, node);
+    empty.add(node.source);
+    if (node.htmlContext !== 'text') return '';
+    const token = escapeHtml(`{{${node.source}}}`);
+    return `<mark class="preview-empty" title="${token} is empty">${token}</mark>`;
+  };
+
+  const html = pdfService._prepareHtml(data, body.template, { escape });
+  return { html: html.replace('</head>', `  ${HIGHLIGHT_STYLE}\n</head>`), emptyTokens: [...empty] };
+}
+
+/**
+ * Watch the templates and partials for changes. `onChange` receives the
+ * changed file name, at most once per burst of writes.
+ *
+ * @param {(file: string) => void} onChange
+ * @returns {() => void}  Stops watching
+ */
+function watchTemplates(onChange) {
+  let timer = null;
+  const notify = (event, file) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => onChange(String(file || '')), WATCH_DEBOUNCE_MS);
+  };
+  const watchers = [TEMPLATES_DIR, path.join(TEMPLATES_DIR, 'partials')]
+    .filter(dir => fs.existsSync(dir))
+    .map(dir => fs.watch(dir, notify));
+
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach(w => w.close());
+  };
+}
+
+module.exports = { renderPreview, watchTemplates };
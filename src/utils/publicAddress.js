@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * publicAddress.js
+ *
+ * Keeps outgoing requests to caller-supplied URLs — portraits, stylesheets
+ * and webhooks — on the public internet. Without a check any key holder
+ * could make the service request loopback, private-network or
+ * cloud-metadata addresses (169.254.169.254) on their behalf.
+ *
+ * Two checks cover every way a request can reach an address:
+ *
+ *   checkPublicUrl()  rejects IP-literal hosts, which are connected to
+ *                     without a DNS lookup — run on each redirect hop
+ *   publicLookup()    the DNS lookup for the fetch agents: every address a
+ *                     name resolves to must be public, checked at connect
+ *                     time so a second lookup cannot rebind the name
+ *
+ * checkPublicHost() runs both ahead of time, to refuse a URL when it is
+ * submitted rather than when it is first used.
+ */
+
+const dns   = require('dns');
+const http  = require('http');
+const https = require('https');
+const net   = require('net');
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 rules
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],          // "this" network
+  ['10.0.0.0', 8],         // private
+  ['100.64.0.0', 10],      // carrier-grade NAT
+  ['127.0.0.0', 8],        // loopback
+  ['169.254.0.0', 16],     // link-local, including cloud metadata
+  ['172.16.0.0', 12],      // private
+  ['192.0.0.0', 24],       // IETF protocol assignments
+  ['192.168.0.0', 16],     // private
+  ['198.18.0.0', 15],      // benchmarking
+  ['224.0.0.0', 4],        // multicast
+  ['240.0.0.0', 4],        // reserved, broadcast
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128],             // unspecified
+  ['::1', 128],            // loopback
+  ['64:ff9b::', 96],       // NAT64, which can reach private IPv4
+  ['fc00::', 7],           // unique local
+  ['fe80::', 10],          // link-local
+  ['ff00::', 8],           // multicast
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+
+/** Thrown for a URL or name that leads to a non-public address. */
+class PrivateAddressError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PrivateAddressError';
+    this.code = 'EPRIVATEADDRESS';
+  }
+}
+
+/**
+ * Whether an IP address is routable on the public internet.
+ *
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Reject a URL whose host is a non-public IP literal. Host names are
+ * checked when they are resolved, by publicLookup().
+ *
+ * @param {string} url
+ * @throws {PrivateAddressError}
+ */
+function checkPublicUrl(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new PrivateAddressError(`${host} is not a public address`);
+  }
+}
+
+/**
+ * dns.lookup() that fails when a name resolves to any non-public address.
+ *
+ * @param {string} hostname
+ * @param {object} options
+ * @param {Function} callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) return callback(new PrivateAddressError(`${hostname} resolves to ${blocked.address}, which is not a public address`));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Reject a URL whose host is, or currently resolves to, a non-public
+ * address. Names are resolved again on every connection, so this is an
+ * early answer, not a substitute for publicAgents.
+ *
+ * @param {string} url
+ * @returns {Promise<void>}
+ * @throws {PrivateAddressError}  Or the DNS error when the name does not resolve
+ */
+async function checkPublicHost(url) {
+  checkPublicUrl(url);
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return;
+  await new Promise((resolve, reject) => publicLookup(host, { all: true }, err => (err ? reject(err) : resolve())));
+}
+
+// Agents whose connections only reach public addresses
+const publicAgents = {
+  httpAgent:  new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+module.exports = { PrivateAddressError, isPublicAddress, checkPublicUrl, checkPublicHost, publicLookup, publicAgents };
@@ -0,0 +1,269 @@
+'use strict';
+
+/**
+ * quoteGrounding.js
+ *
+ * Checks each theme's quote against the transcript it was extracted from.
+ * A report presents `themes[i].quote` as something the character said, and
+ * an extraction provider can paraphrase or invent one, so after extraction
+ * every quote is fuzzy-matched to the character's turns and labelled:
+ *
+ *   conversation  the character said it in this session
+ *   cited         the character said it in this session, in quotation
+ *                 marks — presented as a quotation, but not checked
+ *                 against any record of what the figure wrote or said
+ *   unverified    not found in any of the character's turns
+ *
+ * The transcript is the only source: a quote is grounded when this
+ * session contains it, and nothing here says whether the figure ever
+ * really said it. A theme's `context` is not checked at all.
+ *
+ * Matching is a local alignment over normalized words (case, accents,
+ * punctuation and curly quotes ignored), so a quote that drops a word or
+ * changes a word's ending still matches, while one that merely reuses the
+ * same vocabulary across a long turn does not. A quote matches when at
+ * least MATCH_THRESHOLD of its words align.
+ *
+ * Matched quotes get `quoteRef`: the turn's 1-based number, its speaker and,
+ * for timed transcripts, its start and end in seconds. quoteCitation()
+ * turns that into the label printed under the quote.
+ *
+ * QUOTE_GROUNDING chooses what happens to an unverified quote:
+ *
+ *   flag    kept, labelled "Not found in your conversation" (default)
+ *   reject  an extraction error: providers that support repair are
+ *           re-prompted, and the request fails with 422 if it persists.
+ *           This also refuses genuine quotations from the figure's
+ *           writings or speeches that the session never mentions
+ *   off     no grounding pass; quotes are printed without a label
+ */
+
+const { message } = require('./i18n');
+
+const GROUNDING_MODES  = ['flag', 'reject', 'off'];
+const DEFAULT_MODE     = 'flag';
+const MATCH_THRESHOLD  = 0.8;
+
+// Alignment scores: a word that matches, and one skipped on either side
+const MATCH_SCORE = 1;
+const GAP_PENALTY = 1;
+
+// Quoted passages inside a turn: “…”, "…", „…“, «…» and ‘…’
+const QUOTED_RE = /“([^”]+)”|"([^"]+)"|„([^“”]+)[“”]|«([^»]+)»|‘([^’]+)’/g;
+
+/**
+ * The grounding mode from QUOTE_GROUNDING (default: flag).
+ *
+ * @returns {'flag'|'reject'|'off'}
+ */
+function groundingMode() {
+  const mode = String(process.env.QUOTE_GROUNDING || DEFAULT_MODE).toLowerCase();
+  return GROUNDING_MODES.includes(mode) ? mode : DEFAULT_MODE;
+}
+
+// ── Matching ──────────────────────────────────────────────────────────────────
+
+/**
+ * Lower-case words with accents and punctuation removed. Apostrophes inside
+ * words are kept, so "don't" stays one word.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function words(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[’ʼ`]/g, "'")
+    .replace(/[^\p{L}\p{N}']+/gu, ' ')
+    .replace(/(^|\s)'+|'+(?=\s|$)/g, '$1')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * How much of `quote` appears, in order, somewhere in `text`: the best
+ * local alignment of their words divided by the quote's length, so 1 is a
+ * verbatim match and every missing, changed or inserted word costs 1/n.
+ *
+ * @param {string[]} quote  words()
+ * @param {string[]} text   words()
+ * @returns {number}  0–1
+ */
+function alignmentScore(quote, text) {
+  if (!quote.length || !text.length) return 0;
+  let previous = new Array(text.length + 1).fill(0);
+  let best = 0;
+  for (let i = 1; i <= quote.length; i++) {
+    const row = new Array(text.length + 1).fill(0);
+    for (let j = 1; j <= text.length; j++) {
+      const diagonal = previous[j - 1] + (quote[i - 1] === text[j - 1] ? MATCH_SCORE : -GAP_PENALTY);
+      row[j] = Math.max(0, diagonal, previous[j] - GAP_PENALTY, row[j - 1] - GAP_PENALTY);
+      if (row[j] > best) best = row[j];
+    }
+    previous = row;
+  }
+  return best / quote.length;
+}
+
+/** The passages a turn puts in quotation marks. */
+function quotedPassages(text) {
+  return [...String(text).matchAll(QUOTED_RE)].map(m => m.slice(1).find(Boolean));
+}
+
+/**
+ * @typedef {Object} QuoteRef
+ * @property {number} turn          1-based position of the turn in the transcript
+ * @property {string} speaker
+ * @property {number} [start]       Seconds from the start of the session, when known
+ * @property {number} [end]
+ *
+ * @typedef {Object} QuoteMatch
+ * @property {'conversation'|'cited'|'unverified'} source
+ * @property {number} score         0–1, against the best-matching turn
+ * @property {QuoteRef} [ref]       For conversation and cited quotes
+ */
+
+/**
+ * Find a quote among the character's turns. Only the character's turns
+ * count — a line the learner said is not the character's — unless the
+ * transcript attributes none to the character, when every turn but the
+ * learner's is searched.
+ *
+ * @param {string} quote
+ * @param {import('../services/ingestion/turns').Turn[]} turns
+ * @returns {QuoteMatch}
+ */
+function matchQuote(quote, turns) {
+  const target = words(quote);
+  const hasCharacter = turns.some(turn => turn.role === 'character');
+  let best = { score: 0, index: -1 };
+  turns.forEach((turn, index) => {
+    if (hasCharacter ? turn.role !== 'character' : turn.role === 'user') return;
+    const score = alignmentScore(target, words(turn.text));
+    if (score > best.score) best = { score, index };
+  });
+  if (best.score < MATCH_THRESHOLD) return { source: 'unverified', score: best.score };
+
+  const turn = turns[best.index];
+  const cited = quotedPassages(turn.text).some(passage => alignmentScore(target, words(passage)) >= MATCH_THRESHOLD);
+  return {
+    source: cited ? 'cited' : 'conversation',
+    score:  best.score,
+    ref: {
+      turn:    best.index + 1,
+      speaker: turn.speaker,
+      ...(turn.start != null && { start: turn.start }),
+      ...(turn.end != null && { end: turn.end }),
+    },
+  };
+}
+
+// ── Report data ───────────────────────────────────────────────────────────────
+
+/**
+ * Label every theme's quote with `quoteSource` and, when it was found,
+ * `quoteRef`. Returns new content; the input is not mutated.
+ *
+ * @template {{ themes: import('../services/PdfService').ThemeEntry[] }} T
+ * @param {T} content  Extracted content or report data
+ * @param {import('../services/ingestion/turns').Turn[]} turns
+ * @returns {T}
+ */
+function groundQuotes(content, turns) {
+  return {
+    ...content,
+    themes: content.themes.map(theme => {
+      const { quoteSource, quoteRef, ...rest } = theme;
+      const match = matchQuote(theme.quote, turns);
+      return { ...rest, quoteSource: match.source, ...(match.ref && { quoteRef: match.ref }) };
+    }),
+  };
+}
+
+/**
+ * The quotes not found in the character's turns, as validation errors in
+ * the shape reportValidator uses — for the `reject` mode's re-prompt and
+ * its 422. A real quotation the session never mentions is among them.
+ *
+ * @param {{ themes: import('../services/PdfService').ThemeEntry[] }} content
+ * @param {import('../services/ingestion/turns').Turn[]} turns
+ * @returns {{ path: string, message: string }[]}
+ */
+function ungroundedQuotes(content, turns) {
+  return content.themes
+    .map((theme, i) => ({ i, match: matchQuote(theme.quote, turns) }))
+    .filter(({ match }) => match.source === 'unverified')
+    .map(({ i }) => ({
+      path:    `themes[${i}].quote`,
+      message: 'is not in this transcript; copy a sentence the character said in it verbatim (quotations from outside the conversation are not accepted)',
+    }));
+}
+
+// ── Citations ─────────────────────────────────────────────────────────────────
+
+/** Seconds as m:ss, or h:mm:ss from an hour on. */
+function clock(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const pad = n => String(n).padStart(2, '0');
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  return h ? `${h}:${pad(m)}:${pad(total % 60)}` : `${m}:${pad(total % 60)}`;
+}
+
+const SOURCE_MESSAGES = {
+  conversation: 'theme.fromConversation',
+  cited:        'theme.citedQuote',
+  unverified:   'theme.unverifiedQuote',
+};
+
+/**
+ * The label printed under a theme's quote, in the report's language:
+ * "From your conversation · 12:05" (or "· turn 7" for an untimed
+ * transcript). Empty for a theme that was never grounded.
+ *
+ * @param {import('../services/PdfService').ThemeEntry} theme
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function quoteCitation(theme, locale) {
+  const key = SOURCE_MESSAGES[theme.quoteSource];
+  if (!key) return '';
+  const label = message(locale, key);
+  const ref = theme.quoteRef;
+  if (!ref) return label;
+  const position = ref.start != null ? clock(ref.start) : message(locale, 'theme.turn', ref.turn);
+  return `${label} · ${position}`;
+}
+
+/**
+ * Report data with `quoteCitation` set on every theme, for templates and
+ * renderers.
+ *
+ * @param {import('../services/PdfService').ReportData} data
+ * @returns {import('../services/PdfService').ReportData}
+ */
+function withCitations(data) {
+  if (!Array.isArray(data.themes)) return data;
+  return {
+    ...data,
+    themes: data.themes.map(theme => {
+      const citation = quoteCitation(theme, data.locale);
+      return citation ? { ...theme, quoteCitation: citation } : theme;
+    }),
+  };
+}
+
+module.exports = {
+  GROUNDING_MODES,
+  MATCH_THRESHOLD,
+  groundingMode,
+  words,
+  alignmentScore,
+  matchQuote,
+  groundQuotes,
+  ungroundedQuotes,
+  quoteCitation,
+  withCitations,
+};
@@ -0,0 +1,343 @@
+'use strict';
+
+/**
+ * reportRequest.js
+ *
+ * Request validation and the transcript → PDF pipeline shared by the
+ * synchronous endpoint (POST /api/generate-report), the job API
+ * (POST /api/reports) and previews (src/utils/preview.js).
+ *
+ * `transcript` may be in any format src/services/ingestion/ reads; it is
+ * parsed once per body, during validation, and the turns are reused by the
+ * later steps. A `characterId` names a profile in the character registry
+ * (src/services/characters/) that supplies whatever character fields the
+ * request leaves out.
+ */
+
+const { extractReportData } = require('./llmProcessor');
+const { groundingMode } = require('./quoteGrounding');
+const { TRANSCRIPT_FORMATS, TranscriptFormatError, ingestTranscript } = require('../services/ingestion');
+const { getCharacterRegistry, profileMetadata } = require('../services/characters');
+const { parseHostAllowlist, checkImageUrl } = require('./htmlEscape');
+const { validatePostProcessing, normalizePostProcessing } = require('./postProcessing');
+const { DEFAULT_TEMPLATE, validateTemplateId, templateVersion } = require('./templateRegistry');
+const {
+  DEFAULT_LOCALE,
+  resolveLocale,
+  validateLocale,
+  getCatalog,
+  message,
+  formatDate,
+  formatDuration,
+} = require('./i18n');
+
+// Hosts characterImageUrl may point at (comma-separated, `*.` wildcards).
+// Unset = any http(s) host.
+const IMAGE_URL_ALLOWLIST = parseHostAllowlist(process.env.IMAGE_URL_ALLOWLIST);
+
+// Request body → its character, with the characterId profile filled in
+const characters = new WeakMap();
+
+// Request body → its ingested transcript
+const ingested = new WeakMap();
+
+// Optional session fields, used verbatim (or formatted) when present
+const SESSION_FIELDS = ['userName', 'sessionDate', 'sessionDuration'];
+
+/**
+ * The request's character fields. With a `characterId`, the profile fills
+ * in `characterName`, `characterImageUrl` (its portrait) and any
+ * `characterMetadata` field the request does not set.
+ *
+ * @param {object} body
+ * @returns {{ characterName: string, characterMetadata: object, characterImageUrl: string }}
+ */
+function character(body) {
+  if (!characters.has(body)) {
+    const { characterId, characterName, characterMetadata, characterImageUrl } = body;
+    const registry = characterId ? getCharacterRegistry() : null;
+    const profile  = registry && registry.get(characterId);
+    characters.set(body, profile ? {
+      characterName:     characterName || profile.name,
+      characterMetadata: { ...profileMetadata(profile), ...characterMetadata },
+      characterImageUrl: characterImageUrl || registry.portraitUrl(profile),
+    } : { characterName, characterMetadata, characterImageUrl });
+  }
+  return characters.get(body);
+}
+
+/**
+ * The request's transcript read into turns (see src/services/ingestion/).
+ *
+ * @param {object} body
+ * @returns {import('../services/ingestion').IngestedTranscript}
+ * @throws {TranscriptFormatError} when the transcript cannot be read
+ */
+function ingest(body) {
+  if (!ingested.has(body)) {
+    ingested.set(body, ingestTranscript(body.transcript, {
+      format:        body.transcriptFormat,
+      characterName: character(body).characterName,
+      userName:      body.userName,
+    }));
+  }
+  return ingested.get(body);
+}
+
+/**
+ * Check a report request body. Returns an error message for a 400 response,
+ * or null when the body is usable.
+ *
+ * @param {object} body
+ * @returns {string|null}
+ */
+function validateReportRequest(body) {
+  const { transcript, transcriptFormat, characterId, characterImageUrl, postProcessing, template, locale } = body || {};
+
+  if (characterId !== undefined) {
+    if (typeof characterId !== 'string' || !getCharacterRegistry().get(characterId)) {
+      return `characterId "${characterId}" is not in the character registry`;
+    }
+    if (body.characterMetadata !== undefined && (!body.characterMetadata || typeof body.characterMetadata !== 'object')) {
+      return 'characterMetadata must be an object';
+    }
+  }
+  const { characterName, characterMetadata } = body ? character(body) : {};
+
+  if (!characterName || typeof characterName !== 'string' || !characterName.trim()) {
+    return 'characterName is required';
+  }
+  if (!transcript || (typeof transcript !== 'string' && typeof transcript !== 'object')) {
+    return 'transcript is required';
+  }
+  if (transcriptFormat !== undefined && !TRANSCRIPT_FORMATS.includes(transcriptFormat)) {
+    return `transcriptFormat must be one of: ${TRANSCRIPT_FORMATS.join(', ')}`;
+  }
+  // Checked before ingestion, which reads userName
+  const invalid = SESSION_FIELDS.find(field => body[field] != null && typeof body[field] !== 'string');
+  if (invalid) return `${invalid} must be a string`;
+  try {
+    ingest(body);
+  } catch (err) {
+    if (err instanceof TranscriptFormatError) return `transcript ${err.message}`;
+    throw err;
+  }
+  if (!characterMetadata || typeof characterMetadata !== 'object') {
+    return 'characterMetadata is required';
+  }
+  const { tagline, birthYear, deathYear, bio, facts } = characterMetadata;
+  if (!tagline || !birthYear || !deathYear || !bio) {
+    return 'characterMetadata must include tagline, birthYear, deathYear, and bio';
+  }
+  if (!Array.isArray(facts) || facts.length === 0) {
+    return 'characterMetadata.facts must be a non-empty array';
+  }
+  if (characterImageUrl) {
+    const check = typeof characterImageUrl === 'string'
+      ? checkImageUrl(characterImageUrl, IMAGE_URL_ALLOWLIST)
+      : { ok: false, reason: 'must be a string' };
+    if (!check.ok) return `characterImageUrl ${check.reason}`;
+  }
+  if (postProcessing !== undefined) {
+    const problem = validatePostProcessing(postProcessing);
+    if (problem) return `postProcessing ${problem}`;
+  }
+  if (template !== undefined) {
+    const problem = validateTemplateId(template);
+    if (problem) return `template ${problem}`;
+  }
+  if (locale !== undefined) {
+    const problem = validateLocale(locale);
+    if (problem) return `locale ${problem}`;
+  }
+  return null;
+}
+
+/**
+ * The canonical locale tag of a validated request (default: en).
+ *
+ * @param {object} body
+ * @returns {string}
+ */
+function requestLocale(body) {
+  return resolveLocale(body.locale) || DEFAULT_LOCALE;
+}
+
+/**
+ * Seconds as an ISO 8601 duration, to the minute (PT1H25M); sessions under
+ * half a minute keep their seconds.
+ *
+ * @param {number} seconds
+ * @returns {string}
+ */
+function isoDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (!minutes) return `PT${Math.max(1, Math.round(seconds))}S`;
+  const hours = Math.floor(minutes / 60);
+  return `PT${hours ? `${hours}H` : ''}${minutes % 60 || !hours ? `${minutes % 60}M` : ''}`;
+}
+
+/**
+ * The session fields that come straight from the caller, with defaults, in
+ * the request's locale: ISO dates (`2026-03-01`) and durations (`PT25M`)
+ * are written out for it, and today's date stands in for a missing date.
+ * A missing duration is measured from the transcript's timestamps when it
+ * has them.
+ *
+ * @param {object} body
+ * @returns {{ characterImageUrl: string, sessionDate: string, sessionDuration: string, userName: string, locale: string }}
+ */
+function sessionFields(body) {
+  const { sessionDate, userName } = body;
+  const { characterImageUrl } = character(body);
+  const locale = requestLocale(body);
+  const measured = ingest(body).durationSeconds;
+  const sessionDuration = body.sessionDuration || (measured > 0 ? isoDuration(measured) : null);
+  return {
+    characterImageUrl: characterImageUrl || '',
+    sessionDate:       formatDate(sessionDate || new Date(), locale),
+    sessionDuration:   sessionDuration ? formatDuration(sessionDuration, locale) : message(locale, 'session.unknown'),
+    userName:          userName || message(locale, 'session.anonymous'),
+    locale,
+  };
+}
+
+/**
+ * Cache keys for a request (see src/services/cache/ReportCache.js):
+ *
+ *   data  extraction inputs (including the locale) + provider and model +
+ *         quote grounding mode
+ *   pdf   the data inputs + session fields (after defaults, so a missing
+ *         sessionDate keys on today's date) + template id and version +
+ *         message catalog version + PDF backend + the post-processing
+ *         chain that will actually run
+ *
+ * @param {object} body  A request body that passed validateReportRequest().
+ * @param {object} deps
+ * @param {import('../services/cache').ReportCache} deps.cache
+ * @param {import('../services/extraction').ExtractionProvider} deps.provider
+ * @param {import('../services/PdfService')} [deps.pdfService]  Needed for the pdf key
+ * @returns {{ data: string, pdf?: string }}
+ */
+function reportCacheKeys(body, { cache, provider, pdfService }) {
+  const { postProcessing, template = DEFAULT_TEMPLATE } = body;
+  const { characterName, characterMetadata } = character(body);
+  const extraction = {
+    provider:   provider.name,
+    model:      provider.model ?? null,
+    // The text extraction reads, so the same conversation in another format shares the entry
+    transcript: ingest(body).text,
+    characterName,
+    characterMetadata,
+    locale:         requestLocale(body),
+    quoteGrounding: groundingMode(),
+  };
+  const keys = { data: cache.key('data', extraction) };
+  if (pdfService) {
+    keys.pdf = cache.key('pdf', {
+      extraction,
+      session:         sessionFields(body),
+      template,
+      templateVersion: templateVersion(template),
+      catalogVersion:  getCatalog(extraction.locale).version,
+      backend:         pdfService.name,
+      postProcessing:  postProcessing ? normalizePostProcessing(postProcessing) : pdfService.postProcessing,
+    });
+  }
+  return keys;
+}
+
+/**
+ * Run a validated request through extraction (or reuse a cached result) and
+ * merge in the session fields the caller supplies directly.
+ *
+ * @param {object} body  A request body that passed validateReportRequest().
+ * @param {object} deps
+ * @param {import('../services/extraction').ExtractionProvider} deps.provider
+ * @param {import('../services/cache').ReportCache} [deps.cache]
+ * @param {(event: import('../services/PdfService').ProgressEvent) => void} [deps.onProgress]
+ * @param {import('./logger').Logger} [deps.log]  The caller's logger (request id)
+ * @returns {Promise<import('../services/PdfService').ReportData>}
+ */
+async function buildReportData(body, { provider, cache, onProgress = () => {}, log }) {
+  const { characterName, characterMetadata } = character(body);
+  const { text: transcript, turns } = ingest(body);
+  const locale  = requestLocale(body);
+  const dataKey = cache && reportCacheKeys(body, { cache, provider }).data;
+
+  // 1. Extract structured report data via the configured provider
+  let reportData = cache && await cache.getData(dataKey);
+  if (reportData) {
+    onProgress({ stage: 'extract', message: 'Using cached report data' });
+  } else {
+    onProgress({ stage: 'extract', message: `Extracting report data (${provider.name})` });
+    reportData = await extractReportData({ transcript, turns, characterName, characterMetadata, locale, provider, log });
+    if (cache) await cache.setData(dataKey, reportData);
+  }
+
+  // 2. Merge in session fields that come directly from the API caller
+  return { ...reportData, ...sessionFields(body) };
+}
+
+/**
+ * Run a validated request through extraction and PDF generation. With a
+ * cache, an identical earlier request is answered from the pdf layer and a
+ * repeated transcript skips extraction.
+ *
+ * @param {object} body  A request body that passed validateReportRequest().
+ * @param {object} deps
+ * @param {import('../services/extraction').ExtractionProvider} deps.provider
+ * @param {import('../services/PdfService')} deps.pdfService
+ * @param {import('../services/cache').ReportCache} [deps.cache]
+ * @param {(event: import('../services/PdfService').ProgressEvent) => void} [deps.onProgress]
+ * @param {AbortSignal} [deps.signal]
+ * @param {import('./logger').Logger} [deps.log]
+ * @returns {Promise<{ pdf: Buffer, data: import('../services/PdfService').ReportData, cacheKeys: { data: string, pdf: string }|null, degraded: boolean }>}
+ *          degraded when the PDF came from the fallback renderer or has a
+ *          placeholder portrait — it was not cached, and is not the report
+ *          the request's ETag names
+ */
+async function createReport(body, { provider, pdfService, cache, onProgress = () => {}, signal, log }) {
+  const cacheKeys = cache ? reportCacheKeys(body, { cache, provider, pdfService }) : null;
+  const cached = cache && await cache.getPdf(cacheKeys.pdf);
+  if (cached) {
+    // The data layer outlives the pdf layer, so this is normally a hit too
+    const data = await buildReportData(body, { provider, cache, log });
+    onProgress({ stage: 'cache', message: 'Served from cache' });
+    return { pdf: cached, data, cacheKeys, degraded: false };
+  }
+
+  const data = await buildReportData(body, { provider, cache, onProgress, log });
+
+  // 3. Generate PDF (the backend's default chain unless the caller chose one).
+  //    A PDF from the fallback renderer, or with a placeholder in place of
+  //    a portrait that failed to load, is not what this key promises, so it
+  //    is not cached.
+  let degraded = false;
+  const { postProcessing, template } = body;
+  const pdf = await pdfService.generateConversationReport(data, {
+    onProgress: event => {
+      if ((event.stage === 'local' && pdfService.name !== 'local') || event.placeholder) degraded = true;
+      onProgress(event);
+    },
+    signal,
+    postProcessing: postProcessing && normalizePostProcessing(postProcessing),
+    template,
+    log,
+  });
+  if (cache && !degraded) await cache.setPdf(cacheKeys.pdf, pdf);
+  return { pdf, data, cacheKeys, degraded };
+}
+
+/**
+ * createReport() for callers that only need the PDF.
+ *
+ * @param {object} body
+ * @param {object} deps  As for createReport()
+ * @returns {Promise<Buffer>}
+ */
+async function generateReport(body, deps) {
+  return (await createReport(body, deps)).pdf;
+}
+
+module.exports = { validateReportRequest, reportCacheKeys, buildReportData, createReport, generateReport };
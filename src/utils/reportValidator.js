@@ -0,0 +1,221 @@
+'use strict';
+
+/**
+ * reportValidator.js
+ *
+ * Validates ReportData (and the transcript-derived subset returned by
+ * extraction providers) against src/schemas/reportData.schema.json, and
+ * performs mechanical repairs — coercing scalars to strings, trimming
+ * whitespace, dropping blank list entries, trimming over-long arrays and
+ * padding short ones — before a report is rendered.
+ *
+ * Only the JSON-schema keywords used by our schema are implemented:
+ * type, required, properties, items, $ref (local), minItems, maxItems,
+ * minLength, maxLength, enum, pattern.
+ */
+
+const REPORT_DATA_SCHEMA = require('../schemas/reportData.schema.json');
+
+const EXTRACTED_FIELDS = ['sessionSummary', 'headlineInsight', 'themes', 'resources', 'reflectionQuestions'];
+
+/** Schema for the part of ReportData an extraction provider is responsible for. */
+const EXTRACTED_CONTENT_SCHEMA = {
+  title:       'ExtractedContent',
+  type:        'object',
+  required:    EXTRACTED_FIELDS,
+  properties:  Object.fromEntries(EXTRACTED_FIELDS.map(k => [k, REPORT_DATA_SCHEMA.properties[k]])),
+  definitions: REPORT_DATA_SCHEMA.definitions,
+};
+
+/**
+ * Thrown when report data cannot be validated or repaired. Carries the list
+ * of offending fields so the HTTP layer can answer 422 with specifics.
+ */
+class ReportValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ path: string, message: string }[]} fields
+   */
+  constructor(message, fields) {
+    super(message);
+    this.name       = 'ReportValidationError';
+    this.statusCode = 422;
+    this.fields     = fields;
+  }
+}
+
+// ── Validation ────────────────────────────────────────────────────────────────
+
+function resolveRef(schema, root) {
+  if (!schema.$ref) return schema;
+  const m = schema.$ref.match(/^#\/definitions\/(\w+)$/);
+  if (!m || !root.definitions?.[m[1]]) {
+    throw new Error(`[reportValidator] Unsupported $ref: ${schema.$ref}`);
+  }
+  return root.definitions[m[1]];
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function typeMatches(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {*} value
+ * @param {object} [schema]  Defaults to the full ReportData schema.
+ * @returns {{ path: string, message: string }[]}  Empty when valid. Paths look like `themes[2].quote`.
+ */
+function validate(value, schema = REPORT_DATA_SCHEMA) {
+  const errors = [];
+  walk(value, schema, schema, '', errors);
+  return errors;
+}
+
+function walk(value, schema, root, path, errors) {
+  schema = resolveRef(schema, root);
+  const at = path || '(root)';
+
+  if (schema.type && !typeMatches(value, schema.type)) {
+    errors.push({ path: at, message: `must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type} (got ${typeOf(value)})` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} items (got ${value.length})` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must have at most ${schema.maxItems} items (got ${value.length})` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => walk(item, schema.items, root, joinPath(path, i), errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        walk(value[key], sub, root, joinPath(path, key), errors);
+      }
+    }
+  }
+}
+
+// ── Repair ────────────────────────────────────────────────────────────────────
+
+/**
+ * Apply mechanical fixes that never invent content:
+ *   - numbers/booleans where a string is expected → String(value), strings trimmed
+ *   - blank entries removed from string arrays
+ *   - arrays longer than maxItems trimmed
+ *   - arrays shorter than minItems padded from `options.padding[key]` when given
+ *
+ * Returns a new object; the input is not mutated.
+ *
+ * @param {object} data
+ * @param {object} [schema]  Defaults to the full ReportData schema.
+ * @param {object} [options]
+ * @param {Object<string, Array>} [options.padding]  Fallback items per top-level array field.
+ * @returns {object}
+ */
+function repair(data, schema = REPORT_DATA_SCHEMA, options = {}) {
+  if (typeOf(data) !== 'object') return data;
+  const out = { ...data };
+  for (const [key, sub] of Object.entries(schema.properties || {})) {
+    if (out[key] === undefined || out[key] === null) continue;
+    out[key] = repairValue(out[key], sub, schema);
+
+    const resolved = resolveRef(sub, schema);
+    const padding  = options.padding?.[key];
+    if (Array.isArray(out[key]) && resolved.minItems && out[key].length < resolved.minItems && padding) {
+      const extra = padding.filter(p => !out[key].includes(p));
+      out[key] = [...out[key], ...extra.slice(0, resolved.minItems - out[key].length)];
+    }
+  }
+  return out;
+}
+
+function repairValue(value, schema, root) {
+  schema = resolveRef(schema, root);
+
+  if (schema.type === 'string') {
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    return typeof value === 'string' ? value.trim() : value;
+  }
+
+  if (schema.type === 'array' && Array.isArray(value)) {
+    let items = value.map(item => (schema.items ? repairValue(item, schema.items, root) : item));
+    const itemSchema = schema.items && resolveRef(schema.items, root);
+    if (itemSchema?.type === 'string') {
+      items = items.filter(item => !(typeof item === 'string' && item === ''));
+    }
+    if (schema.maxItems !== undefined && items.length > schema.maxItems) {
+      items = items.slice(0, schema.maxItems);
+    }
+    return items;
+  }
+
+  if (schema.type === 'object' && typeOf(value) === 'object') {
+    const out = { ...value };
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (out[key] !== undefined && out[key] !== null) out[key] = repairValue(out[key], sub, root);
+    }
+    return out;
+  }
+
+  return value;
+}
+
+/**
+ * Format validation errors for logs and re-prompts.
+ *
+ * @param {{ path: string, message: string }[]} errors
+ * @returns {string}
+ */
+function formatErrors(errors) {
+  return errors.map(e => `${e.path} ${e.message}`).join('; ');
+}
+
+module.exports = {
+  REPORT_DATA_SCHEMA,
+  EXTRACTED_CONTENT_SCHEMA,
+  ReportValidationError,
+  validate,
+  repair,
+  formatErrors,
+};
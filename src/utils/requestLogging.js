@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * requestLogging.js
+ *
+ * Express middleware that gives every request an id and a logger:
+ *
+ *   - req.id   the caller's X-Request-Id when it is a sane token (so a
+ *              gateway's id carries through), otherwise a new UUID; echoed
+ *              in the X-Request-Id response header
+ *   - req.log  a logger (src/utils/logger.js) that stamps requestId on
+ *              every entry — pass it down as the `log` option
+ *
+ * When the response finishes it logs one access line and records the
+ * request in historai_http_requests_total / _duration_seconds, labelled
+ * by route pattern (e.g. /api/reports/:id) rather than the raw URL.
+ */
+
+const crypto = require('crypto');
+
+const { logger, componentLogger } = require('./logger');
+const { httpRequests, httpDuration } = require('./metrics');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_RE     = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/** The route pattern that handled `req`, for metric labels. */
+function routeLabel(req) {
+  if (!req.route) return 'unmatched';
+  return `${req.baseUrl || ''}${req.route.path}`;
+}
+
+/**
+ * @param {object} [options]
+ * @param {import('./logger').Logger} [options.log]  Parent logger (default: the root logger)
+ * @param {(req: import('express').Request) => boolean} [options.quiet]
+ *        Requests to leave out of the access log (still counted), e.g. health probes
+ * @returns {import('express').RequestHandler}
+ */
+function requestLogging({ log = logger, quiet = () => false } = {}) {
+  return (req, res, next) => {
+    const given = req.get(REQUEST_ID_HEADER);
+    req.id  = given && REQUEST_ID_RE.test(given) ? given : crypto.randomUUID();
+    req.log = log.child({ requestId: req.id });
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      const route   = routeLabel(req);
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, seconds);
+      if (quiet(req)) return;
+      componentLogger('http', req.log).info(`${req.method} ${req.originalUrl.split('?')[0]} ${res.statusCode}`, {
+        ms: Math.round(seconds * 1000),
+      });
+    });
+    next();
+  };
+}
+
+module.exports = { requestLogging, REQUEST_ID_HEADER };
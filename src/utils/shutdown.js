@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * shutdown.js
+ *
+ * Graceful shutdown on SIGTERM / SIGINT. Once started:
+ *
+ *   1. the service stops taking work — the server stops accepting
+ *      connections, idle keep-alive connections are closed, and
+ *      rejectWhileDraining() answers new API requests with 503 (GET /ready
+ *      reports 503 too, so a load balancer stops routing here)
+ *   2. in-flight work drains — requests already being served finish, and
+ *      every task registered with onDrain() (e.g. the job and batch runners'
+ *      onIdle()) resolves
+ *   3. the process exits 0, or 1 if draining took longer than `timeoutMs`
+ *      (SHUTDOWN_TIMEOUT_MS); remaining connections are then cut
+ *
+ * A second signal while draining exits immediately.
+ */
+
+const { componentLogger } = require('./logger');
+
+const IDLE_SWEEP_MS = 100;
+
+class GracefulShutdown {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs=30000]  Longest to wait for in-flight work
+   * @param {import('./logger').Logger} [options.log]
+   */
+  constructor({ timeoutMs = 30_000, log } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.log       = componentLogger('shutdown', log);
+    this.draining  = false;
+    this.tasks     = [];
+  }
+
+  /**
+   * Register work to wait for while draining.
+   *
+   * @param {() => Promise<void>|void} task
+   */
+  onDrain(task) {
+    this.tasks.push(task);
+  }
+
+  /**
+   * Middleware answering 503 once draining has started.
+   *
+   * @returns {import('express').RequestHandler}
+   */
+  rejectWhileDraining() {
+    return (req, res, next) => {
+      if (!this.draining) return next();
+      res.set({ Connection: 'close', 'Retry-After': '5' });
+      return res.status(503).json({ error: 'Server is shutting down' });
+    };
+  }
+
+  /**
+   * Stop taking work and wait for in-flight work to finish.
+   *
+   * @param {import('http').Server} [server]
+   * @returns {Promise<{ drained: boolean }>}  drained is false after a timeout
+   */
+  async run(server) {
+    this.draining = true;
+    const closed = server
+      ? new Promise(resolve => server.close(() => resolve()))
+      : Promise.resolve();
+    // Keep-alive connections turn idle as their last response finishes;
+    // close them as they do so server.close() can complete
+    server?.closeIdleConnections();
+    const sweep = server && setInterval(() => server.closeIdleConnections(), IDLE_SWEEP_MS);
+
+    let timer;
+    const timedOut = new Promise(resolve => { timer = setTimeout(() => resolve(false), this.timeoutMs); });
+    const drained = await Promise.race([
+      Promise.all([closed, ...this.tasks.map(task => task())]).then(() => true),
+      timedOut,
+    ]);
+    clearTimeout(timer);
+    clearInterval(sweep);
+
+    if (drained) {
+      this.log.info('In-flight work drained');
+    } else {
+      this.log.warn(`In-flight work did not finish within ${this.timeoutMs}ms — closing remaining connections`);
+      server?.closeAllConnections();
+    }
+    return { drained };
+  }
+
+  /**
+   * Run on SIGTERM / SIGINT, then exit.
+   *
+   * @param {import('http').Server} server
+   * @param {{ exit?: (code: number) => void }} [options]
+   */
+  install(server, { exit = code => process.exit(code) } = {}) {
+    const onSignal = signal => {
+      if (this.draining) {
+        this.log.warn(`${signal} received again — exiting now`);
+        return exit(1);
+      }
+      this.log.info(`${signal} received — draining in-flight work (up to ${this.timeoutMs}ms)`);
+      this.run(server).then(({ drained }) => exit(drained ? 0 : 1), err => {
+        this.log.error(`Shutdown failed: ${err.message}`);
+        exit(1);
+      });
+    };
+    process.on('SIGTERM', onSignal);
+    process.on('SIGINT', onSignal);
+  }
+}
+
+module.exports = { GracefulShutdown };
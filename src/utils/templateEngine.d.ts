@@ -0,0 +1,33 @@
+// Types for templateEngine.js. The TypeScript plugin imports the engine
+// through these (plugin/src/templateEngine.ts) instead of keeping a port.
+
+export type HtmlContext = "text" | "attr" | "attr-unquoted" | "url" | "css" | "script";
+
+/** A node of a parsed template. Its fields are internal to the engine. */
+export interface TemplateNode {
+  type: "text" | "var" | "block" | "partial";
+  line?: number;
+  htmlContext?: HtmlContext;
+  [key: string]: any;
+}
+
+export interface RenderOptions {
+  /** Partial name → template source. */
+  partials?: Record<string, string>;
+  /** Replaces the escaping picked from each value's HTML context. */
+  escape?: (value: string, node: TemplateNode) => string;
+}
+
+/** Thrown for malformed templates. Message includes the 1-based line number. */
+export declare class TemplateError extends Error {
+  line?: number;
+  constructor(message: string, line?: number);
+}
+
+export declare const FILTERS: Record<string, (value: any, ...args: any[]) => any>;
+
+export declare function parse(template: string): TemplateNode[];
+export declare function compile(template: string): TemplateNode[];
+export declare function escapeForContext(value: string, node: TemplateNode): string;
+export declare function render(template: string, data: Record<string, any>, options?: RenderOptions): string;
+export declare function loadPartials(dir: string): Record<string, string>;
@@ -0,0 +1,501 @@
+'use strict';
+
+/**
+ * templateEngine.js
+ *
+ * Small Mustache/Handlebars-style engine used to fill the report templates.
+ * Templates are parsed once into a tree and cached.
+ *
+ *   {{path}}                        value lookup — `name`, `a.b`, `themes[0].quote`, `this`
+ *   {{{path}}}                      same, but inserted without escaping
+ *   {{path | default "text"}}       fallback when the value is missing or empty
+ *   {{list | join ", "}}            join an array into one string
+ *   {{msg | format name "2"}}       fill `{0}`, `{1}`, … in a message with the arguments
+ *   {{#each list}}…{{else}}…{{/each}}   loop; inside: `this`, `@index`, `@number`, `@first`, `@last`, `@key`
+ *   {{#if path}}…{{else}}…{{/if}}       conditional (empty arrays and '' are falsy)
+ *   {{#unless path}}…{{/unless}}        inverse conditional
+ *   {{> partial}}                   include a partial with the current context
+ *   {{> partial path key="text"}}   include with a different context plus extra keys
+ *   {{! comment }}                  dropped from the output
+ *   {{../path}}                     look a name up in the enclosing context
+ *
+ * Names not found in the current context are looked up in enclosing
+ * contexts, so `{{characterName}}` works inside `{{#each themes}}`.
+ * Missing values render as '' (same as the original fixed-index tokens).
+ *
+ * Values are escaped for the spot they land in: element text and quoted
+ * attributes get entity-escaped, URL attributes (src, href, …) also drop
+ * unsafe schemes such as `javascript:`, and values inside <style>/<script>
+ * are reduced to safe characters. Use `{{{…}}}` only for trusted values.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const {
+  escapeHtml,
+  escapeAttrStrict,
+  sanitizeUrl,
+  escapeCss,
+  escapeScript,
+} = require('./htmlEscape');
+
+const BLOCKS          = new Set(['each', 'if', 'unless']);
+const MAX_PARTIAL_DEPTH = 10;
+const CACHE_LIMIT     = 50;
+
+/** Thrown for malformed templates. Message includes the 1-based line number. */
+class TemplateError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'TemplateError';
+    this.line = line;
+  }
+}
+
+// ── Expressions ───────────────────────────────────────────────────────────────
+
+/**
+ * Parse a path like `../themes[0].name` or `@index` into
+ * { up, segments } where segments is a list of property keys.
+ */
+function parsePath(source, line) {
+  let rest = source.trim();
+  let up = 0;
+  while (rest.startsWith('../')) {
+    up += 1;
+    rest = rest.slice(3);
+  }
+  if (!/^(@?[\w-]+|this)((\.[\w-]+)|(\[\d+\]))*$/.test(rest)) {
+    throw new TemplateError(`Invalid path "${source}"`, line);
+  }
+  const segments = [];
+  for (const m of rest.matchAll(/@?[\w-]+|\[(\d+)\]/g)) {
+    segments.push(m[1] !== undefined ? Number(m[1]) : m[0]);
+  }
+  return { up, segments };
+}
+
+/** Split on whitespace, keeping "quoted strings" intact. */
+function splitArgs(source) {
+  return source.match(/[\w@.\-[\]/]+="(?:[^"\\]|\\.)*"|"(?:[^"\\]|\\.)*"|\S+/g) || [];
+}
+
+function parseLiteral(token) {
+  return JSON.parse(token);
+}
+
+/**
+ * Parse `path | filter "arg" | filter` into { path, filters }.
+ */
+function parseExpression(source, line) {
+  const parts = source.split(/\|(?=(?:[^"]*"[^"]*")*[^"]*$)/).map(p => p.trim());
+  const expr = { path: parsePath(parts[0], line), filters: [] };
+  for (const part of parts.slice(1)) {
+    const [name, ...args] = splitArgs(part);
+    if (!FILTERS[name]) throw new TemplateError(`Unknown filter "${name}"`, line);
+    expr.filters.push({
+      name,
+      args: args.map(a => (a.startsWith('"') ? { literal: parseLiteral(a) } : { path: parsePath(a, line) })),
+    });
+  }
+  return expr;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+const FILTERS = {
+  default: (value, fallback) => (isEmpty(value) ? fallback : value),
+  join:    (value, sep = ', ') => (Array.isArray(value) ? value.join(sep) : value),
+  format:  (value, ...args) => (typeof value === 'string'
+    ? value.replace(/\{(\d+)\}/g, (token, i) => stringify(args[i]))
+    : value),
+};
+
+// ── HTML context ──────────────────────────────────────────────────────────────
+
+// Attributes whose value is a URL; a {{value}} at the start of one is
+// scheme-checked rather than just entity-escaped.
+const URL_ATTRS = new Set(['src', 'href', 'action', 'formaction', 'poster', 'cite', 'background', 'xlink:href']);
+const RAWTEXT_TAGS = new Set(['style', 'script']);
+
+/**
+ * Advance a minimal HTML tokenizer over literal template text so each
+ * {{value}} knows where it will land: element text, an attribute value, a
+ * URL attribute, or a <style>/<script> block.
+ */
+function scanHtml(state, text) {
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    switch (state.mode) {
+      case 'text':
+        if (c !== '<') break;
+        if (text.startsWith('!--', i + 1)) {
+          state.mode = 'comment';
+          i += 3;
+        } else {
+          const tag = /^<(\/?)([a-zA-Z][\w-]*)/.exec(text.slice(i));
+          if (tag) {
+            Object.assign(state, { mode: 'tag', tag: tag[2].toLowerCase(), closing: !!tag[1] });
+            i += tag[0].length - 1;
+          }
+        }
+        break;
+
+      case 'comment':
+        if (text.startsWith('-->', i)) {
+          state.mode = 'text';
+          i += 2;
+        }
+        break;
+
+      case 'rawtext':
+        if (text.slice(i, i + state.tag.length + 2).toLowerCase() === `</${state.tag}`) {
+          Object.assign(state, { mode: 'tag', closing: true });
+          i += state.tag.length + 1;
+        }
+        break;
+
+      case 'tag':
+      case 'attrName':
+        if (c === '>') {
+          state.mode = !state.closing && RAWTEXT_TAGS.has(state.tag) ? 'rawtext' : 'text';
+        } else if (c === '=' && state.mode === 'attrName') {
+          state.mode = 'beforeValue';
+        } else if (/[^\s/=]/.test(c)) {
+          const name = /^[^\s/=>]+/.exec(text.slice(i))[0];
+          Object.assign(state, { mode: 'attrName', attr: name.toLowerCase() });
+          i += name.length - 1;
+        }
+        break;
+
+      case 'beforeValue':
+        if (c === '"' || c === "'") {
+          Object.assign(state, { mode: 'attrValue', quote: c, valueStart: true });
+        } else if (c === '>') {
+          state.mode = 'text';
+        } else if (!/\s/.test(c)) {
+          Object.assign(state, { mode: 'attrValue', quote: '', valueStart: false });
+        }
+        break;
+
+      case 'attrValue':
+        if (state.quote ? c === state.quote : /[\s>]/.test(c)) {
+          state.mode = 'tag';
+          if (c === '>') i--;
+        } else {
+          state.valueStart = false;
+        }
+        break;
+    }
+  }
+}
+
+/** Where a {{value}} sits, given the scanner state in front of it. */
+function contextOf(state) {
+  switch (state.mode) {
+    case 'rawtext':
+      return state.tag === 'style' ? 'css' : 'script';
+    case 'attrValue':
+      if (!state.quote) return 'attr-unquoted';
+      if (state.attr === 'style') return 'css';
+      if (URL_ATTRS.has(state.attr) && state.valueStart) return 'url';
+      return 'attr';
+    case 'tag':
+    case 'attrName':
+    case 'beforeValue':
+      return 'attr-unquoted';
+    default:
+      return 'text';
+  }
+}
+
+/**
+ * Default escape: pick an escaper from the node's HTML context. `{{{raw}}}`
+ * nodes never reach this.
+ */
+function escapeForContext(value, node) {
+  switch (node.htmlContext) {
+    case 'url':           return escapeHtml(sanitizeUrl(value));
+    case 'css':           return escapeCss(value);
+    case 'script':        return escapeScript(value);
+    case 'attr-unquoted': return escapeAttrStrict(value);
+    default:              return escapeHtml(value);
+  }
+}
+
+// ── Parsing ───────────────────────────────────────────────────────────────────
+
+function lineAt(template, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) if (template.charCodeAt(i) === 10) line++;
+  return line;
+}
+
+/**
+ * Parse a template string into a node tree.
+ *
+ * @param {string} template
+ * @returns {object[]}
+ */
+function parse(template) {
+  const root  = [];
+  const stack = [{ node: null, target: root }];
+  const tagRe = /\{\{\{([\s\S]*?)\}\}\}|\{\{([\s\S]*?)\}\}/g;
+  const html  = { mode: 'text' };
+  let last = 0;
+  let m;
+
+  while ((m = tagRe.exec(template)) !== null) {
+    const frame = stack[stack.length - 1];
+    if (m.index > last) {
+      const text = template.slice(last, m.index);
+      scanHtml(html, text);
+      frame.target.push({ type: 'text', value: text });
+    }
+    last = tagRe.lastIndex;
+
+    const line = lineAt(template, m.index);
+
+    if (m[1] !== undefined) {
+      frame.target.push({ type: 'var', expr: parseExpression(m[1].trim(), line), raw: true, source: m[1].trim(), line });
+      html.valueStart = false;
+      continue;
+    }
+
+    const body = m[2].trim();
+
+    if (body.startsWith('!')) continue;
+
+    if (body.startsWith('#')) {
+      const [kind, ...args] = splitArgs(body.slice(1));
+      if (!BLOCKS.has(kind)) throw new TemplateError(`Unknown block "#${kind}"`, line);
+      if (args.length !== 1) throw new TemplateError(`{{#${kind}}} takes exactly one argument`, line);
+      const node = { type: 'block', kind, expr: parseExpression(args[0], line), children: [], inverse: [], line };
+      frame.target.push(node);
+      stack.push({ node, target: node.children });
+      continue;
+    }
+
+    if (body === 'else') {
+      if (!frame.node) throw new TemplateError('{{else}} outside of a block', line);
+      frame.target = frame.node.inverse;
+      continue;
+    }
+
+    if (body.startsWith('/')) {
+      const kind = body.slice(1).trim();
+      if (!frame.node) throw new TemplateError(`Unexpected {{/${kind}}}`, line);
+      if (frame.node.kind !== kind) {
+        throw new TemplateError(`{{/${kind}}} closes {{#${frame.node.kind}}} opened on line ${frame.node.line}`, line);
+      }
+      stack.pop();
+      continue;
+    }
+
+    if (body.startsWith('>')) {
+      const [name, ...args] = splitArgs(body.slice(1));
+      if (!name) throw new TemplateError('Partial name missing', line);
+      const node = { type: 'partial', name, context: null, hash: {}, line };
+      for (const arg of args) {
+        const kv = arg.match(/^([\w-]+)=(.+)$/);
+        if (kv) {
+          node.hash[kv[1]] = kv[2].startsWith('"') ? { literal: parseLiteral(kv[2]) } : { path: parsePath(kv[2], line) };
+        } else if (!node.context) {
+          node.context = parsePath(arg, line);
+        } else {
+          throw new TemplateError(`Unexpected partial argument "${arg}"`, line);
+        }
+      }
+      frame.target.push(node);
+      continue;
+    }
+
+    frame.target.push({ type: 'var', expr: parseExpression(body, line), htmlContext: contextOf(html), source: body, line });
+    html.valueStart = false;
+  }
+
+  if (last < template.length) stack[stack.length - 1].target.push({ type: 'text', value: template.slice(last) });
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1].node;
+    throw new TemplateError(`Unclosed {{#${open.kind}}}`, open.line);
+  }
+  return root;
+}
+
+const cache = new Map();
+
+/**
+ * Parse (or fetch from cache) a template.
+ *
+ * @param {string} template
+ * @returns {object[]}
+ */
+function compile(template) {
+  let tree = cache.get(template);
+  if (!tree) {
+    tree = parse(template);
+    if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+    cache.set(template, tree);
+  }
+  return tree;
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+function lookup({ up, segments }, frames) {
+  const start = frames.length - 1 - up;
+  if (start < 0) return undefined;
+
+  const [head, ...rest] = segments;
+  let value;
+
+  if (typeof head === 'string' && head.startsWith('@')) {
+    for (let i = start; i >= 0; i--) {
+      if (frames[i].vars && head in frames[i].vars) { value = frames[i].vars[head]; break; }
+    }
+  } else if (head === 'this') {
+    value = frames[start].data;
+  } else {
+    for (let i = start; i >= 0; i--) {
+      const data = frames[i].data;
+      if (data !== null && typeof data === 'object' && head in data) { value = data[head]; break; }
+    }
+  }
+
+  for (const key of rest) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function evaluate(expr, frames) {
+  let value = lookup(expr.path, frames);
+  for (const filter of expr.filters) {
+    const args = filter.args.map(a => ('literal' in a ? a.literal : lookup(a.path, frames)));
+    value = FILTERS[filter.name](value, ...args);
+  }
+  return value;
+}
+
+function stringify(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(stringify).join(', ');
+  if (typeof value === 'object') return '';
+  return String(value);
+}
+
+function truthy(value) {
+  return !isEmpty(value) && value !== false && value !== 0;
+}
+
+function renderNodes(nodes, frames, options, depth) {
+  let out = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        out += node.value;
+        break;
+
+      case 'var': {
+        const value = stringify(evaluate(node.expr, frames));
+        out += node.raw ? value : options.escape(value, node);
+        break;
+      }
+
+      case 'block': {
+        const value = evaluate(node.expr, frames);
+        if (node.kind === 'if' || node.kind === 'unless') {
+          const pass = node.kind === 'if' ? truthy(value) : !truthy(value);
+          out += renderNodes(pass ? node.children : node.inverse, frames, options, depth);
+          break;
+        }
+        // each
+        const entries = Array.isArray(value)
+          ? value.map((v, i) => [i, v])
+          : value && typeof value === 'object' ? Object.entries(value) : [];
+        if (!entries.length) {
+          out += renderNodes(node.inverse, frames, options, depth);
+          break;
+        }
+        entries.forEach(([key, item], i) => {
+          const vars = {
+            '@index':  i,
+            '@number': i + 1,
+            '@first':  i === 0,
+            '@last':   i === entries.length - 1,
+            '@key':    key,
+          };
+          out += renderNodes(node.children, [...frames, { data: item, vars }], options, depth);
+        });
+        break;
+      }
+
+      case 'partial': {
+        const source = options.partials?.[node.name];
+        if (source === undefined) throw new TemplateError(`Unknown partial "${node.name}"`, node.line);
+        if (depth >= MAX_PARTIAL_DEPTH) throw new TemplateError(`Partials nested deeper than ${MAX_PARTIAL_DEPTH}`, node.line);
+
+        let context = node.context ? lookup(node.context, frames) : frames[frames.length - 1].data;
+        const hashKeys = Object.keys(node.hash);
+        if (hashKeys.length) {
+          const extra = {};
+          for (const key of hashKeys) {
+            const arg = node.hash[key];
+            extra[key] = 'literal' in arg ? arg.literal : lookup(arg.path, frames);
+          }
+          context = { ...(context && typeof context === 'object' ? context : {}), ...extra };
+        }
+        out += renderNodes(compile(source), [...frames, { data: context }], options, depth + 1);
+        break;
+      }
+
+      default:
+        throw new TemplateError(`Unknown node type "${node.type}"`);
+    }
+  }
+  return out;
+}
+
+/**
+ * Render a template with data.
+ *
+ * @param {string} template
+ * @param {object} data
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.partials]  Partial name → template source.
+ * @param {(value: string, node: object) => string} [options.escape]
+ *        Applied to every {{value}} after stringifying (not to {{{raw}}}).
+ *        Defaults to context-aware HTML escaping (escapeForContext); `node.htmlContext`
+ *        is one of 'text', 'attr', 'attr-unquoted', 'url', 'css', 'script', and
+ *        `node.source` is the token text, e.g. `userName | default "Anonymous"`.
+ * @returns {string}
+ */
+function render(template, data, options = {}) {
+  const opts = { partials: options.partials || {}, escape: options.escape || escapeForContext };
+  return renderNodes(compile(template), [{ data }], opts, 0);
+}
+
+/**
+ * Read every `*.html` file in a directory as a partial named after the file
+ * (`theme-card.html` → `{{> theme-card}}`). Returns {} if the directory is missing.
+ *
+ * @param {string} dir
+ * @returns {Object<string, string>}
+ */
+function loadPartials(dir) {
+  if (!fs.existsSync(dir)) return {};
+  const partials = {};
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (file.endsWith('.html')) {
+      partials[path.basename(file, '.html')] = fs.readFileSync(path.join(dir, file), 'utf-8');
+    }
+  }
+  return partials;
+}
+
+module.exports = { render, compile, parse, loadPartials, escapeForContext, TemplateError, FILTERS };
@@ -0,0 +1,211 @@
+'use strict';
+
+/**
+ * templateRegistry.js
+ *
+ * The report templates a caller can choose from. Each template is an HTML
+ * file in src/templates/ plus a manifest next to it (`<id>.json`):
+ *
+ *   {
+ *     "id":          "one-page-summary",
+ *     "title":       "One-Page Summary",
+ *     "description": "…",
+ *     "file":        "one-page-summary.html",
+ *     "pageSize":    "LETTER" | "A4" | "LEGAL",
+ *     "required":    ["characterName", …],    ReportData fields that must be present
+ *     "optional":    ["characterImageUrl", …], fields used when present
+ *     "limits":      { "themes": { "maxItems": 3 } },   tighter schema per field
+ *     "assets":      [{ "type": "stylesheet" | "image", "href"?, "field"? }]
+ *   }
+ *
+ * Every field a template uses must exist in src/schemas/reportData.schema.json;
+ * its per-template schema is that schema narrowed to the listed fields.
+ * Partials in src/templates/partials/ are shared by all templates.
+ *
+ * Manifests are read once, on first use. Template HTML and partials are
+ * read on every render, so templateVersion() changes as soon as one is saved.
+ */
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+
+const { REPORT_DATA_SCHEMA } = require('./reportValidator');
+const { loadPartials } = require('./templateEngine');
+
+const TEMPLATES_DIR    = path.join(__dirname, '..', 'templates');
+const PARTIALS_DIR     = path.join(TEMPLATES_DIR, 'partials');
+const DEFAULT_TEMPLATE = 'conversation-report';
+
+// Page sizes both backends understand → CSS `@page { size }` value
+const PAGE_SIZES = { LETTER: 'letter', A4: 'A4', LEGAL: 'legal' };
+
+const ASSET_TYPES = ['stylesheet', 'image'];
+
+let registry = null;
+
+/**
+ * Check a manifest and derive the template's data schema. Throws on the
+ * first problem so a broken template fails at startup, not per request.
+ *
+ * @param {object} manifest
+ * @param {string} source  Manifest file name, for error messages
+ * @returns {ReportTemplate}
+ */
+function buildTemplate(manifest, source) {
+  const fail = message => { throw new Error(`[templateRegistry] ${source}: ${message}`); };
+  const { id, title, description = '', file, pageSize = 'LETTER', required, optional = [], limits = {}, assets = [] } = manifest;
+
+  if (typeof id !== 'string' || !/^[a-z0-9-]+$/.test(id)) fail('id must be lowercase letters, digits and dashes');
+  if (typeof title !== 'string' || !title) fail('title is required');
+  if (typeof file !== 'string' || !file.endsWith('.html')) fail('file must name an .html template');
+  if (!Object.hasOwn(PAGE_SIZES, pageSize)) fail(`pageSize must be one of: ${Object.keys(PAGE_SIZES).join(', ')}`);
+  if (!Array.isArray(required) || !required.length) fail('required must be a non-empty array of fields');
+
+  const fields = [...required, ...optional];
+  for (const field of [...fields, ...Object.keys(limits)]) {
+    if (!Object.hasOwn(REPORT_DATA_SCHEMA.properties, field)) fail(`unknown ReportData field "${field}"`);
+  }
+  for (const asset of assets) {
+    if (!ASSET_TYPES.includes(asset.type)) fail(`asset type must be one of: ${ASSET_TYPES.join(', ')}`);
+    if (asset.field && !fields.includes(asset.field)) fail(`asset field "${asset.field}" is not one of the template's fields`);
+  }
+
+  const schema = {
+    title:       `ReportData (${id})`,
+    type:        'object',
+    required,
+    properties:  Object.fromEntries(fields.map(f => [f, { ...REPORT_DATA_SCHEMA.properties[f], ...limits[f] }])),
+    definitions: REPORT_DATA_SCHEMA.definitions,
+  };
+
+  return { id, title, description, file: path.join(TEMPLATES_DIR, file), pageSize, assets, schema };
+}
+
+function load() {
+  if (registry) return registry;
+  const templates = new Map();
+  for (const name of fs.readdirSync(TEMPLATES_DIR).filter(n => n.endsWith('.json')).sort()) {
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, name), 'utf-8'));
+    } catch (err) {
+      throw new Error(`[templateRegistry] ${name}: ${err.message}`);
+    }
+    const template = buildTemplate(manifest, name);
+    if (templates.has(template.id)) throw new Error(`[templateRegistry] ${name}: duplicate template id "${template.id}"`);
+    templates.set(template.id, template);
+  }
+  if (!templates.has(DEFAULT_TEMPLATE)) {
+    throw new Error(`[templateRegistry] Default template "${DEFAULT_TEMPLATE}" is missing`);
+  }
+  registry = templates;
+  return registry;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * @returns {ReportTemplate[]}  All templates, sorted by id.
+ */
+function listTemplates() {
+  return [...load().values()];
+}
+
+/**
+ * Look a template up by id.
+ *
+ * @param {string} [id]  Defaults to the conversation report.
+ * @returns {ReportTemplate}
+ * @throws {Error} for unknown ids
+ */
+function getTemplate(id = DEFAULT_TEMPLATE) {
+  const template = load().get(id);
+  if (!template) {
+    throw new Error(`[templateRegistry] Unknown template "${id}" (expected one of: ${[...load().keys()].join(', ')})`);
+  }
+  return template;
+}
+
+/**
+ * Check a caller-supplied template id. Returns an error message, or null.
+ *
+ * @param {*} id
+ * @returns {string|null}
+ */
+function validateTemplateId(id) {
+  if (typeof id === 'string' && load().has(id)) return null;
+  return `must be one of: ${[...load().keys()].join(', ')}`;
+}
+
+/**
+ * A digest of everything that shapes a template's output — its manifest,
+ * HTML and the shared partials. Used in cache keys.
+ *
+ * @param {string} [id]
+ * @returns {string}  16 hex characters
+ */
+function templateVersion(id = DEFAULT_TEMPLATE) {
+  const template = getTemplate(id);
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify(describeTemplate(template)));
+  hash.update(fs.readFileSync(template.file));
+  for (const [name, source] of Object.entries(loadPartials(PARTIALS_DIR))) hash.update(name).update(source);
+  return hash.digest('hex').slice(0, 16);
+}
+
+/**
+ * Check that every template can be rendered: the manifests load and each
+ * HTML file and the partials are readable. Used by GET /ready.
+ *
+ * @returns {{ ok: boolean, templates: number, problems: string[] }}
+ */
+function checkTemplates() {
+  let templates;
+  try {
+    templates = listTemplates();
+  } catch (err) {
+    return { ok: false, templates: 0, problems: [err.message] };
+  }
+  const problems = [];
+  for (const { id } of templates) {
+    try {
+      templateVersion(id);
+    } catch (err) {
+      problems.push(`${id}: ${err.message}`);
+    }
+  }
+  return { ok: !problems.length, templates: templates.length, problems };
+}
+
+/**
+ * The public description of a template, as listed by GET /api/templates.
+ *
+ * @param {ReportTemplate} template
+ * @returns {object}
+ */
+function describeTemplate({ id, title, description, pageSize, assets, schema }) {
+  return { id, title, description, pageSize, assets, schema };
+}
+
+/**
+ * @typedef {Object} ReportTemplate
+ * @property {string} id
+ * @property {string} title
+ * @property {string} description
+ * @property {string} file       Absolute path of the HTML template
+ * @property {'LETTER'|'A4'|'LEGAL'} pageSize
+ * @property {{ type: string, href?: string, field?: string }[]} assets
+ * @property {object} schema     JSON schema of the data the template renders
+ */
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  PAGE_SIZES,
+  listTemplates,
+  getTemplate,
+  validateTemplateId,
+  templateVersion,
+  checkTemplates,
+  describeTemplate,
+};
@@ -0,0 +1,444 @@
+'use strict';
+
+/**
+ * transcriptAnalyzer.js
+ *
+ * Pure-JS, no-network analysis of a HistorAI transcript. Produces every
+ * transcript-derived field of ReportData (summary, headline insight, themes,
+ * resources, reflection questions) from the conversation itself:
+ *
+ *   1. Parse    — split `User:` / `<Character>:` lines into turns and pair each
+ *                 user turn with the character reply that follows it.
+ *   2. Weigh    — TF-IDF over the exchanges (one document per exchange).
+ *   3. Cluster  — greedy agglomerative merge of the most similar exchanges
+ *                 (cosine over TF-IDF) until MAX_THEMES clusters remain. Short
+ *                 chats are first split at sentence boundaries so there are
+ *                 enough units to fill every theme.
+ *   4. Select   — each cluster becomes a theme named after its top keywords,
+ *                 with the most salient character sentence as its verbatim quote.
+ *   5. Compose  — summary from salient sentences; reflection questions and
+ *                 resources from templates filled with theme keywords.
+ *
+ * The output is deterministic: the same transcript always yields the same data.
+ */
+
+const MAX_THEMES          = 3;
+const MAX_QUESTIONS       = 5;
+const QUOTE_MIN_CHARS     = 30;
+const QUOTE_MAX_CHARS     = 220;
+const SUMMARY_HIGHLIGHTS  = 2;
+
+const USER_SPEAKERS = /^(user|you|me|student|guest)$/i;
+
+const STOPWORDS = new Set((
+  'a about above after again against all also am an and any are aren as at be because been before being ' +
+  'below between both but by can cannot could couldn did didn do does doesn doing don down during each even ' +
+  'ever every few for from further get got had hadn has hasn have haven having he her here hers herself him ' +
+  'himself his how however i if in into is isn it its itself just let like ll made make many may me might ' +
+  'more most much must my myself need never no nor not now of off on once one only or other ought our ours ' +
+  'ourselves out over own perhaps quite rather re really said same say says shall she should shouldn so some ' +
+  'something such than that the their theirs them themselves then there these they thing things think this ' +
+  'those though through to too under until up upon us ve very was wasn we were weren what when where which ' +
+  'while who whom why will with within without won would wouldn yes yet you your yours yourself yourselves ' +
+  'professor mr mrs ms sir madam well oh ah indeed sounds seems felt feel know knew want wanted tell told ' +
+  'way ways kind sort lot lots time times still always already enough'
+).split(/\s+/));
+
+// ── 1. Parse ──────────────────────────────────────────────────────────────────
+
+/**
+ * Split a transcript into speaker turns. A turn starts with `Speaker:` at the
+ * beginning of a line; following lines without a speaker prefix continue it.
+ *
+ * @param {string} transcript
+ * @returns {{ speaker: string, text: string, isUser: boolean }[]}
+ */
+function parseTurns(transcript) {
+  const turns = [];
+  for (const line of String(transcript || '').split(/\r?\n/)) {
+    const m = line.match(/^\s*([A-Z][\w .'-]{0,40}):\s*(.*)$/);
+    if (m) {
+      const speaker = m[1].trim();
+      turns.push({ speaker, text: m[2].trim(), isUser: USER_SPEAKERS.test(speaker) });
+    } else if (turns.length && line.trim()) {
+      turns[turns.length - 1].text += ` ${line.trim()}`;
+    }
+  }
+  return turns.filter(t => t.text);
+}
+
+/**
+ * Group turns into exchanges: a (possibly empty) user prompt followed by the
+ * character's reply. Consecutive character turns are joined into one reply.
+ *
+ * @param {{ speaker: string, text: string, isUser: boolean }[]} turns
+ * @returns {{ question: string, answer: string }[]}
+ */
+function toExchanges(turns) {
+  const exchanges = [];
+  let pendingQuestion = '';
+  for (const turn of turns) {
+    if (turn.isUser) {
+      pendingQuestion = pendingQuestion ? `${pendingQuestion} ${turn.text}` : turn.text;
+      continue;
+    }
+    const last = exchanges[exchanges.length - 1];
+    if (last && !pendingQuestion) {
+      last.answer += ` ${turn.text}`;
+    } else {
+      exchanges.push({ question: pendingQuestion, answer: turn.text });
+    }
+    pendingQuestion = '';
+  }
+  return exchanges;
+}
+
+function splitSentences(text) {
+  return (String(text).match(/[^.!?]+(?:[.!?]+["'”’)]*|$)/g) || [])
+    .map(s => s.replace(/\s+/g, ' ').trim())
+    .filter(s => /\w/.test(s));
+}
+
+/**
+ * Short conversations have fewer exchanges than themes. Split the longest
+ * replies in half at sentence boundaries until there are `target` units
+ * (or nothing left to split). The second half carries no user question.
+ *
+ * @param {{ question: string, answer: string }[]} exchanges
+ * @param {number} target
+ * @returns {{ question: string, answer: string }[]}
+ */
+function splitForThemes(exchanges, target) {
+  const units = exchanges.map(ex => ({ ...ex }));
+  while (units.length < target) {
+    let idx  = -1;
+    let most = 1;
+    units.forEach((u, i) => {
+      const n = splitSentences(u.answer).length;
+      if (n > most) { most = n; idx = i; }
+    });
+    if (idx === -1) break;
+
+    const sents = splitSentences(units[idx].answer);
+    const half  = Math.ceil(sents.length / 2);
+    units.splice(idx, 1,
+      { question: units[idx].question, answer: sents.slice(0, half).join(' ') },
+      { question: '',                  answer: sents.slice(half).join(' ') });
+  }
+  return units;
+}
+
+// ── 2. Weigh ──────────────────────────────────────────────────────────────────
+
+function normalizeTerm(word) {
+  let w = word.toLowerCase().replace(/^['’-]+|['’-]+$/g, '').replace(/['’]s$/, '');
+  if (w.length > 4 && w.endsWith('ies')) w = `${w.slice(0, -3)}y`;
+  else if (w.length > 3 && w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+  return w;
+}
+
+/**
+ * Tokenize text into normalized content terms, remembering a surface form of
+ * each term so theme names keep the transcript's own spelling.
+ *
+ * @param {string} text
+ * @param {Map<string, string>} [surface]
+ * @returns {string[]}
+ */
+function tokenize(text, surface) {
+  const words = String(text).match(/[\p{L}\p{N}][\p{L}\p{N}'’²³-]*/gu) || [];
+  const terms = [];
+  for (const word of words) {
+    const term = normalizeTerm(word);
+    if (term.length < 3 || STOPWORDS.has(term) || /^\d+$/.test(term)) continue;
+    // Prefer a lowercase spelling; keep capitals only for words never seen lowercase (names)
+    const form = word.replace(/['’]s$/, '');
+    if (surface && (!surface.has(term) || form === form.toLowerCase())) surface.set(term, form);
+    terms.push(term);
+  }
+  return terms;
+}
+
+function termFrequencies(terms) {
+  const tf = new Map();
+  for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+  return tf;
+}
+
+/**
+ * Build one TF-IDF vector per document. Uses smoothed IDF so terms that occur
+ * in every document still carry a small weight (important for short chats).
+ *
+ * @param {string[][]} docs  Tokenized documents.
+ * @returns {Map<string, number>[]}
+ */
+function tfidfVectors(docs) {
+  const df = new Map();
+  for (const doc of docs) {
+    for (const term of new Set(doc)) df.set(term, (df.get(term) || 0) + 1);
+  }
+  return docs.map(doc => {
+    const vec = new Map();
+    const tf  = termFrequencies(doc);
+    for (const [term, count] of tf) {
+      const idf = Math.log((1 + docs.length) / (1 + df.get(term))) + 1;
+      vec.set(term, (count / doc.length) * idf);
+    }
+    return vec;
+  });
+}
+
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (const [k, v] of a) {
+    na += v * v;
+    if (b.has(k)) dot += v * b.get(k);
+  }
+  for (const v of b.values()) nb += v * v;
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+function addVectors(a, b) {
+  const out = new Map(a);
+  for (const [k, v] of b) out.set(k, (out.get(k) || 0) + v);
+  return out;
+}
+
+// Ties keep first-occurrence order (Map insertion order + stable sort)
+function topTerms(vec, n) {
+  return [...vec.entries()]
+    .sort((x, y) => y[1] - x[1])
+    .slice(0, n)
+    .map(([term]) => term);
+}
+
+// ── 3. Cluster ────────────────────────────────────────────────────────────────
+
+/**
+ * Greedy agglomerative clustering: repeatedly merge the two most similar
+ * clusters until no more than maxClusters remain.
+ *
+ * @param {Map<string, number>[]} vectors
+ * @param {number} maxClusters
+ * @returns {{ members: number[], vector: Map<string, number> }[]}  In transcript order.
+ */
+function clusterVectors(vectors, maxClusters) {
+  let clusters = vectors.map((vector, i) => ({ members: [i], vector }));
+
+  while (clusters.length > maxClusters) {
+    let best = { sim: -1, i: -1, j: -1 };
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        const sim = cosine(clusters[i].vector, clusters[j].vector);
+        if (sim > best.sim) best = { sim, i, j };
+      }
+    }
+    const merged = {
+      members: [...clusters[best.i].members, ...clusters[best.j].members].sort((a, b) => a - b),
+      vector:  addVectors(clusters[best.i].vector, clusters[best.j].vector),
+    };
+    clusters = clusters.filter((_, k) => k !== best.i && k !== best.j);
+    clusters.push(merged);
+    clusters.sort((a, b) => a.members[0] - b.members[0]);
+  }
+
+  return clusters;
+}
+
+// ── 4. Select ─────────────────────────────────────────────────────────────────
+
+/**
+ * Score a sentence by the summed weight of its distinct terms, dampened by
+ * length so long run-on sentences do not always win.
+ */
+function sentenceScore(sentence, weights) {
+  const terms = [...new Set(tokenize(sentence))];
+  if (!terms.length) return 0;
+  const sum = terms.reduce((acc, t) => acc + (weights.get(t) || 0), 0);
+  return sum / Math.sqrt(terms.length);
+}
+
+function pickQuote(sentences, weights, exclude) {
+  const candidates = sentences.filter(s => !exclude.has(s));
+  const inRange = candidates.filter(s => s.length >= QUOTE_MIN_CHARS && s.length <= QUOTE_MAX_CHARS);
+  const pool = inRange.length ? inRange : candidates;
+  let best = null;
+  let bestScore = -1;
+  for (const s of pool) {
+    const score = sentenceScore(s, weights);
+    if (score > bestScore) { best = s; bestScore = score; }
+  }
+  return best;
+}
+
+function titleCase(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function joinList(items, conjunction = 'and') {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} ${conjunction} ${items[items.length - 1]}`;
+}
+
+// ── 5. Compose ────────────────────────────────────────────────────────────────
+
+const QUESTION_TEMPLATES = [
+  (c, t) => `${c} told you: "${t.quote}" Where do you see this idea at work in your own life?`,
+  (c, t) => `How has your thinking about ${t.keywords[0]} changed after this conversation with ${c}?`,
+  (c, t) => `If you had lived in ${c}'s time, how would you have approached ${t.keywords[0]}?`,
+  (c, t) => `Which of your own assumptions about ${t.keywords[0]} did this conversation challenge?`,
+  (c, t) => `What would you ask ${c} next about ${joinList(t.keywords.slice(0, 2))}?`,
+];
+
+function buildReflectionQuestions(characterName, themes) {
+  const questions = [];
+  for (let i = 0; questions.length < MAX_QUESTIONS && i < QUESTION_TEMPLATES.length * themes.length; i++) {
+    const theme = themes[i % themes.length];
+    const template = QUESTION_TEMPLATES[(i + Math.floor(i / themes.length)) % QUESTION_TEMPLATES.length];
+    const q = template(characterName, theme);
+    if (!questions.includes(q)) questions.push(q);
+  }
+  return questions;
+}
+
+function buildResources(characterName, themes) {
+  return themes.map(t => ({
+    topic:            t.name,
+    whyItMatters:
+      `${characterName} returned to ${joinList(t.keywords.slice(0, 3))} in your conversation; ` +
+      'understanding the history behind these ideas shows why they still matter today.',
+    whereToLearnMore:
+      `${characterName}'s own writings and letters on ${t.keywords[0]}; a library or encyclopedia ` +
+      `search for "${characterName} ${t.keywords.slice(0, 2).join(' ')}".`,
+  }));
+}
+
+/**
+ * Analyze a transcript and return the transcript-derived ReportData fields.
+ *
+ * @param {string} transcript
+ * @param {object} [options]
+ * @param {string} [options.characterName]  Used in generated prose. Defaults to the first non-user speaker.
+ * @param {string} [options.userName]       Used in generated prose. Defaults to "you".
+ * @returns {import('../services/extraction/ExtractionProvider').ExtractedContent}
+ */
+function analyzeTranscript(transcript, options = {}) {
+  const turns = parseTurns(transcript);
+  let exchanges = toExchanges(turns);
+  if (!exchanges.length) {
+    // Unlabelled text — treat the whole thing as one character monologue
+    const text = String(transcript || '').trim();
+    exchanges = text ? [{ question: '', answer: text }] : [];
+  }
+
+  const characterName = options.characterName
+    || turns.find(t => !t.isUser)?.speaker
+    || 'the character';
+
+  if (!exchanges.length) {
+    throw new Error('[transcriptAnalyzer] Transcript contains no analyzable text');
+  }
+
+  // ── Weigh ──
+  const units   = splitForThemes(exchanges, MAX_THEMES);
+  const surface = new Map();
+  const docs    = units.map(ex => tokenize(`${ex.question} ${ex.answer}`, surface));
+  const vectors = tfidfVectors(docs);
+  const global  = vectors.reduce(addVectors, new Map());
+
+  // Terms from the character's own name are not informative theme keywords
+  for (const t of tokenize(characterName)) global.delete(t);
+  const display = term => surface.get(term) || term;
+
+  // ── Cluster + select ──
+  const clusters = clusterVectors(vectors, MAX_THEMES);
+  const usedQuotes = new Set();
+
+  const themes = clusters.map(cluster => {
+    const vector = new Map(cluster.vector);
+    for (const t of tokenize(characterName)) vector.delete(t);
+
+    const keywords = topTerms(vector.size ? vector : global, 3).map(display);
+    const members  = cluster.members.map(i => units[i]);
+    const answerSentences = members.flatMap(ex => splitSentences(ex.answer));
+
+    const quote = pickQuote(answerSentences, vector, usedQuotes) || answerSentences[0] || members[0].answer;
+    usedQuotes.add(quote);
+
+    const questionText = members.map(ex => ex.question).find(Boolean);
+    const elaboration = answerSentences
+      .filter(s => s !== quote)
+      .map(s => ({ s, score: sentenceScore(s, vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 3)
+      .map(x => x.s);
+    // Keep elaboration sentences in the order they were spoken
+    elaboration.sort((a, b) => answerSentences.indexOf(a) - answerSentences.indexOf(b));
+
+    const explanation = questionText
+      ? `You asked, "${splitSentences(questionText).pop()}" — opening a discussion of ` +
+        `${joinList(keywords)}. ${characterName} ` +
+        (members.length === 1 ? 'answered' : 'came back to it more than once') +
+        `, with ${keywords[0]} as the central idea.`
+      : `${characterName} reflected on ${joinList(keywords)}, ` +
+        `with ${keywords[0]} as the central idea.`;
+
+    const context = elaboration.length
+      ? `In ${characterName}'s own words: ${elaboration.join(' ')}`
+      : `${characterName} raised this theme briefly; the quote above is the heart of it.`;
+
+    return {
+      name: keywords.slice(0, 2).map(titleCase).join(' & ') || 'The Conversation',
+      explanation,
+      quote,
+      context,
+      keywords,
+      weight: [...cluster.vector.values()].reduce((a, b) => a + b, 0),
+    };
+  });
+
+  // Present the heaviest themes first, but keep ties in transcript order
+  themes.sort((a, b) => b.weight - a.weight);
+
+  // ── Summary + headline ──
+  const characterSentences = exchanges.flatMap(ex => splitSentences(ex.answer));
+  const ranked = characterSentences
+    .map((s, i) => ({ s, i, score: sentenceScore(s, global) }))
+    .sort((a, b) => b.score - a.score || a.i - b.i);
+
+  const headlineCandidate = ranked.find(r => r.s.length >= QUOTE_MIN_CHARS && r.s.length <= 160) || ranked[0];
+  const headlineInsight = headlineCandidate ? headlineCandidate.s : themes[0].quote;
+
+  const highlights = ranked
+    .filter(r => r.s !== headlineInsight)
+    .slice(0, SUMMARY_HIGHLIGHTS)
+    .sort((a, b) => a.i - b.i)
+    .map(r => r.s);
+
+  const userLabel = options.userName ? options.userName : 'you';
+  const sessionSummary = [
+    `Over ${exchanges.length} exchange${exchanges.length === 1 ? '' : 's'}, ${userLabel} and ` +
+      `${characterName} explored ${themes.length === 1 ? 'one theme' : `${themes.length} themes`}: ` +
+      `${joinList(themes.map(t => t.name))}.`,
+    ...highlights.map((s, i) => (i === 0 ? `${characterName} observed: "${s}"` : `Later: "${s}"`)),
+  ].join(' ');
+
+  return {
+    sessionSummary,
+    headlineInsight,
+    themes:              themes.map(({ name, explanation, quote, context }) => ({ name, explanation, quote, context })),
+    resources:           buildResources(characterName, themes),
+    reflectionQuestions: buildReflectionQuestions(characterName, themes),
+  };
+}
+
+module.exports = {
+  analyzeTranscript,
+  parseTurns,
+  toExchanges,
+  splitForThemes,
+  splitSentences,
+  tokenize,
+  tfidfVectors,
+  clusterVectors,
+};
@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * webhook.js
+ *
+ * Signed webhook delivery for finished report jobs.
+ *
+ * Each POST carries the header
+ *
+ *   X-HistorAI-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+ *
+ * where the HMAC is computed with WEBHOOK_SECRET over `<t>.<raw body>`.
+ * Receivers should recompute it (see verifySignature) and reject requests
+ * whose timestamp is too old, which stops replayed deliveries.
+ *
+ * Webhook URLs come from API callers and the payload describes their
+ * report, so they must lead to a public address (see publicAddress.js):
+ * checked when the URL is submitted and again on every delivery, since a
+ * name can resolve differently by then.
+ *
+ * Env vars:
+ *   WEBHOOK_ALLOW_PRIVATE_HOSTS  true also delivers to loopback and private
+ *                                addresses — for local development (default: false)
+ */
+
+const crypto = require('crypto');
+const axios  = require('axios');
+
+const { componentLogger } = require('./logger');
+const { PrivateAddressError, checkPublicUrl, checkPublicHost, publicAgents } = require('./publicAddress');
+
+const log = componentLogger('webhook');
+
+const SIGNATURE_HEADER = 'X-HistorAI-Signature';
+const EVENT_HEADER     = 'X-HistorAI-Event';
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function hmac(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Build the signature header value for a raw request body.
+ *
+ * @param {string} body
+ * @param {string} secret
+ * @param {number} [timestamp]  Unix seconds (default: now)
+ * @returns {string}
+ */
+function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+}
+
+/**
+ * Check a signature header against a raw request body.
+ *
+ * @param {string} header      Value of X-HistorAI-Signature
+ * @param {string} body        Raw request body, exactly as received
+ * @param {string} secret
+ * @param {object} [options]
+ * @param {number} [options.toleranceSec=300]  Maximum age of the timestamp
+ * @param {number} [options.now]               Unix seconds (for tests)
+ * @returns {boolean}
+ */
+function verifySignature(header, body, secret, { toleranceSec = 300, now = Math.floor(Date.now() / 1000) } = {}) {
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map(p => p.trim().split('=', 2))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now - timestamp) > toleranceSec) return false;
+
+  const expected = Buffer.from(hmac(secret, timestamp, body), 'hex');
+  const given    = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function allowPrivateHosts() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+}
+
+/**
+ * Check a caller-supplied webhook URL. Returns an error message, or null
+ * when the URL is an absolute http(s) URL without embedded credentials
+ * whose host is not a non-public IP address. Host names are checked by
+ * checkWebhookHost().
+ *
+ * @param {*} value
+ * @param {{ allowPrivateHosts?: boolean }} [options]
+ * @returns {string|null}
+ */
+function validateWebhookUrl(value, { allowPrivateHosts: allowPrivate = allowPrivateHosts() } = {}) {
+  if (typeof value !== 'string') return 'must be a string';
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'is not a valid absolute URL';
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return `uses disallowed scheme "${url.protocol}"`;
+  if (url.username || url.password) return 'must not contain credentials';
+  if (!allowPrivate) {
+    try {
+      checkPublicUrl(value);
+    } catch (err) {
+      return `must lead to a public address (${err.message})`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a webhook URL that passed validateWebhookUrl() and check that
+ * its host name leads to public addresses only. A name that does not
+ * resolve right now is let through; delivery retries it.
+ *
+ * @param {string} value
+ * @param {{ allowPrivateHosts?: boolean }} [options]
+ * @returns {Promise<string|null>}  An error message, or null
+ */
+async function checkWebhookHost(value, { allowPrivateHosts: allowPrivate = allowPrivateHosts() } = {}) {
+  if (allowPrivate) return null;
+  try {
+    await checkPublicHost(value);
+    return null;
+  } catch (err) {
+    return err instanceof PrivateAddressError ? `must lead to a public address (${err.message})` : null;
+  }
+}
+
+/**
+ * POST a signed JSON payload, retrying on network errors and 5xx/429
+ * responses with exponential backoff. Never throws.
+ *
+ * @param {string} url
+ * @param {string} event      E.g. 'report.completed'
+ * @param {object} payload
+ * @param {object} options
+ * @param {string} options.secret
+ * @param {number} [options.attempts=3]
+ * @param {number} [options.backoffMs=1000]  Delay before the 2nd attempt; doubles each time
+ * @param {number} [options.timeoutMs=10000]
+ * @param {boolean} [options.allowPrivateHosts]  Default: WEBHOOK_ALLOW_PRIVATE_HOSTS
+ * @returns {Promise<{ ok: boolean, attempts: number, status?: number, error?: string }>}
+ */
+async function deliverWebhook(url, event, payload, {
+  secret, attempts = 3, backoffMs = 1_000, timeoutMs = 10_000, allowPrivateHosts: allowPrivate = allowPrivateHosts(),
+}) {
+  const body = JSON.stringify({ event, ...payload });
+  let lastError;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      if (!allowPrivate) checkPublicUrl(url);
+      const res = await axios.post(url, body, {
+        headers: {
+          'Content-Type':   'application/json',
+          [EVENT_HEADER]:     event,
+          [SIGNATURE_HEADER]: signPayload(body, secret),
+        },
+        timeout:        timeoutMs,
+        maxRedirects:   0,
+        validateStatus: () => true,
+        ...(!allowPrivate && publicAgents),
+      });
+      if (res.status >= 200 && res.status < 300) {
+        log.info(`${event} delivered to ${url} (HTTP ${res.status}, attempt ${attempt})`);
+        return { ok: true, attempts: attempt, status: res.status };
+      }
+      lastError = `HTTP ${res.status}`;
+      if (res.status < 500 && res.status !== 429) {
+        // The receiver rejected the payload — retrying will not help
+        log.warn(`${event} rejected by ${url}: ${lastError}`);
+        return { ok: false, attempts: attempt, status: res.status, error: lastError };
+      }
+    } catch (err) {
+      lastError = err.message;
+      if (err instanceof PrivateAddressError || err.cause instanceof PrivateAddressError) {
+        // The address will not become public by retrying
+        log.warn(`${event} not sent to ${url}: ${lastError}`);
+        return { ok: false, attempts: attempt, error: lastError };
+      }
+    }
+
+    log.warn(`${event} to ${url} failed (attempt ${attempt}/${attempts}): ${lastError}`);
+    if (attempt < attempts) await sleep(backoffMs * 2 ** (attempt - 1));
+  }
+
+  return { ok: false, attempts, error: lastError };
+}
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  validateWebhookUrl,
+  checkWebhookHost,
+  deliverWebhook,
+  SIGNATURE_HEADER,
+  EVENT_HEADER,
+};
@@ -0,0 +1,232 @@
+'use strict';
+
+/**
+ * yaml.js
+ *
+ * A reader for the YAML subset hand-written config files use (character
+ * profiles in config/characters/):
+ *
+ *   key: value                  mappings, nested by indentation
+ *   - item                      sequences, of scalars or of mappings
+ *   key: [a, "b, c"]            flow sequences of scalars; [] and {}
+ *   text: |  /  text: >         literal and folded block scalars (with - / + chomping)
+ *   "quoted" / 'quoted'         strings; plain scalars true, false, null, ~ and
+ *                               numbers become booleans, null and numbers
+ *   # comment                   full-line and trailing comments; a leading ---
+ *
+ * Anchors, tags, multi-document streams and nested flow collections are
+ * not supported and are reported as errors rather than misread.
+ */
+
+class YamlError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} line  1-based
+   */
+  constructor(message, line) {
+    super(`line ${line}: ${message}`);
+    this.name = 'YamlError';
+    this.line = line;
+  }
+}
+
+const KEY_RE = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#&*!|>[\]{}-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+|$)/;
+const BLOCK_RE = /^([|>])([+-]?)\s*(?:#.*)?$/;
+
+const indentOf = text => text.length - text.trimStart().length;
+const isBlank  = text => !text.trim() || /^\s*#/.test(text);
+
+/** A plain scalar with a trailing comment removed. */
+function stripComment(text) {
+  const m = /\s#/.exec(text);
+  return (m ? text.slice(0, m.index) : text).trim();
+}
+
+/**
+ * The length of the quoted string at the start of `text`, or -1 when it is
+ * not closed.
+ */
+function quotedLength(text) {
+  const quote = text[0];
+  for (let i = 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') i++;
+    else if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") i++;
+      else return i + 1;
+    }
+  }
+  return -1;
+}
+
+function unquote(text, line) {
+  if (text[0] === "'") return text.slice(1, -1).replace(/''/g, "'");
+  try {
+    return JSON.parse(text.replace(/\\'/g, "'").replace(/\t/g, '\\t'));
+  } catch {
+    throw new YamlError(`invalid escape in ${text}`, line);
+  }
+}
+
+function plainScalar(text) {
+  if (text === '' || text === '~' || text === 'null') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (/^[-+]?(\d[\d_]*)(\.\d+)?([eE][-+]?\d+)?$/.test(text)) return Number(text.replace(/_/g, ''));
+  return text;
+}
+
+/** A scalar or flow collection written on one line after `key:` or `- `. */
+function inlineValue(text, line) {
+  if (text[0] === '"' || text[0] === "'") {
+    const end = quotedLength(text);
+    if (end === -1) throw new YamlError('unterminated quoted string', line);
+    const rest = text.slice(end).trim();
+    if (rest && !rest.startsWith('#')) throw new YamlError(`unexpected text after quoted string: ${rest}`, line);
+    return unquote(text.slice(0, end), line);
+  }
+  if (text[0] === '[' || text[0] === '{') return flowValue(stripComment(text), line);
+  if (/^[&*!]/.test(text)) throw new YamlError('anchors, aliases and tags are not supported', line);
+  return plainScalar(stripComment(text));
+}
+
+function flowValue(text, line) {
+  if (text === '{}') return {};
+  if (text[0] === '{') throw new YamlError('flow mappings are not supported; use an indented mapping', line);
+  if (!text.endsWith(']')) throw new YamlError('unterminated flow sequence', line);
+  const body = text.slice(1, -1).trim();
+  if (!body) return [];
+
+  const items = [];
+  let rest = body;
+  while (rest) {
+    let item;
+    if (rest[0] === '"' || rest[0] === "'") {
+      const end = quotedLength(rest);
+      if (end === -1) throw new YamlError('unterminated quoted string', line);
+      item = unquote(rest.slice(0, end), line);
+      rest = rest.slice(end).trim();
+    } else {
+      if (rest[0] === '[' || rest[0] === '{') throw new YamlError('nested flow collections are not supported', line);
+      const comma = rest.indexOf(',');
+      item = plainScalar((comma === -1 ? rest : rest.slice(0, comma)).trim());
+      rest = comma === -1 ? '' : rest.slice(comma);
+    }
+    items.push(item);
+    if (rest && rest[0] !== ',') throw new YamlError(`expected "," in flow sequence, got ${rest}`, line);
+    rest = rest.slice(1).trim();
+  }
+  return items;
+}
+
+/**
+ * Parse a YAML document (see the module comment for the subset).
+ *
+ * @param {string} source
+ * @returns {*}
+ * @throws {YamlError}
+ */
+function parseYaml(source) {
+  const lines = String(source).replace(/^\uFEFF/, '').split(/\r?\n/);
+  let pos = 0;
+
+  const nextLine = () => {
+    while (pos < lines.length && isBlank(lines[pos])) pos++;
+    return pos < lines.length ? lines[pos] : null;
+  };
+  const isItem = text => /^-(\s|$)/.test(text.trimStart());
+
+  while (nextLine() !== null && /^---\s*(#.*)?$/.test(lines[pos])) pos++;
+  if (nextLine() === null) return null;
+  if (/^\t/.test(lines[pos])) throw new YamlError('tabs cannot be used for indentation', pos + 1);
+
+  function blockScalar(header, parentIndent) {
+    const [, style, chomp] = header;
+    const body = [];
+    let indent = null;
+    while (pos < lines.length) {
+      const text = lines[pos];
+      if (text.trim()) {
+        if (indent === null) indent = indentOf(text);
+        if (indentOf(text) < indent || indent <= parentIndent) break;
+      }
+      body.push(text.trim() ? text.slice(indent) : '');
+      pos++;
+    }
+    let trailing = 0;
+    while (body.length && body[body.length - 1] === '') { body.pop(); trailing++; }
+
+    let value = style === '|'
+      ? body.join('\n')
+      : body.reduce((out, text, i) => {
+        if (i === 0) return text;
+        if (text === '') return `${out}\n`;
+        return out.endsWith('\n') || /^\s/.test(text) ? out + text : `${out} ${text}`;
+      }, '');
+    if (chomp === '+') value += '\n'.repeat(trailing + 1);
+    else if (chomp !== '-' && body.length) value += '\n';
+    return value;
+  }
+
+  // The value after `key:` or `- `, which may open a nested block
+  function valueAfter(rest, indent, line) {
+    const header = BLOCK_RE.exec(rest);
+    if (header) return blockScalar(header, indent);
+    if (rest && !rest.startsWith('#')) return inlineValue(rest, line);
+
+    const next = nextLine();
+    if (next === null) return null;
+    const nextIndent = indentOf(next);
+    if (nextIndent > indent || (nextIndent === indent && isItem(next))) return node(nextIndent);
+    return null;
+  }
+
+  function node(indent) {
+    return isItem(lines[pos]) ? sequence(indent) : mapping(indent);
+  }
+
+  function sequence(indent) {
+    const items = [];
+    while (nextLine() !== null && indentOf(lines[pos]) === indent && isItem(lines[pos])) {
+      const line = pos + 1;
+      const text = lines[pos].slice(indent + 1);
+      const rest = text.trimStart();
+      if (KEY_RE.test(rest)) {
+        // `- key: value` starts a mapping indented to the key
+        const keyIndent = indent + 1 + (text.length - rest.length);
+        lines[pos] = ' '.repeat(keyIndent) + rest;
+        items.push(mapping(keyIndent));
+      } else {
+        pos++;
+        items.push(valueAfter(rest.trim(), indent, line));
+      }
+    }
+    return items;
+  }
+
+  function mapping(indent) {
+    const out = {};
+    while (nextLine() !== null && indentOf(lines[pos]) === indent && !isItem(lines[pos])) {
+      const line = pos + 1;
+      const text = lines[pos].trim();
+      const m = KEY_RE.exec(text);
+      if (!m) throw new YamlError(`expected "key: value", got ${text}`, line);
+      const key = /^["']/.test(m[1]) ? unquote(m[1], line) : m[1];
+      if (Object.hasOwn(out, key)) throw new YamlError(`duplicate key "${key}"`, line);
+      pos++;
+      out[key] = valueAfter(text.slice(m[0].length).trim(), indent, line);
+    }
+    return out;
+  }
+
+  const indent = indentOf(lines[pos]);
+  const root = node(indent);
+  if (nextLine() !== null) {
+    throw new YamlError(
+      /^---/.test(lines[pos]) ? 'multiple documents are not supported' : `unexpected indentation: ${lines[pos].trim()}`,
+      pos + 1
+    );
+  }
+  return root;
+}
+
+module.exports = { parseYaml, YamlError };
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * zip.js
+ *
+ * Writes ZIP archives in memory — enough for bundling a batch's PDFs and
+ * its manifest for download, and for the EPUB and DOCX containers
+ * (src/services/renderers/). Entries are deflated unless that makes them
+ * larger (PDFs are mostly compressed already) or they ask to be stored,
+ * names are stored as UTF-8, and there is no ZIP64: archives stay under
+ * 65,535 entries and 4 GiB.
+ */
+
+const zlib = require('zlib');
+
+const STORE   = 0;
+const DEFLATE = 8;
+const UTF8_NAMES = 0x0800;
+const MAX_ENTRIES = 0xffff;
+const MAX_BYTES   = 0xffffffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * @param {Buffer} data
+ * @returns {number}  CRC-32 as an unsigned integer
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** MS-DOS date and time fields (local time, 2-second resolution). */
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Build a ZIP archive.
+ *
+ * @param {{ name: string, data: Buffer|string, date?: Date, store?: boolean }[]} entries
+ *        `name` may contain `/` for folders; strings are written as UTF-8;
+ *        `store` writes the entry uncompressed (EPUB's `mimetype` must be)
+ * @returns {Buffer}
+ */
+function createZip(entries) {
+  if (entries.length > MAX_ENTRIES) throw new Error(`[zip] Too many entries (${entries.length}, max ${MAX_ENTRIES})`);
+
+  const chunks  = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf-8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf-8');
+    const deflated = entry.store ? data : zlib.deflateRawSync(data);
+    const [method, body] = deflated.length < data.length ? [DEFLATE, deflated] : [STORE, data];
+    const { time, date } = dosDateTime(entry.date || new Date());
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);              // version needed
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);              // extra field length
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4);             // version made by
+    header.writeUInt16LE(20, 6);             // version needed
+    header.writeUInt16LE(UTF8_NAMES, 8);
+    header.writeUInt16LE(method, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(body.length, 20);
+    header.writeUInt32LE(data.length, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt32LE(offset, 42);        // extra, comment, disk, attributes stay 0
+
+    chunks.push(local, name, body);
+    central.push(header, name);
+    offset += local.length + name.length + body.length;
+    if (offset > MAX_BYTES) throw new Error('[zip] Archive would exceed 4 GiB');
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...chunks, directory, end]);
+}
+
+module.exports = { createZip, crc32 };
@@ -0,0 +1,277 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const http   = require('http');
+
+const { AssetPipeline, placeholderUrl, placeholderPortrait, sniffType, imageSize } = require('../src/services/assets');
+const { decodePng, encodePng, resizeImage } = require('../src/utils/png');
+const { MemoryCacheStore } = require('../src/services/cache');
+const PdfService = require('../src/services/PdfService');
+const { isPublicAddress } = require('../src/utils/publicAddress');
+
+// The test servers listen on 127.0.0.1; the public-address check has its own test
+process.env.ASSET_ALLOW_PRIVATE_HOSTS = 'true';
+
+// 1×1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+// SOI, a JFIF APP0 segment and a baseline frame header for a 300×200 image
+const JPEG = Buffer.from(
+  'ffd8ffe000104a46494600010100000100010000' +
+  'ffc0001108' + '00c8' + '012c' + '03012200021101031101' +
+  'ffd9',
+  'hex'
+);
+
+function gradient(width, height) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set([(x * 255) / width, (y * 255) / height, 128, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+const FONT = Buffer.concat([Buffer.from([0, 1, 0, 0]), Buffer.alloc(60, 7)]);
+
+const ROUTES = {
+  '/portrait.png': ['image/png', encodePng(gradient(1200, 800))],
+  '/portrait.jpg': ['image/jpeg', JPEG],
+  '/animated.gif': ['image/gif', Buffer.from('GIF89a\x01\x00\x01\x00\x00\x00\x00;', 'latin1')],
+  '/disguised.png': ['image/png', Buffer.from('<html>Not found</html>')],
+  '/damaged.png': ['image/png', Buffer.concat([PNG.subarray(0, 40), Buffer.alloc(8)])],
+  '/fonts.css': ['text/css', Buffer.from("@font-face { font-family: 'Mynerve'; src: url(/files/mynerve.ttf) format('truetype'); }\n.x::after { content: '</style>'; }")],
+  '/files/mynerve.ttf': ['font/ttf', FONT],
+  '/too-many.css': ['text/css', Buffer.from(Array.from({ length: 20 }, (_, i) => `.f${i} { background: url(/f${i}.png); }`).join('\n'))],
+};
+
+async function startServer() {
+  const hits = {};
+  const server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    const route = ROUTES[req.url];
+    if (!route) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': route[0] }).end(route[1]);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, hits, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+// Collects warnings; componentLogger() children write to the same list
+function quietLogger() {
+  const lines = [];
+  const log = { child: () => log, debug() {}, info() {}, warn: msg => lines.push(msg), error: msg => lines.push(msg) };
+  return { log, lines };
+}
+
+const decodeDataUri = uri => Buffer.from(uri.split(',')[1], 'base64');
+
+// ── PNG ───────────────────────────────────────────────────────────────────────
+
+test('PNGs round-trip through the codec and downscale by area averaging', () => {
+  const image = gradient(40, 20);
+  assert.deepEqual(decodePng(encodePng(image)), image);
+
+  const half = resizeImage(image, 20, 10);
+  assert.equal(half.data.length, 20 * 10 * 4);
+  // Each output pixel averages a 2×2 block
+  assert.deepEqual([...half.data.subarray(0, 4)], [Math.round((0 + 6) / 2), Math.round((0 + 12) / 2), 128, 255]);
+
+  // Transparent pixels do not darken their neighbours
+  const edge = resizeImage({ width: 2, height: 1, data: Buffer.from([255, 0, 0, 255, 0, 0, 0, 0]) }, 1, 1);
+  assert.deepEqual([...edge.data], [255, 0, 0, 128]);
+
+  assert.deepEqual([...decodePng(PNG).data], [0, 255, 0, 127]);
+  assert.throws(() => decodePng(Buffer.from(PNG).fill(0xff, 44, 46)), /bad CRC in IDAT chunk/);
+  assert.throws(() => decodePng(PNG.subarray(0, 50)), /truncated IDAT chunk/);
+});
+
+test('types are sniffed from the bytes and sizes read from the headers', () => {
+  assert.equal(sniffType(PNG), 'image/png');
+  assert.equal(sniffType(JPEG), 'image/jpeg');
+  assert.equal(sniffType(ROUTES['/animated.gif'][1]), 'image/gif');
+  assert.equal(sniffType(FONT), 'font/ttf');
+  assert.equal(sniffType(Buffer.from('wOF2....')), 'font/woff2');
+  assert.equal(sniffType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), null);
+
+  assert.deepEqual(imageSize(JPEG, 'image/jpeg'), { width: 300, height: 200 });
+  assert.deepEqual(imageSize(PNG, 'image/png'), { width: 1, height: 1 });
+  assert.throws(() => imageSize(JPEG.subarray(0, 20), 'image/jpeg'), /damaged JPEG/);
+});
+
+test('the placeholder portrait is a silhouette on the report background', () => {
+  const image = decodePng(placeholderPortrait());
+  assert.equal(image.width, 256);
+  const pixel = (x, y) => [...image.data.subarray((y * 256 + x) * 4, (y * 256 + x) * 4 + 3)];
+  assert.deepEqual(pixel(5, 5), [0xe8, 0xf1, 0xf8]);
+  assert.deepEqual(pixel(128, 97), [0x9a, 0xae, 0xc4]);  // head
+  assert.deepEqual(pixel(128, 250), [0x9a, 0xae, 0xc4]); // shoulders
+  assert.equal(placeholderUrl(), `data:image/png;base64,${placeholderPortrait().toString('base64')}`);
+});
+
+// ── Images ────────────────────────────────────────────────────────────────────
+
+test('portraits are fetched, resized and embedded; unusable ones become the placeholder', async () => {
+  const { server, hits, base } = await startServer();
+  const { log, lines } = quietLogger();
+  const pipeline = new AssetPipeline({ store: new MemoryCacheStore(), imageMaxPx: 300, maxInlineBytes: 64 * 1024 });
+  try {
+    const png = await pipeline.embedImage(`${base}/portrait.png`, { log });
+    assert.match(png, /^data:image\/png;base64,/);
+    const resized = decodePng(decodeDataUri(png));
+    assert.deepEqual([resized.width, resized.height], [300, 200]);
+
+    assert.equal(await pipeline.embedImage(`${base}/portrait.jpg`, { log }), `data:image/jpeg;base64,${JPEG.toString('base64')}`);
+    assert.equal(await pipeline.embedImage(`data:image/png;base64,${PNG.toString('base64')}`, { log }), `data:image/png;base64,${PNG.toString('base64')}`);
+
+    // Each substitution is reported, except the one asked for with fetch: false
+    const events = [];
+    const onProgress = event => events.push(event);
+    for (const path of ['/animated.gif', '/disguised.png', '/damaged.png', '/missing.png']) {
+      assert.equal(await pipeline.embedImage(`${base}${path}`, { onProgress, log }), placeholderUrl(), path);
+    }
+    assert.equal(await pipeline.embedImage('/relative.png', { onProgress, log }), placeholderUrl());
+    assert.equal(await pipeline.embedImage(`${base}/portrait.png`, { fetch: false, onProgress, log }), placeholderUrl());
+    assert.equal(events.length, 5);
+    assert.deepEqual(events[0], { stage: 'assets', message: 'Image unavailable — using placeholder', placeholder: true });
+    assert.match(lines[0], /animated\.gif unavailable \(image\/gif is not supported \(use PNG or JPEG\)\) — using placeholder/);
+    assert.match(lines[1], /disguised\.png unavailable \(not an image\)/);
+    assert.match(lines[3], /missing\.png unavailable \(HTTP 404\)/);
+
+    // Over the inline limit after resizing
+    const strict = new AssetPipeline({ store: new MemoryCacheStore(), maxInlineBytes: 40 });
+    assert.equal(await strict.embedImage(`${base}/portrait.jpg`, { log }), placeholderUrl());
+    assert.match(lines.at(-1), /JPEG is 41 bytes \(limit 40 bytes\)/);
+
+    // Successes and failures are both cached
+    await pipeline.embedImage(`${base}/portrait.png`, { log });
+    await pipeline.embedImage(`${base}/missing.png`, { log });
+    assert.equal(hits['/portrait.png'], 1);
+    assert.equal(hits['/missing.png'], 1);
+    assert.match(lines.at(-1), /HTTP 404 \(cached\)/);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('private, loopback and metadata addresses get the placeholder without a request', async () => {
+  for (const address of ['8.8.8.8', '2606:4700:4700::1111', '::ffff:808:808']) assert.ok(isPublicAddress(address), address);
+  for (const address of ['172.20.1.1', '100.64.0.1', '::1', 'fd00::1', 'fe80::1', '::ffff:7f00:1', 'example.com']) {
+    assert.ok(!isPublicAddress(address), address);
+  }
+
+  const { server, hits, base } = await startServer();
+  const { log, lines } = quietLogger();
+  const pipeline = new AssetPipeline({ store: new MemoryCacheStore(), allowPrivateHosts: false });
+  const port = new URL(base).port;
+  try {
+    for (const src of [
+      `${base}/portrait.png`,
+      `http://localhost:${port}/portrait.png`,
+      `http://[::ffff:127.0.0.1]:${port}/portrait.png`,
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.0.0.8/portrait.png',
+    ]) {
+      assert.equal(await pipeline.embedImage(src, { log }), placeholderUrl(), src);
+    }
+    assert.deepEqual(hits, {});
+    assert.match(lines[0], /127\.0\.0\.1 is not a public address/);
+    assert.match(lines[1], /localhost resolves to .*, which is not a public address/);
+    assert.match(lines[3], /169\.254\.169\.254 is not a public address/);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('redirects are followed by hand and each hop is checked', async () => {
+  const { server, hits, base } = await startServer();
+  const { log, lines } = quietLogger();
+  const redirects = http.createServer((req, res) => {
+    const to = { '/one': `${base}/portrait.png`, '/loop': '/loop', '/file': 'file:///etc/passwd' }[req.url];
+    res.writeHead(302, { Location: to }).end();
+  });
+  await new Promise(resolve => redirects.listen(0, '127.0.0.1', resolve));
+  const from = `http://127.0.0.1:${redirects.address().port}`;
+  const pipeline = new AssetPipeline({ store: new MemoryCacheStore() });
+  try {
+    assert.match(await pipeline.embedImage(`${from}/one`, { log }), /^data:image\/png;base64,/);
+    assert.equal(hits['/portrait.png'], 1);
+    assert.equal(await pipeline.embedImage(`${from}/loop`, { log }), placeholderUrl());
+    assert.match(lines.at(-1), /more than 3 redirects/);
+    assert.equal(await pipeline.embedImage(`${from}/file`, { log }), placeholderUrl());
+    assert.match(lines.at(-1), /redirected to file:\/\/\/etc\/passwd, which is not an http\(s\) URL/);
+  } finally {
+    await new Promise(resolve => redirects.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('reports embed the template\'s image fields before rendering', async () => {
+  const { server, base } = await startServer();
+  const { log } = quietLogger();
+  const data = {
+    characterName:       'Ada Lovelace',
+    characterTagline:    'Mathematician',
+    characterBirthYear:  '1815',
+    characterDeathYear:  '1852',
+    characterBio:        'Bio.',
+    characterImageUrl:   `${base}/portrait.png`,
+    characterFacts:      ['Fact.'],
+    sessionDate:         'March 1, 2026',
+    sessionDuration:     '10 minutes',
+    userName:            'Guest',
+    sessionSummary:      'Summary.',
+    headlineInsight:     'Insight.',
+    themes:              [{ name: 'T', explanation: 'E', quote: 'Q', context: 'C' }],
+    resources:           [{ topic: 'T', whyItMatters: 'W', whereToLearnMore: 'L' }],
+    reflectionQuestions: ['One?', 'Two?', 'Three?'],
+  };
+  try {
+    const html = await new PdfService()._prepareDocument(data, 'conversation-report', { log });
+    assert.match(html, /<img class="hero-image" src="data:image\/png;base64,/);
+    assert.doesNotMatch(html, new RegExp(base));
+
+    // No portrait stays no portrait
+    const none = await new PdfService()._prepareDocument({ ...data, characterImageUrl: '' }, 'conversation-report', { log });
+    assert.doesNotMatch(none, /hero-image"/);
+
+    await assert.rejects(
+      new PdfService()._prepareDocument({ ...data, themes: undefined }, 'conversation-report', { log }),
+      err => err.name === 'ReportValidationError'
+    );
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+// ── Stylesheets ───────────────────────────────────────────────────────────────
+
+test('stylesheets are inlined with their fonts, or dropped when they cannot be', async () => {
+  const { server, base } = await startServer();
+  const { log, lines } = quietLogger();
+  const pipeline = new AssetPipeline({ store: new MemoryCacheStore() });
+  const page = href => `<head>\n  <link href="${href}" rel="stylesheet" />\n</head>`;
+  try {
+    const html = await pipeline.inlineStylesheet(page(`${base}/fonts.css`), `${base}/fonts.css`, { log });
+    assert.doesNotMatch(html, /<link/);
+    assert.ok(html.includes(`src: url(data:font/ttf;base64,${FONT.toString('base64')}) format('truetype')`));
+    assert.ok(html.includes("content: '<\\/style>'"));
+
+    const missing = await pipeline.inlineStylesheet(page(`${base}/missing.css`), `${base}/missing.css`, { log });
+    assert.equal(missing, '<head>\n  \n</head>');
+    assert.match(lines.at(-1), /missing\.css unavailable \(HTTP 404\) — using fallback fonts/);
+
+    await pipeline.inlineStylesheet(page(`${base}/too-many.css`), `${base}/too-many.css`, { log });
+    assert.match(lines.at(-1), /references 20 files \(at most 16 are inlined\)/);
+
+    // A page without the link is left alone
+    assert.equal(await pipeline.inlineStylesheet('<p>x</p>', `${base}/fonts.css`, { log }), '<p>x</p>');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,232 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const {
+  ApiKeyStore,
+  RateLimiter,
+  UsageTracker,
+  createAuth,
+  hashApiKey,
+  generateApiKey,
+  nextMonthStart,
+} = require('../src/services/auth');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'historai-auth-'));
+
+const KEYS = {
+  admin:  generateApiKey(),
+  tenant: generateApiKey(),
+  viewer: generateApiKey(),
+  school: generateApiKey(),
+  trial:  generateApiKey(),
+};
+
+const REQUEST = {
+  transcript: [
+    'User: Why did you keep notes on the Analytical Engine?',
+    'Ada Lovelace: Because the engine weaves algebraic patterns just as the Jacquard loom weaves flowers and leaves.',
+  ].join('\n'),
+  characterName: 'Ada Lovelace',
+  characterMetadata: { tagline: 'T', birthYear: '1815', deathYear: '1852', bio: 'B', facts: ['F'] },
+};
+
+function writeKeys(file, keys) {
+  fs.writeFileSync(file, JSON.stringify({ keys }));
+  return file;
+}
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// ── Key store ─────────────────────────────────────────────────────────────────
+
+test('the key store matches keys by hash and applies default limits', () => {
+  const file = writeKeys(path.join(dir, 'keys.json'), [
+    { id: 'acme', tenant: 'Acme Academy', hash: hashApiKey(KEYS.tenant) },
+    { id: 'old', hash: hashApiKey(KEYS.viewer), disabled: true, monthlyReportQuota: null },
+  ]);
+  const store = new ApiKeyStore({ file, defaultRateLimit: 30, defaultQuota: 100 }).load();
+
+  assert.match(KEYS.tenant, /^hai_[\w-]{43}$/);
+  assert.deepEqual(store.find(KEYS.tenant), {
+    id: 'acme', tenant: 'Acme Academy', hash: hashApiKey(KEYS.tenant),
+    rateLimitPerMinute: 30, monthlyReportQuota: 100, admin: false, disabled: false,
+  });
+  assert.equal(store.find(KEYS.viewer), null);
+  assert.equal(store.get('old').monthlyReportQuota, null);
+  assert.equal(store.find('hai_wrong'), null);
+  assert.equal(store.find(undefined), null);
+  assert.doesNotMatch(fs.readFileSync(file, 'utf-8'), new RegExp(KEYS.tenant));
+});
+
+test('a malformed key file fails to load with the offending key', () => {
+  const load = keys => () => new ApiKeyStore({ file: writeKeys(path.join(dir, 'bad.json'), keys) }).load();
+  assert.throws(load([{ id: 'a', hash: 'plain-text-key' }]), /key "a": hash must be "sha256:<64 hex digits>"/);
+  assert.throws(
+    load([{ id: 'a', hash: hashApiKey('x') }, { id: 'a', hash: hashApiKey('y') }]),
+    /duplicate key id "a"/
+  );
+  assert.throws(load([{ id: 'a', hash: hashApiKey('x'), rateLimitPerMinute: 0 }]), /rateLimitPerMinute must be a positive integer/);
+  assert.throws(load([{ id: 'a', hash: hashApiKey('x'), monthlyReportQuota: -1 }]), /monthlyReportQuota must be/);
+});
+
+// ── Limits ────────────────────────────────────────────────────────────────────
+
+test('the rate limiter allows a burst, then one request per refill interval', () => {
+  const limiter = new RateLimiter();
+  const t0 = 1_000_000;
+  assert.deepEqual(limiter.take('a', 2, t0), { ok: true, remaining: 1, retryAfterSec: 0 });
+  assert.equal(limiter.take('a', 2, t0).ok, true);
+  assert.deepEqual(limiter.take('a', 2, t0 + 10_000), { ok: false, remaining: 0, retryAfterSec: 20 });
+  assert.equal(limiter.take('a', 2, t0 + 30_000).ok, true);
+  // Keys have separate buckets
+  assert.equal(limiter.take('b', 2, t0 + 30_000).ok, true);
+});
+
+test('usage is counted per key and month and survives a restart', async () => {
+  const file = path.join(dir, 'usage.json');
+  const usage = new UsageTracker({ file });
+  const october = Date.UTC(2026, 9, 31, 23, 59);
+  usage.record('acme', 'requests', october);
+  usage.record('acme', 'reports', october);
+  usage.record('acme', 'reports', Date.UTC(2026, 10, 1));
+  usage.record('other', 'rateLimited', october);
+  await usage.flush();
+
+  const reloaded = new UsageTracker({ file });
+  assert.deepEqual(reloaded.get('acme', '2026-10'), {
+    requests: 1, reports: 1, rateLimited: 0, quotaExceeded: 0, lastUsedAt: new Date(october).toISOString(),
+  });
+  assert.equal(reloaded.get('acme', '2026-11').reports, 1);
+  assert.equal(reloaded.get('acme', '2026-12').reports, 0);
+  assert.deepEqual(reloaded.listMonths('other'), ['2026-10']);
+  assert.equal(nextMonthStart(october), Date.UTC(2026, 10, 1));
+});
+
+test('a batch is charged as several reports, all or none', t => {
+  t.mock.method(console, 'warn', () => {});
+  const usage = new UsageTracker({ file: 'none' });
+  const auth = createAuth({ keys: null, limiter: null, usage });
+  const req = { apiKey: { id: 'acme', monthlyReportQuota: 5 } };
+  const res = () => {
+    const sent = { headers: {} };
+    return Object.assign(sent, {
+      set(headers, value) { Object.assign(sent.headers, typeof headers === 'string' ? { [headers]: value } : headers); return sent; },
+      status(code) { sent.code = code; return sent; },
+      json(body) { sent.body = body; return sent; },
+    });
+  };
+
+  const ok = res();
+  assert.equal(auth.chargeReport(req, ok, 3), true);
+  assert.equal(ok.headers['X-Quota-Remaining'], 2);
+
+  const over = res();
+  assert.equal(auth.chargeReport(req, over, 3), false);
+  assert.equal(over.code, 429);
+  assert.match(over.body.error, /3 reports would exceed the monthly quota \(2 of 5 left\)/);
+  assert.equal(usage.get('acme').reports, 3);
+  assert.equal(usage.get('acme').quotaExceeded, 1);
+});
+
+// ── HTTP ──────────────────────────────────────────────────────────────────────
+
+test('the API requires a key, enforces quotas, rate limits, admin access and job ownership, and saves usage on shutdown', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  process.env.API_KEYS_FILE = writeKeys(path.join(dir, 'api-keys.json'), [
+    { id: 'ops', hash: hashApiKey(KEYS.admin), admin: true, monthlyReportQuota: null },
+    { id: 'acme', hash: hashApiKey(KEYS.tenant), rateLimitPerMinute: 3, monthlyReportQuota: 1 },
+    { id: 'viewer', hash: hashApiKey(KEYS.viewer) },
+    { id: 'school', hash: hashApiKey(KEYS.school) },
+    { id: 'trial', hash: hashApiKey(KEYS.trial), monthlyReportQuota: 0 },
+  ]);
+  const usageFile = path.join(dir, 'server-usage.json');
+  process.env.USAGE_FILE   = usageFile;
+  process.env.PDF_BACKEND  = 'local';
+  process.env.REPORT_STORE = 'none';
+  process.env.LOCAL_PDF_FETCH_IMAGES = 'false';
+
+  const app = require('../src/app');
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = (route, key, body) => fetch(`${base}${route}`, {
+    method:  body ? 'POST' : 'GET',
+    headers: { 'Content-Type': 'application/json', ...(key && { Authorization: `Bearer ${key}` }) },
+    body:    body && JSON.stringify(body),
+  });
+
+  try {
+    const missing = await call('/api/templates');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+    assert.equal((await call('/api/templates', 'hai_wrong')).status, 401);
+    assert.equal((await fetch(`${base}/health`)).status, 200);
+
+    // One report a month for acme
+    const first = await call('/api/generate-report', KEYS.tenant, REQUEST);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-quota-remaining'), '0');
+    assert.equal(first.headers.get('x-ratelimit-remaining'), '2');
+
+    const second = await call('/api/generate-report', KEYS.tenant, { ...REQUEST, userName: 'Again' });
+    assert.equal(second.status, 429);
+    assert.ok(Number(second.headers.get('retry-after')) > 0);
+    assert.equal((await second.json()).quota.limit, 1);
+
+    // Previews are rate limited, and use the quota only when they run extraction
+    assert.equal((await call('/api/preview', KEYS.tenant, REQUEST)).status, 200);
+    const limited = await call('/api/templates', KEYS.tenant);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('retry-after'), '20');
+    assert.equal((await call('/api/preview', KEYS.trial, REQUEST)).status, 200);
+    const uncached = await call('/api/preview', KEYS.trial, { ...REQUEST, userName: 'Trial', transcript: `${REQUEST.transcript}\nUser: Thank you.` });
+    assert.equal(uncached.status, 429);
+    assert.equal((await uncached.json()).quota.limit, 0);
+
+    assert.equal((await call('/api/admin/usage', KEYS.viewer)).status, 403);
+    const report = await (await call('/api/admin/usage', KEYS.admin)).json();
+    const acme = report.keys.find(k => k.id === 'acme');
+    assert.deepEqual(acme.limits, { rateLimitPerMinute: 3, monthlyReportQuota: 1 });
+    assert.deepEqual(
+      { ...acme.usage, lastUsedAt: null },
+      { requests: 3, reports: 1, rateLimited: 1, quotaExceeded: 1, lastUsedAt: null }
+    );
+    assert.equal(report.keys.find(k => k.id === 'ops').usage.requests, 1);
+
+    const single = await (await call('/api/admin/usage/acme', KEYS.admin)).json();
+    assert.deepEqual(Object.keys(single.months), [report.month]);
+    assert.equal((await call('/api/admin/usage/nobody', KEYS.admin)).status, 404);
+
+    // Jobs and batches can be read by the key that submitted them and by admins
+    const job = await (await call('/api/reports', KEYS.school, REQUEST)).json();
+    const batch = await (await call('/api/reports/batch', KEYS.school, { items: [REQUEST], output: 'zip' })).json();
+    for (const route of [`/api/reports/${job.id}`, `/api/reports/batch/${batch.id}`]) {
+      assert.equal((await call(route, KEYS.school)).status, 200, route);
+      assert.equal((await call(route, KEYS.admin)).status, 200, route);
+    }
+    for (const route of [
+      `/api/reports/${job.id}`, `/api/reports/${job.id}/events`, `/api/reports/${job.id}/pdf`,
+      `/api/reports/batch/${batch.id}`, `/api/reports/batch/${batch.id}/output`,
+    ]) {
+      const other = await call(route, KEYS.viewer);
+      assert.equal(other.status, 404, route);
+      assert.match((await other.json()).error, /not found/, route);
+    }
+
+    // A request counted just before shutdown is on disk once it has drained
+    const counted = (await (await call('/api/admin/usage/viewer', KEYS.admin)).json()).months[report.month].requests;
+    assert.equal((await call('/api/templates', KEYS.viewer)).status, 200);
+    assert.deepEqual(await app.locals.shutdown.run(server), { drained: true });
+    const saved = JSON.parse(fs.readFileSync(usageFile, 'utf-8')).months[report.month];
+    assert.equal(saved.viewer.requests, counted + 1);
+  } finally {
+    server.close();
+  }
+});
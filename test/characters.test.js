@@ -0,0 +1,227 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'historai-characters-'));
+process.env.CHARACTERS_DIR = path.join(dir, 'characters');
+
+const { parseYaml } = require('../src/utils/yaml');
+const { CharacterRegistry, getCharacterRegistry } = require('../src/services/characters');
+const { HeuristicExtractionProvider } = require('../src/services/extraction');
+const { hashApiKey, generateApiKey } = require('../src/services/auth');
+const { validateReportRequest } = require('../src/utils/reportRequest');
+const { renderPreview } = require('../src/utils/preview');
+const PdfService = require('../src/services/PdfService');
+
+// 1×1 transparent PNG
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+const ADA_YAML = `
+# Ada
+name: Ada Lovelace
+tagline: "Mathematician: first programmer"
+era: Victorian Britain
+birthYear: 1815
+deathYear: 1852
+bio: >
+  Translated Menabrea's paper
+  and added the notes.
+facts:
+  - Daughter of Lord Byron.
+  - 'Wrote "Note G".'
+portrait: portraits/ada.png
+`;
+
+const TRANSCRIPT = [
+  'User: Could the engine ever think?',
+  'Ada Lovelace: It has no pretensions to originate anything. It can do whatever we know how to order it to perform.',
+].join('\n');
+
+function writeProfiles(files) {
+  const root = fs.mkdtempSync(path.join(dir, 'profiles-'));
+  for (const [name, contents] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+    fs.writeFileSync(path.join(root, name), contents);
+  }
+  return root;
+}
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// ── YAML ──────────────────────────────────────────────────────────────────────
+
+test('the YAML reader handles the subset profiles use and rejects the rest', () => {
+  assert.deepEqual(parseYaml(ADA_YAML), {
+    name:      'Ada Lovelace',
+    tagline:   'Mathematician: first programmer',
+    era:       'Victorian Britain',
+    birthYear: 1815,
+    deathYear: 1852,
+    bio:       "Translated Menabrea's paper and added the notes.\n",
+    facts:     ['Daughter of Lord Byron.', 'Wrote "Note G".'],
+    portrait:  'portraits/ada.png',
+  });
+  assert.deepEqual(parseYaml('---\nlist:\n- a   # comment\n- b: 1\n  c: [x, "y, z"]\nnone: ~\nkeep: |-\n  one\n    two\n'), {
+    list: ['a', { b: 1, c: ['x', 'y, z'] }],
+    none: null,
+    keep: 'one\n  two',
+  });
+  assert.throws(() => parseYaml('a: 1\na: 2'), /line 2: duplicate key "a"/);
+  assert.throws(() => parseYaml('a: &anchor 1'), /line 1: anchors, aliases and tags are not supported/);
+  assert.throws(() => parseYaml('a: 1\n   b: 2'), /line 2: unexpected indentation/);
+});
+
+// ── Registry ──────────────────────────────────────────────────────────────────
+
+test('profiles load from YAML and JSON files named by id', () => {
+  const root = writeProfiles({
+    'ada-lovelace.yaml':  ADA_YAML,
+    'portraits/ada.png':  Buffer.from(PNG, 'base64'),
+    'alan-turing.json':   JSON.stringify({ name: 'Alan Turing', tagline: 'T', birthYear: '1912', deathYear: '1954', bio: 'B', facts: ['F'] }),
+    'README.md':          'not a profile',
+  });
+  const registry = new CharacterRegistry({ dir: root }).load();
+
+  assert.deepEqual(registry.list().map(profile => profile.id), ['ada-lovelace', 'alan-turing']);
+  const ada = registry.get('ada-lovelace');
+  assert.equal(ada.birthYear, '1815');
+  assert.equal(registry.portraitUrl(ada), `data:image/png;base64,${PNG}`);
+  assert.equal(registry.portraitUrl(registry.get('alan-turing')), '');
+  assert.equal(registry.get('nobody'), null);
+
+  // A missing directory is an empty registry
+  assert.deepEqual(new CharacterRegistry({ dir: path.join(dir, 'missing') }).load().list(), []);
+});
+
+test('an invalid profile fails to load with the file and field', () => {
+  const load = files => () => new CharacterRegistry({ dir: writeProfiles(files) }).load();
+  const profile = { name: 'N', tagline: 'T', birthYear: '1', deathYear: '2', bio: 'B', facts: ['F'] };
+
+  assert.throws(load({ 'a.json': JSON.stringify({ ...profile, facts: [] }) }), /a\.json: facts must be a list of 1 to 8 facts/);
+  assert.throws(load({ 'a.json': JSON.stringify({ ...profile, bio: undefined }) }), /bio is required/);
+  assert.throws(load({ 'a.json': JSON.stringify({ ...profile, born: 1 }) }), /unknown field "born"/);
+  assert.throws(load({ 'a.json': JSON.stringify({ ...profile, portrait: '../secret.png' }) }), /portrait must be a path inside/);
+  assert.throws(load({ 'a.json': JSON.stringify({ ...profile, portrait: 'missing.png' }) }), /portrait file "missing.png" does not exist/);
+  assert.throws(load({ 'a.json': JSON.stringify({ ...profile, portrait: 'ftp://x/a.png' }) }), /portrait uses disallowed scheme/);
+  assert.throws(load({ 'Bad_Name.json': JSON.stringify(profile) }), /file names must be lowercase/);
+  assert.throws(load({ 'a.json': JSON.stringify(profile), 'a.yaml': ADA_YAML }), /a\.yaml: same id as a\.json/);
+  assert.throws(load({ 'a.yaml': 'name: [unclosed' }), /a\.yaml: line 1: unterminated flow sequence/);
+});
+
+test('saving writes JSON, stores uploaded portraits and replaces YAML originals', async () => {
+  const root = writeProfiles({ 'ada-lovelace.yaml': ADA_YAML.replace(/^portrait:.*$/m, '') });
+  const registry = new CharacterRegistry({ dir: root }).load();
+  const input = { ...registry.get('ada-lovelace'), tagline: 'Enchantress of Numbers', portrait: `data:image/png;base64,${PNG}` };
+
+  const { profile, created } = await registry.save('ada-lovelace', input);
+  assert.equal(created, false);
+  assert.equal(profile.portrait, 'portraits/ada-lovelace.png');
+  assert.match(profile.updatedAt, /^\d{4}-\d\d-\d\dT/);
+  assert.deepEqual(fs.readdirSync(root).sort(), ['ada-lovelace.json', 'portraits']);
+
+  // What was written loads back the same
+  assert.deepEqual(new CharacterRegistry({ dir: root }).load().get('ada-lovelace'), profile);
+
+  await assert.rejects(registry.save('ada-lovelace', { ...input, facts: 'none' }), /facts must be a list/);
+  await assert.rejects(registry.save('../escape', input), /id must be lowercase letters/);
+
+  assert.equal(await registry.remove('ada-lovelace'), true);
+  assert.equal(await registry.remove('ada-lovelace'), false);
+  assert.deepEqual(fs.readdirSync(path.join(root, 'portraits')), []);
+});
+
+// ── Requests ──────────────────────────────────────────────────────────────────
+
+test('a characterId fills in the character fields the request leaves out', async () => {
+  const registry = getCharacterRegistry();
+  await registry.save('ada-lovelace', { ...parseYaml(ADA_YAML), portrait: `data:image/png;base64,${PNG}` });
+
+  const request = { transcript: TRANSCRIPT, characterId: 'ada-lovelace' };
+  assert.equal(validateReportRequest(request), null);
+  assert.equal(validateReportRequest({ transcript: TRANSCRIPT, characterId: 'nobody' }), 'characterId "nobody" is not in the character registry');
+  assert.equal(validateReportRequest({ ...request, characterMetadata: 'x' }), 'characterMetadata must be an object');
+  // Without a characterId the request still has to carry everything
+  assert.equal(validateReportRequest({ transcript: TRANSCRIPT, characterName: 'Ada Lovelace' }), 'characterMetadata is required');
+
+  const deps = { provider: new HeuristicExtractionProvider(), pdfService: new PdfService() };
+  const html = (await renderPreview(request, deps)).html;
+  assert.match(html, /<div class="hero-name">Ada Lovelace<\/div>/);
+  assert.match(html, /1815 &ndash; 1852 &middot; Victorian Britain/);
+  assert.match(html, /src="data:image\/png;base64,/);
+  assert.match(html, /Daughter of Lord Byron\./);
+
+  // Request fields win, metadata field by field
+  const overridden = { ...request, characterName: 'Augusta Ada King', characterMetadata: { tagline: 'Countess of Lovelace' } };
+  assert.equal(validateReportRequest(overridden), null);
+  const custom = (await renderPreview(overridden, deps)).html;
+  assert.match(custom, /<div class="hero-name">Augusta Ada King<\/div>/);
+  assert.match(custom, /Countess of Lovelace/);
+  assert.match(custom, /Translated Menabrea/);
+});
+
+// ── HTTP ──────────────────────────────────────────────────────────────────────
+
+test('admin routes create, replace and delete profiles; /api/characters lists them', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const admin  = generateApiKey();
+  const tenant = generateApiKey();
+  process.env.API_KEYS_FILE = path.join(dir, 'api-keys.json');
+  fs.writeFileSync(process.env.API_KEYS_FILE, JSON.stringify({ keys: [
+    { id: 'ops', hash: hashApiKey(admin), admin: true },
+    { id: 'acme', hash: hashApiKey(tenant) },
+  ] }));
+  process.env.USAGE_FILE   = 'none';
+  process.env.PDF_BACKEND  = 'stub';
+  process.env.REPORT_STORE = 'none';
+  process.env.CACHE_STORE  = 'none';
+
+  const app = require('../src/app');
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = (method, route, key, body) => fetch(`${base}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+    body:    body && JSON.stringify(body),
+  });
+  const turing = { name: 'Alan Turing', tagline: 'Mathematician', birthYear: 1912, deathYear: 1954, bio: 'B', facts: ['Broke Enigma.'] };
+
+  try {
+    assert.equal((await call('PUT', '/api/admin/characters/alan-turing', tenant, turing)).status, 403);
+
+    const created = await call('PUT', '/api/admin/characters/alan-turing', admin, turing);
+    assert.equal(created.status, 201);
+    assert.equal((await created.json()).birthYear, '1912');
+    const replaced = await call('PUT', '/api/admin/characters/alan-turing', admin, { ...turing, era: 'Interwar Britain' });
+    assert.equal(replaced.status, 200);
+
+    const invalid = await call('PUT', '/api/admin/characters/alan-turing', admin, { ...turing, facts: [] });
+    assert.equal(invalid.status, 400);
+    assert.match((await invalid.json()).error, /facts must be a list/);
+
+    const listed = await (await call('GET', '/api/characters', tenant)).json();
+    assert.deepEqual(listed.characters.find(c => c.id === 'alan-turing'), {
+      id: 'alan-turing', name: 'Alan Turing', tagline: 'Mathematician', era: 'Interwar Britain', birthYear: '1912', deathYear: '1954',
+    });
+
+    const pdf = await call('POST', '/api/generate-report', tenant, {
+      transcript: 'User: Can machines think?\nAlan Turing: The question is too meaningless to deserve discussion.',
+      characterId: 'alan-turing',
+    });
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+
+    assert.equal((await call('DELETE', '/api/admin/characters/alan-turing', admin)).status, 204);
+    assert.equal((await call('GET', '/api/admin/characters/alan-turing', admin)).status, 404);
+    const gone = await call('POST', '/api/generate-report', tenant, { transcript: 'User: Hi', characterId: 'alan-turing' });
+    assert.equal(gone.status, 400);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
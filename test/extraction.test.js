@@ -0,0 +1,234 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const http   = require('http');
+
+const {
+  createExtractionProvider,
+  HeuristicExtractionProvider,
+  OpenAiExtractionProvider,
+  AnthropicExtractionProvider,
+} = require('../src/services/extraction');
+const { extractReportData } = require('../src/utils/llmProcessor');
+
+const TRANSCRIPT = [
+  'User: What inspired relativity?',
+  'Einstein: I imagined riding alongside a beam of light. What would I see?',
+  'The question would not leave me alone for ten years.',
+  'User: Did the bomb trouble you?',
+  'Einstein: It troubles me deeply. The equation is not evil; it is a description of nature.',
+].join('\n');
+
+const METADATA = {
+  tagline:   'Theoretical Physicist',
+  birthYear: '1879',
+  deathYear: '1955',
+  bio:       'Physicist.',
+  facts:     ['Born in Ulm.'],
+};
+
+const MODEL_OUTPUT = {
+  sessionSummary:  'A conversation about light and responsibility.',
+  headlineInsight: 'Curiosity is its own reward.',
+  themes: [
+    { name: 'Light', explanation: 'Riding a light beam.', quote: 'What would I see?', context: '1905.' },
+    { name: 'Time', explanation: 'Ten years of thought.', quote: 'The question would not leave me alone.', context: '1915.' },
+    { name: 'The Bomb', explanation: 'Moral weight.', quote: 'It troubles me deeply.', context: '1939.' },
+  ],
+  resources: [
+    { topic: 'Relativity', whyItMatters: 'GPS.', whereToLearnMore: 'Einstein, Relativity.' },
+    { topic: 'Gravity', whyItMatters: 'Orbits.', whereToLearnMore: 'Thorne, Black Holes.' },
+    { topic: 'Arms control', whyItMatters: 'Survival.', whereToLearnMore: 'Rhodes, The Making of the Atomic Bomb.' },
+  ],
+  reflectionQuestions: ['What would you imagine?', 'What troubles you?', 'What would you question?'],
+};
+
+/**
+ * Start a local HTTP server that stands in for an LLM API. `handler`
+ * receives the parsed JSON body and returns [status, responseBody].
+ */
+function startMockLlm(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const [status, payload] = handler(req, body);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ server, requests, baseUrl: `http://127.0.0.1:${port}/v1` });
+    });
+  });
+}
+
+test('createExtractionProvider defaults to the heuristic provider', () => {
+  const previous = process.env.EXTRACTION_PROVIDER;
+  delete process.env.EXTRACTION_PROVIDER;
+  try {
+    assert.ok(createExtractionProvider() instanceof HeuristicExtractionProvider);
+  } finally {
+    if (previous !== undefined) process.env.EXTRACTION_PROVIDER = previous;
+  }
+});
+
+test('createExtractionProvider rejects unknown names', () => {
+  assert.throws(() => createExtractionProvider('gpt-9000'), /Unknown EXTRACTION_PROVIDER "gpt-9000"/);
+});
+
+test('heuristic provider is deterministic and derived from the transcript', async () => {
+  const provider = new HeuristicExtractionProvider();
+  const input = { transcript: TRANSCRIPT, characterName: 'Albert Einstein', characterMetadata: METADATA };
+
+  const first  = await provider.extract(input);
+  const second = await provider.extract(input);
+  assert.deepEqual(first, second);
+
+  assert.equal(first.themes.length, 3);
+  for (const theme of first.themes) {
+    assert.ok(TRANSCRIPT.replace(/\n/g, ' ').includes(theme.quote), theme.quote);
+  }
+});
+
+test('extractReportData merges provider output with character metadata', async () => {
+  const data = await extractReportData({
+    transcript:        TRANSCRIPT,
+    characterName:     'Albert Einstein',
+    characterMetadata: METADATA,
+    provider:          new HeuristicExtractionProvider(),
+  });
+
+  assert.equal(data.characterName, 'Albert Einstein');
+  assert.equal(data.characterTagline, 'Theoretical Physicist');
+  assert.deepEqual(data.characterFacts, ['Born in Ulm.']);
+  assert.ok(data.themes.length > 0);
+  assert.ok(data.reflectionQuestions.length > 0);
+});
+
+test('extractReportData rejects malformed provider output with field paths', async () => {
+  const themes = [...MODEL_OUTPUT.themes.slice(0, 2), { name: 'x' }];
+  const broken = { name: 'broken', extract: async () => ({ ...MODEL_OUTPUT, themes }) };
+  await assert.rejects(
+    extractReportData({ transcript: TRANSCRIPT, characterName: 'X', characterMetadata: {}, provider: broken }),
+    err => {
+      assert.equal(err.name, 'ReportValidationError');
+      assert.equal(err.statusCode, 422);
+      assert.deepEqual(err.fields.map(f => f.path), ['themes[2].explanation', 'themes[2].quote', 'themes[2].context']);
+      return true;
+    }
+  );
+});
+
+test('extractReportData trims long arrays and pads short reflection questions', async () => {
+  const provider = {
+    name: 'sloppy',
+    extract: async () => ({
+      ...MODEL_OUTPUT,
+      sessionSummary:      '  padded  ',
+      themes:              [...MODEL_OUTPUT.themes, ...MODEL_OUTPUT.themes],
+      reflectionQuestions: ['Only one?', ''],
+    }),
+  };
+  const data = await extractReportData({ transcript: TRANSCRIPT, characterName: 'Ada', characterMetadata: {}, provider });
+
+  assert.equal(data.sessionSummary, 'padded');
+  assert.equal(data.themes.length, 5);
+  assert.equal(data.reflectionQuestions.length, 3);
+  assert.equal(data.reflectionQuestions[0], 'Only one?');
+  assert.match(data.reflectionQuestions[1], /Ada/);
+});
+
+test('LLM providers are re-prompted with validation errors until output is valid', async t => {
+  let calls = 0;
+  const mock = await startMockLlm(() => {
+    calls += 1;
+    const output = calls === 1 ? { ...MODEL_OUTPUT, headlineInsight: undefined } : MODEL_OUTPUT;
+    return [200, { choices: [{ message: { content: JSON.stringify(output) } }] }];
+  });
+  t.after(() => mock.server.close());
+
+  const provider = new OpenAiExtractionProvider({ apiKey: 'sk-test', baseUrl: mock.baseUrl });
+  const data = await extractReportData({ transcript: TRANSCRIPT, characterName: 'X', characterMetadata: {}, provider });
+
+  assert.equal(data.headlineInsight, MODEL_OUTPUT.headlineInsight);
+  assert.equal(mock.requests.length, 2);
+  const retry = mock.requests[1].body.messages;
+  assert.equal(retry[2].role, 'assistant');
+  assert.match(retry[3].content, /headlineInsight: is required/);
+});
+
+test('repair gives up after the maximum number of re-prompts', async t => {
+  const mock = await startMockLlm(() => [200, {
+    content: [{ type: 'text', text: JSON.stringify({ ...MODEL_OUTPUT, resources: [] }) }],
+  }]);
+  t.after(() => mock.server.close());
+
+  const provider = new AnthropicExtractionProvider({ apiKey: 'ak-test', baseUrl: mock.baseUrl });
+  await assert.rejects(
+    extractReportData({ transcript: TRANSCRIPT, characterName: 'X', characterMetadata: {}, provider }),
+    err => err.fields?.[0]?.path === 'resources'
+  );
+  assert.equal(mock.requests.length, 3);
+});
+
+test('openai provider calls /chat/completions and parses fenced JSON', async t => {
+  const mock = await startMockLlm(() => [200, {
+    choices: [{ message: { content: '```json\n' + JSON.stringify(MODEL_OUTPUT) + '\n```' } }],
+  }]);
+  t.after(() => mock.server.close());
+
+  const provider = new OpenAiExtractionProvider({ apiKey: 'sk-test', baseUrl: mock.baseUrl, model: 'test-model' });
+  const result = await provider.extract({ transcript: TRANSCRIPT, characterName: 'Albert Einstein', characterMetadata: METADATA });
+
+  assert.deepEqual(result, MODEL_OUTPUT);
+  assert.equal(mock.requests[0].url, '/v1/chat/completions');
+  assert.equal(mock.requests[0].headers.authorization, 'Bearer sk-test');
+  assert.equal(mock.requests[0].body.model, 'test-model');
+  assert.match(mock.requests[0].body.messages[1].content, /beam of light/);
+});
+
+test('openai provider surfaces HTTP errors', async t => {
+  const mock = await startMockLlm(() => [429, { error: { message: 'rate limited' } }]);
+  t.after(() => mock.server.close());
+
+  const provider = new OpenAiExtractionProvider({ apiKey: 'sk-test', baseUrl: mock.baseUrl });
+  await assert.rejects(
+    provider.extract({ transcript: TRANSCRIPT, characterName: 'X', characterMetadata: {} }),
+    /Request failed \(HTTP 429\).*rate limited/
+  );
+});
+
+test('anthropic provider calls /messages with version header', async t => {
+  const mock = await startMockLlm(() => [200, {
+    content: [{ type: 'text', text: `Here you go: ${JSON.stringify(MODEL_OUTPUT)}` }],
+  }]);
+  t.after(() => mock.server.close());
+
+  const provider = new AnthropicExtractionProvider({ apiKey: 'ak-test', baseUrl: mock.baseUrl });
+  const result = await provider.extract({ transcript: TRANSCRIPT, characterName: 'Albert Einstein', characterMetadata: METADATA });
+
+  assert.deepEqual(result, MODEL_OUTPUT);
+  assert.equal(mock.requests[0].url, '/v1/messages');
+  assert.equal(mock.requests[0].headers['x-api-key'], 'ak-test');
+  assert.equal(mock.requests[0].headers['anthropic-version'], '2023-06-01');
+});
+
+test('LLM providers require an API key', () => {
+  const saved = { openai: process.env.OPENAI_API_KEY, anthropic: process.env.ANTHROPIC_API_KEY };
+  delete process.env.OPENAI_API_KEY;
+  delete process.env.ANTHROPIC_API_KEY;
+  try {
+    assert.throws(() => new OpenAiExtractionProvider(), /OPENAI_API_KEY is not set/);
+    assert.throws(() => new AnthropicExtractionProvider(), /ANTHROPIC_API_KEY is not set/);
+  } finally {
+    if (saved.openai !== undefined) process.env.OPENAI_API_KEY = saved.openai;
+    if (saved.anthropic !== undefined) process.env.ANTHROPIC_API_KEY = saved.anthropic;
+  }
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const http   = require('http');
+
+const { FoxitTaskClient, parseRetryAfter, backoffDelay } = require('../src/services/FoxitTaskClient');
+
+/**
+ * Local stand-in for the Foxit API. `routes` maps "METHOD /path" to a list
+ * of responses served in turn (the last one repeats).
+ */
+function startServer(routes) {
+  const calls = [];
+  const served = {};
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const key = `${req.method} ${req.url}`;
+      calls.push(key);
+      const list = routes[key];
+      if (!list) {
+        res.writeHead(404);
+        return res.end();
+      }
+      const i = Math.min(served[key] = (served[key] ?? -1) + 1, list.length - 1);
+      const { status = 200, headers = {}, body } = list[i];
+      if (status === 'hang') return; // never answer
+      res.writeHead(status, { 'Content-Type': Buffer.isBuffer(body) ? 'application/pdf' : 'application/json', ...headers });
+      res.end(Buffer.isBuffer(body) ? body : JSON.stringify(body ?? {}));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, calls, baseUrl: `http://127.0.0.1:${server.address().port}` });
+  }));
+}
+
+function makeClient(baseUrl, options = {}) {
+  return new FoxitTaskClient({
+    baseUrl,
+    clientId:       'id',
+    clientSecret:   'secret',
+    maxRetries:     3,
+    retryBaseMs:    5,
+    retryMaxMs:     50,
+    pollIntervalMs: 5,
+    pollTimeoutMs:  2_000,
+    ...options,
+  });
+}
+
+const HAPPY_ROUTES = {
+  'POST /documents/upload':               [{ body: { documentId: 'doc1' } }],
+  'POST /documents/create/pdf-from-html': [{ body: { taskId: 'task1' } }],
+  'GET /tasks/task1':                     [{ body: { status: 'PROCESSING', progress: 40 } }, { body: { status: 'COMPLETED', resultDocumentId: 'out1' } }],
+  'GET /documents/out1/download':         [{ body: Buffer.from('%PDF-1.7 result') }],
+};
+
+function runHtml(client, options = {}) {
+  return client.run({
+    content:   Buffer.from('<p>hi</p>'),
+    file:      { filename: 'report.html', contentType: 'text/html' },
+    operation: 'create/pdf-from-html',
+    ...options,
+  });
+}
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+test.beforeEach(t => t.mock.method(console, 'warn', () => {}));
+
+test('parseRetryAfter accepts seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter(new Date(10_000).toUTCString(), 4_000), 6000);
+  assert.equal(parseRetryAfter('soon'), null);
+  assert.equal(parseRetryAfter(undefined), null);
+});
+
+test('backoffDelay grows exponentially under the cap, with full jitter', () => {
+  assert.equal(backoffDelay(1, 100, 10_000, () => 1), 100);
+  assert.equal(backoffDelay(4, 100, 10_000, () => 1), 800);
+  assert.equal(backoffDelay(20, 100, 10_000, () => 1), 10_000);
+  assert.equal(backoffDelay(3, 100, 10_000, () => 0), 0);
+});
+
+test('runs upload → task → poll → download and reports progress', async () => {
+  const { server, calls, baseUrl } = await startServer(HAPPY_ROUTES);
+  try {
+    const events = [];
+    const pdf = await runHtml(makeClient(baseUrl), { onProgress: e => events.push(e.step) });
+    assert.equal(pdf.toString(), '%PDF-1.7 result');
+    assert.deepEqual(events, [1, 2, 3, 3, 4]);
+    assert.equal(calls.filter(c => c === 'GET /tasks/task1').length, 2);
+  } finally {
+    server.close();
+  }
+});
+
+test('retries 429/5xx on idempotent steps and honours Retry-After', async () => {
+  const { server, calls, baseUrl } = await startServer({
+    ...HAPPY_ROUTES,
+    'POST /documents/upload': [
+      { status: 503 },
+      { status: 429, headers: { 'Retry-After': '0' } },
+      { body: { documentId: 'doc1' } },
+    ],
+    'GET /documents/out1/download': [{ status: 502 }, { body: Buffer.from('%PDF-1.7 result') }],
+  });
+  try {
+    const pdf = await runHtml(makeClient(baseUrl));
+    assert.equal(pdf.toString(), '%PDF-1.7 result');
+    assert.equal(calls.filter(c => c === 'POST /documents/upload').length, 3);
+    assert.equal(calls.filter(c => c === 'GET /documents/out1/download').length, 2);
+  } finally {
+    server.close();
+  }
+});
+
+test('task creation is retried on 429/503 but never on an ambiguous 500', async () => {
+  const { server, calls, baseUrl } = await startServer({
+    ...HAPPY_ROUTES,
+    'POST /documents/create/pdf-from-html': [{ status: 503 }, { status: 500, body: { error: 'boom' } }],
+  });
+  try {
+    await assert.rejects(runHtml(makeClient(baseUrl)), /create\/pdf-from-html task failed \(HTTP 500\): \{"error":"boom"\}/);
+    assert.equal(calls.filter(c => c === 'POST /documents/create/pdf-from-html').length, 2);
+  } finally {
+    server.close();
+  }
+});
+
+test('gives up after maxRetries with the last error', async () => {
+  const { server, calls, baseUrl } = await startServer({ 'POST /documents/upload': [{ status: 500 }] });
+  try {
+    await assert.rejects(runHtml(makeClient(baseUrl, { maxRetries: 2 })), /Upload failed \(HTTP 500\)/);
+    assert.equal(calls.length, 3);
+  } finally {
+    server.close();
+  }
+});
+
+test('4xx errors and FAILED tasks are not retried', async () => {
+  const { server, calls, baseUrl } = await startServer({
+    ...HAPPY_ROUTES,
+    'GET /tasks/task1': [{ body: { status: 'FAILED', error: 'bad html' } }],
+  });
+  try {
+    await assert.rejects(runHtml(makeClient(baseUrl)), /Task FAILED: .*bad html/);
+    assert.equal(calls.filter(c => c === 'GET /tasks/task1').length, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('polling stops at pollTimeoutMs', async () => {
+  const { server, baseUrl } = await startServer({
+    ...HAPPY_ROUTES,
+    'GET /tasks/task1': [{ body: { status: 'PROCESSING' } }],
+  });
+  try {
+    await assert.rejects(runHtml(makeClient(baseUrl, { pollTimeoutMs: 50 })), /Timed out after 0.05s/);
+  } finally {
+    server.close();
+  }
+});
+
+test('an AbortSignal cancels an in-flight request and the poll wait', async () => {
+  const { server, baseUrl } = await startServer({
+    ...HAPPY_ROUTES,
+    'GET /tasks/task1': [{ body: { status: 'PROCESSING' } }],
+    'GET /documents/out1/download': [{ status: 'hang' }],
+  });
+  try {
+    const polling = new AbortController();
+    const client = makeClient(baseUrl, { pollIntervalMs: 10_000 });
+    const pending = runHtml(client, {
+      signal:     polling.signal,
+      onProgress: e => { if (e.step === 3) polling.abort(); },
+    });
+    await assert.rejects(pending, err => err.name === 'AbortError');
+
+    const downloading = new AbortController();
+    setTimeout(() => downloading.abort(), 50);
+    await assert.rejects(client.download('out1', { signal: downloading.signal }), err => err.name === 'AbortError');
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+
+const { render, loadPartials } = require('../src/utils/templateEngine');
+const { sanitizeUrl, parseHostAllowlist, checkImageUrl } = require('../src/utils/htmlEscape');
+
+const PAYLOAD = '</div><script>alert(1)</script><div class="x">';
+
+test('text and attribute values are entity-escaped', () => {
+  const out = render('<p title="{{v}}">{{v}}</p>', { v: PAYLOAD });
+  assert.ok(!out.includes('<script>'));
+  assert.equal(out.match(/<\/?\w+/g).join(''), '<p</p');
+  assert.match(out, /&lt;\/div&gt;&lt;script&gt;/);
+  assert.match(out, /title="&lt;\/div&gt;.*&quot;x&quot;&gt;"/);
+});
+
+test('single-quoted and unquoted attributes cannot be broken out of', () => {
+  const out = render("<a title='{{v}}' data-x={{v}}>x</a>", { v: "' onmouseover=alert(1) x='" });
+  assert.equal(out.split("'").length - 1, 2, 'only the template quotes survive');
+  assert.match(out, /title='&#39; onmouseover=alert\(1\) x=&#39;'/);
+  assert.match(out, / data-x=&#x27;&#x20;onmouseover&#x3d;alert&#x28;1&#x29;&#x20;x&#x3d;&#x27;>/);
+});
+
+test('URL attributes drop script schemes', () => {
+  const tpl = '<img src="{{u}}"><a href="{{u}}">x</a>';
+  for (const u of ['javascript:alert(1)', ' JaVaScRiPt:alert(1)', 'java\tscript:alert(1)', 'data:text/html,<b>x</b>', 'vbscript:x']) {
+    assert.equal(render(tpl, { u }), '<img src="about:invalid"><a href="about:invalid">x</a>', u);
+  }
+  assert.equal(render(tpl, { u: 'https://example.com/a.jpg?x=1&y="2"' }),
+    '<img src="https://example.com/a.jpg?x=1&amp;y=&quot;2&quot;"><a href="https://example.com/a.jpg?x=1&amp;y=&quot;2&quot;">x</a>');
+  assert.equal(sanitizeUrl('data:image/png;base64,iVBORw0KGgo='), 'data:image/png;base64,iVBORw0KGgo=');
+  assert.equal(sanitizeUrl('/relative/path.png'), '/relative/path.png');
+});
+
+test('values inside <style> and <script> cannot close the block', () => {
+  const out = render('<style>.a { color: {{c}}; }</style><script>var n = "{{c}}";</script><p>{{c}}</p>', {
+    c: 'red; } </style><script>alert(1)</script> .b { x: url("evil")',
+  });
+  assert.equal(out.split('</style>').length, 2);
+  assert.equal(out.split('<script>').length, 2);
+  assert.match(out, /var n = "red; } \\u003c\/style\\u003e/);
+});
+
+test('triple braces insert trusted values unescaped', () => {
+  assert.equal(render('{{{html}}}|{{html}}', { html: '<b>x</b>' }), '<b>x</b>|&lt;b&gt;x&lt;/b&gt;');
+});
+
+test('hostile report data renders as inert text', () => {
+  const dir = path.join(__dirname, '..', 'src', 'templates');
+  const template = fs.readFileSync(path.join(dir, 'conversation-report.html'), 'utf-8');
+  const html = render(template, {
+    characterName:       '"><img src=x onerror=alert(1)>',
+    characterImageUrl:   'javascript:alert(document.cookie)',
+    sessionSummary:      PAYLOAD,
+    themes:              [{ name: '<h1>big</h1>', explanation: PAYLOAD, quote: '</p></div></div>', context: 'c' }],
+    resources:           [{ topic: '<iframe src=//evil>', whyItMatters: 'w', whereToLearnMore: 'l' }],
+    reflectionQuestions: ['<li>injected</li>'],
+    characterFacts:      ['<style>body{display:none}</style>'],
+  }, { partials: loadPartials(path.join(dir, 'partials')) });
+
+  for (const tag of ['<script', '<iframe', '<h1', '<img src=x', 'javascript:']) {
+    assert.ok(!html.includes(tag), tag);
+  }
+  assert.match(html, /src="about:invalid"/);
+  assert.match(html, /alt="&quot;&gt;&lt;img src=x onerror=alert\(1\)&gt;"/);
+  assert.equal(html.split('<style').length, 2, 'only the template stylesheet');
+});
+
+test('image URL allowlist', () => {
+  const allow = parseHostAllowlist(' upload.wikimedia.org, *.historai.app ');
+  assert.deepEqual(allow, ['upload.wikimedia.org', '*.historai.app']);
+
+  assert.equal(checkImageUrl('https://upload.wikimedia.org/a.jpg', allow).ok, true);
+  assert.equal(checkImageUrl('https://cdn.historai.app/a.jpg', allow).ok, true);
+  assert.match(checkImageUrl('https://historai.app/a.jpg', allow).reason, /not in IMAGE_URL_ALLOWLIST/);
+  assert.match(checkImageUrl('https://upload.wikimedia.org.evil.com/a.jpg', allow).reason, /not in IMAGE_URL_ALLOWLIST/);
+  assert.match(checkImageUrl('javascript:alert(1)', []).reason, /disallowed scheme/);
+  assert.match(checkImageUrl('https://user:pw@example.com/a.jpg', []).reason, /credentials/);
+  assert.match(checkImageUrl('not a url', []).reason, /valid absolute URL/);
+  assert.equal(checkImageUrl('http://example.com/a.jpg', []).ok, true);
+});
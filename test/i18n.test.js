@@ -0,0 +1,135 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  supportedLocales,
+  resolveLocale,
+  validateLocale,
+  getCatalog,
+  formatDate,
+  formatDuration,
+} = require('../src/utils/i18n');
+const { validateReportRequest, reportCacheKeys } = require('../src/utils/reportRequest');
+const { renderPreview } = require('../src/utils/preview');
+const { buildExtractionPrompt } = require('../src/services/extraction/prompt');
+const { HeuristicExtractionProvider } = require('../src/services/extraction');
+const { ReportCache, MemoryCacheStore } = require('../src/services/cache');
+const { extractReportData } = require('../src/utils/llmProcessor');
+const PdfService = require('../src/services/PdfService');
+
+const REQUEST = {
+  transcript: [
+    'User: Why did you keep notes on the Analytical Engine?',
+    'Ada Lovelace: Because the engine weaves algebraic patterns just as the Jacquard loom weaves flowers and leaves.',
+    'User: Could it ever think?',
+    'Ada Lovelace: It has no pretensions to originate anything. It can do whatever we know how to order it to perform.',
+  ].join('\n'),
+  characterName: 'Ada Lovelace',
+  characterMetadata: { tagline: 'Mathematician', birthYear: '1815', deathYear: '1852', bio: 'B', facts: ['F'] },
+  sessionDate:     '2026-03-01',
+  sessionDuration: 'PT1H5M',
+};
+
+/** Every dotted message key in a catalog. */
+function keysOf(messages, prefix = '') {
+  return Object.entries(messages).flatMap(([key, value]) =>
+    value && typeof value === 'object' && !Array.isArray(value) ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`]);
+}
+
+// ── Catalogs and formatting ───────────────────────────────────────────────────
+
+test('locales resolve by language and reject tags without a catalog', () => {
+  assert.deepEqual(supportedLocales(), ['ar', 'de', 'en', 'es', 'fr']);
+  assert.equal(resolveLocale('es-mx'), 'es-MX');
+  assert.equal(resolveLocale('pt-BR'), null);
+  assert.equal(resolveLocale('not a tag'), null);
+  assert.equal(getCatalog('es-MX').locale, 'es');
+  assert.equal(getCatalog('ar').dir, 'rtl');
+  assert.match(validateLocale('pt'), /"pt" is not supported \(expected one of: ar, de, en, es, fr/);
+  assert.equal(validateLocale(42), 'must be a string');
+  assert.equal(validateReportRequest({ ...REQUEST, locale: 'pt' }).startsWith('locale '), true);
+  assert.equal(validateReportRequest({ ...REQUEST, locale: 'fr-CA' }), null);
+});
+
+test('every catalog translates every English message', () => {
+  const english = keysOf(getCatalog('en').messages);
+  for (const locale of supportedLocales()) {
+    // The merged catalog would hide gaps, so read the file itself
+    const own = keysOf(require(`../src/locales/${locale}.json`).messages);
+    assert.deepEqual(english.filter(key => !own.includes(key)), [], locale);
+  }
+});
+
+test('ISO dates and durations are written out for the locale; free text is kept', () => {
+  assert.equal(formatDate('2026-03-01', 'en'), 'March 1, 2026');
+  assert.equal(formatDate('2026-03-01', 'de'), '1. März 2026');
+  assert.equal(formatDate('2026-03-01', 'es-MX'), '1 de marzo de 2026');
+  assert.equal(formatDate('the first of March', 'es'), 'the first of March');
+  assert.equal(formatDuration('PT1H5M', 'en'), '1 hour, 5 minutes');
+  assert.equal(formatDuration('PT1H5M', 'es'), '1 hora y 5 minutos');
+  assert.match(formatDuration('PT90S', 'fr'), /^90\s+secondes$/);
+  assert.equal(formatDuration('10 minutes', 'fr'), '10 minutes');
+});
+
+// ── Reports ───────────────────────────────────────────────────────────────────
+
+test('a localized preview uses the catalog, the locale direction and localized session fields', async () => {
+  const provider = new HeuristicExtractionProvider();
+  const pdfService = new PdfService();
+
+  const es = (await renderPreview({ ...REQUEST, locale: 'es' }, { provider, pdfService })).html;
+  assert.match(es, /<html lang="es" dir="ltr">/);
+  assert.match(es, /Resumen de la sesión/);
+  assert.match(es, /1 de marzo de 2026/);
+  assert.match(es, /1 hora y 5 minutos/);
+  assert.match(es, /Anónimo/);
+  assert.match(es, /Página 2 de 2/);
+  assert.match(es, /Datos clave sobre Ada Lovelace/);
+
+  const ar = (await renderPreview({ ...REQUEST, locale: 'ar', template: 'classroom-worksheet' }, { provider, pdfService })).html;
+  assert.match(ar, /<html lang="ar" dir="rtl">/);
+  assert.match(ar, /\[dir="rtl"\] \.resources-table th \{ text-align: right; \}/);
+  assert.match(ar, /هل تعلم؟/);
+
+  const en = (await renderPreview(REQUEST, { provider, pdfService })).html;
+  assert.match(en, /<html lang="en" dir="ltr">/);
+  assert.match(en, /<strong>Duration:<\/strong> 1 hour, 5 minutes/);
+  assert.match(en, /Page 1 of 2/);
+});
+
+test('the locale is part of both cache keys', () => {
+  const cache = new ReportCache({ store: new MemoryCacheStore() });
+  const deps = { cache, provider: new HeuristicExtractionProvider(), pdfService: new PdfService() };
+  const en = reportCacheKeys(REQUEST, deps);
+  const fr = reportCacheKeys({ ...REQUEST, locale: 'fr' }, deps);
+
+  assert.deepEqual(reportCacheKeys({ ...REQUEST, locale: 'en' }, deps), en);
+  assert.notEqual(fr.data, en.data);
+  assert.notEqual(fr.pdf, en.pdf);
+});
+
+test('extraction prompts ask for the locale language and pad with localized questions', async t => {
+  t.mock.method(console, 'log', () => {});
+  const english = buildExtractionPrompt({ ...REQUEST, locale: 'en' });
+  assert.doesNotMatch(english.system, /Write every string value/);
+
+  const { system } = buildExtractionPrompt({ ...REQUEST, locale: 'es-MX' });
+  assert.match(system, /Write every string value in Mexican Spanish \(locale "es-MX"\)/);
+  assert.match(system, /"quote": copy it from the transcript verbatim, untranslated/);
+
+  const provider = {
+    name: 'terse',
+    extract: async input => ({
+      sessionSummary:      `Resumen (${input.locale})`,
+      headlineInsight:     'Idea',
+      themes:              [{ name: 'Máquinas', explanation: 'e', quote: 'q', context: 'c' }],
+      resources:           [{ topic: 't', whyItMatters: 'w', whereToLearnMore: 'l' }],
+      reflectionQuestions: ['¿Una?'],
+    }),
+  };
+  const data = await extractReportData({ ...REQUEST, locale: 'es', provider });
+  assert.equal(data.sessionSummary, 'Resumen (es)');
+  assert.equal(data.reflectionQuestions[1], '¿Qué respuesta de Ada Lovelace te sorprendió más y por qué?');
+});
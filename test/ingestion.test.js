@@ -0,0 +1,289 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  TRANSCRIPT_FORMATS,
+  detectFormat,
+  ingestTranscript,
+  formatTurns,
+  chunkTurns,
+} = require('../src/services/ingestion');
+const { HeuristicExtractionProvider } = require('../src/services/extraction');
+const ExtractionProvider = require('../src/services/extraction/ExtractionProvider');
+const { extractReportData, mergeExtracted } = require('../src/utils/llmProcessor');
+const { validateReportRequest, reportCacheKeys } = require('../src/utils/reportRequest');
+const { renderPreview } = require('../src/utils/preview');
+const { ReportCache, MemoryCacheStore } = require('../src/services/cache');
+const PdfService = require('../src/services/PdfService');
+
+const CONTEXT = { characterName: 'Ada Lovelace', userName: 'Maya' };
+
+const TEXT = [
+  'User: Why did you keep notes on the Analytical Engine?',
+  'Ada Lovelace: Because the engine weaves algebraic patterns just as the Jacquard loom weaves flowers and leaves.',
+  'User: Could it ever think?',
+  'Ada Lovelace: It has no pretensions to originate anything. It can do whatever we know how to order it to perform.',
+].join('\n');
+
+const MESSAGES = [
+  { role: 'system',    content: 'You are Ada Lovelace.' },
+  { role: 'user',      content: 'Why did you keep notes on the Analytical Engine?', timestamp: '2026-03-01T10:00:00Z' },
+  { role: 'assistant', content: [{ type: 'text', text: 'Because the engine weaves algebraic patterns.' }], timestamp: '2026-03-01T10:01:30Z' },
+  { role: 'user',      content: 'Could it ever think?', timestamp: 1772359800 },
+  { role: 'assistant', content: 'It has no pretensions to originate anything.', timestamp: 1772361300000 },
+];
+
+const VTT = [
+  'WEBVTT',
+  '',
+  'NOTE recorded in the HistorAI voice app',
+  '',
+  '1',
+  '00:00:01.000 --> 00:00:04.200',
+  '<v Maya>Could it ever <i>think</i>?',
+  '',
+  '00:00:05.000 --> 00:00:09.800',
+  '<v Ada Lovelace>It has no pretensions',
+  '',
+  '00:00:09.800 --> 00:00:12.500',
+  'to originate anything &amp; never will.',
+  '',
+  '00:24:00.000 --> 00:24:30.000',
+  '<v Maya>Thank you.',
+].join('\n');
+
+const SRT = [
+  '1',
+  '00:00:01,000 --> 00:00:04,200',
+  'Maya: Could it ever think?',
+  '',
+  '2',
+  '00:00:05,000 --> 00:01:05,000',
+  'Ada Lovelace: It has no pretensions to originate anything.',
+].join('\r\n');
+
+const METADATA = { tagline: 'Mathematician', birthYear: '1815', deathYear: '1852', bio: 'B', facts: ['F'] };
+
+const speakers = turns => turns.map(turn => `${turn.role}:${turn.speaker}`);
+
+// ── Adapters ──────────────────────────────────────────────────────────────────
+
+test('formats are detected from the value', () => {
+  assert.deepEqual(TRANSCRIPT_FORMATS, ['text', 'messages', 'webvtt', 'srt', 'chat-json']);
+  assert.equal(detectFormat(TEXT), 'text');
+  assert.equal(detectFormat(MESSAGES), 'messages');
+  assert.equal(detectFormat(VTT), 'webvtt');
+  assert.equal(detectFormat(`\uFEFF${SRT}`), 'srt');
+  assert.equal(detectFormat({ messages: [] }), 'chat-json');
+  assert.equal(detectFormat(42), null);
+});
+
+test('text transcripts pass through unchanged unless they carry clock offsets', () => {
+  const plain = ingestTranscript(TEXT, CONTEXT);
+  assert.equal(plain.text, TEXT);
+  assert.equal(plain.durationSeconds, null);
+  assert.deepEqual(speakers(plain.turns).slice(0, 2), ['user:User', 'character:Ada Lovelace']);
+
+  const timed = ingestTranscript('[00:00:05] Maya: Hello?\n[00:12:35] Ada Lovelace: Good evening.\nIt is late.', CONTEXT);
+  assert.equal(timed.durationSeconds, 750);
+  assert.equal(timed.text, 'User: Hello?\nAda Lovelace: Good evening. It is late.');
+
+  // Free-form notes without speaker labels are still accepted
+  assert.deepEqual(ingestTranscript('a loose note about engines', CONTEXT).turns, []);
+});
+
+test('message arrays keep roles, drop system messages and read mixed timestamps', () => {
+  const { format, turns, text, durationSeconds } = ingestTranscript(MESSAGES, CONTEXT);
+  assert.equal(format, 'messages');
+  assert.deepEqual(speakers(turns), ['user:Maya', 'character:Ada Lovelace', 'user:Maya', 'character:Ada Lovelace']);
+  assert.deepEqual(turns.map(turn => turn.start), [0, 90, 600, 2100]);
+  assert.equal(durationSeconds, 2100);
+  assert.match(text, /^User: Why did you keep notes/);
+  assert.match(text, /\nAda Lovelace: Because the engine weaves algebraic patterns\.\n/);
+});
+
+test('message arrays report the offending entry', () => {
+  const read = transcript => () => ingestTranscript(transcript, CONTEXT);
+  assert.throws(read([{ content: 'Hi' }]), /\(messages\) \[0\]\.role is required$/);
+  assert.throws(read([{ role: 'user', content: 3 }]), /\[0\]\.content must be a string/);
+  assert.throws(read([{ role: 'user', content: 'Hi', timestamp: 'yesterday' }]), /\[0\]\.timestamp must be ISO 8601/);
+  assert.throws(read([{ role: 'narrator', content: 'Hi' }]), /\[0\]\.role must be user, assistant or system/);
+  assert.throws(read([]), /must contain at least one message/);
+  assert.throws(() => ingestTranscript(MESSAGES, { ...CONTEXT, format: 'webvtt' }), /must be a string for format "webvtt"/);
+});
+
+test('WebVTT and SRT captions become turns with speaker attribution and cue times', () => {
+  const vtt = ingestTranscript(VTT, CONTEXT);
+  assert.equal(vtt.format, 'webvtt');
+  assert.deepEqual(speakers(vtt.turns), ['user:Maya', 'character:Ada Lovelace', 'user:Maya']);
+  assert.equal(vtt.turns[1].text, 'It has no pretensions to originate anything & never will.');
+  assert.deepEqual([vtt.turns[1].start, vtt.turns[1].end], [5, 12.5]);
+  assert.equal(vtt.durationSeconds, 1469);
+  assert.equal(vtt.text.split('\n')[0], 'User: Could it ever think?');
+
+  const srt = ingestTranscript(SRT, CONTEXT);
+  assert.equal(srt.format, 'srt');
+  assert.deepEqual(speakers(srt.turns), ['user:Maya', 'character:Ada Lovelace']);
+  assert.equal(srt.durationSeconds, 64);
+
+  assert.throws(() => ingestTranscript('WEBVTT\n\nno timing here', CONTEXT), /\(webvtt\) has a cue without a timing line/);
+});
+
+test('chat exports are read from a messages list or a ChatGPT mapping', () => {
+  const exported = ingestTranscript({
+    name: 'Evening with Ada',
+    messages: [
+      { type: 'service', action: 'joined' },
+      { from: 'maya_k', text: ['Could it ', { type: 'bold', text: 'ever' }, ' think?'], date: '2026-03-01T10:00:00' },
+      { from: 'Ada Lovelace', text: 'It has no pretensions to originate anything.', date: '2026-03-01T10:03:00' },
+    ],
+  }, { characterName: 'Ada Lovelace' });
+  // The one sender who is not the character is the learner
+  assert.deepEqual(speakers(exported.turns), ['user:maya_k', 'character:Ada Lovelace']);
+  assert.equal(exported.turns[0].text, 'Could it ever think?');
+  assert.equal(exported.durationSeconds, 180);
+
+  const chatgpt = ingestTranscript({
+    mapping: {
+      b: { message: { author: { role: 'assistant' }, content: { parts: ['It has no pretensions.'] }, create_time: 1772359260 } },
+      a: { message: { author: { role: 'user' }, content: { parts: ['Could it ever think?'] }, create_time: 1772359200 } },
+      root: { message: null },
+    },
+  }, CONTEXT);
+  assert.equal(chatgpt.text, 'User: Could it ever think?\nAda Lovelace: It has no pretensions.');
+  assert.equal(chatgpt.durationSeconds, 60);
+
+  assert.throws(() => ingestTranscript({ title: 'x' }, CONTEXT), /\(chat-json\) must be a chat export/);
+});
+
+// ── Chunking ──────────────────────────────────────────────────────────────────
+
+test('long transcripts are chunked between turns and keep questions with their answers', () => {
+  const turns = [];
+  for (let i = 0; i < 6; i++) {
+    turns.push({ speaker: 'Maya', role: 'user', text: `Question ${i}?`, start: null, end: null });
+    turns.push({ speaker: 'Ada Lovelace', role: 'character', text: `Answer ${i}. `.repeat(6).trim(), start: null, end: null });
+  }
+  const chunks = chunkTurns(turns, 220);
+  assert.ok(chunks.length > 1);
+  assert.deepEqual(chunks.flat(), turns);
+  for (const chunk of chunks) {
+    assert.ok(formatTurns(chunk).length <= 220, formatTurns(chunk));
+    assert.equal(chunk[0].role, 'user');
+  }
+
+  // A single turn longer than the limit is split at sentence boundaries
+  const long = { speaker: 'Ada Lovelace', role: 'character', text: 'One sentence here. '.repeat(20).trim(), start: null, end: null };
+  const pieces = chunkTurns([long], 100);
+  assert.ok(pieces.length > 1);
+  assert.ok(pieces.every(chunk => formatTurns(chunk).length <= 100));
+  assert.match(pieces[1][0].text, /^One sentence here\./);
+});
+
+class RecordingProvider extends ExtractionProvider {
+  constructor() {
+    super();
+    this.seen = [];
+  }
+
+  get name() {
+    return 'recording';
+  }
+
+  get maxTranscriptChars() {
+    return 160;
+  }
+
+  async extract({ transcript }) {
+    const n = this.seen.push(transcript);
+    const theme    = name => ({ name, explanation: 'E', quote: 'Q', context: 'C' });
+    const resource = topic => ({ topic, whyItMatters: 'W', whereToLearnMore: 'L' });
+    return {
+      sessionSummary:      `Part ${n}.`,
+      headlineInsight:     `Insight ${n}.`,
+      themes:              [theme(`Theme ${n}`), theme('Engines')],
+      resources:           [resource('Notes'), resource(`Topic ${n}`)],
+      reflectionQuestions: ['Shared?', `Own ${n}a?`, `Own ${n}b?`],
+    };
+  }
+}
+
+test('transcripts over the provider limit are extracted in chunks and merged', async t => {
+  t.mock.method(console, 'log', () => {});
+  const provider = new RecordingProvider();
+  const { text, turns } = ingestTranscript(MESSAGES, CONTEXT);
+  assert.ok(text.length > provider.maxTranscriptChars);
+
+  const data = await extractReportData({ transcript: text, turns, characterName: 'Ada Lovelace', characterMetadata: METADATA, provider });
+  assert.ok(provider.seen.length > 1);
+  assert.ok(provider.seen.every(chunk => chunk.length <= 160));
+  assert.equal(provider.seen.join('\n'), text);
+
+  assert.equal(data.headlineInsight, 'Insight 1.');
+  assert.equal(data.sessionSummary, provider.seen.map((_, i) => `Part ${i + 1}.`).join('\n\n'));
+  assert.deepEqual(data.themes.map(theme => theme.name), ['Theme 1', 'Theme 2']);
+  assert.deepEqual(data.resources.map(resource => resource.topic), ['Notes', 'Topic 1']);
+  assert.deepEqual(data.reflectionQuestions, ['Shared?', 'Own 1a?', 'Own 2a?']);
+
+  // Short transcripts, and callers without turns, make a single call
+  const single = new RecordingProvider();
+  await extractReportData({ transcript: 'User: Hi?\nAda Lovelace: Hello.', turns: [], characterName: 'Ada Lovelace', characterMetadata: METADATA, provider: single });
+  assert.equal(single.seen.length, 1);
+});
+
+test('merged lists stop at the longest list of any one chunk', () => {
+  const part = n => ({
+    sessionSummary: `S${n}`, headlineInsight: `H${n}`,
+    themes: [{ name: `T${n}` }], resources: [{ topic: `R${n}` }], reflectionQuestions: [`Q${n}`],
+  });
+  const merged = mergeExtracted([part(1), part(2)]);
+  assert.deepEqual(merged.themes, [{ name: 'T1' }]);
+  assert.equal(merged.sessionSummary, 'S1\n\nS2');
+});
+
+// ── Requests ──────────────────────────────────────────────────────────────────
+
+test('report requests accept every format and name unreadable transcripts', () => {
+  const request = transcript => ({ transcript, characterName: 'Ada Lovelace', characterMetadata: METADATA });
+  for (const transcript of [TEXT, MESSAGES, VTT, SRT, { messages: MESSAGES }]) {
+    assert.equal(validateReportRequest(request(transcript)), null);
+  }
+  assert.equal(validateReportRequest(request(42)), 'transcript is required');
+  assert.equal(validateReportRequest(request([{ role: 'user' }])), 'transcript (messages) [0].content must be a string or an array of text parts');
+  assert.equal(
+    validateReportRequest({ ...request(TEXT), transcriptFormat: 'pdf' }),
+    'transcriptFormat must be one of: text, messages, webvtt, srt, chat-json'
+  );
+  assert.equal(validateReportRequest({ ...request(TEXT), transcriptFormat: 'messages' }), 'transcript must be an array for format "messages"');
+  assert.equal(validateReportRequest({ ...request(TEXT), userName: { a: 1 } }), 'userName must be a string');
+  assert.equal(validateReportRequest({ ...request(TEXT), sessionDate: 20260301 }), 'sessionDate must be a string');
+  assert.equal(validateReportRequest({ ...request(TEXT), sessionDuration: ['PT5M'] }), 'sessionDuration must be a string');
+});
+
+test('sessionDuration is measured from timestamps when the request leaves it out', async () => {
+  const provider   = new HeuristicExtractionProvider();
+  const pdfService = new PdfService();
+  const request = { transcript: MESSAGES, characterName: 'Ada Lovelace', characterMetadata: METADATA, userName: 'Maya' };
+
+  const measured = (await renderPreview(request, { provider, pdfService })).html;
+  assert.match(measured, /<strong>Duration:<\/strong> 35 minutes/);
+
+  const given = (await renderPreview({ ...request, sessionDuration: 'PT1H5M' }, { provider, pdfService })).html;
+  assert.match(given, /<strong>Duration:<\/strong> 1 hour, 5 minutes/);
+
+  const untimed = (await renderPreview({ ...request, transcript: TEXT }, { provider, pdfService })).html;
+  assert.doesNotMatch(untimed, /<strong>Duration:<\/strong> \d/);
+});
+
+test('the same conversation shares a data cache key across formats', () => {
+  const deps = { cache: new ReportCache({ store: new MemoryCacheStore() }), provider: new HeuristicExtractionProvider() };
+  const body = transcript => ({ transcript, characterName: 'Ada Lovelace', characterMetadata: METADATA });
+  const lines = 'User: Could it ever think?\nAda Lovelace: It has no pretensions to originate anything.';
+  const messages = [
+    { role: 'user', content: 'Could it ever think?' },
+    { role: 'assistant', content: 'It has no pretensions to originate anything.' },
+  ];
+  assert.equal(reportCacheKeys(body(messages), deps).data, reportCacheKeys(body(lines), deps).data);
+});
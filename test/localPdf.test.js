@@ -0,0 +1,125 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDocument } = require('htmlparser2');
+
+const LocalPdfService = require('../src/services/LocalPdfService');
+const { renderHtmlToPdf } = require('../src/services/local/renderer');
+const { parseStylesheet, computeStyle, ROOT_STYLE } = require('../src/services/local/styles');
+const { reportData, theme, resource } = require('./support/reportData');
+
+// Long enough to run over more than one page
+function longReport() {
+  const long = 'The engine weaves algebraic patterns just as the Jacquard loom weaves flowers and leaves. '.repeat(4);
+  return reportData({
+    characterBio:      long,
+    characterImageUrl: 'https://example.invalid/ada.png',
+    sessionSummary:    long,
+    themes:            [1, 2, 3].map(n => ({ ...theme(n), explanation: long })),
+    resources:         [1, 2, 3].map(n => ({ ...resource(n), whyItMatters: long })),
+  });
+}
+
+function pageCount(pdf) {
+  return (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+}
+
+// ── styles ────────────────────────────────────────────────────────────────────
+
+test('computeStyle applies the cascade by specificity and resolves var()', () => {
+  const sheet = parseStylesheet(`
+    :root { --accent: #c0392b; }
+    p { color: black; font-size: 12px; }
+    .card p { color: var(--accent); }
+    #lead { font-weight: bold; }
+  `);
+  const dom  = parseDocument('<div class="card"><p id="lead">Hi</p></div>');
+  const div  = dom.children[0];
+  const p    = div.children[0];
+  const divStyle = computeStyle(div, ROOT_STYLE, sheet);
+  const style    = computeStyle(p, divStyle, sheet);
+
+  assert.equal(style.color, '#c0392b');
+  assert.equal(style.fontSize, 9);
+  assert.equal(style.bold, true);
+  assert.equal(style.display, 'block');
+});
+
+// ── renderer ──────────────────────────────────────────────────────────────────
+
+test('renderHtmlToPdf paginates long content and honours page breaks', async () => {
+  const para = '<p>' + 'word '.repeat(200) + '</p>';
+  const pdf = await renderHtmlToPdf(
+    `<html><body>${para.repeat(6)}<div style="page-break-before: always">End</div></body></html>`
+  );
+
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.ok(pageCount(pdf) >= 3, `expected at least 3 pages, got ${pageCount(pdf)}`);
+});
+
+test('images that fail to load are drawn as placeholders', async () => {
+  const pdf = await renderHtmlToPdf('<img src="https://example.invalid/x.png" width="80" height="80">', {
+    loadImage: async () => { throw new Error('offline'); },
+  });
+  assert.equal(pageCount(pdf), 1);
+});
+
+// ── LocalPdfService ───────────────────────────────────────────────────────────
+
+test('LocalPdfService renders the report template without network access', async () => {
+  const service = new LocalPdfService({ fetchImages: false });
+  const events  = [];
+  const pdf = await service.generateConversationReport(longReport(), { onProgress: e => events.push(e.stage) });
+
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.ok(pageCount(pdf) >= 2);
+  assert.deepEqual(events, ['render', 'local']);
+});
+
+test('LocalPdfService rejects invalid report data before rendering', async () => {
+  const data = reportData();
+  delete data.themes;
+  await assert.rejects(
+    new LocalPdfService().generateConversationReport(data),
+    err => err.name === 'ReportValidationError' && /\[LocalPdfService\]/.test(err.message)
+  );
+});
+
+// ── Foxit fallback ────────────────────────────────────────────────────────────
+
+test('FoxitPdfService falls back to the local renderer when Stage 1 fails, passing on its signal', async t => {
+  // Point both Foxit clients at a closed port so Stage 1 fails immediately
+  for (const prefix of ['FOXIT_DOCGEN', 'FOXIT_PDFSERVICES']) {
+    process.env[`${prefix}_BASE_URL`]      ??= 'http://127.0.0.1:9';
+    process.env[`${prefix}_CLIENT_ID`]     ??= 'test';
+    process.env[`${prefix}_CLIENT_SECRET`] ??= 'test';
+  }
+  process.env.FOXIT_MAX_RETRIES = '0';
+  const FoxitPdfService = require('../src/services/FoxitPdfService');
+  t.mock.method(console, 'warn', () => {});
+
+  const events = [];
+  const withFallback = new FoxitPdfService({ fallback: new LocalPdfService({ fetchImages: false }) });
+  const pdf = await withFallback.generateConversationReport(reportData(), { onProgress: e => events.push(e.stage) });
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.equal(events.at(-1), 'local');
+
+  // The caller's signal reaches the fallback, which stops when it is aborted
+  const controller = new AbortController();
+  const local = new LocalPdfService({ fetchImages: false });
+  const render = t.mock.method(local, 'renderHtml', async function (html, options) {
+    controller.abort();
+    return LocalPdfService.prototype.renderHtml.call(this, html, options);
+  });
+  await assert.rejects(
+    new FoxitPdfService({ fallback: local }).generateConversationReport(reportData(), { signal: controller.signal }),
+    err => err.name === 'AbortError'
+  );
+  assert.equal(render.mock.calls[0].arguments[1].signal, controller.signal);
+
+  await assert.rejects(
+    new FoxitPdfService().generateConversationReport(reportData()),
+    /Stage 1 failed/
+  );
+});
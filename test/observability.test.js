@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Tests for structured logging, request ids and the /metrics endpoint.
+ */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read when the root logger is created
+process.env.LOG_FORMAT = 'json';
+
+const { Logger } = require('../src/utils/logger');
+const { Histogram, timeStage, stageFailures, renderMetrics, resetMetrics } = require('../src/utils/metrics');
+const { startFakeFoxit, useFakeFoxitEnv } = require('./support/fakeFoxit');
+
+const REQUEST = {
+  transcript: [
+    'User: Why did you keep notes on the Analytical Engine?',
+    'Ada Lovelace: Because the engine weaves algebraic patterns just as the Jacquard loom weaves flowers and leaves.',
+    'User: Could it ever think?',
+    'Ada Lovelace: It has no pretensions to originate anything. It can do whatever we know how to order it to perform.',
+  ].join('\n'),
+  characterName: 'Ada Lovelace',
+  characterMetadata: {
+    tagline:   'Mathematician',
+    birthYear: '1815',
+    deathYear: '1852',
+    bio:       'Wrote the first published program.',
+    facts:     ['Daughter of Lord Byron.'],
+  },
+  sessionDate:     'March 1, 2026',
+  sessionDuration: '10 minutes',
+  userName:        'Tester',
+};
+
+/** Every JSON line written through console.log/warn/error so far. */
+function jsonEntries() {
+  return [console.log, console.warn, console.error]
+    .flatMap(fn => fn.mock.calls.map(call => call.arguments[0]))
+    .filter(line => typeof line === 'string' && line.startsWith('{'))
+    .map(line => JSON.parse(line));
+}
+
+// ── Logger ────────────────────────────────────────────────────────────────────
+
+test('json loggers write one object per entry with their child fields', t => {
+  const log  = t.mock.method(console, 'log', () => {});
+  const warn = t.mock.method(console, 'warn', () => {});
+  const root = new Logger({ format: 'json', level: 'info' });
+  const child = root.child({ requestId: 'req-1' }).child({ component: 'FoxitPdfService' });
+
+  child.debug('hidden');
+  child.info('Stage 1 complete', { bytes: 42 });
+  child.warn('Retrying', { err: new Error('socket hang up') });
+
+  assert.equal(log.mock.callCount(), 1);
+  const entry = JSON.parse(log.mock.calls[0].arguments[0]);
+  assert.deepEqual({ ...entry, time: undefined }, {
+    time:      undefined,
+    level:     'info',
+    component: 'FoxitPdfService',
+    msg:       'Stage 1 complete',
+    requestId: 'req-1',
+    bytes:     42,
+  });
+  assert.ok(!Number.isNaN(Date.parse(entry.time)));
+  assert.deepEqual(JSON.parse(warn.mock.calls[0].arguments[0]).err, { message: 'socket hang up', name: 'Error' });
+});
+
+test('pretty loggers keep the [component] prefix and append fields', t => {
+  const log = t.mock.method(console, 'log', () => {});
+  new Logger({ format: 'pretty', level: 'debug' })
+    .child({ component: 'FoxitDocGenClient', requestId: 'req-2' })
+    .debug('status=PENDING', { note: 'two words' });
+
+  assert.equal(log.mock.calls[0].arguments[0], '[FoxitDocGenClient] status=PENDING  requestId=req-2 note="two words"');
+});
+
+// ── Metrics ───────────────────────────────────────────────────────────────────
+
+test('histograms render cumulative Prometheus buckets', () => {
+  const histogram = new Histogram('test_seconds', 'Test', ['stage'], [1, 5]);
+  histogram.observe({ stage: 'upload' }, 0.5);
+  histogram.observe({ stage: 'upload' }, 3);
+
+  assert.equal(histogram.render(), [
+    '# HELP test_seconds Test',
+    '# TYPE test_seconds histogram',
+    'test_seconds_bucket{stage="upload",le="1"} 1',
+    'test_seconds_bucket{stage="upload",le="5"} 2',
+    'test_seconds_bucket{stage="upload",le="+Inf"} 2',
+    'test_seconds_sum{stage="upload"} 3.5',
+    'test_seconds_count{stage="upload"} 2',
+  ].join('\n'));
+});
+
+test('timeStage counts failures but not aborted calls', async () => {
+  resetMetrics();
+  await assert.rejects(timeStage('download', async () => { throw new Error('HTTP 500'); }), /HTTP 500/);
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(timeStage('download', async () => { throw new Error('stopped'); }, { signal: controller.signal }));
+
+  assert.equal(stageFailures.values.size, 1);
+  assert.match(renderMetrics(), /historai_stage_failures_total\{stage="download"\} 1\n/);
+  assert.match(renderMetrics(), /historai_stage_duration_seconds_count\{stage="download"\} 2\n/);
+});
+
+// ── HTTP ──────────────────────────────────────────────────────────────────────
+
+test('request ids reach every log line of a report and /metrics records its stages', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const fake = await startFakeFoxit();
+  useFakeFoxitEnv(fake);
+  process.env.PDF_BACKEND         = 'foxit';
+  process.env.PDF_FALLBACK        = 'none';
+  process.env.PDF_POSTPROCESS     = 'compress';
+  process.env.EXTRACTION_PROVIDER = 'heuristic';
+  process.env.REPORT_STORE        = 'none';
+  process.env.CACHE_STORE         = 'none';
+
+  const app = require('../src/app');
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const post = (path, headers = {}) => fetch(`${base}${path}`, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body:    JSON.stringify(REQUEST),
+  });
+
+  try {
+    resetMetrics();
+
+    // A caller's id is kept; a malformed one is replaced
+    const res = await post('/api/generate-report', { 'X-Request-Id': 'class-7b-0042' });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-request-id'), 'class-7b-0042');
+    const odd = await post('/api/generate-report', { 'X-Request-Id': 'not ok ' });
+    assert.match(odd.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+    const mine = jsonEntries().filter(entry => entry.requestId === 'class-7b-0042');
+    const components = new Set(mine.map(entry => entry.component));
+    for (const component of ['/api/generate-report', 'llmProcessor', 'FoxitPdfService', 'FoxitDocGenClient', 'FoxitPdfServicesClient', 'http']) {
+      assert.ok(components.has(component), `no ${component} entry with the request id`);
+    }
+    assert.ok(mine.some(entry => entry.msg === 'POST /api/generate-report 200' && Number.isInteger(entry.ms)));
+
+    // Jobs keep the id of the request that submitted them
+    const submitted = await post('/api/reports', { 'X-Request-Id': 'job-request' });
+    const { id } = await submitted.json();
+    for (let i = 0; i < 200; i++) {
+      const job = await (await fetch(`${base}/api/reports/${id}`)).json();
+      if (job.status === 'completed') break;
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    const jobEntries = jsonEntries().filter(entry => entry.jobId === id);
+    assert.ok(jobEntries.some(entry => entry.component === 'FoxitDocGenClient'));
+    assert.ok(jobEntries.every(entry => entry.requestId === 'job-request'));
+
+    const metrics = await fetch(`${base}/metrics`);
+    assert.equal(metrics.status, 200);
+    assert.match(metrics.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const text = await metrics.text();
+    for (const stage of ['extract', 'convert', 'compress', 'upload', 'create', 'poll', 'download']) {
+      assert.match(text, new RegExp(`historai_stage_duration_seconds_count\\{stage="${stage}"\\} \\d+`), stage);
+    }
+    assert.match(text, /historai_compression_ratio_count 3\n/);
+    assert.match(text, /historai_foxit_polls_count\{client="FoxitDocGenClient"\} 3\n/);
+    assert.match(text, /historai_http_requests_total\{method="POST",route="\/api\/generate-report",status="200"\} 2\n/);
+    assert.doesNotMatch(text, /historai_stage_failures_total\{/);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+    await fake.close();
+  }
+});
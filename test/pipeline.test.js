@@ -0,0 +1,452 @@
+'use strict';
+
+/**
+ * End-to-end tests of the Foxit pipeline against test/support/fakeFoxit.js:
+ * the two clients, FoxitPdfService's stage handling, and the
+ * /api/generate-report handler.
+ */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const PdfService = require('../src/services/PdfService');
+const { startFakeFoxit, useFakeFoxitEnv } = require('./support/fakeFoxit');
+const { reportData } = require('./support/reportData');
+
+let fake;
+let server;
+let baseUrl;
+let clients;
+let FoxitPdfService;
+
+const REQUEST = {
+  transcript: [
+    'User: Why did you keep notes on the Analytical Engine?',
+    'Ada Lovelace: Because the engine weaves algebraic patterns just as the Jacquard loom weaves flowers and leaves.',
+    'User: Could it ever think?',
+    'Ada Lovelace: It has no pretensions to originate anything. It can do whatever we know how to order it to perform.',
+  ].join('\n'),
+  characterName: 'Ada Lovelace',
+  characterMetadata: {
+    tagline:   'Mathematician',
+    birthYear: '1815',
+    deathYear: '1852',
+    bio:       'Wrote the first published program.',
+    facts:     ['Daughter of Lord Byron.'],
+  },
+  sessionDate:     'March 1, 2026',
+  sessionDuration: '10 minutes',
+  userName:        'Tester',
+};
+
+function post(path, body) {
+  return fetch(`${baseUrl}${path}`, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body:    JSON.stringify(body),
+  });
+}
+
+test.before(async () => {
+  fake = await startFakeFoxit();
+  useFakeFoxitEnv(fake);
+  process.env.PDF_BACKEND         = 'foxit';
+  process.env.PDF_FALLBACK        = 'none';
+  process.env.EXTRACTION_PROVIDER = 'heuristic';
+  process.env.PDF_POSTPROCESS     = 'compress';
+
+  clients = {
+    ...require('../src/services/FoxitDocumentGenerationClient'),
+    ...require('../src/services/FoxitPdfServicesClient'),
+  };
+  FoxitPdfService = require('../src/services/FoxitPdfService');
+  const app = require('../src/app');
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  server.closeAllConnections();
+  server.close();
+  await fake.close();
+});
+
+test.beforeEach(t => {
+  fake.reset();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+// ── Template interpolation ────────────────────────────────────────────────────
+
+test('_interpolate fills every token of the report template', () => {
+  const html = new PdfService()._prepareHtml(reportData({ characterName: 'Ada <Lovelace>' }));
+
+  assert.doesNotMatch(html, /\{\{/);
+  assert.match(html, /Ada &lt;Lovelace&gt;/);
+  for (const n of [1, 2, 3]) {
+    assert.match(html, new RegExp(`Theme ${n}`));
+    assert.match(html, new RegExp(`Topic ${n}`));
+  }
+  // Partials are expanded
+  assert.doesNotMatch(html, /\{\{>/);
+});
+
+// ── Clients ───────────────────────────────────────────────────────────────────
+
+test('generatePdfFromHtml uploads, polls through PENDING/PROCESSING and downloads', async () => {
+  const steps = [];
+  const pdf = await clients.generatePdfFromHtml('<p>Hello</p>', { onProgress: e => steps.push(e.step) });
+
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.deepEqual(steps, [1, 2, 3, 3, 3, 4]);
+  const upload = fake.requests.find(r => r.path === '/documents/upload');
+  assert.equal(upload.body.toString(), '<p>Hello</p>');
+  assert.equal(upload.headers.client_id, fake.credentials.clientId);
+});
+
+test('optimizePdf returns the compressed document', async () => {
+  const input = Buffer.from('%PDF-1.4 ' + 'x'.repeat(100));
+  const output = await clients.optimizePdf(input);
+  assert.ok(output.length < input.length);
+  assert.ok(fake.requests.some(r => r.path === '/documents/modify/pdf-compress'));
+});
+
+test('both clients decode JSON and text error bodies into their messages', async () => {
+  fake.scenario['create/pdf-from-html'] = 'reject';
+  await assert.rejects(
+    clients.generatePdfFromHtml('<p/>'),
+    /\[FoxitDocGenClient\] HTML → PDF task failed \(HTTP 400\): \{"code":"INVALID_INPUT","message":"Cannot create\/pdf-from-html"\}/
+  );
+
+  fake.reset();
+  fake.scenario.download = 'missing';
+  await assert.rejects(
+    clients.optimizePdf(Buffer.from('%PDF-1.4')),
+    /\[FoxitPdfServicesClient\] Download failed \(HTTP 404\): Document doc-\d+ not found/
+  );
+
+  fake.reset();
+  fake.scenario.upload = 'error';
+  await assert.rejects(clients.optimizePdf(Buffer.from('%PDF-1.4')), /Upload failed \(HTTP 500\): .*Upload store unavailable/);
+});
+
+test('FAILED, never-completing and malformed tasks are reported clearly', async () => {
+  const cases = [
+    [{ 'create/pdf-from-html': 'failed' }, /Task FAILED: .*Conversion failed/],
+    [{ 'create/pdf-from-html': 'pending' }, /Timed out after 0.3s waiting for task task-\d+/],
+    [{ 'create/pdf-from-html': 'no-result' }, /COMPLETED but no resultDocumentId/],
+    [{ 'create/pdf-from-html': 'malformed' }, /No taskId in response: \{"accepted":true\}/],
+    [{ upload: 'malformed' }, /Upload succeeded but no documentId in response: \{"ok":true\}/],
+  ];
+  for (const [scenario, expected] of cases) {
+    fake.reset();
+    Object.assign(fake.scenario, scenario);
+    await assert.rejects(clients.generatePdfFromHtml('<p/>'), expected);
+  }
+});
+
+// ── FoxitPdfService stages ────────────────────────────────────────────────────
+
+test('a Stage 2 compression failure returns the uncompressed Stage 1 PDF', async () => {
+  fake.scenario['modify/pdf-compress'] = 'failed';
+  const service = new FoxitPdfService();
+  const pdf = await service.generateConversationReport(reportData());
+
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.match(pdf.toString('latin1'), /Rendered \d+ bytes of HTML/);
+  assert.match(console.warn.mock.calls.map(c => c.arguments[0]).join('\n'), /compress failed \(skipped\)/);
+});
+
+test('a Stage 1 failure without a fallback rejects with pipeline context', async () => {
+  fake.scenario['create/pdf-from-html'] = 'failed';
+  await assert.rejects(new FoxitPdfService().generateConversationReport(reportData()), /\[FoxitPdfService\] Stage 1 failed: .*Task FAILED/);
+});
+
+// ── /api/generate-report ──────────────────────────────────────────────────────
+
+test('/api/generate-report validates the body before calling Foxit', async () => {
+  const cases = [
+    [{ ...REQUEST, characterName: '  ' }, 'characterName is required'],
+    [{ ...REQUEST, transcript: 42 }, 'transcript is required'],
+    [{ ...REQUEST, characterMetadata: undefined }, 'characterMetadata is required'],
+    [{ ...REQUEST, characterMetadata: { ...REQUEST.characterMetadata, bio: '' } }, 'characterMetadata must include tagline, birthYear, deathYear, and bio'],
+    [{ ...REQUEST, characterMetadata: { ...REQUEST.characterMetadata, facts: [] } }, 'characterMetadata.facts must be a non-empty array'],
+    [{ ...REQUEST, characterImageUrl: 'javascript:alert(1)' }, /^characterImageUrl /],
+    [{ ...REQUEST, postProcessing: [{ op: 'shred' }] }, /^postProcessing \[0\]\.op must be one of/],
+    [{ ...REQUEST, template: 'poster' }, /^template must be one of: /],
+    [{ ...REQUEST, userName: { a: 1 } }, 'userName must be a string'],
+  ];
+  for (const [body, expected] of cases) {
+    const res = await post('/api/generate-report', body);
+    assert.equal(res.status, 400);
+    const { error } = await res.json();
+    if (expected instanceof RegExp) assert.match(error, expected);
+    else assert.equal(error, expected);
+  }
+  assert.equal(fake.requests.length, 0);
+});
+
+test('/api/generate-report returns the compressed PDF from both stages', async () => {
+  const res = await post('/api/generate-report', REQUEST);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'application/pdf');
+  assert.match(res.headers.get('content-disposition'), /historai-conversation-summary\.pdf/);
+  const pdf = Buffer.from(await res.arrayBuffer());
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+
+  const html = fake.requests.find(r => r.path === '/documents/upload').body.toString();
+  assert.match(html, /Ada Lovelace/);
+  assert.ok(fake.requests.some(r => r.path === '/documents/modify/pdf-compress'));
+});
+
+test('/api/generate-report answers 500 with the pipeline error when Stage 1 fails', async () => {
+  fake.scenario['create/pdf-from-html'] = 'failed';
+  // A body no earlier test sent, so the report cache cannot answer it
+  const res = await post('/api/generate-report', { ...REQUEST, userName: 'Stage 1 failure' });
+
+  assert.equal(res.status, 500);
+  assert.match((await res.json()).error, /Stage 1 failed/);
+});
+
+test('/api/templates lists the registered templates with their schemas', async () => {
+  const res = await fetch(`${baseUrl}/api/templates`);
+  assert.equal(res.status, 200);
+  const { templates } = await res.json();
+  const ids = templates.map(t => t.id);
+  assert.deepEqual(ids, ['classroom-worksheet', 'conversation-report', 'one-page-summary']);
+  const summary = templates.find(t => t.id === 'one-page-summary');
+  assert.equal(summary.pageSize, 'LETTER');
+  assert.equal(summary.schema.type, 'object');
+  assert.ok(summary.schema.required.includes('headlineInsight'));
+});
+
+test('/api/generate-report renders the requested template', async () => {
+  const res = await post('/api/generate-report', { ...REQUEST, template: 'classroom-worksheet' });
+
+  assert.equal(res.status, 200);
+  const html = fake.requests.find(r => r.path === '/documents/upload').body.toString();
+  assert.match(html, /HistorAI Classroom Worksheet – Ada Lovelace/);
+  assert.match(html, /@page \{ size: A4; \}/);
+});
+
+test('an identical request is served from the cache and revalidates with its ETag', async () => {
+  const body = { ...REQUEST, userName: 'Cache test' };
+  const first = await post('/api/generate-report', body);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('x-cache'), 'MISS');
+  const etag = first.headers.get('etag');
+  assert.match(etag, /^"[0-9a-f]{64}"$/);
+  const pdf = Buffer.from(await first.arrayBuffer());
+
+  fake.reset();
+  const second = await post('/api/generate-report', { ...body, userName: '  Cache test ' });
+  assert.equal(second.headers.get('x-cache'), 'HIT');
+  assert.equal(second.headers.get('etag'), etag);
+  assert.deepEqual(Buffer.from(await second.arrayBuffer()), pdf);
+  assert.equal(fake.requests.length, 0);
+
+  const revalidate = await fetch(`${baseUrl}/api/generate-report`, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json', 'If-None-Match': `W/${etag}` },
+    body:    JSON.stringify(body),
+  });
+  assert.equal(revalidate.status, 304);
+
+  // A different template is a different report
+  const other = await post('/api/generate-report', { ...body, template: 'one-page-summary' });
+  assert.notEqual(other.headers.get('etag'), etag);
+  assert.equal(other.headers.get('x-cache'), 'MISS');
+
+  // A PDF with the placeholder in place of its portrait is neither cached nor given an ETag
+  const degraded = await post('/api/generate-report', { ...body, characterImageUrl: 'https://127.0.0.1/ada.png' });
+  assert.equal(degraded.status, 200);
+  assert.equal(degraded.headers.get('etag'), null);
+  assert.equal(degraded.headers.get('cache-control'), 'no-store');
+});
+
+// ── Stored reports ────────────────────────────────────────────────────────────
+
+test('a generated report is stored behind a signed link until it is deleted', async () => {
+  const body = { ...REQUEST, userName: 'Storage test' };
+  const res = await post('/api/generate-report', body);
+  assert.equal(res.status, 200);
+  const pdf = Buffer.from(await res.arrayBuffer());
+  const id = res.headers.get('x-report-id');
+  const url = res.headers.get('x-report-url');
+  assert.match(url, new RegExp(`^/r/${id}\\?expires=\\d+&sig=[0-9a-f]{64}$`));
+  assert.ok(Date.parse(res.headers.get('x-report-expires')) > Date.now());
+
+  const shared = await fetch(`${baseUrl}${url}`);
+  assert.equal(shared.status, 200);
+  assert.equal(shared.headers.get('content-type'), 'application/pdf');
+  assert.deepEqual(Buffer.from(await shared.arrayBuffer()), pdf);
+  assert.equal((await (await fetch(`${baseUrl}${url}&format=json`)).json()).characterName, 'Ada Lovelace');
+
+  const forged = await fetch(`${baseUrl}${url.replace(/expires=\d+/, 'expires=9999999999')}`);
+  assert.equal(forged.status, 403);
+  assert.equal((await fetch(`${baseUrl}/r/${id}`)).status, 403);
+
+  // The share link reads but can't delete; the delete token can
+  const token = res.headers.get('x-report-delete-token');
+  assert.match(token, /^[0-9a-f]{64}$/);
+  assert.equal((await fetch(`${baseUrl}${url}`, { method: 'DELETE' })).status, 403);
+  const remove = { method: 'DELETE', headers: { 'X-Report-Delete-Token': token } };
+  assert.equal((await fetch(`${baseUrl}/r/${id}`, remove)).status, 204);
+  assert.equal((await fetch(`${baseUrl}${url}`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/r/${id}`, remove)).status, 404);
+
+  // Deleting the report also dropped its cache entries
+  const again = await post('/api/generate-report', body);
+  assert.equal(again.headers.get('x-cache'), 'MISS');
+  assert.notEqual(again.headers.get('x-report-id'), id);
+});
+
+test('a finished job links to its stored report, and deleting it removes the job', async () => {
+  const submitted = await post('/api/reports', { ...REQUEST, userName: 'Job storage test' });
+  assert.equal(submitted.status, 202);
+  const { id } = await submitted.json();
+
+  let job;
+  const deadline = Date.now() + 5000;
+  do {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    job = await (await fetch(`${baseUrl}/api/reports/${id}`)).json();
+  } while (job.status !== 'completed' && Date.now() < deadline);
+
+  assert.equal(job.status, 'completed');
+  assert.equal(job.links.share, job.report.url);
+  assert.equal((await fetch(`${baseUrl}${job.links.share}`)).status, 200);
+
+  const remove = { method: 'DELETE', headers: { 'X-Report-Delete-Token': job.report.deleteToken } };
+  assert.equal((await fetch(`${baseUrl}/r/${job.report.id}`, remove)).status, 204);
+  assert.equal((await fetch(`${baseUrl}/api/reports/${id}`)).status, 404);
+});
+
+test('a job\'s event stream follows every pipeline phase, with Foxit\'s task progress', async () => {
+  const release = fake.hold();
+  const submitted = await post('/api/reports', { ...REQUEST, userName: 'Event stream test' });
+  const { id, links } = await submitted.json();
+  assert.equal(links.events, `/api/reports/${id}/events`);
+
+  const res = await fetch(`${baseUrl}${links.events}`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+  // Read until the stream ends, letting Foxit answer once the job event is in
+  const events = [];
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for await (const chunk of res.body) {
+    buffered += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buffered.indexOf('\n\n')) !== -1) {
+      const block = buffered.slice(0, end);
+      buffered = buffered.slice(end + 2);
+      const event = /^event: (.+)$/m.exec(block);
+      if (event) events.push([event[1], JSON.parse(/^data: (.+)$/m.exec(block)[1])]);
+      if (event?.[1] === 'job') release();
+    }
+  }
+
+  assert.equal(events[0][0], 'job');
+  assert.equal(events[0][1].id, id);
+  const progress = events.filter(([name]) => name === 'progress').map(([, data]) => data);
+  const phases = [...new Set(progress.map(update => update.phase))];
+  assert.deepEqual(phases.slice(-4), ['upload', 'convert', 'download', 'postprocess']);
+  assert.ok(progress.some(update => update.phase === 'convert' && update.taskProgress === 50));
+  assert.ok(progress.some(update => update.phase === 'postprocess' && update.operation === 'compress'));
+  assert.deepEqual(progress.map(update => update.percent), [...progress.map(update => update.percent)].sort((a, b) => a - b));
+
+  const [last, data] = events.at(-1);
+  assert.equal(last, 'complete');
+  assert.equal(data.percent, 100);
+  assert.equal(data.job.status, 'completed');
+
+  // Once finished, the stream is the outcome straight away
+  const replay = await (await fetch(`${baseUrl}${links.events}`)).text();
+  assert.match(replay, /^event: job\n.*\n\nevent: complete\n/);
+  assert.equal((await fetch(`${baseUrl}/api/reports/nope/events`)).status, 404);
+});
+
+test('job and batch lookups answer 500 when the job store fails', async t => {
+  const { MemoryJobStore } = require('../src/services/jobs');
+  t.mock.method(MemoryJobStore.prototype, 'get', async () => { throw new Error('store unreachable'); });
+  for (const route of ['/api/reports/x', '/api/reports/x/events', '/api/reports/x/pdf', '/api/reports/batch/x', '/api/reports/batch/x/output']) {
+    const res = await fetch(`${baseUrl}${route}`);
+    assert.equal(res.status, 500, route);
+    assert.deepEqual(await res.json(), { error: 'store unreachable' }, route);
+  }
+});
+
+// ── Preview ───────────────────────────────────────────────────────────────────
+
+test('/api/preview and ?format=html return the filled template without calling Foxit', async () => {
+  const preview = await post('/api/preview?highlight=empty', { ...REQUEST, template: 'one-page-summary' });
+  assert.equal(preview.status, 200);
+  assert.match(preview.headers.get('content-type'), /^text\/html/);
+  assert.equal(preview.headers.get('x-empty-tokens'), '');
+  assert.match(await preview.text(), /HistorAI One-Page Summary – Ada Lovelace/);
+
+  const html = await post('/api/generate-report?format=html', REQUEST);
+  assert.equal(html.status, 200);
+  assert.match(await html.text(), /HistorAI Conversation Summary – Ada Lovelace/);
+  assert.equal(fake.requests.length, 0);
+
+  const bad = await post('/api/generate-report?format=rtf', REQUEST);
+  assert.equal(bad.status, 400);
+  assert.equal((await bad.json()).error, 'format must be one of: pdf, html, markdown, epub, docx');
+});
+
+// ── Other formats ─────────────────────────────────────────────────────────────
+
+test('the report endpoint renders other formats by ?format= or Accept, without calling Foxit', async () => {
+  const request = (path, accept) => fetch(`${baseUrl}${path}`, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json', ...(accept && { Accept: accept }) },
+    body:    JSON.stringify(REQUEST),
+  });
+
+  const md = await request('/api/generate-report?format=markdown', 'application/pdf');
+  assert.equal(md.status, 200);
+  assert.equal(md.headers.get('content-type'), 'text/markdown; charset=utf-8');
+  assert.equal(md.headers.get('content-disposition'), 'attachment; filename="historai-conversation-summary.md"');
+  assert.match(md.headers.get('vary'), /Accept/);
+  assert.match(await md.text(), /^# HistorAI Conversation Summary – Ada Lovelace\n/);
+
+  const epub = await request('/api/generate-report', 'application/epub+zip;q=0.9, application/pdf;q=0.5');
+  assert.equal(epub.status, 200);
+  assert.equal(epub.headers.get('content-type'), 'application/epub+zip');
+  assert.match(epub.headers.get('content-disposition'), /\.epub"$/);
+  assert.equal(Buffer.from(await epub.arrayBuffer()).toString('latin1', 30, 58), 'mimetypeapplication/epub+zip');
+
+  const docx = await request('/api/generate-report', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+  assert.equal(docx.status, 200);
+  assert.match(docx.headers.get('content-disposition'), /\.docx"$/);
+  assert.equal(docx.headers.get('x-report-id'), null);
+  assert.equal(fake.requests.length, 0);
+
+  const html = await request('/api/generate-report', 'text/html,application/xhtml+xml,*/*;q=0.8');
+  assert.match(html.headers.get('content-type'), /^text\/html/);
+  assert.match(html.headers.get('content-disposition'), /^inline;/);
+  await html.arrayBuffer();
+
+  const refused = await request('/api/generate-report', 'application/json');
+  assert.equal(refused.status, 406);
+  assert.match((await refused.json()).error, /^Accept must allow one of: application\/pdf, text\/html, /);
+
+  const invalid = await fetch(`${baseUrl}/api/generate-report?format=docx`, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body:    JSON.stringify({ ...REQUEST, locale: 'xx' }),
+  });
+  assert.equal(invalid.status, 400);
+});
+
+test('the template dev page is served outside production', async () => {
+  const res = await fetch(`${baseUrl}/preview`);
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /new EventSource\('\/api\/preview\/events'\)/);
+});
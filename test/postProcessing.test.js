@@ -0,0 +1,170 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const http   = require('http');
+
+const {
+  validatePostProcessing,
+  normalizePostProcessing,
+  defaultPostProcessing,
+} = require('../src/utils/postProcessing');
+const LocalPdfService = require('../src/services/LocalPdfService');
+
+const COVER = Buffer.from('%PDF-1.7 cover').toString('base64');
+
+// ── Chain validation ──────────────────────────────────────────────────────────
+
+test('validatePostProcessing accepts a full chain and names the bad step', () => {
+  assert.equal(validatePostProcessing([
+    { op: 'merge', cover: COVER },
+    { op: 'watermark', text: 'HistorAI — personal copy', onError: 'skip' },
+    { op: 'compress', level: 'HIGH' },
+    { op: 'pdfa' },
+    { op: 'linearize' },
+    { op: 'protect', ownerPassword: 'owner', permissions: ['print', 'copy'] },
+  ]), null);
+
+  assert.equal(validatePostProcessing('compress'), 'must be an array of steps');
+  assert.match(validatePostProcessing([{ op: 'ocr' }]), /^\[0\]\.op must be one of: compress, watermark/);
+  assert.equal(validatePostProcessing([{ op: 'compress', level: 'MAX' }]), '[0] (compress) level must be LOW, MEDIUM or HIGH');
+  assert.equal(validatePostProcessing([{ op: 'protect' }]), '[0] (protect) ownerPassword is required');
+  assert.equal(validatePostProcessing([{ op: 'merge', cover: 'bm90IGEgcGRm' }]), '[0] (merge) cover must be a base64-encoded PDF');
+  assert.equal(validatePostProcessing([{ op: 'linearize', onError: 'retry' }]), '[0].onError must be "fatal" or "skip"');
+});
+
+test('protect must be the last step', () => {
+  assert.equal(
+    validatePostProcessing([{ op: 'protect', ownerPassword: 'x' }, { op: 'compress' }]),
+    '[0] protect must be the last step'
+  );
+});
+
+test('normalizePostProcessing fills per-operation defaults and failure policies', () => {
+  const [compress, watermark, merge] = normalizePostProcessing([
+    { op: 'compress' },
+    { op: 'watermark', opacity: 0.3 },
+    { op: 'merge', cover: COVER, onError: 'skip' },
+  ]);
+  assert.deepEqual(compress, { op: 'compress', level: 'MEDIUM', onError: 'skip' });
+  assert.equal(watermark.text, 'HistorAI — personal copy');
+  assert.equal(watermark.opacity, 0.3);
+  assert.equal(watermark.onError, 'fatal');
+  assert.equal(merge.onError, 'skip');
+  assert.ok(Buffer.isBuffer(merge.cover));
+});
+
+test('defaultPostProcessing reads a PDF_POSTPROCESS-style list', () => {
+  assert.deepEqual(defaultPostProcessing('compress').map(s => s.op), ['compress']);
+  assert.deepEqual(defaultPostProcessing('compress, linearize').map(s => s.op), ['compress', 'linearize']);
+  assert.deepEqual(defaultPostProcessing('none'), []);
+  assert.throws(() => defaultPostProcessing('protect'), /Invalid PDF_POSTPROCESS "protect": \[0\] \(protect\) ownerPassword is required/);
+});
+
+// ── Foxit chain ───────────────────────────────────────────────────────────────
+
+/** Fake Foxit API: every task completes at once; `failing` operations return 500. */
+function startFoxit(failing = []) {
+  const tasks = [];
+  let seq = 0;
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const send = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+      if (req.url === '/documents/upload') return send(200, { documentId: `doc${++seq}` });
+      const task = /^\/documents\/(.+)$/.exec(req.url);
+      if (req.method === 'POST' && task) {
+        tasks.push({ operation: task[1], body: JSON.parse(raw) });
+        if (failing.includes(task[1])) return send(500, { error: 'unavailable' });
+        return send(200, { taskId: `t${tasks.length}` });
+      }
+      const poll = /^\/tasks\/t(\d+)$/.exec(req.url);
+      if (poll) return send(200, { status: 'COMPLETED', resultDocumentId: `out${poll[1]}` });
+      const download = /^\/documents\/out(\d+)\/download$/.exec(req.url);
+      if (download) {
+        res.writeHead(200, { 'Content-Type': 'application/pdf' });
+        return res.end(`%PDF-1.7 after ${tasks[download[1] - 1].operation}`);
+      }
+      send(404, {});
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, tasks, baseUrl: `http://127.0.0.1:${server.address().port}` });
+  }));
+}
+
+function loadPdfServicesClient(baseUrl) {
+  process.env.FOXIT_PDFSERVICES_BASE_URL      = baseUrl;
+  process.env.FOXIT_PDFSERVICES_CLIENT_ID     = 'id';
+  process.env.FOXIT_PDFSERVICES_CLIENT_SECRET = 'secret';
+  process.env.FOXIT_MAX_RETRIES               = '0';
+  process.env.FOXIT_POLL_INTERVAL_MS          = '1';
+  delete require.cache[require.resolve('../src/services/FoxitPdfServicesClient')];
+  return require('../src/services/FoxitPdfServicesClient');
+}
+
+test('postProcessPdf runs each step as a task, skipping or failing per policy', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const { server, tasks, baseUrl } = await startFoxit(['optimize/pdf-linearize']);
+  try {
+    const { postProcessPdf } = loadPdfServicesClient(baseUrl);
+    const events = [];
+    const steps = normalizePostProcessing([
+      { op: 'merge', cover: COVER },
+      { op: 'linearize' },
+      { op: 'watermark' },
+    ]);
+
+    const result = await postProcessPdf(Buffer.from('%PDF-1.7 report'), steps, { onProgress: e => events.push(e) });
+    assert.equal(result.pdf.toString(), '%PDF-1.7 after modify/pdf-watermark');
+    assert.deepEqual(result.applied, ['merge', 'watermark']);
+    assert.deepEqual(result.skipped, ['linearize']);
+
+    assert.deepEqual(tasks.map(task => task.operation), ['enhance/pdf-combine', 'optimize/pdf-linearize', 'modify/pdf-watermark']);
+    // The cover page goes first and both documents are uploaded
+    assert.deepEqual(tasks[0].body, { documentInfos: [{ documentId: 'doc1' }, { documentId: 'doc2' }] });
+    assert.equal(tasks[2].body.config.content, 'HistorAI — personal copy');
+    assert.ok(events.every(e => e.operationCount === 3));
+    assert.deepEqual([...new Set(events.map(e => e.operation))], ['merge', 'linearize', 'watermark']);
+
+    const fatal = normalizePostProcessing([{ op: 'linearize', onError: 'fatal' }]);
+    await assert.rejects(postProcessPdf(Buffer.from('%PDF-1.7'), fatal), /linearize failed: .*HTTP 500/);
+  } finally {
+    server.close();
+  }
+});
+
+// ── Local backend ─────────────────────────────────────────────────────────────
+
+test('the local backend applies watermark and protect itself', async t => {
+  t.mock.method(console, 'log', () => {});
+  const service = new LocalPdfService({ fetchImages: false });
+  const html = '<html><body><p>Report</p></body></html>';
+
+  const plain = await service.renderHtml(html, { postProcessing: [] });
+  const protectedPdf = await service.renderHtml(html, {
+    postProcessing: normalizePostProcessing([{ op: 'watermark' }, { op: 'protect', ownerPassword: 'owner' }]),
+  });
+  assert.ok(!plain.includes('/Encrypt'));
+  assert.ok(protectedPdf.includes('/Encrypt'));
+});
+
+test('the local backend skips or rejects operations only Foxit can perform', async t => {
+  t.mock.method(console, 'log', () => {});
+  const warn = t.mock.method(console, 'warn', () => {});
+  const service = new LocalPdfService({ fetchImages: false });
+  const html = '<p>Report</p>';
+
+  await service.renderHtml(html, { postProcessing: normalizePostProcessing([{ op: 'linearize' }]) });
+  assert.match(warn.mock.calls[0].arguments[0], /"linearize" is not supported locally \(skipped\)/);
+
+  await assert.rejects(
+    service.renderHtml(html, { postProcessing: normalizePostProcessing([{ op: 'pdfa' }]) }),
+    /"pdfa" is not supported by the local backend/
+  );
+});
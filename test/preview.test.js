@@ -0,0 +1,87 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+
+const { renderPreview, watchTemplates } = require('../src/utils/preview');
+const { HeuristicExtractionProvider } = require('../src/services/extraction');
+const { ReportCache, MemoryCacheStore } = require('../src/services/cache');
+const PdfService = require('../src/services/PdfService');
+
+const REQUEST = {
+  transcript: [
+    'User: Why did you keep notes on the Analytical Engine?',
+    'Ada Lovelace: Because the engine weaves algebraic patterns just as the Jacquard loom weaves flowers and leaves.',
+    'User: Could it ever think?',
+    'Ada Lovelace: It has no pretensions to originate anything. It can do whatever we know how to order it to perform.',
+  ].join('\n'),
+  characterName: 'Ada Lovelace',
+  characterMetadata: {
+    tagline:   'Mathematician',
+    birthYear: '1815',
+    deathYear: '1852',
+    bio:       'Wrote the first published program.',
+    facts:     ['Daughter of Lord Byron.'],
+  },
+};
+
+/** Renders a small inline template instead of a registered one. */
+function stubPdfService(template) {
+  const service = new PdfService();
+  return { _prepareHtml: (data, templateId, options) => service._interpolate(template, data, options) };
+}
+
+test('renderPreview fills the template and reuses cached extraction', async t => {
+  const provider = new HeuristicExtractionProvider();
+  const extract = t.mock.method(provider, 'extract');
+  const pdfService = new PdfService();
+  const cache = new ReportCache({ store: new MemoryCacheStore() });
+
+  const first = await renderPreview(REQUEST, { provider, pdfService, cache });
+  assert.match(first.html, /HistorAI Conversation Summary – Ada Lovelace/);
+  assert.deepEqual(first.emptyTokens, []);
+
+  // A different template reuses the extraction; a different transcript does not
+  const summary = await renderPreview({ ...REQUEST, template: 'one-page-summary' }, { provider, pdfService, cache });
+  assert.match(summary.html, /HistorAI One-Page Summary/);
+  assert.equal(extract.mock.callCount(), 1);
+
+  await renderPreview({ ...REQUEST, transcript: `${REQUEST.transcript}\nUser: Thank you.` }, { provider, pdfService, cache });
+  assert.equal(extract.mock.callCount(), 2);
+});
+
+test('highlightEmpty marks empty text tokens and lists every empty token', async () => {
+  const pdfService = stubPdfService(
+    '<html><head></head><body><p>{{characterName}} / {{nickname}}</p><img alt="{{portraitAlt}}" /></body></html>'
+  );
+  const { html, emptyTokens } = await renderPreview(
+    REQUEST,
+    { provider: new HeuristicExtractionProvider(), pdfService, highlightEmpty: true }
+  );
+
+  assert.match(html, /<p>Ada Lovelace \/ <mark class="preview-empty" title="\{\{nickname\}\} is empty">\{\{nickname\}\}<\/mark><\/p>/);
+  assert.match(html, /<img alt="" \/>/);
+  assert.match(html, /mark\.preview-empty \{/);
+  assert.deepEqual(emptyTokens, ['nickname', 'portraitAlt']);
+});
+
+test('watchTemplates reports a saved partial once per burst of writes', async () => {
+  const file = path.join(__dirname, '..', 'src', 'templates', 'partials', 'page-footer.html');
+  const source = fs.readFileSync(file, 'utf-8');
+  const changes = [];
+  const stop = watchTemplates(name => changes.push(name));
+  try {
+    // Let the watcher settle before touching the file
+    await new Promise(resolve => setTimeout(resolve, 50));
+    fs.writeFileSync(file, source);
+    fs.writeFileSync(file, source);
+    const deadline = Date.now() + 2000;
+    while (!changes.length && Date.now() < deadline) await new Promise(resolve => setTimeout(resolve, 20));
+    await new Promise(resolve => setTimeout(resolve, 150));
+  } finally {
+    stop();
+  }
+  assert.deepEqual(changes, ['page-footer.html']);
+});
@@ -0,0 +1,180 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  words,
+  matchQuote,
+  groundQuotes,
+  quoteCitation,
+} = require('../src/utils/quoteGrounding');
+const { ingestTranscript } = require('../src/services/ingestion');
+const ExtractionProvider = require('../src/services/extraction/ExtractionProvider');
+const { extractReportData } = require('../src/utils/llmProcessor');
+const { createRenderer } = require('../src/services/renderers');
+const StubPdfService = require('../src/services/StubPdfService');
+
+const TRANSCRIPT = [
+  'User: What inspired relativity?',
+  'Einstein: I imagined riding alongside a beam of light. What would I see?',
+  'The question would not leave me alone for ten years.',
+  'User: Imagination is more important than knowledge, isn\'t it?',
+  'Einstein: As I told an interviewer in 1929, “Imagination is more important than knowledge.” I still think so.',
+  'User: Did the bomb trouble you?',
+  'Einstein: It troubles me deeply. The equation is not evil; it is a description of nature.',
+].join('\n');
+
+const { turns } = ingestTranscript(TRANSCRIPT, { characterName: 'Einstein' });
+
+const METADATA = {
+  tagline:   'Theoretical Physicist',
+  birthYear: '1879',
+  deathYear: '1955',
+  bio:       'Physicist.',
+  facts:     ['Born in Ulm.'],
+};
+
+const theme = (name, quote) => ({ name, explanation: `About ${name}.`, quote, context: 'Early 1900s.' });
+
+const OUTPUT = {
+  sessionSummary:  'A conversation about light and responsibility.',
+  headlineInsight: 'Curiosity is its own reward.',
+  themes: [
+    theme('Light', 'I imagined riding alongside a beam of light.'),
+    theme('Imagination', 'Imagination is more important than knowledge.'),
+    theme('Physics', 'God does not play dice with the universe.'),
+  ],
+  resources: [
+    { topic: 'Relativity', whyItMatters: 'GPS.', whereToLearnMore: 'Einstein, Relativity.' },
+  ],
+  reflectionQuestions: ['What would you imagine?', 'What troubles you?', 'What would you question?'],
+};
+
+/** Returns each of `outputs` in turn (the last one from then on). */
+class ScriptedProvider extends ExtractionProvider {
+  constructor(outputs, { supportsRepair = false } = {}) {
+    super();
+    this.outputs = outputs;
+    this.repairs = supportsRepair;
+    this.inputs  = [];
+  }
+
+  get name() {
+    return 'scripted';
+  }
+
+  get supportsRepair() {
+    return this.repairs;
+  }
+
+  async extract(input) {
+    this.inputs.push(input);
+    return this.outputs[Math.min(this.inputs.length, this.outputs.length) - 1];
+  }
+}
+
+function stubLog(lines) {
+  const log = { child: () => log, debug() {}, info() {}, warn: msg => lines.push(msg), error() {} };
+  return log;
+}
+
+test('words ignore case, accents, punctuation and curly apostrophes', () => {
+  assert.deepEqual(words('“Don’t  PANIC,” said Schrödinger — twice!'), ['don\'t', 'panic', 'said', 'schrodinger', 'twice']);
+});
+
+test('quotes are found in the character\'s turns, allowing small differences', () => {
+  const verbatim = matchQuote('The question would not leave me alone for ten years.', turns);
+  assert.equal(verbatim.source, 'conversation');
+  assert.equal(verbatim.score, 1);
+  assert.deepEqual(verbatim.ref, { turn: 2, speaker: 'Einstein' });
+
+  // A word left out
+  const close = matchQuote('The question would not leave me alone for years', turns);
+  assert.equal(close.source, 'conversation');
+  assert.ok(close.score >= 0.8 && close.score < 1);
+
+  // The same words scattered through a turn are not the quote
+  assert.equal(matchQuote('The light is evil and nature would see the equation.', turns).source, 'unverified');
+});
+
+test('a quotation the character cites is labelled cited; a line only the learner said is not theirs', () => {
+  const cited = matchQuote('Imagination is more important than knowledge.', turns);
+  assert.equal(cited.source, 'cited');
+  assert.equal(cited.ref.turn, 4);
+
+  assert.equal(matchQuote('What inspired relativity?', turns).source, 'unverified');
+});
+
+test('timed turns give the quote\'s place in the session', () => {
+  const timed = [
+    { speaker: 'User', role: 'user', text: 'Tell me about light.', start: 0, end: 4 },
+    { speaker: 'Ada Lovelace', role: 'character', text: 'The Engine weaves algebraic patterns.', start: 65, end: 71.5 },
+  ];
+  const grounded = groundQuotes({ themes: [theme('Engines', 'The Engine weaves algebraic patterns')] }, timed);
+  assert.deepEqual(grounded.themes[0].quoteRef, { turn: 2, speaker: 'Ada Lovelace', start: 65, end: 71.5 });
+  assert.equal(quoteCitation(grounded.themes[0], 'en'), 'From your conversation · 1:05');
+  assert.equal(quoteCitation({ quoteSource: 'conversation', quoteRef: { turn: 7, speaker: 'Ada' } }, 'es'), 'De tu conversación · intervención 7');
+  assert.equal(quoteCitation({ quoteSource: 'unverified' }, 'en'), 'Not found in your conversation');
+  assert.equal(quoteCitation({}, 'en'), '');
+});
+
+test('extraction flags quotes it cannot find, and labels the rest', async () => {
+  const lines = [];
+  const provider = new ScriptedProvider([OUTPUT]);
+  const data = await extractReportData({
+    transcript: TRANSCRIPT, turns, characterName: 'Einstein', characterMetadata: METADATA, provider, log: stubLog(lines),
+  });
+
+  assert.deepEqual(data.themes.map(t => t.quoteSource), ['conversation', 'cited', 'unverified']);
+  assert.deepEqual(data.themes[0].quoteRef, { turn: 2, speaker: 'Einstein' });
+  assert.equal(data.themes[2].quoteRef, undefined);
+  assert.ok(lines.some(line => /1 quote\(s\) not found in the transcript/.test(line)));
+
+  const off = await extractReportData({
+    transcript: TRANSCRIPT, turns, characterName: 'Einstein', characterMetadata: METADATA, provider, quoteGrounding: 'off',
+  });
+  assert.equal(off.themes[2].quoteSource, undefined);
+});
+
+test('in reject mode an invented quote is re-prompted, then fails with its field', async () => {
+  const fixed = { ...OUTPUT, themes: [...OUTPUT.themes.slice(0, 2), theme('Physics', 'It troubles me deeply.')] };
+  const provider = new ScriptedProvider([OUTPUT, fixed], { supportsRepair: true });
+  const params = { transcript: TRANSCRIPT, turns, characterName: 'Einstein', characterMetadata: METADATA, quoteGrounding: 'reject', log: stubLog([]) };
+
+  const data = await extractReportData({ ...params, provider });
+  assert.equal(provider.inputs.length, 2);
+  assert.deepEqual(provider.inputs[1].repair.errors.map(e => e.path), ['themes[2].quote']);
+  assert.equal(data.themes[2].quoteSource, 'conversation');
+
+  await assert.rejects(extractReportData({ ...params, provider: new ScriptedProvider([OUTPUT]) }), err => {
+    assert.equal(err.name, 'ReportValidationError');
+    assert.deepEqual(err.fields.map(f => f.path), ['themes[2].quote']);
+    return true;
+  });
+});
+
+test('the report prints each quote\'s source under it, in the template and the outline formats', async () => {
+  const pdfService = new StubPdfService();
+  const data = {
+    characterName:      'Albert Einstein',
+    characterTagline:   'Theoretical Physicist',
+    characterBirthYear: '1879',
+    characterDeathYear: '1955',
+    characterBio:       'Physicist.',
+    characterImageUrl:  '',
+    characterFacts:     ['Born in Ulm.'],
+    sessionDate:        'March 1, 2026',
+    sessionDuration:    '25 minutes',
+    userName:           'Sam',
+    ...groundQuotes(OUTPUT, turns),
+  };
+
+  const html = pdfService._prepareHtml(data);
+  assert.match(html, /class="quote-source quote-source-conversation">From your conversation · turn 2</);
+  assert.match(html, /class="quote-source quote-source-cited">Quoted by the character in your conversation · turn 4</);
+  assert.match(html, /class="quote-source quote-source-unverified">Not found in your conversation</);
+
+  const markdown = (await createRenderer('markdown', { pdfService, fetchImages: false }).render(data)).toString();
+  assert.match(markdown, /> “I imagined riding alongside a beam of light\.”\\\n> — \*From your conversation · turn 2\*/);
+});
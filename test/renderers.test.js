@@ -0,0 +1,228 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRenderer, formatForType, FORMATS } = require('../src/services/renderers');
+const { AssetPipeline, placeholderPortrait } = require('../src/services/assets');
+const { MemoryCacheStore } = require('../src/services/cache');
+const PdfService = require('../src/services/PdfService');
+const { readZip } = require('./support/readZip');
+const { reportData, resource } = require('./support/reportData');
+
+// 1×1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+// SOI, a JFIF APP0 segment and a baseline frame header for a 300×200 image
+const JPEG = Buffer.from(
+  'ffd8ffe000104a46494600010100000100010000' +
+  'ffc0001108' + '00c8' + '012c' + '03012200021101031101' +
+  'ffd9',
+  'hex'
+);
+
+// The portrait is inline, so nothing is fetched
+function portraitReport(overrides = {}) {
+  return reportData({
+    characterImageUrl: `data:image/png;base64,${PNG.toString('base64')}`,
+    resources:         [1, 2].map(resource),
+    ...overrides,
+  });
+}
+
+// Collects warnings; componentLogger() children write to the same list
+function quietLogger() {
+  const lines = [];
+  const log = { child: () => log, debug() {}, info() {}, warn: msg => lines.push(msg), error: msg => lines.push(msg) };
+  return { log, lines };
+}
+
+function renderer(format) {
+  return createRenderer(format, { pdfService: new PdfService(), assets: new AssetPipeline({ store: new MemoryCacheStore() }) });
+}
+
+// Elements open and close in order (there is no XML parser in the dependencies)
+function assertWellFormed(xml, name) {
+  const open = [];
+  for (const [, closing, tag, selfClosing] of xml.matchAll(/<(\/?)([\w:.-]+)[^>]*?(\/?)>/g)) {
+    if (selfClosing) continue;
+    if (closing) assert.equal(open.pop(), tag, name);
+    else open.push(tag);
+  }
+  assert.deepEqual(open, [], name);
+}
+
+// ── Formats ───────────────────────────────────────────────────────────────────
+
+test('formats are looked up by Accept type, and unknown ones are refused', () => {
+  assert.equal(formatForType('application/epub+zip'), 'epub');
+  assert.equal(formatForType(FORMATS.docx.type), 'docx');
+  assert.equal(formatForType('application/json'), null);
+  assert.throws(() => createRenderer('pdf', { pdfService: new PdfService() }), /Unknown format "pdf"/);
+  assert.throws(() => createRenderer('markdown', {}), /pdfService is required/);
+});
+
+test('every format checks the data against the template schema', async () => {
+  for (const format of ['html', 'markdown', 'epub', 'docx']) {
+    await assert.rejects(
+      renderer(format).render(portraitReport({ themes: undefined }), { log: quietLogger().log }),
+      err => err.name === 'ReportValidationError',
+      format
+    );
+  }
+});
+
+// ── Markdown ──────────────────────────────────────────────────────────────────
+
+test('Markdown lays out every section and escapes the text', async () => {
+  const md = (await renderer('markdown').render(portraitReport({
+    characterImageUrl: 'https://example.com/ada.png',
+    sessionSummary:    '# Not a heading *or emphasis*\n\n- not a list',
+  }))).toString('utf-8');
+
+  assert.match(md, /^# HistorAI Conversation Summary – Ada Lovelace\n\n!\[Ada Lovelace\]\(<https:\/\/example\.com\/ada\.png>\)\n\n## Ada Lovelace\n\n\*Mathematician\* {2}\n1815 – 1852\n/);
+  assert.ok(md.includes('**Date:** March 1, 2026 · **Duration:** 10 minutes · **User:** Tester'));
+  assert.ok(md.includes('## Session Overview\n\n\\# Not a heading \\*or emphasis\\*\n\n\\- not a list\n\n> **Headline Insight:** “Machines follow orders.”'));
+  assert.ok(md.includes('### Theme 2\n\nExplanation 2.\n\n> “Quote 2”'));
+  assert.ok(md.includes('| Topic | Why It Matters | Where to Learn More |\n| --- | --- | --- |\n| Topic 1 | Why 1 | Where 1 |'));
+  assert.ok(md.includes('## Reflection Questions for You\n\n1. One?\n2. Two?\n3. Three?'));
+  assert.ok(md.endsWith('## Key Facts about Ada Lovelace\n\n- Daughter of Lord Byron.\n- Worked with Charles Babbage.\n'));
+
+  // Headings follow the locale and the template's title; embedded portraits are not linked
+  const es = (await renderer('markdown').render(portraitReport({ locale: 'es' }), { template: 'one-page-summary' })).toString('utf-8');
+  assert.match(es, /^# HistorAI: resumen de una página – Ada Lovelace\n\n## Ada Lovelace/);
+  assert.ok(es.includes('## Resumen de la sesión'));
+});
+
+// ── HTML ──────────────────────────────────────────────────────────────────────
+
+test('HTML is the filled template with its assets embedded', async () => {
+  const { log } = quietLogger();
+  const html = (await renderer('html').render(portraitReport(), { log })).toString('utf-8');
+  assert.match(html, /<title>HistorAI Conversation Summary – Ada Lovelace<\/title>/);
+  assert.match(html, /<img class="hero-image" src="data:image\/png;base64,/);
+  // The web font stylesheet is inlined, or dropped for the fallback fonts when unreachable
+  assert.doesNotMatch(html, /<link[^>]+stylesheet/);
+});
+
+// ── EPUB ──────────────────────────────────────────────────────────────────────
+
+test('EPUB is a valid container with the report, a table of contents and the portrait as cover', async () => {
+  const epub = await renderer('epub').render(portraitReport());
+
+  // mimetype first and stored, so the file identifies itself
+  assert.equal(epub.readUInt16LE(8), 0);
+  assert.equal(epub.toString('latin1', 30, 58), 'mimetypeapplication/epub+zip');
+
+  const files = readZip(epub);
+  assert.deepEqual(Object.keys(files), [
+    'mimetype',
+    'META-INF/container.xml',
+    'OEBPS/content.opf',
+    'OEBPS/nav.xhtml',
+    'OEBPS/report.xhtml',
+    'OEBPS/style.css',
+    'OEBPS/images/portrait.png',
+  ]);
+  assert.deepEqual(files['OEBPS/images/portrait.png'], PNG);
+  for (const name of ['META-INF/container.xml', 'OEBPS/content.opf', 'OEBPS/nav.xhtml', 'OEBPS/report.xhtml']) {
+    assertWellFormed(files[name].toString('utf-8'), name);
+  }
+
+  const opf = files['OEBPS/content.opf'].toString('utf-8');
+  assert.match(opf, /<dc:identifier id="book-id">urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}<\/dc:identifier>/);
+  assert.match(opf, /<dc:title>HistorAI Conversation Summary – Ada Lovelace<\/dc:title>/);
+  assert.match(opf, /<dc:language>en<\/dc:language>/);
+  assert.match(opf, /<meta property="dcterms:modified">\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ<\/meta>/);
+  assert.match(opf, /href="images\/portrait\.png" media-type="image\/png" properties="cover-image"/);
+
+  const nav = files['OEBPS/nav.xhtml'].toString('utf-8');
+  assert.match(nav, /<a href="report\.xhtml#overview">Session Overview<\/a>/);
+  assert.match(nav, /<a href="report\.xhtml#facts">Key Facts about Ada Lovelace<\/a>/);
+
+  const report = files['OEBPS/report.xhtml'].toString('utf-8');
+  assert.match(report, /<img class="portrait" src="images\/portrait\.png" alt="Ada Lovelace"\/>/);
+  assert.match(report, /<section id="themes" epub:type="chapter">\n<h2>Key Themes from the Conversation<\/h2>\n<h3>Theme 1<\/h3>/);
+  assert.match(report, /<tr><td>Topic 2<\/td><td>Why 2<\/td><td>Where 2<\/td><\/tr>/);
+
+  // The same report is the same book
+  const again = readZip(await renderer('epub').render(portraitReport()))['OEBPS/content.opf'].toString('utf-8');
+  assert.equal(again.match(/urn:uuid:[\w-]+/)[0], opf.match(/urn:uuid:[\w-]+/)[0]);
+});
+
+test('EPUB escapes text, reads right to left for RTL locales and leaves out a missing portrait', async () => {
+  const files = readZip(await renderer('epub').render(portraitReport({
+    locale:            'ar',
+    characterImageUrl: '',
+    sessionSummary:    'Ada & <Babbage>\u0007',
+  })));
+  assert.equal(files['OEBPS/images/portrait.png'], undefined);
+
+  const opf = files['OEBPS/content.opf'].toString('utf-8');
+  assert.match(opf, /xml:lang="ar" dir="rtl"/);
+  assert.match(opf, /<spine page-progression-direction="rtl">/);
+  assert.doesNotMatch(opf, /cover-image/);
+
+  const report = files['OEBPS/report.xhtml'].toString('utf-8');
+  assertWellFormed(report, 'report.xhtml');
+  assert.match(report, /<html [^>]*lang="ar" dir="rtl">/);
+  assert.ok(report.includes('<p>Ada &amp; &lt;Babbage&gt;</p>'));
+  assert.doesNotMatch(report, /<img/);
+});
+
+// ── DOCX ──────────────────────────────────────────────────────────────────────
+
+test('DOCX is a Word package in built-in styles with the portrait embedded', async () => {
+  const docx = await renderer('docx').render(portraitReport({
+    characterImageUrl: `data:image/jpeg;base64,${JPEG.toString('base64')}`,
+    characterBio:      'First line.\nSecond line.',
+  }));
+  const files = readZip(docx);
+  assert.deepEqual(Object.keys(files).sort(), [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'docProps/core.xml',
+    'word/_rels/document.xml.rels',
+    'word/document.xml',
+    'word/media/portrait.jpeg',
+    'word/numbering.xml',
+    'word/styles.xml',
+  ]);
+  for (const [name, data] of Object.entries(files)) {
+    if (name.endsWith('.xml') || name.endsWith('.rels')) assertWellFormed(data.toString('utf-8'), name);
+  }
+
+  assert.match(files['word/_rels/document.xml.rels'].toString('utf-8'), /Id="rId3" Type="[^"]+\/image" Target="media\/portrait\.jpeg"/);
+  assert.match(files['docProps/core.xml'].toString('utf-8'), /<dc:title>HistorAI Conversation Summary – Ada Lovelace<\/dc:title>/);
+
+  const doc = files['word/document.xml'].toString('utf-8');
+  // 300×200 scaled to the 1¾ in width
+  assert.match(doc, /<wp:extent cx="1600200" cy="1066800"\/>.*<a:blip r:embed="rId3"\/>/);
+  assert.match(doc, /<w:pStyle w:val="Title"\/><\/w:pPr><w:r><w:t xml:space="preserve">Ada Lovelace<\/w:t><\/w:r>/);
+  assert.match(doc, /<w:t xml:space="preserve">First line\.<\/w:t><w:br\/><w:t xml:space="preserve">Second line\.<\/w:t>/);
+  assert.match(doc, /<w:pStyle w:val="Heading1"\/><\/w:pPr><w:r><w:t xml:space="preserve">Session Overview<\/w:t>/);
+  assert.match(doc, /<w:pStyle w:val="Heading2"\/><\/w:pPr><w:r><w:t xml:space="preserve">Theme 3<\/w:t>/);
+  assert.match(doc, /<w:pStyle w:val="Quote"\/><\/w:pPr><w:r><w:rPr><w:b\/><w:bCs\/><\/w:rPr><w:t xml:space="preserve">Headline Insight: <\/w:t><\/w:r>/);
+  assert.match(doc, /<w:numId w:val="2"\/><\/w:numPr><\/w:pPr><w:r><w:t xml:space="preserve">One\?<\/w:t>/);
+  assert.match(doc, /<w:numId w:val="1"\/><\/w:numPr><\/w:pPr><w:r><w:t xml:space="preserve">Daughter of Lord Byron\.<\/w:t>/);
+  assert.equal(doc.match(/<w:tr>/g).length, 3);
+  assert.match(doc, /<w:pgSz w:w="12240" w:h="15840"\/>/);
+  assert.doesNotMatch(doc, /<w:bidi\/>/);
+});
+
+test('DOCX follows the template page size and RTL locales, and uses the placeholder for a broken portrait', async () => {
+  const { log, lines } = quietLogger();
+  const files = readZip(await renderer('docx').render(portraitReport({
+    locale:            'ar',
+    characterImageUrl: 'data:image/png;base64,AAAA',
+  }), { template: 'classroom-worksheet', log }));
+
+  assert.deepEqual(files['word/media/portrait.png'], placeholderPortrait());
+  assert.match(lines[0], /unavailable .* — using placeholder/);
+
+  const doc = files['word/document.xml'].toString('utf-8');
+  assert.match(doc, /<w:pgSz w:w="11906" w:h="16838"\/>/);
+  assert.match(doc, /<w:pPr><w:pStyle w:val="ReportLabel"\/><w:bidi\/><\/w:pPr><w:r><w:rPr><w:rtl\/><\/w:rPr><w:t xml:space="preserve">ورقة عمل صفية<\/w:t>/);
+  assert.match(doc, /<w:tblPr><w:bidiVisual\/>/);
+  assert.match(files['word/styles.xml'].toString('utf-8'), /<w:lang w:val="ar" w:bidi="ar"\/>/);
+});
@@ -0,0 +1,306 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const zlib   = require('zlib');
+
+const PDFDocument = require('pdfkit');
+
+const { MemoryJobStore, ReportJobRunner, ReportBatchRunner, publicBatch } = require('../src/services/jobs');
+const { createZip, crc32 } = require('../src/utils/zip');
+const { readZip } = require('./support/readZip');
+const { countPdfPages } = require('../src/utils/pdfPages');
+const { validateBatchRequest, batchItems, batchLocale } = require('../src/utils/batchRequest');
+const { buildBatchOutput } = require('../src/utils/batchOutput');
+const { startFakeFoxit, useFakeFoxitEnv, fakePdf } = require('./support/fakeFoxit');
+
+const REQUEST = {
+  transcript: [
+    'User: Why did you keep notes on the Analytical Engine?',
+    'Ada Lovelace: Because the engine weaves algebraic patterns just as the Jacquard loom weaves flowers and leaves.',
+  ].join('\n'),
+  characterName: 'Ada Lovelace',
+  characterMetadata: { tagline: 'Mathematician', birthYear: '1815', deathYear: '1852', bio: 'B', facts: ['F'] },
+};
+
+function pdfkitPdf(pages) {
+  return new Promise(resolve => {
+    const doc = new PDFDocument();
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    for (let i = 1; i < pages; i++) doc.addPage();
+    doc.end();
+  });
+}
+
+// ── Archives and page counts ──────────────────────────────────────────────────
+
+test('createZip writes entries other tools can read back', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+
+  const text = 'Ada Lovelace — '.repeat(200);
+  const zip = createZip([
+    { name: 'reports/01-ada.pdf', data: fakePdf('Ada') },
+    { name: 'manifest.json', data: text },
+    { name: 'empty.txt', data: '' },
+  ]);
+  const entries = readZip(zip);
+  assert.deepEqual(Object.keys(entries), ['reports/01-ada.pdf', 'manifest.json', 'empty.txt']);
+  assert.deepEqual(entries['reports/01-ada.pdf'], fakePdf('Ada'));
+  assert.equal(entries['manifest.json'].toString('utf-8'), text);
+  assert.ok(zip.length < text.length, 'repetitive text is deflated');
+});
+
+test('page counts are read from plain and compressed page trees', async () => {
+  assert.equal(countPdfPages(fakePdf('one')), 1);
+  assert.equal(countPdfPages(await pdfkitPdf(3)), 3);
+
+  const packed = zlib.deflateSync('2 0 << /Kids [3 0 R] /Type /Pages /Count 7 >>');
+  const objStm = Buffer.concat([
+    Buffer.from(`%PDF-1.7\n4 0 obj\n<< /Type /ObjStm /N 1 /First 4 /Filter /FlateDecode /Length ${packed.length} >>\nstream\n`, 'latin1'),
+    packed,
+    Buffer.from('\nendstream\nendobj\n%%EOF\n', 'latin1'),
+  ]);
+  assert.equal(countPdfPages(objStm), 7);
+
+  assert.equal(countPdfPages(Buffer.from('%PDF-1.4 no page tree')), null);
+  assert.equal(countPdfPages(Buffer.from('PK not a pdf')), null);
+});
+
+// ── Requests ──────────────────────────────────────────────────────────────────
+
+test('batch bodies are checked item by item, with defaults merged under each', () => {
+  const options = { maxItems: 3, canMerge: false };
+  const { transcript, ...shared } = REQUEST;
+  const body = { defaults: { ...shared, locale: 'es' }, items: [{ transcript, userName: 'Maya' }, { transcript }] };
+
+  assert.equal(validateBatchRequest(body, options), null);
+  assert.deepEqual(batchItems(body)[0], { ...REQUEST, locale: 'es', userName: 'Maya' });
+  assert.equal(batchLocale(body), 'es');
+  assert.equal(batchLocale({ items: [] }), 'en');
+
+  assert.deepEqual(validateBatchRequest({ items: [] }, options), { error: 'items must be a non-empty array' });
+  assert.match(validateBatchRequest({ items: [REQUEST, REQUEST, REQUEST, REQUEST] }, options).error, /at most 3 reports \(got 4\)/);
+  assert.match(validateBatchRequest({ ...body, output: 'merged' }, options).error, /PDF_BACKEND=foxit/);
+  assert.equal(validateBatchRequest({ ...body, output: 'merged' }, { ...options, canMerge: true }), null);
+  assert.match(validateBatchRequest({ ...body, output: 'tar' }, options).error, /output must be one of: none, zip, merged/);
+
+  const invalid = validateBatchRequest({ defaults: shared, items: [{ transcript }, {}, { transcript, webhookUrl: 'https://x.test' }] }, options);
+  assert.equal(invalid.error, 'items[1]: transcript is required (and 1 more)');
+  assert.deepEqual(invalid.items.map(item => item.index), [1, 2]);
+  assert.match(invalid.items[1].error, /set it on the batch/);
+});
+
+// ── Runner ────────────────────────────────────────────────────────────────────
+
+test('a batch runs a few items at a time, reports each one and zips the successes', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  let active = 0;
+  let peak = 0;
+  const jobs = new ReportJobRunner({
+    store:       new MemoryJobStore(),
+    concurrency: 5,
+    run:         async request => {
+      peak = Math.max(peak, ++active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      if (request.userName === 'Broken') throw new Error('Extraction failed');
+      return fakePdf(`Report for ${request.userName}`);
+    },
+  });
+  const batches = new ReportBatchRunner({
+    jobs,
+    store:       new MemoryJobStore(),
+    concurrency: 2,
+    assemble:    (output, parts, batch) => buildBatchOutput(output, parts, { batch }),
+  });
+
+  const names = ['Maya', 'Broken', 'Émile', 'Jo'];
+  const submitted = await batches.submit(names.map(userName => ({ ...REQUEST, userName })), { output: 'zip', ownerId: 'acme' });
+  assert.equal(submitted.status, 'queued');
+  await batches.onIdle();
+  assert.equal(peak, 2);
+  // Item jobs belong to the key that submitted the batch
+  assert.equal((await jobs.store.get((await batches.get(submitted.id)).items[0].jobId)).ownerId, 'acme');
+
+  const view = publicBatch(await batches.get(submitted.id));
+  assert.equal(view.status, 'completed');
+  assert.deepEqual(view.counts, { total: 4, queued: 0, running: 0, completed: 3, failed: 1 });
+  assert.deepEqual(view.items[1], {
+    index: 1, status: 'failed', characterName: 'Ada Lovelace', userName: 'Broken', error: 'Extraction failed',
+    jobId: view.items[1].jobId, links: { job: `/api/reports/${view.items[1].jobId}` },
+  });
+  assert.equal(view.items[0].links.pdf, `/api/reports/${view.items[0].jobId}/pdf`);
+  assert.equal(view.links.output, `/api/reports/batch/${submitted.id}/output`);
+  assert.equal(JSON.stringify(view).includes('Jacquard'), false, 'transcripts stay server-side');
+
+  const files = readZip(await batches.getOutput(submitted.id));
+  assert.deepEqual(Object.keys(files), ['1-maya-ada-lovelace.pdf', '3-emile-ada-lovelace.pdf', '4-jo-ada-lovelace.pdf', 'manifest.json']);
+  const manifest = JSON.parse(files['manifest.json']);
+  assert.equal(manifest.batchId, submitted.id);
+  assert.deepEqual(manifest.items[1], {
+    index: 1, status: 'failed', userName: 'Broken', characterName: 'Ada Lovelace',
+    template: 'conversation-report', error: 'Extraction failed',
+  });
+
+  // Nothing to combine when every item fails
+  const failed = await batches.submit([{ ...REQUEST, userName: 'Broken' }], { output: 'zip' });
+  await batches.onIdle();
+  const failedView = publicBatch(await batches.get(failed.id));
+  assert.equal(failedView.status, 'failed');
+  assert.equal(failedView.error.message, 'No report in the batch could be generated');
+  assert.equal(failedView.links.output, undefined);
+});
+
+test('items shed their requests when removed or settled, and settled batches expire', async t => {
+  t.mock.method(console, 'log', () => {});
+
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const jobs = new ReportJobRunner({
+    store: new MemoryJobStore(),
+    run:   async request => {
+      if (request.userName === 'Slow') await gate;
+      return fakePdf(`Report for ${request.userName}`);
+    },
+  });
+  const batches = new ReportBatchRunner({
+    jobs,
+    store:       new MemoryJobStore(),
+    concurrency: 2,
+    assemble:    (output, parts, batch) => buildBatchOutput(output, parts, { batch }),
+  });
+  const items = ['Maya', 'Jo'].map(userName => ({ ...REQUEST, userName }));
+
+  // Finished: the stored item is cut down and the ZIP deleted
+  const done = await batches.submit(items, { output: 'zip' });
+  await batches.onIdle();
+  const [maya] = (await batches.get(done.id)).items;
+  assert.equal(await batches.removeItem(done.id, 'missing'), false);
+  assert.equal(await batches.removeItem(done.id, maya.jobId), true);
+  const stored = await batches.store.get(done.id);
+  assert.deepEqual(stored.items[0].request, { characterName: 'Ada Lovelace' });
+  assert.equal(stored.items[0].removed, true);
+  assert.equal(stored.items[1].request.userName, 'Jo');
+  assert.equal(await batches.getOutput(done.id), null);
+  const view = publicBatch(await batches.get(done.id));
+  assert.equal(view.items[0].removed, true);
+  assert.equal(view.links.output, undefined);
+
+  // Running: the item is left out of the ZIP built afterwards
+  const running = await batches.submit([...items, { ...REQUEST, userName: 'Slow' }], { output: 'zip' });
+  let record;
+  for (let i = 0; i < 200; i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    record = await batches.store.get(running.id);
+    if (record.items[1].jobId && (await jobs.store.get(record.items[1].jobId)).status === 'completed') break;
+  }
+  assert.equal(await batches.removeItem(running.id, record.items[1].jobId), true);
+  release();
+  await batches.onIdle();
+
+  const finished = await batches.store.get(running.id);
+  assert.equal(finished.status, 'completed');
+  assert.equal(finished.items[1].removed, true);
+  assert.deepEqual(finished.items[0].request, { characterName: 'Ada Lovelace', userName: 'Maya' });
+  assert.equal(JSON.stringify(finished).includes('Jacquard'), false, 'settled items drop their transcripts');
+  const files = readZip(await batches.getOutput(running.id));
+  assert.deepEqual(Object.keys(files), ['1-maya-ada-lovelace.pdf', '3-slow-ada-lovelace.pdf', 'manifest.json']);
+  assert.equal(files['manifest.json'].toString('utf-8').includes('"Jo"'), false);
+
+  // The retention sweep takes settled batches with their output and item jobs
+  const later = Date.parse(finished.completedAt) + 8 * 24 * 60 * 60 * 1000;
+  assert.equal(await batches.purgeExpired(later), 2);
+  assert.equal(await batches.store.get(running.id), null);
+  assert.equal(await batches.getOutput(running.id), null);
+  assert.equal(await jobs.store.get(finished.items[0].jobId), null);
+});
+
+// ── HTTP ──────────────────────────────────────────────────────────────────────
+
+test('POST /api/reports/batch merges reports behind a table of contents', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const fake = await startFakeFoxit();
+  useFakeFoxitEnv(fake);
+  process.env.FOXIT_POLL_TIMEOUT_MS = '2000';
+  process.env.PDF_BACKEND         = 'foxit';
+  process.env.PDF_FALLBACK        = 'none';
+  process.env.EXTRACTION_PROVIDER = 'heuristic';
+  process.env.REPORT_STORE        = 'memory';
+  process.env.BATCH_MAX_ITEMS     = '5';
+
+  const app = require('../src/app');
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const post = body => fetch(`${base}/api/reports/batch`, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body:    JSON.stringify(body),
+  });
+  const settled = async id => {
+    for (let i = 0; i < 200; i++) {
+      const batch = await (await fetch(`${base}/api/reports/batch/${id}`)).json();
+      if (batch.status === 'completed' || batch.status === 'failed') return batch;
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    throw new Error(`Batch ${id} did not finish`);
+  };
+
+  try {
+    const { transcript, ...shared } = REQUEST;
+    const invalid = await post({ defaults: shared, items: [{ transcript }, { userName: 'No transcript' }] });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual((await invalid.json()).items, [{ index: 1, error: 'transcript is required' }]);
+
+    const res = await post({
+      defaults: shared,
+      output:   'merged',
+      items:    [{ transcript, userName: 'Maya' }, { transcript, userName: 'Jo', template: 'one-page-summary' }],
+    });
+    assert.equal(res.status, 202);
+    const { id } = await res.json();
+    assert.equal(res.headers.get('location'), `/api/reports/batch/${id}`);
+
+    const batch = await settled(id);
+    assert.equal(batch.status, 'completed', JSON.stringify(batch.error));
+    assert.deepEqual(batch.items.map(item => item.status), ['completed', 'completed']);
+
+    const output = await fetch(`${base}${batch.links.output}`);
+    assert.equal(output.headers.get('content-type'), 'application/pdf');
+    assert.match(Buffer.from(await output.arrayBuffer()).toString('latin1'), /Combined 3 documents/);
+
+    // The contents page lists both students with the page each report starts on
+    const contents = fake.requests.find(r => r.path === '/documents/upload' && r.body.includes('contents-table'));
+    const html = contents.body.toString('utf-8');
+    assert.match(html, /<td>Maya<\/td>\s*<td>Ada Lovelace<\/td>\s*<td>Conversation Summary Report<\/td>\s*<td class="page-number">2<\/td>/);
+    assert.match(html, /<td>Jo<\/td>\s*<td>Ada Lovelace<\/td>\s*<td>One-Page Summary<\/td>\s*<td class="page-number">3<\/td>/);
+    const combine = fake.requests.find(r => r.path === '/documents/enhance/pdf-combine');
+    assert.equal(JSON.parse(combine.body).documentInfos.length, 3);
+
+    // Deleting an item's report takes its request and the merged PDF with it
+    const remove = { method: 'DELETE', headers: { 'X-Report-Delete-Token': batch.items[0].report.deleteToken } };
+    assert.equal((await fetch(`${base}/r/${batch.items[0].report.id}`, remove)).status, 204);
+    const after = await (await fetch(`${base}/api/reports/batch/${id}`)).json();
+    assert.equal(after.items[0].removed, true);
+    assert.equal(after.items[0].userName, undefined);
+    assert.equal(after.items[1].userName, 'Jo');
+    assert.equal(after.links.output, undefined);
+    assert.equal((await fetch(`${base}/api/reports/batch/${id}/output`)).status, 404);
+
+    const none = await post({ defaults: shared, items: [{ transcript }] });
+    const noneBatch = await settled((await none.json()).id);
+    assert.equal(noneBatch.links.output, undefined);
+    assert.equal((await fetch(`${base}/api/reports/batch/${noneBatch.id}/output`)).status, 404);
+    assert.equal((await fetch(`${base}/api/reports/batch/missing`)).status, 404);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+    await fake.close();
+  }
+});
@@ -0,0 +1,213 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const http   = require('http');
+const os     = require('os');
+const path   = require('path');
+
+const {
+  MemoryCacheStore,
+  FileCacheStore,
+  S3CacheStore,
+  ReportCache,
+  createCacheStore,
+  etagMatches,
+} = require('../src/services/cache');
+const { reportCacheKeys, generateReport } = require('../src/utils/reportRequest');
+const { HeuristicExtractionProvider } = require('../src/services/extraction');
+
+const KEY = `pdf/${'a'.repeat(64)}`;
+
+const REQUEST = {
+  transcript: [
+    'User: Why did you keep notes on the Analytical Engine?',
+    'Ada Lovelace: Because the engine weaves algebraic patterns just as the Jacquard loom weaves flowers and leaves.',
+  ].join('\n'),
+  characterName: 'Ada Lovelace',
+  characterMetadata: { tagline: 'T', birthYear: '1815', deathYear: '1852', bio: 'B', facts: ['F'] },
+  sessionDate: 'March 1, 2026',
+};
+
+// ── Stores ────────────────────────────────────────────────────────────────────
+
+test('MemoryCacheStore expires entries and evicts the least recently used', async () => {
+  const store = new MemoryCacheStore({ maxBytes: 10 });
+  await store.set('pdf/a', Buffer.from('aaaa'), 60_000);
+  await store.set('pdf/b', Buffer.from('bbbb'), 60_000);
+  await store.get('pdf/a');
+  await store.set('pdf/c', Buffer.from('cccc'), 60_000);
+
+  assert.equal(await store.get('pdf/b'), null);
+  assert.equal((await store.get('pdf/a')).toString(), 'aaaa');
+  assert.equal(store.bytes, 8);
+
+  await store.set('pdf/d', Buffer.from('d'), -1);
+  assert.equal(await store.get('pdf/d'), null);
+});
+
+test('FileCacheStore persists entries, expires them and prunes the directory', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'historai-cache-'));
+  try {
+    const store = new FileCacheStore({ dir });
+    await store.set(KEY, Buffer.from('%PDF-1.7'), 60_000);
+    assert.equal((await new FileCacheStore({ dir }).get(KEY)).toString(), '%PDF-1.7');
+
+    await store.set('data/old', Buffer.from('{}'), -1);
+    assert.equal(await store.prune(), 1);
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'data')), []);
+
+    await assert.rejects(store.get('../../etc/passwd'), /Invalid cache key/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('S3CacheStore signs requests and honours the stored expiry', async () => {
+  const objects = new Map();
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      seen.push({ method: req.method, url: req.url, headers: req.headers });
+      if (req.method === 'PUT') {
+        objects.set(req.url, { body: Buffer.concat(chunks), expiresAt: req.headers['x-amz-meta-expires-at'] });
+        res.writeHead(200);
+        return res.end();
+      }
+      const object = objects.get(req.url);
+      if (req.method === 'DELETE') {
+        objects.delete(req.url);
+        res.writeHead(204);
+        return res.end();
+      }
+      if (!object) {
+        res.writeHead(404, { 'Content-Type': 'application/xml' });
+        return res.end('<Error><Code>NoSuchKey</Code></Error>');
+      }
+      res.writeHead(200, { 'x-amz-meta-expires-at': object.expiresAt });
+      res.end(object.body);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const store = new S3CacheStore({
+      endpoint:        `http://127.0.0.1:${server.address().port}`,
+      bucket:          'reports',
+      accessKeyId:     'AKIDEXAMPLE',
+      secretAccessKey: 'secret',
+      region:          'eu-west-1',
+    });
+
+    await store.set(KEY, Buffer.from('%PDF-1.7'), 60_000);
+    assert.equal((await store.get(KEY)).toString(), '%PDF-1.7');
+    assert.equal(seen[0].url, `/reports/historai-cache/${KEY}`);
+    assert.match(
+      seen[0].headers.authorization,
+      /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/eu-west-1\/s3\/aws4_request, SignedHeaders=content-type;host;x-amz-content-sha256;x-amz-date;x-amz-meta-expires-at, Signature=[0-9a-f]{64}$/
+    );
+    assert.match(seen[0].headers['x-amz-date'], /^\d{8}T\d{6}Z$/);
+
+    await store.set(KEY, Buffer.from('stale'), -1);
+    assert.equal(await store.get(KEY), null);
+    assert.equal(seen.at(-1).method, 'DELETE');
+    assert.equal(await store.get(`data/${'b'.repeat(64)}`), null);
+  } finally {
+    server.close();
+  }
+
+  assert.throws(() => new S3CacheStore({ endpoint: 'http://x', bucket: 'b' }), /accessKeyId is not set/);
+});
+
+test('createCacheStore selects a store by name', () => {
+  assert.equal(createCacheStore('memory').name, 'memory');
+  assert.equal(createCacheStore('none'), null);
+  assert.throws(() => createCacheStore('redis'), /Unknown CACHE_STORE "redis" \(expected one of: memory, file, s3, none\)/);
+});
+
+// ── Keys ──────────────────────────────────────────────────────────────────────
+
+test('cache keys ignore key order and whitespace but not what changes the report', () => {
+  const cache = new ReportCache();
+  const provider = { name: 'heuristic' };
+  const pdfService = { name: 'local', postProcessing: [] };
+  const keys = body => reportCacheKeys(body, { cache, provider, pdfService });
+
+  const base = keys(REQUEST);
+  const reordered = keys({
+    sessionDate:       'March 1, 2026 ',
+    characterMetadata: { facts: ['F'], bio: 'B', deathYear: '1852', birthYear: '1815', tagline: 'T' },
+    characterName:     'Ada Lovelace',
+    transcript:        REQUEST.transcript,
+  });
+  assert.deepEqual(reordered, base);
+  assert.match(base.pdf, /^pdf\/[0-9a-f]{64}$/);
+
+  const template = keys({ ...REQUEST, template: 'one-page-summary' });
+  assert.equal(template.data, base.data);
+  assert.notEqual(template.pdf, base.pdf);
+
+  assert.notEqual(keys({ ...REQUEST, postProcessing: [{ op: 'compress' }] }).pdf, base.pdf);
+  assert.notEqual(reportCacheKeys(REQUEST, { cache, provider: { name: 'openai', model: 'x' }, pdfService }).data, base.data);
+  assert.notEqual(reportCacheKeys(REQUEST, { cache, provider, pdfService: { name: 'foxit', postProcessing: [] } }).pdf, base.pdf);
+});
+
+test('etagMatches handles lists, weak validators and *', () => {
+  assert.equal(etagMatches('"a", W/"b"', '"b"'), true);
+  assert.equal(etagMatches('*', '"b"'), true);
+  assert.equal(etagMatches('"a"', '"b"'), false);
+  assert.equal(etagMatches(undefined, '"b"'), false);
+});
+
+// ── Pipeline ──────────────────────────────────────────────────────────────────
+
+test('generateReport reuses extraction, caches PDFs and never caches a fallback render or a placeholder portrait', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const provider = new HeuristicExtractionProvider();
+  const extract = t.mock.method(provider, 'extract');
+  const cache = new ReportCache({ store: new MemoryCacheStore() });
+
+  let renders = 0;
+  const pdfService = {
+    name:           'foxit',
+    postProcessing: [],
+    async generateConversationReport(data, { onProgress, template }) {
+      renders++;
+      // The one-page summary "falls back" to the local renderer
+      if (template === 'one-page-summary') onProgress({ stage: 'local', message: 'Rendering PDF locally' });
+      // A portrait that cannot be fetched is replaced by the placeholder
+      if (/unreachable/.test(data.characterImageUrl)) {
+        onProgress({ stage: 'assets', message: 'Image unavailable — using placeholder', placeholder: true });
+      }
+      return Buffer.from(`%PDF ${template || 'default'} ${renders}`);
+    },
+  };
+  const stages = [];
+  const run = body => generateReport(body, { provider, pdfService, cache, onProgress: e => stages.push(e.stage) });
+
+  assert.equal((await run(REQUEST)).toString(), '%PDF default 1');
+  assert.equal((await run(REQUEST)).toString(), '%PDF default 1');
+  assert.equal(stages.at(-1), 'cache');
+
+  await run({ ...REQUEST, template: 'one-page-summary' });
+  assert.equal((await run({ ...REQUEST, template: 'one-page-summary' })).toString(), '%PDF one-page-summary 3');
+  assert.equal(extract.mock.callCount(), 1);
+
+  const unreachable = { ...REQUEST, characterImageUrl: 'https://unreachable.example/ada.png' };
+  await run(unreachable);
+  assert.equal((await run(unreachable)).toString(), '%PDF default 5');
+  assert.equal(stages.at(-1), 'assets');
+});
+
+test('a failing store is treated as a miss', async t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const store = new MemoryCacheStore();
+  store.get = async () => { throw new Error('bucket unreachable'); };
+  const cache = new ReportCache({ store });
+
+  assert.equal(await cache.getPdf(KEY), null);
+  assert.match(warn.mock.calls[0].arguments[0], /Read of pdf\/a+ failed \(bucket unreachable\) — treating as a miss/);
+});
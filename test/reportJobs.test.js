@@ -0,0 +1,330 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const http   = require('http');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const { MemoryJobStore, FileJobStore, ReportJobRunner, createJobStore, publicJob } = require('../src/services/jobs');
+const { overallPercent } = require('../src/services/jobs/ReportJobRunner');
+const { signPayload, verifySignature, validateWebhookUrl, checkWebhookHost, deliverWebhook } = require('../src/utils/webhook');
+
+const PDF = Buffer.from('%PDF-1.7 fake');
+
+/** A run() that replays the progress events the real pipeline emits. */
+async function fakePipeline(request, onProgress) {
+  onProgress({ stage: 'extract', message: 'Extracting' });
+  onProgress({ stage: 'render', message: 'Rendered' });
+  for (const step of [1, 2]) onProgress({ stage: 'stage1', step, message: `Step ${step}` });
+  onProgress({ stage: 'stage1', step: 3, message: 'Task PROCESSING', taskProgress: 50 });
+  onProgress({ stage: 'stage1', step: 4, message: 'Downloading PDF' });
+  onProgress({ stage: 'stage2', step: 1, message: 'Uploading PDF' });
+  return PDF;
+}
+
+/** Local webhook receiver that records raw bodies and answers with `statuses` in turn. */
+function startReceiver(statuses = [200]) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      calls.push({ headers: req.headers, raw });
+      res.writeHead(statuses[Math.min(calls.length - 1, statuses.length - 1)]);
+      res.end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, calls, url: `http://127.0.0.1:${server.address().port}/hook` });
+  }));
+}
+
+test('job stores round-trip records and PDFs', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'historai-jobs-'));
+  try {
+    for (const store of [new MemoryJobStore(), new FileJobStore({ dir })]) {
+      const job = { id: 'job-1', status: 'queued', progress: { percent: 0 }, request: { a: 1 }, createdAt: 'x', updatedAt: 'x' };
+      await store.create(job);
+      job.status = 'mutated';
+
+      const updated = await store.update('job-1', { status: 'running' });
+      assert.equal(updated.status, 'running', store.name);
+      assert.deepEqual((await store.get('job-1')).request, { a: 1 });
+      assert.equal(await store.get('missing'), null);
+      assert.deepEqual((await store.list()).map(j => j.id), ['job-1']);
+
+      await store.savePdf('job-1', PDF);
+      assert.deepEqual(await store.getPdf('job-1'), PDF);
+      assert.equal(await store.getPdf('missing'), null);
+      await store.deletePdf('job-1');
+      assert.equal(await store.getPdf('job-1'), null);
+      assert.equal((await store.get('job-1')).status, 'running');
+      await store.savePdf('job-1', PDF);
+
+      assert.equal(await store.delete('job-1'), true);
+      assert.equal(await store.get('job-1'), null);
+      assert.equal(await store.getPdf('job-1'), null);
+      assert.equal(await store.delete('job-1'), false);
+    }
+    // Ids from the URL never escape the store directory
+    assert.equal(await new FileJobStore({ dir }).get('../../etc/passwd'), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('createJobStore selects by name and rejects unknown stores', () => {
+  assert.ok(createJobStore('memory') instanceof MemoryJobStore);
+  assert.ok(createJobStore('FILE', { dir: os.tmpdir() }) instanceof FileJobStore);
+  assert.throws(() => createJobStore('redis'), /Unknown JOB_STORE "redis"/);
+});
+
+test('memory store evicts the oldest finished jobs first', async () => {
+  const store = new MemoryJobStore({ maxJobs: 2 });
+  await store.create({ id: 'a', status: 'running' });
+  await store.create({ id: 'b', status: 'completed' });
+  await store.create({ id: 'c', status: 'queued' });
+  assert.deepEqual((await store.list()).map(j => j.id), ['a', 'c']);
+});
+
+test('progress maps Foxit steps onto one increasing percentage', () => {
+  assert.equal(overallPercent({ stage: 'extract' }), 0);
+  assert.equal(overallPercent({ stage: 'stage1', step: 1 }), 25);
+  assert.equal(overallPercent({ stage: 'stage1', step: 3, taskProgress: 50 }), 56);
+  assert.equal(overallPercent({ stage: 'stage2', step: 4 }), 93);
+  // Second of three post-processing operations: stage2's middle third
+  assert.equal(overallPercent({ stage: 'stage2', step: 1, operationIndex: 1, operationCount: 3 }), 83);
+});
+
+test('live progress turns pipeline steps into phases, then settles once', async () => {
+  let start;
+  const started = new Promise(resolve => { start = resolve; });
+  const runner = new ReportJobRunner({
+    store: new MemoryJobStore(),
+    run:   async (request, onProgress) => { await started; return fakePipeline(request, onProgress); },
+  });
+  const job = await runner.submit({ characterName: 'Ada' });
+  const live = runner.progressOf(job.id);
+  assert.equal(publicJob(job).links.events, `/api/reports/${job.id}/events`);
+
+  const events = [];
+  live.on('progress', update => events.push(['progress', update]));
+  live.on('complete', data => events.push(['complete', data]));
+  start();
+  await runner.onIdle();
+
+  assert.deepEqual(
+    events.map(([name, data]) => [name, data.phase, data.step, data.percent, data.taskProgress]),
+    [
+      ['progress', 'extraction', undefined, 0, undefined],
+      ['progress', 'render', undefined, 20, undefined],
+      ['progress', 'upload', 'upload', 25, undefined],
+      ['progress', 'convert', 'convert', 38, undefined],
+      ['progress', 'convert', 'convert', 56, 50],
+      ['progress', 'download', 'download', 63, undefined],
+      ['progress', 'postprocess', 'upload', 75, undefined],
+      ['complete', undefined, undefined, 100, undefined],
+    ]
+  );
+  assert.equal(events.at(-1)[1].job.status, 'completed');
+  assert.equal(events.at(-1)[1].job.links.events, undefined);
+  assert.equal(runner.progressOf(job.id), null);
+
+  // Late steps and a second outcome are ignored
+  live.report({ stage: 'extract', message: 'late' });
+  live.fail({ message: 'late' });
+  assert.equal(events.length, 8);
+});
+
+test('live progress reports failures with their fields', async () => {
+  const runner = new ReportJobRunner({
+    store: new MemoryJobStore(),
+    run:   async () => { throw Object.assign(new Error('bad data'), { fields: [{ path: 'themes', message: 'is required' }] }); },
+  });
+  const job = await runner.submit({ characterName: 'Ada' });
+  const live = runner.progressOf(job.id);
+  await runner.onIdle();
+
+  // The outcome stays on the emitter for subscribers that arrive late
+  assert.equal(live.outcome.event, 'failed');
+  const { data } = live.outcome;
+  assert.deepEqual(data.error, { message: 'bad data', fields: [{ path: 'themes', message: 'is required' }] });
+  assert.equal(data.job.status, 'failed');
+});
+
+test('a job runs in the background and exposes progress and the PDF', async () => {
+  const store  = new MemoryJobStore();
+  const seen   = [];
+  const runner = new ReportJobRunner({
+    store,
+    run: async (request, onProgress) => {
+      seen.push(...(await store.list()).map(j => j.status));
+      return fakePipeline(request, onProgress);
+    },
+  });
+
+  const job = await runner.submit({ characterName: 'Ada', transcript: 'secret' });
+  assert.equal(job.status, 'queued');
+  await runner.onIdle();
+
+  const done = await store.get(job.id);
+  assert.deepEqual(seen, ['running']);
+  assert.equal(done.status, 'completed');
+  assert.deepEqual(done.progress, { percent: 100, stage: 'done', message: 'Report ready' });
+  assert.deepEqual(await store.getPdf(job.id), PDF);
+  assert.equal(done.request, null, 'the transcript is dropped once the job settles');
+
+  const view = publicJob(done);
+  assert.equal(view.links.pdf, `/api/reports/${job.id}/pdf`);
+  assert.equal(view.pdfBytes, PDF.length);
+  assert.ok(!('request' in view), 'transcript is not exposed');
+});
+
+test('failures are recorded with validation fields', async () => {
+  const store  = new MemoryJobStore();
+  const runner = new ReportJobRunner({
+    store,
+    run: async (request, onProgress) => {
+      onProgress({ stage: 'extract', message: 'Extracting' });
+      throw Object.assign(new Error('bad data'), { fields: [{ path: 'themes', message: 'is required' }] });
+    },
+  });
+  const { id } = await runner.submit({});
+  await runner.onIdle();
+
+  const job = await store.get(id);
+  assert.equal(job.status, 'failed');
+  assert.deepEqual(job.error, { message: 'bad data', fields: [{ path: 'themes', message: 'is required' }] });
+  assert.equal(job.request, null);
+  assert.equal(publicJob(job).links.pdf, undefined);
+});
+
+test('concurrency limits how many jobs run at once', async () => {
+  let running = 0;
+  let peak = 0;
+  const runner = new ReportJobRunner({
+    store: new MemoryJobStore(),
+    concurrency: 2,
+    run: async () => {
+      peak = Math.max(peak, ++running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+      return PDF;
+    },
+  });
+  await Promise.all([1, 2, 3, 4, 5].map(() => runner.submit({})));
+  await runner.onIdle();
+  assert.equal(peak, 2);
+});
+
+test('interrupted jobs from a previous process are marked failed', async () => {
+  const store = new MemoryJobStore();
+  await store.create({ id: 'old', status: 'running', request: { transcript: 'secret' } });
+  await store.create({ id: 'done', status: 'completed' });
+  const runner = new ReportJobRunner({ store, run: fakePipeline });
+
+  assert.equal(await runner.recoverInterrupted(), 1);
+  assert.equal((await store.get('old')).status, 'failed');
+  assert.equal((await store.get('old')).request, null);
+  assert.equal((await store.get('done')).status, 'completed');
+});
+
+test('the retention sweep deletes settled jobs, leaving batch items to their batch', async t => {
+  t.mock.method(console, 'log', () => {});
+  const store = new MemoryJobStore();
+  const now = Date.now();
+  const ago = days => new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+  await store.create({ id: 'old', status: 'completed', completedAt: ago(8) });
+  await store.create({ id: 'recent', status: 'failed', completedAt: ago(6) });
+  await store.create({ id: 'item', status: 'completed', completedAt: ago(8), batchId: 'b-1' });
+  await store.create({ id: 'queued', status: 'queued' });
+  await store.savePdf('old', PDF);
+  const runner = new ReportJobRunner({ store, run: fakePipeline, retentionMs: 7 * 24 * 60 * 60 * 1000 });
+
+  assert.equal(await runner.purgeExpired(now), 1);
+  assert.deepEqual((await store.list()).map(job => job.id), ['recent', 'item', 'queued']);
+  assert.equal(await store.getPdf('old'), null);
+});
+
+test('signatures verify and reject tampering or stale timestamps', () => {
+  const body = '{"event":"report.completed"}';
+  const header = signPayload(body, 's3cret', 1_700_000_000);
+  assert.ok(verifySignature(header, body, 's3cret', { now: 1_700_000_100 }));
+  assert.ok(!verifySignature(header, body + ' ', 's3cret', { now: 1_700_000_100 }));
+  assert.ok(!verifySignature(header, body, 'other', { now: 1_700_000_100 }));
+  assert.ok(!verifySignature(header, body, 's3cret', { now: 1_700_001_000 }));
+  assert.ok(!verifySignature('garbage', body, 's3cret'));
+});
+
+test('webhook URLs must be http(s) without credentials', () => {
+  assert.equal(validateWebhookUrl('https://example.com/hook'), null);
+  assert.match(validateWebhookUrl('file:///etc/passwd'), /disallowed scheme/);
+  assert.match(validateWebhookUrl('https://u:p@example.com/'), /credentials/);
+  assert.match(validateWebhookUrl(42), /must be a string/);
+});
+
+test('webhooks only go to public addresses, checked on submit and on every delivery', async t => {
+  t.mock.method(console, 'warn', () => {});
+  assert.match(validateWebhookUrl('http://127.0.0.1:8080/hook'), /must lead to a public address \(127\.0\.0\.1 is not a public address\)/);
+  assert.match(validateWebhookUrl('http://169.254.169.254/latest/meta-data/'), /169\.254\.169\.254 is not a public address/);
+  assert.match(validateWebhookUrl('http://[::1]/hook'), /::1 is not a public address/);
+  assert.equal(validateWebhookUrl('http://127.0.0.1:8080/hook', { allowPrivateHosts: true }), null);
+
+  // Names are resolved: localhost passes the literal check but not this one
+  assert.equal(validateWebhookUrl('http://localhost/hook'), null);
+  assert.match(await checkWebhookHost('http://localhost/hook'), /localhost resolves to .*, which is not a public address/);
+  assert.equal(await checkWebhookHost('http://localhost/hook', { allowPrivateHosts: true }), null);
+
+  // A URL that was accepted is checked again when it is delivered to, without retries
+  const { server, calls, url } = await startReceiver();
+  try {
+    const local = url.replace('127.0.0.1', 'localhost');
+    const result = await deliverWebhook(local, 'report.completed', {}, { secret: 's', backoffMs: 1 });
+    assert.deepEqual({ ...result, error: undefined }, { ok: false, attempts: 1, error: undefined });
+    assert.match(result.error, /localhost resolves to .*, which is not a public address/);
+    assert.equal((await deliverWebhook(url, 'report.completed', {}, { secret: 's', backoffMs: 1 })).attempts, 1);
+    assert.equal(calls.length, 0);
+  } finally {
+    server.close();
+  }
+});
+
+test('finished jobs send a signed webhook, retrying server errors', async () => {
+  const { server, calls, url } = await startReceiver([503, 200]);
+  try {
+    const store  = new MemoryJobStore();
+    const runner = new ReportJobRunner({
+      store,
+      run:            fakePipeline,
+      webhookSecret:  'hook-secret',
+      // The receiver listens on 127.0.0.1
+      webhookOptions: { backoffMs: 1, allowPrivateHosts: true },
+    });
+    const { id } = await runner.submit({ transcript: 'secret' }, { webhookUrl: url });
+    await runner.onIdle();
+
+    assert.equal(calls.length, 2);
+    const { headers, raw } = calls[1];
+    assert.equal(headers['x-historai-event'], 'report.completed');
+    assert.ok(verifySignature(headers['x-historai-signature'], raw, 'hook-secret'));
+
+    const payload = JSON.parse(raw);
+    assert.equal(payload.event, 'report.completed');
+    assert.equal(payload.job.id, id);
+    assert.ok(!raw.includes('secret"'), 'request body is not sent');
+
+    const job = await store.get(id);
+    assert.equal(job.webhook.attempts, 2);
+    assert.ok(job.webhook.deliveredAt);
+    assert.equal(job.webhookUrl, null, 'the URL is dropped once the callback is sent');
+  } finally {
+    server.close();
+  }
+});
+
+test('webhookUrl is refused when no secret is configured', async () => {
+  const runner = new ReportJobRunner({ store: new MemoryJobStore(), run: fakePipeline });
+  await assert.rejects(runner.submit({}, { webhookUrl: 'https://example.com' }), /WEBHOOK_SECRET is not set/);
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const {
+  MemoryReportStore,
+  FileReportStore,
+  ReportArchive,
+  createReportStore,
+} = require('../src/services/storage');
+
+const PDF  = Buffer.from('%PDF-1.7 fake');
+const DATA = { characterName: 'Ada Lovelace', themes: [] };
+const DAY  = 24 * 60 * 60 * 1000;
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('report stores round-trip records, PDFs and ReportData', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'historai-reports-'));
+  try {
+    for (const store of [new MemoryReportStore(), new FileReportStore({ dir })]) {
+      const report = { id: 'r-1', characterName: 'Ada Lovelace', template: 'conversation-report', expiresAt: 'x' };
+      await store.save(report, { pdf: PDF, data: DATA });
+
+      assert.deepEqual(await store.get('r-1'), report, store.name);
+      assert.deepEqual(await store.getPdf('r-1'), PDF);
+      assert.deepEqual(await store.getData('r-1'), DATA);
+      assert.deepEqual((await store.list()).map(r => r.id), ['r-1']);
+
+      assert.equal(await store.delete('r-1'), true);
+      assert.equal(await store.get('r-1'), null);
+      assert.equal(await store.getPdf('r-1'), null);
+      assert.equal(await store.delete('r-1'), false);
+    }
+    assert.deepEqual(fs.readdirSync(dir), []);
+    // Ids from the URL never escape the store directory
+    assert.equal(await new FileReportStore({ dir }).getPdf('../../etc/passwd'), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('createReportStore selects by name', () => {
+  assert.ok(createReportStore('memory') instanceof MemoryReportStore);
+  assert.equal(createReportStore('none'), null);
+  assert.throws(() => createReportStore('s3'), /Unknown REPORT_STORE "s3" \(expected one of: memory, file, none\)/);
+});
+
+test('links are signed, expire, and never outlive the report', async () => {
+  const archive = new ReportArchive({
+    store:       new MemoryReportStore(),
+    secret:      'test-secret',
+    retentionMs: 2 * DAY,
+    linkTtlMs:   DAY,
+    baseUrl:     'https://pdf.example.com/',
+  });
+  const report = await archive.save({ pdf: PDF, data: DATA, template: 'conversation-report' });
+  assert.equal(report.pdfBytes, PDF.length);
+
+  const now = Date.now();
+  const { url, expiresAt } = archive.link(report, { now });
+  assert.match(url, new RegExp(`^https://pdf\\.example\\.com/r/${report.id}\\?expires=\\d+&sig=[0-9a-f]{64}$`));
+  const query = Object.fromEntries(new URL(url).searchParams);
+  assert.equal(Number(query.expires) * 1000, Date.parse(expiresAt));
+
+  assert.equal(archive.verifyLink(report.id, query), 'ok');
+  assert.equal(archive.verifyLink('other-id', query), 'invalid');
+  assert.equal(archive.verifyLink(report.id, { ...query, expires: String(Number(query.expires) + 60) }), 'invalid');
+  assert.equal(archive.verifyLink(report.id, { expires: query.expires }), 'invalid');
+  // ?sig=…&sig=… is parsed into an array
+  assert.equal(archive.verifyLink(report.id, { ...query, sig: [query.sig] }), 'invalid');
+  assert.equal(archive.verifyLink(report.id, { ...query, expires: [query.expires] }), 'invalid');
+  assert.equal(archive.verifyLink(report.id, query, { now: now + 2 * DAY }), 'expired');
+
+  // Deleting takes a separate token that no link carries
+  const token = archive.deleteToken(report);
+  assert.match(token, /^[0-9a-f]{64}$/);
+  assert.ok(!url.includes(token));
+  assert.equal(archive.verifyDeleteToken(report.id, token), true);
+  assert.equal(archive.verifyDeleteToken(report.id, query.sig), false);
+  assert.equal(archive.verifyDeleteToken('other-id', token), false);
+  assert.equal(archive.verifyDeleteToken(report.id, [token]), false);
+  assert.equal(archive.verifyDeleteToken(report.id, undefined), false);
+
+  // Minted the day before the report expires, a link lasts only that day
+  const late = archive.link(report, { now: now + 1.5 * DAY });
+  assert.equal(late.expiresAt, new Date(Math.floor(Date.parse(report.expiresAt) / 1000) * 1000).toISOString());
+});
+
+test('the retention sweep deletes expired reports and calls onDelete', async () => {
+  const deleted = [];
+  const archive = new ReportArchive({
+    store:       new MemoryReportStore(),
+    secret:      'test-secret',
+    retentionMs: DAY,
+    onDelete:    report => { deleted.push(report.id); },
+  });
+  const old   = await archive.save({ pdf: PDF, data: DATA, template: 'conversation-report', jobId: 'job-1' });
+  const fresh = await archive.save({ pdf: PDF, data: DATA, template: 'conversation-report' });
+  assert.equal(old.jobId, 'job-1');
+
+  // Past retention, a report reads as gone before the sweep removes it
+  await archive.store.save({ ...old, expiresAt: new Date(Date.now() - 1).toISOString() }, { pdf: PDF, data: DATA });
+  assert.equal(await archive.get(old.id), null);
+  assert.equal(await archive.getPdf(old.id), null);
+
+  assert.equal(await archive.purgeExpired(), 1);
+  assert.deepEqual(deleted, [old.id]);
+  assert.deepEqual(await archive.getData(fresh.id), DATA);
+  assert.equal(await archive.delete(old.id), null);
+});
+
+test('persistent stores need a link secret', () => {
+  assert.throws(
+    () => new ReportArchive({ store: new FileReportStore({ dir: os.tmpdir() }), secret: '' }),
+    /REPORT_LINK_SECRET must be set for the file report store/
+  );
+  assert.equal(new ReportArchive({ store: new MemoryReportStore(), secret: '' }).ephemeralSecret, true);
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validate, repair, EXTRACTED_CONTENT_SCHEMA } = require('../src/utils/reportValidator');
+const { reportData } = require('./support/reportData');
+
+test('a complete report validates', () => {
+  assert.deepEqual(validate(reportData()), []);
+});
+
+test('errors carry precise paths', () => {
+  const data = reportData();
+  data.themes[2] = { name: 'N', explanation: '', quote: 42, context: 'C' };
+  delete data.userName;
+
+  assert.deepEqual(validate(data), [
+    { path: 'userName', message: 'is required' },
+    { path: 'themes[2].explanation', message: 'must not be empty' },
+    { path: 'themes[2].quote', message: 'must be a string (got integer)' },
+  ]);
+});
+
+test('array bounds are enforced', () => {
+  const data = reportData();
+  data.themes = [];
+  data.characterFacts = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+  assert.deepEqual(validate(data).map(e => e.path), ['characterFacts', 'themes']);
+});
+
+test('repair coerces, trims and drops blanks without mutating the input', () => {
+  const data = reportData();
+  data.characterBirthYear = 1815;
+  data.characterFacts = ['  Daughter of Byron. ', '', '2', '3', '4', '5', '6', '7', '8', '9'];
+  data.themes[0] = { ...data.themes[0], name: '  Engines  ' };
+
+  const fixed = repair(data);
+  assert.equal(fixed.characterBirthYear, '1815');
+  assert.deepEqual(fixed.characterFacts, ['Daughter of Byron.', '2', '3', '4', '5', '6', '7', '8']);
+  assert.equal(fixed.themes[0].name, 'Engines');
+  assert.equal(data.characterBirthYear, 1815);
+  assert.deepEqual(validate(fixed), []);
+});
+
+test('the extracted-content schema only covers provider fields', () => {
+  const { sessionSummary, headlineInsight, themes, resources, reflectionQuestions } = reportData();
+  const extracted = { sessionSummary, headlineInsight, themes, resources, reflectionQuestions };
+  assert.deepEqual(validate(extracted, EXTRACTED_CONTENT_SCHEMA), []);
+  assert.deepEqual(validate({}, EXTRACTED_CONTENT_SCHEMA).map(e => e.path), Object.keys(extracted));
+});
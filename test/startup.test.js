@@ -0,0 +1,221 @@
+'use strict';
+
+/**
+ * Tests for the configuration loader, GET /ready, degraded mode and
+ * graceful shutdown.
+ */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const http   = require('http');
+const os     = require('os');
+const path   = require('path');
+
+const { loadConfig, ConfigError, FOXIT_CREDENTIALS } = require('../src/utils/config');
+const { GracefulShutdown } = require('../src/utils/shutdown');
+const { checkTemplates } = require('../src/utils/templateRegistry');
+const { startFakeFoxit, useFakeFoxitEnv } = require('./support/fakeFoxit');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'historai-startup-'));
+
+const FOXIT_ENV = Object.fromEntries(FOXIT_CREDENTIALS.map(name => [
+  name, name.endsWith('BASE_URL') ? 'https://foxit.example/pdf-services/api' : 'x',
+]));
+
+const REQUEST = {
+  transcript: [
+    'User: Why did you keep notes on the Analytical Engine?',
+    'Ada Lovelace: Because the engine weaves algebraic patterns just as the Jacquard loom weaves flowers and leaves.',
+  ].join('\n'),
+  characterName: 'Ada Lovelace',
+  characterMetadata: { tagline: 'T', birthYear: '1815', deathYear: '1852', bio: 'B', facts: ['F'] },
+};
+
+function writeConfig(name, values) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify(values));
+  return file;
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// ── Configuration ─────────────────────────────────────────────────────────────
+
+test('loadConfig prefers env over the config file over defaults', () => {
+  const file = writeConfig('precedence.json', { PDF_BACKEND: 'local', JOB_CONCURRENCY: 4, BATCH_MAX_ITEMS: 10 });
+  const env  = { BATCH_MAX_ITEMS: '20', LOG_LEVEL: 'WARN' };
+  const config = loadConfig({ env, file });
+
+  assert.equal(config.pdfBackend, 'local');
+  assert.equal(config.jobConcurrency, 4);
+  assert.equal(config.batchMaxItems, 20);
+  assert.equal(config.logLevel, 'warn');
+  assert.equal(config.port, 3000);
+  assert.equal(config.degraded, null);
+  assert.ok(Object.isFrozen(config));
+  // File values reach modules that read process.env themselves; env is untouched
+  assert.equal(env.JOB_CONCURRENCY, '4');
+  assert.equal(env.BATCH_MAX_ITEMS, '20');
+});
+
+test('loadConfig reports every invalid setting at once', () => {
+  const file = writeConfig('invalid.json', { PDF_BACKEND: 'local', JOB_CONCURENCY: 4 });
+  assert.throws(
+    () => loadConfig({ env: { PORT: 'eighty', CACHE_STORE: 'redis', REPORT_RETENTION_DAYS: '0' }, file }),
+    err => {
+      assert.ok(err instanceof ConfigError);
+      assert.deepEqual(err.problems, [
+        'invalid.json: unknown setting "JOB_CONCURENCY"',
+        'PORT must be an integer between 1 and 65535 (got "eighty")',
+        'CACHE_STORE must be one of: memory, file, s3, none (got "redis")',
+        'REPORT_RETENTION_DAYS must be a number > 0 (got "0")',
+      ]);
+      assert.match(err.message, /^Invalid configuration:\n {2}- invalid\.json/);
+      return true;
+    }
+  );
+  assert.throws(() => loadConfig({ env: { CONFIG_FILE: path.join(dir, 'missing.json') } }), /missing\.json does not exist/);
+});
+
+test('Foxit without credentials starts degraded outside production and fails in production', () => {
+  const dev = loadConfig({ env: { FOXIT_DOCGEN_BASE_URL: 'https://foxit.example' } });
+  assert.equal(dev.pdfBackend, 'local');
+  assert.match(dev.degraded, /^Foxit is not configured \(FOXIT_DOCGEN_CLIENT_ID, .*FOXIT_PDFSERVICES_CLIENT_SECRET not set\)$/);
+
+  assert.equal(loadConfig({ env: { PDF_DEGRADED_BACKEND: 'stub' } }).pdfBackend, 'stub');
+  assert.throws(() => loadConfig({ env: { NODE_ENV: 'production', LOG_FORMAT: 'json' } }), /PDF_BACKEND=foxit needs FOXIT_DOCGEN_BASE_URL/);
+
+  const configured = loadConfig({ env: { NODE_ENV: 'production', ...FOXIT_ENV } });
+  assert.equal(configured.pdfBackend, 'foxit');
+  assert.equal(configured.degraded, null);
+  assert.equal(configured.logFormat, 'json');
+});
+
+test('checkTemplates confirms every registered template renders', () => {
+  const result = checkTemplates();
+  assert.equal(result.ok, true);
+  assert.ok(result.templates >= 3);
+  assert.deepEqual(result.problems, []);
+});
+
+// ── Degraded mode ─────────────────────────────────────────────────────────────
+
+test('without Foxit credentials the app starts on the stub backend and /ready says so', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  for (const name of FOXIT_CREDENTIALS) delete process.env[name];
+  process.env.PDF_BACKEND          = 'foxit';
+  process.env.PDF_DEGRADED_BACKEND = 'stub';
+  process.env.REPORT_STORE         = 'none';
+  process.env.CACHE_STORE          = 'none';
+
+  const app = require('../src/app');
+  const server = http.createServer(app);
+  const base = await listen(server);
+
+  try {
+    const ready = await fetch(`${base}/ready`);
+    assert.equal(ready.status, 200);
+    const body = await ready.json();
+    assert.equal(body.status, 'degraded');
+    assert.equal(body.backend, 'stub');
+    assert.match(body.degraded, /Foxit is not configured/);
+    assert.equal(body.checks.templates.ok, true);
+
+    const res = await fetch(`${base}/api/generate-report`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify(REQUEST),
+    });
+    assert.equal(res.status, 200);
+    const pdf = Buffer.from(await res.arrayBuffer());
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.match(pdf.toString('latin1'), /StubPdfService/);
+
+    // Once shutdown starts, probes and new API requests get 503
+    const { shutdown } = app.locals;
+    shutdown.draining = true;
+    assert.equal((await fetch(`${base}/ready`)).status, 503);
+    const refused = await fetch(`${base}/api/templates`);
+    assert.equal(refused.status, 503);
+    assert.equal(refused.headers.get('retry-after'), '5');
+    assert.deepEqual(await shutdown.run(server), { drained: true });
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+// ── Foxit readiness ───────────────────────────────────────────────────────────
+
+test('FoxitPdfService needs credentials to construct and pings both APIs when checked', async t => {
+  t.mock.method(console, 'log', () => {});
+  for (const name of FOXIT_CREDENTIALS) delete process.env[name];
+  // Requiring the clients no longer throws without their env vars
+  const FoxitPdfService = require('../src/services/FoxitPdfService');
+  assert.throws(() => new FoxitPdfService(), /\[FoxitPdfService\] Foxit is not configured: FOXIT_DOCGEN_BASE_URL, .* not set/);
+
+  const fake = await startFakeFoxit();
+  useFakeFoxitEnv(fake);
+  const service = new FoxitPdfService();
+  try {
+    const ready = await service.checkReady({ timeoutMs: 1000 });
+    assert.equal(ready.ok, true);
+    assert.equal(ready.docGen.status, 404);
+    // Both APIs share the fake's base URL, so it is pinged once
+    assert.equal(fake.requests.length, 1);
+  } finally {
+    await fake.close();
+  }
+
+  const down = await service.checkReady({ timeoutMs: 1000 });
+  assert.equal(down.ok, false);
+  assert.match(down.docGen.error, /^ECONN/);
+});
+
+// ── Graceful shutdown ─────────────────────────────────────────────────────────
+
+test('shutdown waits for in-flight requests and drain tasks, then stops accepting', async t => {
+  t.mock.method(console, 'log', () => {});
+  const shutdown = new GracefulShutdown({ timeoutMs: 2000 });
+  let jobsDone = false;
+  shutdown.onDrain(() => new Promise(resolve => setTimeout(() => { jobsDone = true; resolve(); }, 50)));
+
+  const server = http.createServer((req, res) => setTimeout(() => res.end('report'), 100));
+  const base = await listen(server);
+
+  const inFlight = fetch(base).then(res => res.text());
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const result = await shutdown.run(server);
+
+  assert.deepEqual(result, { drained: true });
+  assert.equal(await inFlight, 'report');
+  assert.equal(jobsDone, true);
+  await assert.rejects(fetch(base));
+});
+
+test('shutdown gives up after its timeout and exits non-zero on signal', async t => {
+  t.mock.method(console, 'log', () => {});
+  const warn = t.mock.method(console, 'warn', () => {});
+  const shutdown = new GracefulShutdown({ timeoutMs: 50 });
+  shutdown.onDrain(() => new Promise(() => {}));
+
+  const exits = [];
+  const before = process.listeners('SIGTERM').length;
+  shutdown.install(null, { exit: code => exits.push(code) });
+  try {
+    process.emit('SIGTERM', 'SIGTERM');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.deepEqual(exits, [1]);
+    assert.match(warn.mock.calls[0].arguments[0], /did not finish within 50ms/);
+  } finally {
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      for (const listener of process.listeners(signal).slice(before)) process.removeListener(signal, listener);
+    }
+  }
+});
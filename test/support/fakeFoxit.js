@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * fakeFoxit.js
+ *
+ * Local stand-in for the Foxit PDF Services API, for tests. Implements
+ *
+ *   POST /documents/upload                   → { documentId }
+ *   POST /documents/create/pdf-from-html     → { taskId }
+ *   POST /documents/modify/pdf-compress      → { taskId }
+ *   POST /documents/enhance/pdf-combine      → { taskId }   (body: { documentInfos })
+ *   GET  /tasks/:taskId                      → PENDING → PROCESSING → COMPLETED
+ *   GET  /documents/:id/download             → PDF bytes
+ *
+ * and checks the client_id / client_secret headers (401 otherwise).
+ * Behaviour is switched per endpoint through `fake.scenario`:
+ *
+ *   scenario.upload     'ok' | 'malformed' (200 without documentId) | 'error' (500)
+ *   scenario[operation] 'ok' | 'reject' (400 JSON on task creation)
+ *                       | 'malformed' (200 without taskId) | 'failed' (task FAILED)
+ *                       | 'pending' (never completes) | 'no-result' (COMPLETED without resultDocumentId)
+ *   scenario.download   'ok' | 'missing' (404 with a text body)
+ *
+ * Every request is recorded in `fake.requests` as { method, path, headers, body }.
+ * `fake.hold()` stops answering until the function it returns is called,
+ * which answers the held requests in order — to catch a pipeline mid-way.
+ */
+
+const http = require('http');
+
+const CREDENTIALS = { clientId: 'fake-client-id', clientSecret: 'fake-client-secret' };
+
+const DEFAULT_SCENARIO = {
+  upload:                 'ok',
+  'create/pdf-from-html': 'ok',
+  'modify/pdf-compress':  'ok',
+  'enhance/pdf-combine':  'ok',
+  download:               'ok',
+};
+
+/** A minimal but well-formed single-page PDF whose text is `label`. */
+function fakePdf(label) {
+  const text = label.replace(/[()\\]/g, '');
+  const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  ];
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+function send(res, status, body, type = 'application/json') {
+  res.writeHead(status, { 'Content-Type': type });
+  res.end(type === 'application/json' ? JSON.stringify(body) : body);
+}
+
+/**
+ * Start a fake Foxit server on an ephemeral port.
+ *
+ * @returns {Promise<{ url: string, credentials: typeof CREDENTIALS, scenario: object,
+ *   requests: object[], reset: () => void, hold: () => () => void, close: () => Promise<void> }>}
+ */
+function startFakeFoxit() {
+  const documents = new Map(); // documentId → Buffer
+  const tasks     = new Map(); // taskId → { operation, polls, resultDocumentId }
+  let seq = 0;
+
+  const fake = {
+    credentials: CREDENTIALS,
+    scenario:    { ...DEFAULT_SCENARIO },
+    requests:    [],
+    held:        null,
+    reset() {
+      fake.scenario = { ...DEFAULT_SCENARIO };
+      fake.requests.length = 0;
+      release();
+    },
+    hold() {
+      fake.held = fake.held || [];
+      return release;
+    },
+  };
+
+  function release() {
+    const held = fake.held || [];
+    fake.held = null;
+    held.forEach(answer => answer());
+  }
+
+  function handle(req, res, body) {
+    const path = req.url.split('?')[0];
+    fake.requests.push({ method: req.method, path, headers: req.headers, body });
+
+    if (req.headers.client_id !== CREDENTIALS.clientId || req.headers.client_secret !== CREDENTIALS.clientSecret) {
+      return send(res, 401, { code: 'UNAUTHORIZED', message: 'Invalid client credentials' });
+    }
+
+    if (req.method === 'POST' && path === '/documents/upload') {
+      if (fake.scenario.upload === 'error') return send(res, 500, { code: 'INTERNAL', message: 'Upload store unavailable' });
+      if (fake.scenario.upload === 'malformed') return send(res, 200, { ok: true });
+      const documentId = `doc-${++seq}`;
+      documents.set(documentId, body);
+      return send(res, 200, { documentId });
+    }
+
+    const create = /^\/documents\/(create\/pdf-from-html|modify\/pdf-compress|enhance\/pdf-combine)$/.exec(path);
+    if (req.method === 'POST' && create) {
+      const operation = create[1];
+      const mode = fake.scenario[operation];
+      let json;
+      try {
+        json = JSON.parse(body.toString('utf-8'));
+      } catch {
+        return send(res, 400, { code: 'BAD_REQUEST', message: 'Body must be JSON' });
+      }
+      const ids = json.documentInfos ? json.documentInfos.map(info => info.documentId) : [json.documentId];
+      const missing = ids.find(id => !documents.has(id));
+      if (!ids.length || missing !== undefined) return send(res, 404, { code: 'NOT_FOUND', message: `Unknown document ${missing}` });
+      if (mode === 'reject') return send(res, 400, { code: 'INVALID_INPUT', message: `Cannot ${operation}` });
+      if (mode === 'malformed') return send(res, 200, { accepted: true });
+
+      const taskId = `task-${++seq}`;
+      tasks.set(taskId, { operation, mode, polls: 0, source: documents.get(ids[0]), sources: ids.map(id => documents.get(id)) });
+      return send(res, 200, { taskId });
+    }
+
+    const poll = /^\/tasks\/([\w-]+)$/.exec(path);
+    if (req.method === 'GET' && poll) {
+      const task = tasks.get(poll[1]);
+      if (!task) return send(res, 404, { code: 'NOT_FOUND', message: 'Unknown task' });
+      task.polls++;
+      if (task.mode === 'failed') return send(res, 200, { taskId: poll[1], status: 'FAILED', error: { message: 'Conversion failed' } });
+      if (task.mode === 'pending' || task.polls === 1) return send(res, 200, { taskId: poll[1], status: 'PENDING', progress: 0 });
+      if (task.polls === 2) return send(res, 200, { taskId: poll[1], status: 'PROCESSING', progress: 50 });
+      if (task.mode === 'no-result') return send(res, 200, { taskId: poll[1], status: 'COMPLETED', progress: 100 });
+
+      if (!task.resultDocumentId) {
+        task.resultDocumentId = `doc-${++seq}`;
+        let result;
+        if (task.operation === 'modify/pdf-compress') result = task.source.subarray(0, Math.ceil(task.source.length * 0.9));
+        else if (task.operation === 'enhance/pdf-combine') result = fakePdf(`Combined ${task.sources.length} documents`);
+        else result = fakePdf(`Rendered ${task.source.length} bytes of HTML`);
+        documents.set(task.resultDocumentId, result);
+      }
+      return send(res, 200, { taskId: poll[1], status: 'COMPLETED', progress: 100, resultDocumentId: task.resultDocumentId });
+    }
+
+    const download = /^\/documents\/([\w-]+)\/download$/.exec(path);
+    if (req.method === 'GET' && download) {
+      if (fake.scenario.download === 'missing' || !documents.has(download[1])) {
+        return send(res, 404, `Document ${download[1]} not found`, 'text/plain');
+      }
+      return send(res, 200, documents.get(download[1]), 'application/pdf');
+    }
+
+    return send(res, 404, { code: 'NOT_FOUND', message: `${req.method} ${path}` });
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      let body = Buffer.concat(chunks);
+      // Keep only the file part of multipart uploads
+      const boundary = /boundary=(.+)$/.exec(req.headers['content-type'] || '')?.[1];
+      if (boundary) {
+        const text = body.toString('latin1');
+        const start = text.indexOf('\r\n\r\n') + 4;
+        const end = text.lastIndexOf(`\r\n--${boundary}`);
+        body = Buffer.from(text.slice(start, end), 'latin1');
+      }
+      if (fake.held) fake.held.push(() => handle(req, res, body));
+      else handle(req, res, body);
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    fake.url   = `http://127.0.0.1:${server.address().port}`;
+    fake.close = () => new Promise(done => {
+      server.closeAllConnections();
+      server.close(() => done());
+    });
+    resolve(fake);
+  }));
+}
+
+/**
+ * Point both Foxit clients at the fake (call before their first use).
+ * Polling and retries are shortened so failure scenarios finish quickly.
+ *
+ * @param {{ url: string, credentials: typeof CREDENTIALS }} fake
+ */
+function useFakeFoxitEnv(fake) {
+  for (const prefix of ['FOXIT_DOCGEN', 'FOXIT_PDFSERVICES']) {
+    process.env[`${prefix}_BASE_URL`]      = fake.url;
+    process.env[`${prefix}_CLIENT_ID`]     = fake.credentials.clientId;
+    process.env[`${prefix}_CLIENT_SECRET`] = fake.credentials.clientSecret;
+  }
+  process.env.FOXIT_MAX_RETRIES      = '0';
+  process.env.FOXIT_POLL_INTERVAL_MS = '1';
+  process.env.FOXIT_POLL_TIMEOUT_MS  = '300';
+}
+
+module.exports = { startFakeFoxit, useFakeFoxitEnv, fakePdf };
@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * readZip.js
+ *
+ * Reads every entry of a ZIP written by src/utils/zip.js, checking each
+ * entry's CRC — for tests of the batch download and the EPUB and DOCX
+ * renderers.
+ */
+
+const assert = require('node:assert/strict');
+const zlib   = require('zlib');
+
+const { crc32 } = require('../../src/utils/zip');
+
+/**
+ * @param {Buffer} zip
+ * @returns {Object<string, Buffer>}  Entry name → contents, in archive order
+ */
+function readZip(zip) {
+  const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = zip.readUInt16LE(end + 10);
+  let at = zip.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    const method = zip.readUInt16LE(at + 10);
+    const crc    = zip.readUInt32LE(at + 16);
+    const size   = zip.readUInt32LE(at + 20);
+    const nameLength = zip.readUInt16LE(at + 28);
+    const offset = zip.readUInt32LE(at + 42);
+    const name   = zip.subarray(at + 46, at + 46 + nameLength).toString('utf-8');
+    const start  = offset + 30 + zip.readUInt16LE(offset + 26);
+    const body   = zip.subarray(start, start + size);
+    const data   = method === 8 ? zlib.inflateRawSync(body) : body;
+    assert.equal(crc32(data), crc, name);
+    entries[name] = data;
+    at += 46 + nameLength;
+  }
+  return entries;
+}
+
+module.exports = { readZip };
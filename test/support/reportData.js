@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * reportData.js
+ *
+ * A complete ReportData for Ada Lovelace, as extraction would return it —
+ * for tests of the validator, the templates, the renderers and both PDF
+ * backends. Pass `overrides` to change or drop (`undefined`) fields.
+ */
+
+/** @param {number} n */
+function theme(n) {
+  return { name: `Theme ${n}`, explanation: `Explanation ${n}.`, quote: `Quote ${n}`, context: `Context ${n}.` };
+}
+
+/** @param {number} n */
+function resource(n) {
+  return { topic: `Topic ${n}`, whyItMatters: `Why ${n}`, whereToLearnMore: `Where ${n}` };
+}
+
+/**
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+function reportData(overrides = {}) {
+  return {
+    characterName:       'Ada Lovelace',
+    characterTagline:    'Mathematician',
+    characterBirthYear:  '1815',
+    characterDeathYear:  '1852',
+    characterBio:        'Wrote the first published program.',
+    characterImageUrl:   '',
+    characterFacts:      ['Daughter of Lord Byron.', 'Worked with Charles Babbage.'],
+    sessionDate:         'March 1, 2026',
+    sessionDuration:     '10 minutes',
+    userName:            'Tester',
+    sessionSummary:      'We discussed the Analytical Engine.',
+    headlineInsight:     'Machines follow orders.',
+    themes:              [1, 2, 3].map(theme),
+    resources:           [1, 2, 3].map(resource),
+    reflectionQuestions: ['One?', 'Two?', 'Three?'],
+    ...overrides,
+  };
+}
+
+module.exports = { reportData, theme, resource };
@@ -0,0 +1,90 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const path   = require('path');
+
+const { render, loadPartials, TemplateError } = require('../src/utils/templateEngine');
+const { templateStrings } = require('../src/utils/i18n');
+
+test('scalars and legacy indexed tokens still work', () => {
+  const data = { name: 'Ada', themes: [{ name: 'Engines' }], facts: ['a', 'b'] };
+  assert.equal(render('{{name}}|{{themes[0].name}}|{{facts[1]}}|{{missing}}', data), 'Ada|Engines|b|');
+});
+
+test('default filter fills empty values only', () => {
+  const tpl = '{{a | default "x"}} {{b | default "x"}} {{c | default "x"}}';
+  assert.equal(render(tpl, { a: '', b: 'kept', c: [] }), 'x kept x');
+});
+
+test('format filter fills positional placeholders from paths and literals', () => {
+  const tpl = '{{msg | format name "2"}}|{{missing | format name}}';
+  assert.equal(render(tpl, { msg: '{0} has {1} ({2})', name: 'Ada' }), 'Ada has 2 ()|');
+});
+
+test('each loops over any number of items with loop variables', () => {
+  const tpl = '{{#each items}}{{@number}}.{{this}}{{#unless @last}}, {{/unless}}{{/each}}';
+  assert.equal(render(tpl, { items: ['a', 'b', 'c', 'd', 'e'] }), '1.a, 2.b, 3.c, 4.d, 5.e');
+});
+
+test('each renders the else branch for empty lists and sees outer names', () => {
+  const tpl = '{{#each themes}}{{name}} by {{owner}}; {{else}}none{{/each}}';
+  assert.equal(render(tpl, { owner: 'Ada', themes: [{ name: 'x' }, { name: 'y' }] }), 'x by Ada; y by Ada; ');
+  assert.equal(render(tpl, { themes: [] }), 'none');
+});
+
+test('if treats empty strings and arrays as false', () => {
+  const tpl = '{{#if list}}yes{{else}}no{{/if}}';
+  assert.equal(render(tpl, { list: [1] }), 'yes');
+  assert.equal(render(tpl, { list: [] }), 'no');
+  assert.equal(render(tpl, { list: '' }), 'no');
+});
+
+test('../ reaches the enclosing context', () => {
+  const tpl = '{{#each outer}}{{#each inner}}{{../label}}:{{this}} {{/each}}{{/each}}';
+  assert.equal(render(tpl, { outer: [{ label: 'A', inner: [1, 2] }] }), 'A:1 A:2 ');
+});
+
+test('partials receive the current context, an explicit context and hash arguments', () => {
+  const partials = { card: '[{{name}}{{#if tag}}/{{tag}}{{/if}}]' };
+  const data = { first: { name: 'one' }, list: [{ name: 'two' }] };
+  assert.equal(
+    render('{{> card first}}{{#each list}}{{> card tag="x"}}{{/each}}', data, { partials }),
+    '[one][two/x]'
+  );
+});
+
+test('comments are dropped and escape hook sees every value', () => {
+  const out = render('{{! note }}<{{a}}>', { a: 'v' }, { escape: v => v.toUpperCase() });
+  assert.equal(out, '<V>');
+});
+
+test('malformed templates throw TemplateError with a line number', () => {
+  assert.throws(() => render('{{#each x}}\n{{/if}}', {}), err =>
+    err instanceof TemplateError && err.line === 2 && /closes \{\{#each\}\}/.test(err.message));
+  assert.throws(() => render('{{#if x}}', {}), /Unclosed \{\{#if\}\}/);
+  assert.throws(() => render('{{> nope}}', {}), /Unknown partial "nope"/);
+  assert.throws(() => render('{{x | shout}}', {}), /Unknown filter "shout"/);
+});
+
+test('the report template renders every theme, question and fact', () => {
+  const fs = require('fs');
+  const dir = path.join(__dirname, '..', 'src', 'templates');
+  const template = fs.readFileSync(path.join(dir, 'conversation-report.html'), 'utf-8');
+  const data = {
+    characterName:       'Ada Lovelace',
+    themes:              ['T1', 'T2', 'T3', 'T4'].map(n => ({ name: n, explanation: 'e', quote: 'q', context: 'c' })),
+    resources:           [{ topic: 'R1', whyItMatters: 'w', whereToLearnMore: 'l' }],
+    reflectionQuestions: ['Q1?', 'Q2?', 'Q3?', 'Q4?', 'Q5?'],
+    characterFacts:      ['F1', 'F2', 'F3', 'F4', 'F5', 'F6'],
+    ...templateStrings('en'),
+  };
+  const html = render(template, data, { partials: loadPartials(path.join(dir, 'partials')) });
+
+  assert.ok(!html.includes('{{'), 'no unrendered tags');
+  for (const q of data.reflectionQuestions) assert.ok(html.includes(`<li>${q}</li>`), q);
+  for (const f of data.characterFacts) assert.ok(html.includes(`<li>${f}</li>`), f);
+  assert.equal(html.split('<div class="theme-name">T4</div>').length - 1, 2);
+  assert.match(html, /Ada Lovelace &mdash; Continued/);
+  assert.ok(!html.includes('<img'), 'image block hidden without a URL');
+});
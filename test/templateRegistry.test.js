@@ -0,0 +1,78 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  listTemplates,
+  getTemplate,
+  validateTemplateId,
+  describeTemplate,
+} = require('../src/utils/templateRegistry');
+const { ReportValidationError } = require('../src/utils/reportValidator');
+const { validateReportRequest } = require('../src/utils/reportRequest');
+const LocalPdfService = require('../src/services/LocalPdfService');
+const { reportData, theme } = require('./support/reportData');
+
+test('the registry lists every template with its page size and schema', () => {
+  assert.deepEqual(listTemplates().map(t => t.id), ['classroom-worksheet', 'conversation-report', 'one-page-summary']);
+
+  const worksheet = describeTemplate(getTemplate('classroom-worksheet'));
+  assert.equal(worksheet.pageSize, 'A4');
+  assert.equal(worksheet.file, undefined);
+  assert.ok(worksheet.schema.required.includes('characterBio'));
+  assert.ok(!worksheet.schema.required.includes('headlineInsight'));
+  assert.equal(worksheet.schema.properties.themes.maxItems, 3);
+  // Limits narrow the shared schema without changing it
+  assert.equal(getTemplate().schema.properties.themes.maxItems, 5);
+});
+
+test('getTemplate defaults to the conversation report and rejects unknown ids', () => {
+  assert.equal(getTemplate().id, 'conversation-report');
+  assert.throws(() => getTemplate('poster'), /Unknown template "poster" \(expected one of: classroom-worksheet, conversation-report, one-page-summary\)/);
+  assert.equal(validateTemplateId('one-page-summary'), null);
+  assert.match(validateTemplateId(42), /^must be one of: /);
+});
+
+test('report requests may name a registered template', () => {
+  const body = {
+    transcript:        'User: Hi\nAda: Hello',
+    characterName:     'Ada Lovelace',
+    characterMetadata: { tagline: 'T', birthYear: '1815', deathYear: '1852', bio: 'B', facts: ['F'] },
+  };
+  assert.equal(validateReportRequest({ ...body, template: 'classroom-worksheet' }), null);
+  assert.match(validateReportRequest({ ...body, template: 'poster' }), /^template must be one of: classroom-worksheet/);
+});
+
+test('each template validates against its own schema and sets its page size', () => {
+  const service = new LocalPdfService({ fetchImages: false });
+
+  // The one-page summary keeps three themes and questions, and needs no resources
+  const summary = service._prepareHtml(reportData({
+    themes:              [1, 2, 3, 4, 5].map(theme),
+    resources:           [],
+    reflectionQuestions: ['One?', 'Two?', 'Three?', 'Four?'],
+  }), 'one-page-summary');
+  assert.equal(summary.match(/class="theme-name"/g).length, 3);
+  assert.doesNotMatch(summary, /Four\?/);
+  assert.match(summary, /@page \{ size: letter; \}/);
+
+  const worksheet = service._prepareHtml(reportData(), 'classroom-worksheet');
+  assert.match(worksheet, /@page \{ size: A4; \}/);
+  assert.match(worksheet, /Quote 3/);
+  assert.doesNotMatch(worksheet, /\{\{/);
+
+  assert.throws(
+    () => service._prepareHtml(reportData({ resources: [] }), 'conversation-report'),
+    err => err instanceof ReportValidationError && err.fields.some(f => f.path === 'resources')
+  );
+});
+
+test('the local backend renders a template at its page size', async t => {
+  t.mock.method(console, 'log', () => {});
+  const service = new LocalPdfService({ fetchImages: false, postProcessing: [] });
+
+  const pdf = await service.generateConversationReport(reportData(), { template: 'classroom-worksheet' });
+  // A4 is 595.28 × 841.89 pt
+  assert.match(pdf.toString('latin1'), /\/MediaBox \[0 0 595\.28 841\.89\]/);
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  analyzeTranscript,
+  parseTurns,
+  toExchanges,
+  splitForThemes,
+  splitSentences,
+  tokenize,
+} = require('../src/utils/transcriptAnalyzer');
+
+const TRANSCRIPT = `
+User: Professor Einstein, what was the single moment when you knew relativity was right?
+Einstein: It was not a single moment — it was a kind of stubbornness. I could not accept that
+the speed of light would behave differently depending on who observed it.
+User: Did it trouble you that E=mc² eventually contributed to the bomb?
+Einstein: It troubles me deeply — even now. I signed the letter to Roosevelt because I feared
+the Germans would build the bomb first. The equation is not evil; it is a description of nature.
+User: What about music?
+Einstein: The violin was my refuge. Mozart's music is so pure that it seems to have been ever-present in the universe.
+`.trim();
+
+test('parseTurns joins continuation lines and flags user turns', () => {
+  const turns = parseTurns(TRANSCRIPT);
+  assert.equal(turns.length, 6);
+  assert.deepEqual(turns.map(t => t.isUser), [true, false, true, false, true, false]);
+  assert.match(turns[1].text, /stubbornness\. I could not accept that the speed of light/);
+});
+
+test('toExchanges pairs questions with replies and merges consecutive character turns', () => {
+  const exchanges = toExchanges(parseTurns('User: Hi?\nAda: Hello.\nAda: Welcome.\nUser: Bye'));
+  assert.deepEqual(exchanges, [{ question: 'Hi?', answer: 'Hello. Welcome.' }]);
+});
+
+test('splitForThemes splits the longest replies until there are enough units', () => {
+  const units = splitForThemes([{ question: 'Q?', answer: 'One. Two. Three. Four.' }], 3);
+  assert.deepEqual(units, [
+    { question: 'Q?', answer: 'One.' },
+    { question: '',   answer: 'Two.' },
+    { question: '',   answer: 'Three. Four.' },
+  ]);
+});
+
+test('splitSentences keeps trailing fragments and closing quotes', () => {
+  assert.deepEqual(
+    splitSentences('He said "stop." Then he left! And then'),
+    ['He said "stop."', 'Then he left!', 'And then']
+  );
+});
+
+test('tokenize drops stopwords and folds plurals', () => {
+  assert.deepEqual(tokenize('The equations of the Germans'), ['equation', 'german']);
+});
+
+test('analyzeTranscript is deterministic', () => {
+  const opts = { characterName: 'Albert Einstein' };
+  assert.deepEqual(analyzeTranscript(TRANSCRIPT, opts), analyzeTranscript(TRANSCRIPT, opts));
+});
+
+test('analyzeTranscript produces transcript-specific themes with verbatim quotes', () => {
+  const result = analyzeTranscript(TRANSCRIPT, { characterName: 'Albert Einstein' });
+  const flat   = TRANSCRIPT.replace(/\s+/g, ' ');
+
+  assert.equal(result.themes.length, 3);
+  for (const theme of result.themes) {
+    assert.ok(flat.includes(theme.quote), `quote not in transcript: ${theme.quote}`);
+    assert.ok(theme.name && theme.explanation && theme.context);
+  }
+
+  const names = result.themes.map(t => t.name).join(' ').toLowerCase();
+  assert.match(names, /bomb/);
+  assert.match(names, /music|violin|mozart/);
+  assert.ok(!/einstein/.test(names), 'character name should not be a theme keyword');
+});
+
+test('analyzeTranscript fills every transcript-derived field', () => {
+  const result = analyzeTranscript(TRANSCRIPT, { characterName: 'Albert Einstein' });
+
+  assert.match(result.sessionSummary, /Albert Einstein/);
+  assert.ok(result.headlineInsight.length > 0);
+  assert.equal(result.resources.length, result.themes.length);
+  assert.equal(result.reflectionQuestions.length, 5);
+  assert.equal(new Set(result.reflectionQuestions).size, 5);
+});
+
+test('analyzeTranscript handles unlabelled text and rejects empty input', () => {
+  const result = analyzeTranscript('Imagination is more important than knowledge. Knowledge is limited.');
+  assert.equal(result.themes.length, 2);
+  assert.equal(result.themes[0].quote, 'Imagination is more important than knowledge.');
+  assert.throws(() => analyzeTranscript('   '), /no analyzable text/);
+});